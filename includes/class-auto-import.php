@@ -25,6 +25,8 @@ class Letterboxd_Auto_Import {
     private const CACHE_GROUP = "letterboxd_auto_import";
     private const CACHE_DURATION = 3600; // 1 hour
     private const IMPORT_LOCK_DURATION = 300; // 5 minutes
+    private const STREAMING_CONTINUE_DELAY = 300; // 5 minutes between provider refresh batches
+    private const ADVANCED_OPTION_NAME = "letterboxd_wordpress_advanced_options";
 
     /**
      * Available schedule intervals
@@ -107,11 +109,14 @@ class Letterboxd_Auto_Import {
         add_filter("cron_schedules", [$this, "add_custom_cron_intervals"]);
 
         // Import action - needed for functionality
-        add_action(self::HOOK_NAME, [$this, "letterboxd_check_and_import"]);
+        add_action(self::HOOK_NAME, [$this, "letterboxd_check_and_import"], 10, 1);
 
         // Schedule transient cleanup - add this line
         $this->schedule_transient_cleanup();
 
+        // Streaming availability changes, so keep provider data fresh
+        $this->schedule_streaming_refresh();
+
         // Only add admin-specific hooks when in admin
         if (is_admin()) {
             // Check if we're on our settings page
@@ -259,10 +264,6 @@ class Letterboxd_Auto_Import {
      */
     private function register_settings_fields(): void {
         $fields = [
-            "frequency" => [
-                "title" => __("Check for New Movies", "letterboxd-connect"),
-                "callback" => "render_frequency_field"
-            ],
             "notifications" => [
                 "title" => __("Email Notifications", "letterboxd-connect"),
                 "callback" => "render_notifications_field"
@@ -290,30 +291,12 @@ class Letterboxd_Auto_Import {
     public function render_settings_section(): void {
         echo "<p>" .
             esc_html__(
-                "Configure how often the plugin should check for new movies in your Letterboxd feed.",
+                "Each account is checked for new movies on its own schedule, set in the accounts table above.",
                 "letterboxd-connect"
             ) .
             "</p>";
     }
 
-    /**
-     * Render frequency field
-     */
-    public function render_frequency_field(): void {
-        $current = $this->cached_options["frequency"] ?? "daily"; // Add default
-
-        echo '<select name="letterboxd_auto_import_options[frequency]">'; // Update name attribute
-        foreach (self::SCHEDULES as $value => $config) {
-            printf(
-                '<option value="%s" %s>%s</option>',
-                esc_attr($value),
-                selected($current, $value, false),
-                esc_html($config["display"] ?? $config)
-            );
-        }
-        echo "</select>";
-    }
-
     /**
      * Render notifications field
      */
@@ -373,12 +356,24 @@ class Letterboxd_Auto_Import {
             }
         }
 
-        // Render the next check scheduled time, if available
-        $next_check = wp_next_scheduled(self::HOOK_NAME);
-        if ($next_check) {
+        // Render the next scheduled check for each account
+        foreach (letterboxd_get_accounts() as $account) {
+            $next_check = wp_next_scheduled(self::HOOK_NAME, [
+                $account["username"]
+            ]);
+            if (!$next_check) {
+                continue;
+            }
+
             printf(
                 '<p class="time-wrap"><span class="status-label">%s:</span> <span class="status-time">%s</span></p>',
-                esc_html__("Next check scheduled", "letterboxd-connect"),
+                esc_html(
+                    sprintf(
+                        /* translators: %s: Letterboxd username */
+                        __("Next check for %s", "letterboxd-connect"),
+                        $account["username"]
+                    )
+                ),
                 esc_html(
                     human_time_diff($current_time, $next_check) .
                         " " .
@@ -391,90 +386,65 @@ class Letterboxd_Auto_Import {
     }
 
     /**
-     * Initialize or reset schedule based on settings
+     * Initialize or reset schedules based on settings
      */
     public function initialize_schedule(): void {
-        // Clear existing schedule
-        wp_clear_scheduled_hook(self::HOOK_NAME);
-
-        $frequency = $this->cached_options["frequency"];
-        if ($frequency !== "disabled" && isset(self::SCHEDULES[$frequency])) {
-            $last_check = get_option("letterboxd_last_check");
-            $interval = self::SCHEDULES[$frequency]["interval"];
-
-            // Calculate next check time based on last check plus interval
-            $next_check = $last_check ? $last_check + $interval : time();
-
-            wp_schedule_event($next_check, $frequency, self::HOOK_NAME);
-        }
-
+        $this->update_account_schedules(letterboxd_get_accounts());
         $this->load_options();
     }
 
     /**
-     * Update import schedule with improved error handling
+     * Schedule one import event per account
+     *
+     * Every account gets its own recurring event, with the username as the
+     * event argument, so accounts can be checked at different frequencies.
+     *
+     * @param array $accounts Accounts, each with username and frequency
+     * @return bool Whether every enabled account was scheduled
      */
-    public function update_import_schedule(string $interval): bool {
-        //letterboxd_debug_log( "update_import_schedule called with interval: " . $interval );
+    public function update_account_schedules(array $accounts): bool {
+        // Clear the events of every account, including removed ones
+        wp_unschedule_hook(self::HOOK_NAME);
 
-        // Validate the interval
-        $valid_intervals = array_keys(self::SCHEDULES);
-        if (!in_array($interval, $valid_intervals)) {
-            //letterboxd_debug_log("Invalid interval: " . $interval);
-            return false;
-        }
+        $schedules = wp_get_schedules();
+        $scheduled = true;
 
-        // Clear the existing schedule
-        $hook_name = self::HOOK_NAME;
-        if (wp_next_scheduled($hook_name)) {
-            //letterboxd_debug_log( "Clearing existing schedule for " . $hook_name );
-            wp_clear_scheduled_hook($hook_name);
-        }
-
-        if (!empty($interval) && $interval !== "disabled") {
-            //letterboxd_debug_log( "Setting up new schedule with interval: " . $interval );
-
-            // Update the cached options first
-            $this->cached_options["frequency"] = $interval;
+        foreach ($accounts as $account) {
+            $frequency = $account["frequency"] ?? "daily";
+            if ($frequency === "disabled" || !isset(self::SCHEDULES[$frequency])) {
+                continue;
+            }
 
-            // Calculate a future time based on the interval
-            $schedules = wp_get_schedules();
-            $interval_seconds = $schedules[$interval]["interval"] ?? 86400; // Default to daily
-            $timestamp = time() + $interval_seconds; // Schedule for the next interval
+            $interval_seconds =
+                $schedules[$frequency]["interval"] ??
+                self::SCHEDULES[$frequency]["interval"];
 
-            // Schedule the event
-            $schedule_result = wp_schedule_event(
-                $timestamp,
-                $interval,
-                $hook_name
+            $result = wp_schedule_event(
+                time() + $interval_seconds,
+                $frequency,
+                self::HOOK_NAME,
+                [$account["username"]]
             );
-            // letterboxd_debug_log(
-            //     "wp_schedule_event result: " .
-            //         ($schedule_result !== false ? "Success" : "Failed")
-            // );
-
-            // Only update options if scheduling was successful
-            if ($schedule_result !== false) {
-                // Update the auto import options
-                update_option(
-                    "letterboxd_auto_import_options",
-                    $this->cached_options
-                );
-
-                // Update the import interval for compatibility
-                update_option("letterboxd_import_interval", $interval);
+            $scheduled = $scheduled && $result !== false;
+        }
 
-                return true;
-            }
+        // Keep the import interval option in step with the primary account
+        if (!empty($accounts)) {
+            update_option(
+                "letterboxd_import_interval",
+                $accounts[0]["frequency"] ?? "daily"
+            );
         }
 
-        return false;
+        return $scheduled;
     }
 
     /**
-     * Check feed and import new movies
+     * Check feeds and import new movies
+     *
+     * @param string|null $username Account to check, or null for every account
      */
-    public function letterboxd_check_and_import(): void {
+    public function letterboxd_check_and_import(?string $username = null): void {
         // Check if this is being called right after settings update
         if (get_transient("letterboxd_settings_just_updated")) {
             //letterboxd_debug_log( "Skipping auto-import because settings were just updated" );
@@ -490,6 +460,13 @@ class Letterboxd_Auto_Import {
             return;
         }
 
+        if ($username !== null && $username !== "") {
+            $account = letterboxd_get_account($username);
+            $accounts = $account ? [$account] : [];
+        } else {
+            $accounts = letterboxd_get_accounts();
+        }
+
         // Set lock to prevent parallel imports
         set_transient($lock_key, true, self::IMPORT_LOCK_DURATION);
 
@@ -497,13 +474,15 @@ class Letterboxd_Auto_Import {
             //letterboxd_debug_log("Starting scheduled import");
             $this->update_last_check();
             $importer = $this->main_plugin->importer;
-            $settings = get_option("letterboxd_wordpress_options", []);
-            $result = $importer->import_movies($settings, true);
 
-            if ($result && $result["imported"] > 0) {
-                $this->handle_successful_import($result);
+            foreach ($accounts as $account) {
+                $result = $importer->import_movies($account, true);
+
+                if ($result && $result["imported"] > 0) {
+                    $this->handle_successful_import($result);
+                }
+                $this->log_import_result($result);
             }
-            $this->log_import_result($result);
         } catch (Exception $e) {
             $this->handle_import_error($e);
         } finally {
@@ -785,6 +764,64 @@ class Letterboxd_Auto_Import {
         ]);
     }
 
+    /**
+     * Schedule the daily refresh of streaming provider data
+     */
+    private function schedule_streaming_refresh(): void {
+        $hook = Letterboxd_TMDB_Handler::STREAMING_REFRESH_HOOK;
+
+        if (!wp_next_scheduled($hook)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, "daily", $hook);
+        }
+
+        add_action($hook, [$this, "refresh_streaming_providers"]);
+        add_action("update_option_" . self::ADVANCED_OPTION_NAME, [$this, "refresh_streaming_on_region_change"], 10, 2);
+    }
+
+    /**
+     * Refresh a batch of stale streaming provider data
+     *
+     * While stale movies remain, the next batch runs a few minutes later
+     * instead of on the next daily run.
+     */
+    public function refresh_streaming_providers(): void {
+        $tmdb_handler = new Letterboxd_TMDB_Handler();
+        $results = $tmdb_handler->refresh_stale_streaming_providers();
+
+        if (!empty($results["more"])) {
+            $this->schedule_streaming_batch();
+        }
+    }
+
+    /**
+     * Start refreshing every movie's providers when the region changes
+     *
+     * @param mixed $old_value Previous advanced settings
+     * @param mixed $value     New advanced settings
+     */
+    public function refresh_streaming_on_region_change($old_value, $value): void {
+        $old_region = strtoupper((string) (is_array($old_value) ? ($old_value["streaming_region"] ?? "") : ""));
+        $region = strtoupper((string) (is_array($value) ? ($value["streaming_region"] ?? "") : ""));
+
+        if ($old_region !== $region) {
+            $this->schedule_streaming_batch(0);
+        }
+    }
+
+    /**
+     * Schedule one more streaming provider refresh, unless one is due sooner
+     *
+     * @param int $delay Seconds from now
+     */
+    private function schedule_streaming_batch(int $delay = self::STREAMING_CONTINUE_DELAY): void {
+        $hook = Letterboxd_TMDB_Handler::STREAMING_REFRESH_HOOK;
+        $next = wp_next_scheduled($hook);
+
+        if (!$next || $next > time() + $delay) {
+            wp_schedule_single_event(time() + $delay, $hook);
+        }
+    }
+
     /**
      * Execute scheduled cleanup of all plugin transients
      */
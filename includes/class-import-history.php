@@ -0,0 +1,159 @@
+<?php
+/**
+ * Keeps a history of import runs and what happened to each film
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Import_History {
+    /**
+     * Storage constants
+     */
+    public const OPTION_NAME = "letterboxd_import_history";
+    private const MAX_RUNS = 30;
+    private const MAX_ITEMS_PER_RUN = 300;
+
+    /**
+     * What started a run
+     */
+    public const TRIGGERS = ["rss", "csv", "list", "cron", "tmdb"];
+
+    /**
+     * Per-item outcomes
+     */
+    public const OUTCOMES = ["created", "updated", "skipped", "failed"];
+
+    /**
+     * Start recording a run
+     *
+     * The run is stored straight away with status "running" so runs that
+     * span several requests (jobs, CSV chunks, TMDB batches) can add to it.
+     *
+     * @param string $trigger One of self::TRIGGERS
+     * @param int|null $started_at Start time, defaults to now
+     * @return string Run ID
+     */
+    public function start_run(string $trigger, ?int $started_at = null): string {
+        $run_id = str_replace("-", "", wp_generate_uuid4());
+
+        $runs = $this->get_runs();
+        array_unshift($runs, [
+            "id" => $run_id,
+            "trigger" => in_array($trigger, self::TRIGGERS, true) ? $trigger : "rss",
+            "status" => "running",
+            "message" => "",
+            "started_at" => $started_at ?? time(),
+            "finished_at" => 0,
+            "duration" => 0,
+            "counts" => array_fill_keys(self::OUTCOMES, 0),
+            "items" => [],
+            "truncated" => false
+        ]);
+
+        $this->save_runs(array_slice($runs, 0, self::MAX_RUNS));
+
+        return $run_id;
+    }
+
+    /**
+     * Add per-item results to a run
+     *
+     * Items past the per-run limit are still counted but not stored.
+     *
+     * @param string $run_id Run ID
+     * @param array $items Each with title, outcome and an optional reason
+     */
+    public function add_items(string $run_id, array $items): void {
+        if (empty($items)) {
+            return;
+        }
+
+        $this->update_run($run_id, function (array $run) use ($items): array {
+            foreach ($items as $item) {
+                $outcome = in_array($item["outcome"] ?? "", self::OUTCOMES, true)
+                    ? $item["outcome"]
+                    : "failed";
+                $run["counts"][$outcome]++;
+
+                if (count($run["items"]) >= self::MAX_ITEMS_PER_RUN) {
+                    $run["truncated"] = true;
+                    continue;
+                }
+
+                $run["items"][] = [
+                    "title" => (string) ($item["title"] ?? ""),
+                    "outcome" => $outcome,
+                    "reason" => (string) ($item["reason"] ?? "")
+                ];
+            }
+            return $run;
+        });
+    }
+
+    /**
+     * Mark a run as finished
+     *
+     * @param string $run_id Run ID
+     * @param string $status "complete", "cancelled" or "error"
+     * @param string $message Summary or error message
+     */
+    public function finish_run(string $run_id, string $status, string $message = ""): void {
+        $finished = null;
+
+        $this->update_run($run_id, function (array $run) use ($status, $message, &$finished): array {
+            $run["status"] = $status;
+            $run["message"] = $message;
+            $run["finished_at"] = time();
+            $run["duration"] = max(0, $run["finished_at"] - (int) $run["started_at"]);
+            $finished = $run;
+            return $run;
+        });
+
+        if ($finished !== null) {
+            /**
+             * Fires when an import run has been recorded in the history
+             *
+             * @param array $run The finished run record
+             */
+            do_action("letterboxd_import_run_recorded", $finished);
+        }
+    }
+
+    /**
+     * All stored runs, newest first
+     */
+    public function get_runs(): array {
+        $runs = get_option(self::OPTION_NAME, []);
+        return is_array($runs) ? $runs : [];
+    }
+
+    /**
+     * Apply a change to one stored run
+     */
+    private function update_run(string $run_id, callable $callback): void {
+        $runs = $this->get_runs();
+
+        foreach ($runs as $index => $run) {
+            if (($run["id"] ?? "") === $run_id) {
+                $runs[$index] = $callback($run);
+                $this->save_runs($runs);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Persist runs without autoloading them on every request
+     */
+    private function save_runs(array $runs): void {
+        update_option(self::OPTION_NAME, array_values($runs), false);
+    }
+}
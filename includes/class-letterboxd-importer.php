@@ -28,7 +28,72 @@ class Letterboxd_Importer {
     private const CACHE_GROUP = "letterboxd_to_wp_import";
     private const FEED_CACHE_DURATION = 3600; // 1 hour
     private const IMPORT_LOCK_DURATION = 300; // 5 minutes
+    private const IMPORT_LOCK_KEY = self::CACHE_GROUP . "_import_lock";
+    private const FEED_LOCK_OWNER = "feed";
+
+    /**
+     * Manual import job constants
+     */
+    private const JOB_TRANSIENT_PREFIX = self::CACHE_GROUP . "_job_";
+    private const JOB_DURATION = DAY_IN_SECONDS;
+    private const JOB_BATCH_SIZE = 5;
+
+    /**
+     * CSV import constants
+     */
+    private const CSV_IMPORT_PREFIX = self::CACHE_GROUP . "_csv_";
+    private const CSV_IMPORT_DURATION = HOUR_IN_SECONDS;
+    private const CSV_CHUNK_SIZE = 25;
+
+    /**
+     * Canonical CSV columns and the Letterboxd header variants that map to them
+     */
+    private const CSV_COLUMN_ALIASES = [
+        'title'         => ['title', 'name', 'film', 'movie'],
+        'year'          => ['year', 'release year'],
+        'date'          => ['date watched', 'date', 'watched date', 'watcheddate'],
+        'rating'        => ['your rating', 'rating', 'diary rating'],
+        'review'        => ['review', 'review text', 'diary entry', 'diary'],
+        'uri'           => ['letterboxd uri', 'letterboxd url', 'letterboxd link', 'uri', 'letterboxduri'],
+        'tmdb_movie_id' => ['tmdb movie id', 'tmdb id', 'tmdbid'],
+        'rewatch'       => ['rewatch'],
+        'tags'          => ['tags'],
+        'spoilers'      => ['spoilers', 'contains spoilers'],
+    ];
+
+    /**
+     * Columns of Letterboxd's import format, and the canonical CSV column each holds
+     */
+    private const CSV_EXPORT_COLUMNS = [
+        'Title'         => 'title',
+        'Year'          => 'year',
+        'WatchedDate'   => 'date',
+        'Rating'        => 'rating',
+        'Review'        => 'review',
+        'Tags'          => 'tags',
+        'LetterboxdURI' => 'uri',
+        'tmdbID'        => 'tmdb_movie_id',
+    ];
+
+    /**
+     * HTML Letterboxd keeps in imported reviews
+     */
+    private const CSV_EXPORT_REVIEW_TAGS = [
+        'p' => [], 'br' => [], 'em' => [], 'i' => [], 'strong' => [], 'b' => [],
+        'a' => ['href' => []], 'blockquote' => [],
+    ];
+
+    /**
+     * List and watchlist import constants
+     */
+    private const LIST_MAX_PAGES = 20;
+    private const LIST_URL_PATTERN = '#^https?://(?:www\.)?letterboxd\.com/([a-z0-9_-]+)/(?:(list)/([a-z0-9_-]+)|(watchlist)|(rss))/?#i';
     private const MAX_FEED_SIZE = 10485760; // 10MB
+
+    /**
+     * Diary entry fields compared with Letterboxd when an entry was imported before
+     */
+    private const SYNC_FIELDS = ["rating", "review", "spoilers", "rewatch"];
     private const REQUEST_TIMEOUT = 30; // 30 seconds
 
     /**
@@ -55,6 +120,16 @@ class Letterboxd_Importer {
      */
     private ?Letterboxd_TMDB_Handler $tmdb_handler = null;
 
+    /**
+     * @var Letterboxd_Import_History
+     */
+    private Letterboxd_Import_History $history;
+
+    /**
+     * @var Letterboxd_Sync_Queue
+     */
+    private Letterboxd_Sync_Queue $sync_queue;
+
     /**
      * Class constructor
      *
@@ -63,6 +138,8 @@ class Letterboxd_Importer {
     public function __construct(Letterboxd_Movie_Post_Type $post_type) {
         $this->post_type = $post_type;
         $this->tmdb_handler = new Letterboxd_TMDB_Handler();
+        $this->history = new Letterboxd_Import_History();
+        $this->sync_queue = new Letterboxd_Sync_Queue();
     }
 
     /**
@@ -78,6 +155,8 @@ class Letterboxd_Importer {
         array $options,
         bool $automated = true
     ): array {
+        $run_id = "";
+
         try {
             if (!$this->can_import()) {
                 throw new Exception(
@@ -94,6 +173,7 @@ class Letterboxd_Importer {
             }
 
             $this->set_import_lock();
+            $run_id = $this->history->start_run($automated ? "cron" : "rss");
 
             $username =
                 $options["username"] ??
@@ -110,14 +190,18 @@ class Letterboxd_Importer {
             $feed_items = $this->fetch_feed($username);
             // letterboxd_debug_log( "Fetched " . count($feed_items) . " items from feed" );
 
-            $result = $this->process_feed_items($feed_items, $options);
+            $result = $this->process_feed_items($feed_items, $options, $run_id);
 
             update_option("letterboxd_last_import", time());
 
-            $this->clear_import_lock();
+            $this->history->finish_run($run_id, "complete", $result["message"]);
+            $this->clear_import_lock(self::FEED_LOCK_OWNER);
             return $result;
         } catch (Exception $e) {
             // letterboxd_debug_log("Import error: " . $e->getMessage());
+            if ($run_id !== "") {
+                $this->history->finish_run($run_id, "error", $e->getMessage());
+            }
             $this->handle_import_error($e, $options);
             return $this->get_error_response($e->getMessage());
         }
@@ -125,37 +209,339 @@ class Letterboxd_Importer {
 
     /**
      * Set import lock
+     *
+     * The lock lives in a transient so it holds across the separate
+     * requests of a step-by-step import job.
+     *
+     * @param string $owner Identifies who holds the lock
      */
-    private function set_import_lock(): void {
-        wp_cache_set(
-            "import_lock",
-            time(),
-            self::CACHE_GROUP,
-            self::IMPORT_LOCK_DURATION
-        );
+    private function set_import_lock(string $owner = self::FEED_LOCK_OWNER): void {
+        set_transient(self::IMPORT_LOCK_KEY, $owner, self::IMPORT_LOCK_DURATION);
     }
 
     /**
      * Check if import can run
+     *
+     * @param string|null $owner Lock owner that is allowed to continue
      */
-    private function can_import(): bool {
-        $lock_time = wp_cache_get("import_lock", self::CACHE_GROUP);
-        if (!$lock_time) {
+    private function can_import(?string $owner = null): bool {
+        $lock = get_transient(self::IMPORT_LOCK_KEY);
+        if ($lock === false) {
             return true;
         }
-        // Clear stale lock after 5 minutes
-        if (time() - $lock_time > 300) {
-            wp_cache_delete("import_lock", self::CACHE_GROUP);
-            return true;
-        }
-        return false;
+        return $owner !== null && $lock === $owner;
     }
 
     /**
      * Clear import lock
+     *
+     * @param string|null $owner Only clear the lock when held by this owner
+     */
+    private function clear_import_lock(?string $owner = null): void {
+        if ($owner !== null && get_transient(self::IMPORT_LOCK_KEY) !== $owner) {
+            return;
+        }
+        delete_transient(self::IMPORT_LOCK_KEY);
+    }
+
+    /**
+     * Start a manual import job
+     *
+     * Fetches each account's feed once and stores the items to import so the
+     * admin screen can work through them in small steps and report on each film.
+     *
+     * @param array $accounts Accounts to import (username, start_date, draft_status)
+     * @return array Job summary
+     * @throws Exception When another import holds the lock or a feed fails
+     */
+    public function start_import_job(array $accounts): array {
+        if (!$this->can_import()) {
+            throw new Exception(
+                __("Another import is currently running.", "letterboxd-connect")
+            );
+        }
+
+        $accounts = array_column($accounts, null, "username");
+        unset($accounts[""]);
+        if (empty($accounts)) {
+            throw new Exception(
+                __("No Letterboxd username configured.", "letterboxd-connect")
+            );
+        }
+
+        $job_id = str_replace("-", "", wp_generate_uuid4());
+        $owner = $this->get_job_lock_owner($job_id);
+        $this->set_import_lock($owner);
+
+        $items = [];
+        $missing = [];
+        try {
+            foreach ($accounts as $username => $account) {
+                $feed_items = $this->fetch_feed($username);
+                foreach ($this->filter_feed_items($feed_items, $account) as $item) {
+                    $item["account"] = $username;
+                    $items[] = $item;
+                }
+                $missing = array_merge($missing, $this->sync_missing_entries($feed_items, $account));
+            }
+        } catch (Exception $e) {
+            $this->clear_import_lock($owner);
+            throw $e;
+        }
+
+        $job = [
+            "id" => $job_id,
+            "status" => "running",
+            "accounts" => $accounts,
+            "items" => $items,
+            "total" => count($items),
+            "processed" => 0,
+            "created" => 0,
+            "updated" => 0,
+            "skipped" => 0,
+            "failed" => 0,
+            "log" => $missing,
+            "error" => "",
+            "started_at" => time(),
+            "finished_at" => 0
+        ];
+        foreach ($missing as $entry) {
+            $job[$entry["outcome"]]++;
+        }
+        $job["history_id"] = $this->history->start_run("rss", $job["started_at"]);
+        $this->history->add_items($job["history_id"], $this->to_history_items($missing));
+
+        if ($job["total"] === 0) {
+            $this->finish_import_job($job, "complete");
+        } else {
+            $this->save_import_job($job);
+        }
+
+        return $this->format_import_job($job, $job["log"]);
+    }
+
+    /**
+     * Import the next batch of items in a job
+     *
+     * @param string $job_id     Job ID
+     * @param int    $batch_size Number of items to import in this step
+     * @return array Job summary plus the log entries for this step
+     * @throws Exception When the job does not exist
+     */
+    public function run_import_job_step(
+        string $job_id,
+        int $batch_size = self::JOB_BATCH_SIZE
+    ): array {
+        $job = $this->get_stored_import_job($job_id);
+        if ($job["status"] !== "running") {
+            return $this->format_import_job($job, []);
+        }
+
+        $owner = $this->get_job_lock_owner($job_id);
+        if (!$this->can_import($owner)) {
+            $job["error"] = __(
+                "Another import took over while this one was paused.",
+                "letterboxd-connect"
+            );
+            $this->finish_import_job($job, "failed");
+            return $this->format_import_job($job, []);
+        }
+
+        // Refresh the lock for as long as steps keep arriving
+        $this->set_import_lock($owner);
+
+        $entries = [];
+        $batch = array_slice($job["items"], $job["processed"], max(1, $batch_size));
+
+        foreach ($batch as $item) {
+            $entry = $this->import_job_item($item, $job["accounts"][$item["account"]]);
+            $job[$entry["outcome"]]++;
+            $job["processed"]++;
+            $job["log"][] = $entry;
+            $entries[] = $entry;
+        }
+
+        $this->history->add_items($job["history_id"], $this->to_history_items($entries));
+
+        if ($job["processed"] >= $job["total"]) {
+            $this->finish_import_job($job, "complete");
+        } else {
+            $this->save_import_job($job);
+        }
+
+        return $this->format_import_job($job, $entries);
+    }
+
+    /**
+     * Get a job summary with its full log
+     *
+     * @param string $job_id Job ID
+     * @return array Job summary
+     * @throws Exception When the job does not exist
+     */
+    public function get_import_job(string $job_id): array {
+        $job = $this->get_stored_import_job($job_id);
+        return $this->format_import_job($job, $job["log"]);
+    }
+
+    /**
+     * Cancel a running job and release its lock
+     *
+     * Items already imported are kept.
+     *
+     * @param string $job_id Job ID
+     * @return array Job summary
+     * @throws Exception When the job does not exist
+     */
+    public function cancel_import_job(string $job_id): array {
+        $job = $this->get_stored_import_job($job_id);
+        if ($job["status"] === "running") {
+            $this->finish_import_job($job, "cancelled");
+        }
+        return $this->format_import_job($job);
+    }
+
+    /**
+     * Import one job item and describe the outcome for the log
+     */
+    private function import_job_item(array $item, array $options): array {
+        $parsed = $this->parse_movie_title_and_rating($item["title"] ?? "");
+        $entry = [
+            "title" => $parsed["title"],
+            "year" => ($item["filmYear"] ?? "") ?: $parsed["year"],
+            "account" => $options["username"] ?? "",
+            "outcome" => "failed",
+            "message" => ""
+        ];
+
+        try {
+            $outcome = $this->import_movie_with_outcome($item, $options);
+        } catch (Exception $e) {
+            $entry["message"] = $e->getMessage();
+            return $entry;
+        }
+
+        if ($outcome === "created") {
+            $entry["outcome"] = "created";
+        } elseif ($outcome === "viewing") {
+            $entry["outcome"] = "created";
+            $entry["message"] = __("Added a viewing to an imported film", "letterboxd-connect");
+        } elseif ($outcome === "synced") {
+            $entry["outcome"] = "updated";
+            $entry["message"] = __("Updated with changes from Letterboxd", "letterboxd-connect");
+        } elseif ($outcome === "pending") {
+            $entry["outcome"] = "skipped";
+            $entry["message"] = __("Changes from Letterboxd are waiting for review", "letterboxd-connect");
+        } elseif ($outcome === "updated") {
+            $entry["outcome"] = "skipped";
+            $entry["message"] = __("Already imported", "letterboxd-connect");
+        } else {
+            $entry["message"] = __("Could not create the post", "letterboxd-connect");
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Shape job log entries as import history items
+     */
+    private function to_history_items(array $entries): array {
+        return array_map(
+            static fn(array $entry): array => [
+                "title" => $entry["year"] !== ""
+                    ? sprintf("%s (%s)", $entry["title"], $entry["year"])
+                    : $entry["title"],
+                "outcome" => $entry["outcome"],
+                "reason" => $entry["message"]
+            ],
+            $entries
+        );
+    }
+
+    /**
+     * Mark a job as finished and release the lock
+     */
+    private function finish_import_job(array &$job, string $status): void {
+        $job["status"] = $status;
+        $job["finished_at"] = time();
+        $job["items"] = [];
+
+        if ($status === "complete") {
+            update_option("letterboxd_last_import", time());
+        }
+
+        $this->history->finish_run(
+            $job["history_id"],
+            $status === "failed" ? "error" : $status,
+            $job["error"]
+        );
+
+        $this->save_import_job($job);
+        $this->clear_import_lock($this->get_job_lock_owner($job["id"]));
+    }
+
+    /**
+     * Load a stored job
+     *
+     * @throws Exception When the job does not exist
+     */
+    private function get_stored_import_job(string $job_id): array {
+        $job = get_transient(self::JOB_TRANSIENT_PREFIX . $job_id);
+        if (!is_array($job)) {
+            throw new Exception(
+                __("Import job not found.", "letterboxd-connect")
+            );
+        }
+        return $job;
+    }
+
+    /**
+     * Persist a job
+     */
+    private function save_import_job(array $job): void {
+        set_transient(
+            self::JOB_TRANSIENT_PREFIX . $job["id"],
+            $job,
+            self::JOB_DURATION
+        );
+    }
+
+    /**
+     * Lock owner used while a job runs
+     */
+    private function get_job_lock_owner(string $job_id): string {
+        return "job_" . $job_id;
+    }
+
+    /**
+     * Public view of a job, without the queued feed items
+     *
+     * @param array      $job     Stored job
+     * @param array|null $entries Log entries to include
      */
-    private function clear_import_lock(): void {
-        wp_cache_delete("import_lock", self::CACHE_GROUP);
+    private function format_import_job(array $job, ?array $entries = null): array {
+        $summary = [
+            "id" => $job["id"],
+            "status" => $job["status"],
+            "total" => $job["total"],
+            "processed" => $job["processed"],
+            "created" => $job["created"],
+            "updated" => $job["updated"] ?? 0,
+            "skipped" => $job["skipped"],
+            "failed" => $job["failed"],
+            "percent" => $job["total"] > 0
+                ? (int) floor(($job["processed"] / $job["total"]) * 100)
+                : 100,
+            "error" => $job["error"],
+            "started_at" => $job["started_at"],
+            "finished_at" => $job["finished_at"]
+        ];
+
+        if ($entries !== null) {
+            $summary["log"] = $entries;
+        }
+
+        return $summary;
     }
 
     /**
@@ -213,13 +599,19 @@ class Letterboxd_Importer {
 
     /**
      * Fetch feed content of user's Letterboxd feed with error handling
+     *
+     * @param string $url Feed or page URL
+     * @param string $accept Accept header, list pages are fetched as HTML
      */
-    private function fetch_feed_content(string $url): string {
+    private function fetch_feed_content(
+        string $url,
+        string $accept = "application/rss+xml"
+    ): string {
         // letterboxd_debug_log("Attempting to fetch feed from: " . $url);
         $response = wp_remote_get($url, [
             "timeout" => self::REQUEST_TIMEOUT,
             "user-agent" => "WordPress/Letterboxd-Importer-Plugin",
-            "headers" => ["Accept" => "application/rss+xml"],
+            "headers" => ["Accept" => $accept],
             "sslverify" => true
         ]);
 
@@ -304,6 +696,7 @@ class Letterboxd_Importer {
                             "pubDate" => "",
                             "description" => "",
                             "filmYear" => "",
+                            "rewatch" => false,
                             "poster_url" => ""
                         ];
                     } elseif ($current_item !== null) {
@@ -311,6 +704,9 @@ class Letterboxd_Importer {
                         if ($current_tag === "letterboxd:filmYear") {
                             $current_item["filmYear"] = $reader->readString();
                             continue;
+                        } elseif ($current_tag === "letterboxd:rewatch") {
+                            $current_item["rewatch"] = strcasecmp(trim($reader->readString()), "Yes") === 0;
+                            continue;
                         } elseif ($current_tag === "tmdb:movieId") {
                             //check feed for a movieID to ensure that we're only pulling over movies and not lists
                             $current_item[
@@ -408,27 +804,47 @@ class Letterboxd_Importer {
         }
     }
 
+    /**
+     * Drop feed items published before the configured start date
+     */
+    private function filter_feed_items(array $feed_items, array $options): array {
+        $start_date = !empty($options["start_date"])
+            ? strtotime($options["start_date"])
+            : 0;
+
+        if (!$start_date) {
+            return array_values($feed_items);
+        }
+
+        return array_values(
+            array_filter(
+                $feed_items,
+                static fn(array $item): bool => strtotime($item["pubDate"]) >= $start_date
+            )
+        );
+    }
+
     /**
      * Process feed items
      */
     private function process_feed_items(
         array $feed_items,
-        array $options
+        array $options,
+        string $run_id = ""
     ): array {
-        $start_date = !empty($options["start_date"])
-            ? strtotime($options["start_date"])
-            : 0;
         $imported = 0;
+        $entries = $this->sync_missing_entries($feed_items, $options);
 
-        foreach ($feed_items as $item) {
-            $pub_date = strtotime($item["pubDate"]);
-            if ($start_date && $pub_date < $start_date) {
-                continue;
-            }
-
-            if ($this->import_movie($item, $options)) {
+        foreach ($this->filter_feed_items($feed_items, $options) as $item) {
+            $entry = $this->import_job_item($item, $options);
+            if ($entry["outcome"] === "created") {
                 $imported++;
             }
+            $entries[] = $entry;
+        }
+
+        if ($run_id !== "") {
+            $this->history->add_items($run_id, $this->to_history_items($entries));
         }
 
         return [
@@ -453,6 +869,24 @@ class Letterboxd_Importer {
      * @return bool          True if a new post was created, false otherwise.
      */
     private function import_movie(array $item, array $options): bool {
+        return $this->import_movie_with_outcome($item, $options) === "created";
+    }
+
+    /**
+     * Import or update a single movie and report what happened to it.
+     *
+     * Every diary entry is kept as a viewing of the movie, so rewatches add
+     * to the movie's history instead of being skipped.
+     *
+     * @param array $item    Parsed feed item.
+     * @param array $options Import options.
+     * @return string        "created", "viewing" (new diary entry for an
+     *                       existing movie), "updated" (entry imported
+     *                       before), "synced" (entry changed to match
+     *                       Letterboxd), "pending" (changes kept for review)
+     *                       or "failed".
+     */
+    private function import_movie_with_outcome(array $item, array $options): string {
         // Try to find an existing post by its Letterboxd URL (stored in meta `letterboxd_url`)
         $link = trim($item['link'] ?? '');
         if ($link === '') {
@@ -464,11 +898,50 @@ class Letterboxd_Importer {
         }
         
         $existing = $this->post_type->get_movie_by_letterboxd_url($link);
+
+        // Rewatches link to /<user>/film/<slug>/<n>/, so look for the film itself.
+        // This also turns a film first imported from a list or watchlist into a diary entry.
+        if (!$existing) {
+            $parsed   = $this->parse_movie_title_and_rating((string)($item['title'] ?? ''));
+            $existing = $this->find_account_movie(
+                $link,
+                $parsed['title'],
+                $parsed['year'] !== '' ? $parsed['year'] : (string)($item['filmYear'] ?? ''),
+                (string)($options['username'] ?? '')
+            );
+        }
     
         // Prepare all the data for wp_insert_post / wp_update_post
         $movie_data = $this->prepare_movie_data($item, $options);
+        $viewing    = $this->build_viewing($item);
     
         if ($existing) {
+            $viewings  = $this->post_type->get_viewings($existing->ID);
+
+            // An entry imported before is compared with Letterboxd instead
+            $known = array_search($viewing['date'], array_column($viewings, 'date'), true);
+            if ($viewing['date'] !== '' && $known !== false) {
+                $this->set_movie_account( $existing->ID, $options );
+                $this->set_movie_terms( $existing->ID, $item );
+                return $this->sync_viewing(
+                    $existing->ID,
+                    $viewings[$known],
+                    $viewing,
+                    $item['sync_fields'] ?? self::SYNC_FIELDS,
+                    $options
+                );
+            }
+
+            $unwatched = metadata_exists('post', $existing->ID, 'watch_status');
+            $is_new    = $this->post_type->add_viewing($existing->ID, $viewing);
+
+            // The post describes the first viewing; later ones are only kept as viewings
+            if (!$unwatched && !empty($viewings) && $viewing['date'] > $viewings[0]['date']) {
+                $this->set_movie_account( $existing->ID, $options );
+                $this->set_movie_terms( $existing->ID, $item );
+                return $is_new ? "viewing" : "updated";
+            }
+
             // We have an existing post—see what actually changed
             $updates      = [ 'ID' => $existing->ID ];
             $needs_update = false;
@@ -502,95 +975,428 @@ class Letterboxd_Importer {
     
             // 4) Always refresh meta & terms so watchedDate, rating, genres, etc. stay in sync
             $this->set_movie_meta( $existing->ID, $item );
+            $this->post_type->update_viewing_summary( $existing->ID );
+            delete_post_meta( $existing->ID, 'watch_status' );
+            $this->set_movie_account( $existing->ID, $options );
             $this->set_movie_terms( $existing->ID, $item );
     
-            // Return false to signal “no new post created”
-            return false;
+            // No new post created
+            return $is_new ? "viewing" : "updated";
         }
     
         // No existing post—insert a brand-new one
         $post_id = wp_insert_post( $movie_data );
         if ( is_wp_error( $post_id ) || $post_id <= 0 ) {
-            return false;
+            return "failed";
         }
     
         // Save meta and terms, and enrich with TMDB if available
         $this->set_movie_meta( $post_id, $item );
+        $this->post_type->add_viewing( $post_id, $viewing );
+        $this->set_movie_account( $post_id, $options );
         $this->set_movie_terms( $post_id, $item );
         if ( ! empty( $item['tmdb_movieId'] ) ) {
             $this->enrich_with_tmdb_data( $post_id, $item['tmdb_movieId'] );
         }
     
-        return true;
+        return "created";
     }
 
     /**
-     * Parse the movie title string into its components using named capture groups.
-     * Optimized for better performance and reliability.
+     * Record which Letterboxd account a movie was imported from
      *
-     * @param string $title The raw title string from the feed.
-     * @return array{title: string, year: string, rating: string} Structured movie data
+     * @param int   $post_id Movie post ID
+     * @param array $options Import options for the account
      */
-    private function parse_movie_title_and_rating(string $title): array {
-        // Use named capture groups and a stricter year pattern
-        $pattern =
-            '/^(?P<title>.*),\s*(?P<year>\d{4})(?:\s*-\s*(?P<rating>.*))?$/u';
+    private function set_movie_account(int $post_id, array $options): void {
+        $username = strtolower(trim((string) ($options["username"] ?? "")));
+        if ($username !== "") {
+            update_post_meta($post_id, "letterboxd_account", $username);
+        }
+    }
 
-        if (preg_match($pattern, $title, $matches)) {
-            // Use array_filter to remove empty matches while preserving keys
-            $matches = array_filter(
-                $matches,
-                "is_string",
-                ARRAY_FILTER_USE_KEY
-            );
+    /**
+     * Compare a diary entry imported before with what Letterboxd has now
+     *
+     * The account's conflict policy decides what happens to differences:
+     * "letterboxd" applies them, "wordpress" only fills in values WordPress
+     * doesn't have yet, and "ask" keeps them for review on the settings page.
+     *
+     * @param int   $post_id  Movie post ID
+     * @param array $known    The entry as stored
+     * @param array $incoming The entry as Letterboxd has it
+     * @param array $fields   Fields the import source provides
+     * @param array $options  Import options for the account
+     * @return string         "updated" when nothing is to change, "synced" or "pending"
+     */
+    private function sync_viewing(int $post_id, array $known, array $incoming, array $fields, array $options): string {
+        $incoming = $this->post_type->sanitize_viewing($incoming);
+        $policy   = $this->get_sync_policy($options);
+        $id       = Letterboxd_Sync_Queue::get_change_id($post_id, $known['date']);
+
+        $changes = [];
+        foreach (array_intersect(self::SYNC_FIELDS, $fields) as $field) {
+            if ($known[$field] !== $incoming[$field]) {
+                $changes[$field] = ['wordpress' => $known[$field], 'letterboxd' => $incoming[$field]];
+            }
+        }
 
-            return [
-                "title" => trim($matches["title"] ?? ""),
-                "year" => trim($matches["year"] ?? ""),
-                "rating" => isset($matches["rating"])
-                    ? trim($matches["rating"])
-                    : ""
-            ];
+        if ($policy === 'wordpress') {
+            $changes = array_filter($changes, static fn(array $change): bool => empty($change['wordpress']));
         }
 
-        // Log parsing failure for monitoring
-        // letterboxd_debug_log(sprintf("Movie title parsing failed: %s", $title));
+        if ($policy === 'ask' && !empty($changes)) {
+            $queued = $this->sync_queue->add([
+                'id'      => $id,
+                'type'    => 'changed',
+                'post_id' => $post_id,
+                'title'   => (string) get_post_field('post_title', $post_id),
+                'date'    => $known['date'],
+                'account' => (string) ($options['username'] ?? ''),
+                'fields'  => $changes,
+            ]);
+            return $queued ? 'pending' : 'updated';
+        }
 
-        return [
-            "title" => $title,
-            "year" => "",
-            "rating" => ""
-        ];
+        // Whatever was waiting for review no longer applies
+        $this->sync_queue->remove($id);
+
+        if (empty($changes)) {
+            return 'updated';
+        }
+
+        $this->post_type->update_viewing(
+            $post_id,
+            $known['date'],
+            array_map(static fn(array $change) => $change['letterboxd'], $changes)
+        );
+
+        return 'synced';
     }
 
     /**
-     * Extracted images from the feed content.
+     * Handle diary entries deleted on Letterboxd, by the account's conflict policy
      *
-     * @var array
-     */
-    private array $extracted_images = [];
-
-    /**
-     * Convert movie description to Gutenberg paragraph blocks and extract images.
+     * The feed holds an account's latest entries, so an imported entry logged
+     * after the oldest one in the feed should still be in it. Entries logged on
+     * that oldest day are left alone, since the feed may stop partway through it.
+     * Deleting an entry removes it from the movie, and a movie left without
+     * entries is moved to drafts instead.
      *
-     * @param string $content Raw HTML content from Letterboxd.
-     * @return string Content formatted as Gutenberg paragraph blocks.
+     * @param array $feed_items Every item in the account's feed
+     * @param array $options    Import options for the account
+     * @return array            Job log entries for the entries handled
      */
-    private function convert_to_blocks(string $content): string {
-        $blocks = [];
-        // Clear any previously extracted images.
-        $this->extracted_images = [];
+    private function sync_missing_entries(array $feed_items, array $options): array {
+        $policy   = $this->get_sync_policy($options);
+        $username = (string) ($options['username'] ?? '');
+        if ($policy === 'wordpress' || $username === '' || empty($feed_items)) {
+            return [];
+        }
 
-        // Use regex to extract all <p>...</p> blocks.
-        if (preg_match_all("/<p\b[^>]*>.*?<\/p>/is", $content, $matches)) {
-            foreach ($matches[0] as $pBlock) {
-                // Check if the <p> block contains an <img> tag.
-                if (strpos($pBlock, "<img") !== false) {
-                    // Extract all image URLs from this paragraph.
-                    if (
-                        preg_match_all(
-                            '/<img[^>]+src=[\'"]([^\'"]+)[\'"][^>]*>/i',
-                            $pBlock,
+        $in_feed = [];
+        $oldest  = '';
+        foreach ($feed_items as $item) {
+            $date = $this->build_viewing($item)['date'];
+            if ($date === '') {
+                continue;
+            }
+            $parsed = $this->parse_movie_title_and_rating((string) ($item['title'] ?? ''));
+            $year   = (string) (($item['filmYear'] ?? '') ?: $parsed['year']);
+            foreach ([
+                $this->normalize_letterboxd_key((string) ($item['link'] ?? '')),
+                $this->normalize_letterboxd_key('', $parsed['title'], $year),
+            ] as $key) {
+                if ($key !== '') {
+                    $in_feed[$key . '@' . $date] = true;
+                }
+            }
+            $oldest = $oldest === '' ? $date : min($oldest, $date);
+        }
+
+        if ($oldest === '') {
+            return [];
+        }
+
+        // Films logged in WordPress have no Letterboxd key and are never missing
+        $post_ids = get_posts([
+            'post_type'      => 'movie',
+            'post_status'    => ['publish', 'draft', 'pending', 'future', 'private'],
+            'posts_per_page' => -1,
+            'fields'         => 'ids',
+            'meta_query'     => [
+                letterboxd_account_meta_query($username),
+                ['key' => 'letterboxd_key', 'compare' => 'EXISTS'],
+                ['key' => 'watch_status', 'compare' => 'NOT EXISTS'],
+                [
+                    'relation' => 'OR',
+                    ['key' => 'last_watched', 'value' => $oldest, 'compare' => '>'],
+                    ['key' => 'watch_date', 'value' => $oldest, 'compare' => '>'],
+                ],
+            ],
+        ]);
+
+        $entries = [];
+        foreach ($post_ids as $post_id) {
+            $post_id = (int) $post_id;
+            $title   = (string) get_post_field('post_title', $post_id);
+            $year    = (string) get_post_meta($post_id, 'movie_year', true);
+            $keys    = array_filter(array_unique([
+                (string) get_post_meta($post_id, 'letterboxd_key', true),
+                $this->normalize_letterboxd_key((string) get_post_meta($post_id, 'letterboxd_url', true)),
+                $this->normalize_letterboxd_key('', $title, $year),
+            ]));
+
+            $viewings = $this->post_type->get_viewings($post_id);
+            foreach ($viewings as $viewing) {
+                if ($viewing['date'] <= $oldest) {
+                    continue;
+                }
+                foreach ($keys as $key) {
+                    if (isset($in_feed[$key . '@' . $viewing['date']])) {
+                        continue 2;
+                    }
+                }
+
+                // Already taken off the site
+                if (count($viewings) === 1 && get_post_status($post_id) === 'draft') {
+                    continue;
+                }
+
+                $entry = [
+                    'title'   => $title,
+                    'year'    => $year,
+                    'account' => $username,
+                    'outcome' => 'updated',
+                    'message' => __('Deleted on Letterboxd', 'letterboxd-connect'),
+                ];
+
+                if ($policy === 'ask') {
+                    $queued = $this->sync_queue->add([
+                        'id'      => Letterboxd_Sync_Queue::get_change_id($post_id, $viewing['date']),
+                        'type'    => 'missing',
+                        'post_id' => $post_id,
+                        'title'   => $title,
+                        'date'    => $viewing['date'],
+                        'account' => $username,
+                        'fields'  => [],
+                    ]);
+                    if (!$queued) {
+                        continue;
+                    }
+                    $entry['outcome'] = 'skipped';
+                    $entry['message'] = __('Deleted on Letterboxd, waiting for review', 'letterboxd-connect');
+                } else {
+                    $this->remove_deleted_viewing($post_id, $viewing['date']);
+                }
+
+                $entries[] = $entry;
+            }
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Remove a diary entry deleted on Letterboxd, or move the movie to drafts when it was the only one
+     *
+     * @param int    $post_id Movie post ID
+     * @param string $date    Date of the entry (Y-m-d)
+     */
+    private function remove_deleted_viewing(int $post_id, string $date): void {
+        if (count($this->post_type->get_viewings($post_id)) > 1) {
+            $this->post_type->update_viewing($post_id, $date, null);
+            return;
+        }
+
+        wp_update_post(['ID' => $post_id, 'post_status' => 'draft']);
+    }
+
+    /**
+     * The account's conflict policy, one of Letterboxd_Sync_Queue::POLICIES
+     *
+     * @param array $options Import options for the account
+     */
+    private function get_sync_policy(array $options): string {
+        $policy = (string) ($options['sync_policy'] ?? '');
+        return in_array($policy, Letterboxd_Sync_Queue::POLICIES, true)
+            ? $policy
+            : Letterboxd_Sync_Queue::DEFAULT_POLICY;
+    }
+
+    /**
+     * Changes from Letterboxd waiting for review, oldest first
+     *
+     * @return array Changes with a link to edit each movie
+     */
+    public function get_sync_changes(): array {
+        return array_map(
+            static fn(array $change): array => $change + [
+                'edit_link' => (string) get_edit_post_link($change['post_id'], 'raw'),
+            ],
+            array_values($this->sync_queue->get_changes())
+        );
+    }
+
+    /**
+     * Apply or reject changes waiting for review
+     *
+     * A change is skipped when its movie or diary entry was deleted since.
+     *
+     * @param array $approve IDs of changes to apply
+     * @param array $reject  IDs of changes to reject
+     * @return array         Counts of approved, rejected and skipped changes
+     */
+    public function review_sync_changes(array $approve, array $reject): array {
+        $result = ['approved' => 0, 'rejected' => 0, 'skipped' => 0];
+
+        foreach (array_unique($reject) as $id) {
+            if ($this->sync_queue->get($id) !== null) {
+                $this->sync_queue->reject($id);
+                $result['rejected']++;
+            }
+        }
+
+        foreach (array_unique($approve) as $id) {
+            $change = $this->sync_queue->get($id);
+            if ($change === null) {
+                continue;
+            }
+            $this->sync_queue->remove($id);
+
+            $post_id  = (int) $change['post_id'];
+            $is_known = get_post_type($post_id) === 'movie'
+                && in_array($change['date'], array_column($this->post_type->get_viewings($post_id), 'date'), true);
+            if (!$is_known) {
+                $result['skipped']++;
+                continue;
+            }
+
+            if ($change['type'] === 'missing') {
+                $this->remove_deleted_viewing($post_id, $change['date']);
+            } else {
+                $this->post_type->update_viewing(
+                    $post_id,
+                    $change['date'],
+                    array_map(static fn(array $field) => $field['letterboxd'], $change['fields'])
+                );
+            }
+            $result['approved']++;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Describe a feed item or CSV row as a diary entry
+     *
+     * @param array $item Parsed feed item.
+     * @return array      Entry with date, rating, rewatch, review, spoilers and link.
+     */
+    private function build_viewing(array $item): array {
+        $parsed = $this->parse_movie_title_and_rating((string) ($item["title"] ?? ""));
+        $link = (string) ($item["link"] ?? "");
+        $review = $this->extract_review((string) ($item["description"] ?? ""));
+
+        return [
+            "date" => !empty($item["pubDate"]) ? gmdate("Y-m-d", strtotime($item["pubDate"])) : "",
+            "rating" => (string) ($item["rating"] ?? "") !== "" ? letterboxd_rating_to_number($item["rating"]) : $parsed["rating"],
+            "rewatch" => !empty($item["rewatch"]),
+            "review" => $review["review"],
+            "spoilers" => $review["spoilers"] || !empty($item["spoilers"]),
+            "link" => filter_var($link, FILTER_VALIDATE_URL) ? $link : "",
+        ];
+    }
+
+    /**
+     * Separate the review from the rest of a feed description
+     *
+     * Feed descriptions repeat the poster, add a "Watched on ..." line to
+     * entries without a review and put a warning above spoiler reviews.
+     *
+     * @param string $description Feed description or CSV review.
+     * @return array              ['review' => string, 'spoilers' => bool]
+     */
+    private function extract_review(string $description): array {
+        $spoiler_pattern = '/<p>\s*(?:<em>)?\s*This review may contain spoilers\.?\s*(?:<\/em>)?\s*<\/p>/i';
+
+        $review = preg_replace(
+            [$spoiler_pattern, '/<img[^>]*>/i', '/<p>\s*Watched on [^<]*<\/p>/i', '/<p>\s*<\/p>/i'],
+            "",
+            $description
+        );
+
+        return [
+            "review" => trim((string) $review),
+            "spoilers" => (bool) preg_match($spoiler_pattern, $description),
+        ];
+    }
+
+    /**
+     * Parse the movie title string into its components using named capture groups.
+     * Optimized for better performance and reliability.
+     *
+     * @param string $title The raw title string from the feed.
+     * @return array{title: string, year: string, rating: float} Structured movie data, the rating from 0.5 to 5 or 0
+     */
+    private function parse_movie_title_and_rating(string $title): array {
+        // Use named capture groups and a stricter year pattern
+        $pattern =
+            '/^(?P<title>.*),\s*(?P<year>\d{4})(?:\s*-\s*(?P<rating>.*))?$/u';
+
+        if (preg_match($pattern, $title, $matches)) {
+            // Use array_filter to remove empty matches while preserving keys
+            $matches = array_filter(
+                $matches,
+                "is_string",
+                ARRAY_FILTER_USE_KEY
+            );
+
+            return [
+                "title" => trim($matches["title"] ?? ""),
+                "year" => trim($matches["year"] ?? ""),
+                "rating" => letterboxd_rating_to_number($matches["rating"] ?? "")
+            ];
+        }
+
+        // Log parsing failure for monitoring
+        // letterboxd_debug_log(sprintf("Movie title parsing failed: %s", $title));
+
+        return [
+            "title" => $title,
+            "year" => "",
+            "rating" => 0.0
+        ];
+    }
+
+    /**
+     * Extracted images from the feed content.
+     *
+     * @var array
+     */
+    private array $extracted_images = [];
+
+    /**
+     * Convert movie description to Gutenberg paragraph blocks and extract images.
+     *
+     * @param string $content Raw HTML content from Letterboxd.
+     * @return string Content formatted as Gutenberg paragraph blocks.
+     */
+    private function convert_to_blocks(string $content): string {
+        $blocks = [];
+        // Clear any previously extracted images.
+        $this->extracted_images = [];
+
+        // Use regex to extract all <p>...</p> blocks.
+        if (preg_match_all("/<p\b[^>]*>.*?<\/p>/is", $content, $matches)) {
+            foreach ($matches[0] as $pBlock) {
+                // Check if the <p> block contains an <img> tag.
+                if (strpos($pBlock, "<img") !== false) {
+                    // Extract all image URLs from this paragraph.
+                    if (
+                        preg_match_all(
+                            '/<img[^>]+src=[\'"]([^\'"]+)[\'"][^>]*>/i',
+                            $pBlock,
                             $imgMatches
                         )
                     ) {
@@ -635,8 +1441,12 @@ class Letterboxd_Importer {
         // Parse title components once and cache result
         $parsed = $this->parse_movie_title_and_rating($item["title"]);
     
-        // Convert description to blocks
-        $block_content = $this->convert_to_blocks((string)($item["description"] ?? ''));
+        // Convert description to blocks. Spoiler reviews stay out of the
+        // content, which shows unguarded; the movie's review meta keeps them
+        // behind the spoiler warning.
+        $block_content = $this->build_viewing($item)["spoilers"]
+            ? ''
+            : $this->convert_to_blocks((string)($item["description"] ?? ''));
     
         // Prepare all meta data
         $meta_input = [
@@ -676,23 +1486,26 @@ class Letterboxd_Importer {
 
             $poster_url = $item["poster_url"] ?? "";
 
-            // Use wp_update_post for bulk meta update.
-            $update_result = wp_update_post(
-                [
-                    "ID" => $post_id,
-                    "meta_input" => [
-                        "letterboxd_url" => $item["link"] ?? "",
-                        "watch_date" => !empty($item["pubDate"])
-                            ? gmdate("Y-m-d", strtotime($item["pubDate"]))
-                            : "",
-                        "poster_url" => $poster_url,
-                        "movie_rating" => $item["rating"] ?? "",
-                        "tmdb_movie_id" => $item["tmdb_movieId"] ?? "",
-                        "letterboxd_key" => $this->normalize_letterboxd_key($item["link"] ?? '', $this->parse_movie_title_and_rating((string)($item['title'] ?? ''))['title'] ?? '', $item['filmYear'] ?? ''),
-
-                    ]
-                ],
-                true
+            $meta_input = [
+                "letterboxd_url" => $item["link"] ?? "",
+                "watch_date" => !empty($item["pubDate"])
+                    ? gmdate("Y-m-d", strtotime($item["pubDate"]))
+                    : "",
+                "poster_url" => $poster_url,
+                "tmdb_movie_id" => $item["tmdb_movieId"] ?? "",
+                "letterboxd_key" => $this->normalize_letterboxd_key($item["link"] ?? '', $this->parse_movie_title_and_rating((string)($item['title'] ?? ''))['title'] ?? '', $item['filmYear'] ?? ''),
+            ];
+
+            // Feed items carry their rating in the title; unrated entries keep the movie's rating
+            $rating = $this->build_viewing($item)["rating"];
+            if ($rating > 0) {
+                $meta_input["movie_rating"] = $rating;
+            }
+
+            // Use wp_update_post for bulk meta update. The viewing keeps its own
+            // rating, so this must not be copied into the latest diary entry.
+            $update_result = Letterboxd_Movie_Post_Type::without_rating_sync(
+                fn() => wp_update_post(["ID" => $post_id, "meta_input" => $meta_input], true)
             ); // Return WP_Error on failure.
 
             if (is_wp_error($update_result)) {
@@ -887,35 +1700,72 @@ class Letterboxd_Importer {
      * Prefetch comparable keys to dedupe fast in memory.
      * Returns:
      *  - ['url_keys' => ['film:slug' => true, 'boxd:abcd' => true, ...],
-     *     'title_year_keys' => ['ty:title|year' => true, ...]]
+     *     'title_year_keys' => ['ty:title|year' => true, ...],
+     *     'viewing_keys' => ['film:slug@2024-05-01' => true, 'ty:title|year@2024-05-01' => true, ...]]
      */
-    private function prefetch_existing_keys(): array {
+    private function prefetch_existing_keys(string $account = ''): array {
         global $wpdb;
+
+        // Only compare against the account's own movies, so two people can log the same film.
+        // Movies without an account predate multiple accounts and belong to the primary one.
+        $account_join  = '';
+        $account_where = '';
+        if ($account !== '') {
+            $account_join = "LEFT JOIN {$wpdb->postmeta} am
+                   ON am.post_id = p.ID AND am.meta_key = 'letterboxd_account'";
+            $account_where = letterboxd_is_primary_account($account)
+                ? $wpdb->prepare('AND (am.meta_value = %s OR am.meta_id IS NULL)', strtolower($account))
+                : $wpdb->prepare('AND am.meta_value = %s', strtolower($account));
+        }
     
+        // List and watchlist films without a diary entry don't count as imported
+        $account_where .= " AND NOT EXISTS (
+                SELECT 1 FROM {$wpdb->postmeta} ws
+                WHERE ws.post_id = p.ID AND ws.meta_key = 'watch_status'
+            )";
+
         // 1) URL-based keys from meta 'letterboxd_url'
         $sql = "
-            SELECT pm.meta_value
+            SELECT p.ID AS id, pm.meta_value AS url
             FROM {$wpdb->postmeta} pm
             INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+            {$account_join}
             WHERE pm.meta_key = 'letterboxd_url'
               AND p.post_type = 'movie'
               AND p.post_status IN ('publish','draft','pending','future','private')
+              {$account_where}
         ";
-        $rows = (array) $wpdb->get_col($sql);
-        $url_keys = [];
-        foreach ($rows as $raw) {
-            $key = $this->normalize_letterboxd_key((string)$raw);
-            if ($key !== '') { $url_keys[$key] = true; }
+        $rows = (array) $wpdb->get_results($sql, ARRAY_A);
+        $url_keys  = [];
+        $post_keys = [];
+        foreach ($rows as $r) {
+            $key = $this->normalize_letterboxd_key((string)($r['url'] ?? ''));
+            if ($key !== '') {
+                $url_keys[$key] = true;
+                $post_keys[(int) $r['id']][] = $key;
+            }
         }
     
-        // 2) Title+Year keys from post_title + meta 'movie_year'
+        // 2) Title+Year keys from post_title + meta 'movie_year'. Films logged
+        //    in WordPress may only have a term in the year taxonomy.
         $sql2 = "
-            SELECT LOWER(p.post_title) AS t, pm.meta_value AS y
+            SELECT p.ID AS id, LOWER(p.post_title) AS t,
+                   COALESCE(NULLIF(pm.meta_value, ''), (
+                       SELECT yt.name
+                       FROM {$wpdb->term_relationships} ytr
+                       INNER JOIN {$wpdb->term_taxonomy} ytt
+                               ON ytt.term_taxonomy_id = ytr.term_taxonomy_id AND ytt.taxonomy = 'movie_year'
+                       INNER JOIN {$wpdb->terms} yt ON yt.term_id = ytt.term_id
+                       WHERE ytr.object_id = p.ID
+                       LIMIT 1
+                   )) AS y
             FROM {$wpdb->posts} p
             LEFT JOIN {$wpdb->postmeta} pm
                    ON pm.post_id = p.ID AND pm.meta_key = 'movie_year'
+            {$account_join}
             WHERE p.post_type = 'movie'
               AND p.post_status IN ('publish','draft','pending','future','private')
+              {$account_where}
         ";
         $rows2 = (array) $wpdb->get_results($sql2, ARRAY_A);
         $ty_keys = [];
@@ -924,12 +1774,34 @@ class Letterboxd_Importer {
             $y = preg_replace('/\D+/', '', (string)($r['y'] ?? ''));
             if ($t !== '' && $y !== '') {
                 $ty_keys['ty:' . $t . '|' . $y] = true;
+                $post_keys[(int) $r['id']][] = 'ty:' . $t . '|' . $y;
+            }
+        }
+
+        // 3) Viewing keys: each film key with every date it was watched.
+        //    Movies imported before viewings were kept only have 'watch_date'.
+        $sql3 = "
+            SELECT p.ID AS id, pm.meta_key AS k, pm.meta_value AS v
+            FROM {$wpdb->postmeta} pm
+            INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+            {$account_join}
+            WHERE pm.meta_key IN ('watch_date', 'letterboxd_viewing')
+              AND p.post_type = 'movie'
+              AND p.post_status IN ('publish','draft','pending','future','private')
+              {$account_where}
+        ";
+        $viewing_keys = [];
+        foreach ((array) $wpdb->get_results($sql3, ARRAY_A) as $r) {
+            $value = $r['k'] === 'watch_date' ? $r['v'] : (maybe_unserialize($r['v'])['date'] ?? '');
+            foreach ($post_keys[(int) $r['id']] ?? [] as $key) {
+                if ($value !== '') { $viewing_keys[$key . '@' . $value] = true; }
             }
         }
     
         return [
             'url_keys'        => $url_keys,
             'title_year_keys' => $ty_keys,
+            'viewing_keys'    => $viewing_keys,
         ];
     }
     
@@ -947,35 +1819,369 @@ class Letterboxd_Importer {
      */
     public function import_from_csv(string $file_path, array $options): array
     {
-        // --- 0) Detect if the tmp file is actually a ZIP by signature, not by extension ---
-        $magic = @file_get_contents($file_path, false, null, 0, 8);
-        if ($magic === false) {
-            throw new Exception(__('Could not read uploaded file.', 'letterboxd-connect'));
+        $run_id = $this->history->start_run('csv');
+
+        try {
+            $csv   = $this->read_csv_export($file_path);
+            $index = $this->map_csv_columns($csv['header']);
+        } catch (Exception $e) {
+            $this->history->finish_run($run_id, 'error', $e->getMessage());
+            throw $e;
         }
-        $is_zip = (
-            strncmp($magic, "PK\x03\x04", 4) === 0 || // local file header
-            strncmp($magic, "PK\x05\x06", 4) === 0 || // empty archive end
-            strncmp($magic, "PK\x07\x08", 4) === 0    // spanned/split
-        );
-    
-        // We'll normalize everything to a UTF-8 CSV text blob in $raw.
-        $raw = '';
-    
-        if ($is_zip) {
-            // --- 1) Open the ZIP and pick the right CSV entry (watched/diary), skipping __MACOSX and AppleDouble ---
-            if (!class_exists('ZipArchive')) {
-                throw new Exception(__('Cannot import ZIP: PHP zip extension is not available.', 'letterboxd-connect'));
+
+        $imported            = 0;
+        $updated             = 0;
+        $pending             = 0;
+        $skipped_existing    = 0;
+        $skipped_duplicates  = 0;
+        $history_items       = [];
+
+        foreach ($this->classify_csv_rows($csv['rows'], $index, $options['username'] ?? '') as $row) {
+            $history_item    = $this->import_csv_row($row, $options);
+            $history_items[] = $history_item;
+
+            if ($row['status'] === 'existing' && $history_item['outcome'] === 'updated') {
+                $updated++;
+            } elseif (!empty($history_item['pending'])) {
+                $pending++;
+            } elseif ($row['status'] === 'existing') {
+                $skipped_existing++;
+            } elseif ($row['status'] === 'duplicate') {
+                $skipped_duplicates++;
+            } elseif ($history_item['outcome'] === 'created') {
+                $imported++;
             }
-    
-            $zip = new ZipArchive();
-            if ($zip->open($file_path) !== true) {
-                throw new Exception(__('Could not open ZIP archive.', 'letterboxd-connect'));
+        }
+
+        $this->history->add_items($run_id, $history_items);
+        $this->history->finish_run($run_id, 'complete');
+
+        return [
+            'imported'           => $imported,
+            'updated'            => $updated,
+            'pending'            => $pending,
+            'skipped_existing'   => $skipped_existing,
+            'skipped_duplicates' => $skipped_duplicates,
+        ];
+    }
+
+    /**
+     * Keep an uploaded export in the plugin temp directory for a preview/import run.
+     *
+     * @param string $file_path Uploaded tmp file.
+     * @return string           Token identifying the staged file.
+     * @throws Exception        When the file cannot be read or stored.
+     */
+    public function stage_csv_import(string $file_path): string
+    {
+        // Parse once up front so unreadable files fail at upload time
+        $this->read_csv_export($file_path);
+
+        $upload_dir = wp_upload_dir();
+        $temp_dir   = $upload_dir['basedir'] . '/letterboxd-temp';
+        if (!wp_mkdir_p($temp_dir)) {
+            throw new Exception(__('Could not create the temporary upload directory.', 'letterboxd-connect'));
+        }
+        if (!file_exists($temp_dir . '/index.php')) {
+            @file_put_contents($temp_dir . '/index.php', "<?php\n// Silence is golden.\n");
+        }
+        if (!file_exists($temp_dir . '/.htaccess')) {
+            @file_put_contents($temp_dir . '/.htaccess', "Deny from all\n");
+        }
+
+        $token = str_replace('-', '', wp_generate_uuid4());
+        $path  = $temp_dir . '/' . $token . '.upload';
+        if (!@copy($file_path, $path)) {
+            throw new Exception(__('Could not store the uploaded file.', 'letterboxd-connect'));
+        }
+
+        set_transient(
+            self::CSV_IMPORT_PREFIX . $token,
+            ['path' => $path, 'history_id' => ''],
+            self::CSV_IMPORT_DURATION
+        );
+
+        return $token;
+    }
+
+    /**
+     * Describe what importing a staged export would do, without importing anything.
+     *
+     * @param string $token   Token from stage_csv_import().
+     * @param array  $mapping Column overrides: canonical field => column index (-1 to ignore).
+     * @param string $account Account the export belongs to.
+     * @return array          Columns, resolved mapping, per-status counts and classified rows.
+     * @throws Exception      When the token is unknown or the file cannot be read.
+     */
+    public function preview_csv_import(string $token, array $mapping = [], string $account = ''): array
+    {
+        $classified = $this->get_classified_csv($token, $mapping, $account);
+        $index      = $classified['index'];
+
+        $counts = ['new' => 0, 'existing' => 0, 'duplicate' => 0, 'invalid' => 0];
+        $rows   = [];
+        foreach ($classified['rows'] as $row) {
+            $counts[$row['status']]++;
+            unset($row['item']);
+            $rows[] = $row;
+        }
+
+        return [
+            'token'   => $token,
+            'columns' => $classified['columns'],
+            'mapping' => array_map(static fn($i) => $i === null ? -1 : $i, $index),
+            'counts'  => $counts,
+            'total'   => count($rows),
+            'rows'    => $rows,
+        ];
+    }
+
+    /**
+     * Import one chunk of a staged export.
+     *
+     * Rows are classified once per mapping, by the preview or the first
+     * chunk, and each chunk imports its slice of that classification.
+     *
+     * @param string $token   Token from stage_csv_import().
+     * @param array  $mapping Column overrides, as for preview_csv_import().
+     * @param int    $offset  Index of the first row in this chunk.
+     * @param array  $options Import options for the account the export belongs to.
+     * @return array          Counts for this chunk plus the next offset.
+     * @throws Exception      When the token is unknown or required columns are unmapped.
+     */
+    public function process_csv_import_chunk(string $token, array $mapping, int $offset, array $options): array
+    {
+        $classified = $this->get_classified_csv($token, $mapping, (string) ($options['username'] ?? ''));
+        $index      = $classified['index'];
+
+        if ($index['title'] === null || $index['date'] === null) {
+            throw new Exception(__('Map the Title and Date columns before importing.', 'letterboxd-connect'));
+        }
+
+        $rows   = $classified['rows'];
+        $total  = count($rows);
+        $offset = max(0, $offset);
+        $result = [
+            'imported'           => 0,
+            'updated'            => 0,
+            'pending'            => 0,
+            'skipped_existing'   => 0,
+            'skipped_duplicates' => 0,
+            'invalid'            => 0,
+        ];
+
+        $history_id    = $this->get_csv_history_run($token);
+        $history_items = [];
+
+        foreach (array_slice($rows, $offset, self::CSV_CHUNK_SIZE) as $row) {
+            $history_item    = $this->import_csv_row($row, $options);
+            $history_items[] = $history_item;
+
+            if ($row['status'] === 'existing' && $history_item['outcome'] === 'updated') {
+                $result['updated']++;
+            } elseif (!empty($history_item['pending'])) {
+                $result['pending']++;
+            } elseif ($row['status'] === 'existing') {
+                $result['skipped_existing']++;
+            } elseif ($row['status'] === 'duplicate') {
+                $result['skipped_duplicates']++;
+            } elseif ($row['status'] === 'invalid') {
+                $result['invalid']++;
+            } elseif ($history_item['outcome'] === 'created') {
+                $result['imported']++;
             }
-    
-            $candidates = [];
-            for ($i = 0; $i < $zip->numFiles; $i++) {
-                $name = $zip->getNameIndex($i);
-                if (!$name || substr($name, -1) === '/') {
+        }
+
+        $this->history->add_items($history_id, $history_items);
+
+        $next = min($total, $offset + self::CSV_CHUNK_SIZE);
+        if ($next >= $total) {
+            $this->history->finish_run($history_id, 'complete');
+            $this->discard_csv_import($token);
+        }
+
+        return $result + [
+            'offset' => $next,
+            'total'  => $total,
+            'done'   => $next >= $total,
+        ];
+    }
+
+    /**
+     * Remove a staged export.
+     *
+     * @param string $token Token from stage_csv_import().
+     */
+    public function discard_csv_import(string $token): void
+    {
+        $staged = get_transient(self::CSV_IMPORT_PREFIX . $token);
+        if (is_array($staged) && is_file($staged['path'])) {
+            wp_delete_file($staged['path']);
+        }
+        if (is_array($staged) && !empty($staged['classified']['path']) && is_file($staged['classified']['path'])) {
+            wp_delete_file($staged['classified']['path']);
+        }
+        delete_transient(self::CSV_IMPORT_PREFIX . $token);
+    }
+
+    /**
+     * Classify a staged export, reusing the classification of an earlier call.
+     *
+     * Classifying reads the whole file and looks up every existing entry, so
+     * the result is kept next to the staged file for the chunks that follow.
+     * A different mapping or account classifies the file again.
+     *
+     * @param string $token   Token from stage_csv_import().
+     * @param array  $mapping Column overrides, as for preview_csv_import().
+     * @param string $account Account whose movies count as existing.
+     * @return array          Header columns, resolved column index and classified rows.
+     * @throws Exception      When the token is unknown or the file cannot be read.
+     */
+    private function get_classified_csv(string $token, array $mapping, string $account): array
+    {
+        $path   = $this->get_staged_csv_path($token);
+        $staged = get_transient(self::CSV_IMPORT_PREFIX . $token);
+        $key    = md5((string) wp_json_encode([$mapping, $account]));
+
+        $cached = $staged['classified'] ?? [];
+        if (($cached['key'] ?? '') === $key && is_file($cached['path'])) {
+            $classified = json_decode((string) file_get_contents($cached['path']), true);
+            if (is_array($classified) && isset($classified['columns'], $classified['index'], $classified['rows'])) {
+                return $classified;
+            }
+        }
+
+        $csv   = $this->read_csv_export($path);
+        $index = $this->map_csv_columns($csv['header'], $mapping);
+
+        $classified = [
+            'columns' => array_map('strval', $csv['header']),
+            'index'   => $index,
+            'rows'    => $this->classify_csv_rows($csv['rows'], $index, $account),
+        ];
+
+        // Without a stored copy, the next chunk simply classifies again
+        $classified_path = $path . '.classified';
+        if (@file_put_contents($classified_path, wp_json_encode($classified)) !== false) {
+            $staged['classified'] = ['key' => $key, 'path' => $classified_path];
+            set_transient(self::CSV_IMPORT_PREFIX . $token, $staged, self::CSV_IMPORT_DURATION);
+        }
+
+        return $classified;
+    }
+
+    /**
+     * Resolve a staged export token to its file.
+     *
+     * @throws Exception When the token is unknown or has expired.
+     */
+    private function get_staged_csv_path(string $token): string
+    {
+        $staged = get_transient(self::CSV_IMPORT_PREFIX . $token);
+        if (!is_array($staged) || !is_file($staged['path'])) {
+            throw new Exception(__('The uploaded file has expired. Please upload it again.', 'letterboxd-connect'));
+        }
+        return $staged['path'];
+    }
+
+    /**
+     * History run shared by all chunks of a staged export, started by the first chunk.
+     */
+    private function get_csv_history_run(string $token): string
+    {
+        $staged = get_transient(self::CSV_IMPORT_PREFIX . $token);
+        if (!empty($staged['history_id'])) {
+            return $staged['history_id'];
+        }
+
+        $staged['history_id'] = $this->history->start_run('csv');
+        set_transient(self::CSV_IMPORT_PREFIX . $token, $staged, self::CSV_IMPORT_DURATION);
+
+        return $staged['history_id'];
+    }
+
+    /**
+     * Import one classified CSV row and describe the outcome for the history.
+     */
+    private function import_csv_row(array $row, array $options): array
+    {
+        $title = $row['title'] !== ''
+            ? ($row['year'] !== '' ? sprintf('%s (%s)', $row['title'], $row['year']) : $row['title'])
+            /* translators: %d: CSV line number */
+            : sprintf(__('Line %d', 'letterboxd-connect'), $row['line']);
+
+        $history_item = [
+            'title'   => $title,
+            'outcome' => 'skipped',
+            'reason'  => '',
+        ];
+
+        if ($row['status'] === 'existing') {
+            $outcome = $this->import_movie_with_outcome($row['item'], $options);
+            if ($outcome === 'synced') {
+                $history_item['outcome'] = 'updated';
+                $history_item['reason']  = __('Updated with changes from Letterboxd', 'letterboxd-connect');
+            } elseif ($outcome === 'pending') {
+                $history_item['reason']  = __('Changes from Letterboxd are waiting for review', 'letterboxd-connect');
+                $history_item['pending'] = true;
+            } else {
+                $history_item['reason'] = __('Existing key', 'letterboxd-connect');
+            }
+        } elseif ($row['status'] === 'duplicate') {
+            $history_item['reason'] = __('Duplicate in file', 'letterboxd-connect');
+        } elseif ($row['status'] === 'invalid') {
+            $history_item['reason'] = __('Missing title or unreadable date', 'letterboxd-connect');
+        } else {
+            $outcome = $this->import_movie_with_outcome($row['item'], $options);
+            $history_item['outcome'] = $outcome === 'viewing' ? 'created' : $outcome;
+            if ($outcome === 'viewing') {
+                $history_item['reason'] = __('Added a viewing to an imported film', 'letterboxd-connect');
+            } elseif ($outcome === 'failed') {
+                $history_item['reason'] = __('Could not create the post', 'letterboxd-connect');
+            }
+        }
+
+        return $history_item;
+    }
+
+    /**
+     * Read a Letterboxd export (CSV, or ZIP containing it) into a header and rows.
+     *
+     * @param string $file_path Path to the .csv or .zip file.
+     * @return array            ['header' => string[], 'rows' => [['line' => int, 'cells' => string[]], ...]]
+     * @throws Exception        On read/parse errors.
+     */
+    private function read_csv_export(string $file_path): array
+    {
+        // --- 0) Detect if the tmp file is actually a ZIP by signature, not by extension ---
+        $magic = @file_get_contents($file_path, false, null, 0, 8);
+        if ($magic === false) {
+            throw new Exception(__('Could not read uploaded file.', 'letterboxd-connect'));
+        }
+        $is_zip = (
+            strncmp($magic, "PK\x03\x04", 4) === 0 || // local file header
+            strncmp($magic, "PK\x05\x06", 4) === 0 || // empty archive end
+            strncmp($magic, "PK\x07\x08", 4) === 0    // spanned/split
+        );
+    
+        // We'll normalize everything to a UTF-8 CSV text blob in $raw.
+        $raw = '';
+    
+        if ($is_zip) {
+            // --- 1) Open the ZIP and pick the right CSV entry (watched/diary), skipping __MACOSX and AppleDouble ---
+            if (!class_exists('ZipArchive')) {
+                throw new Exception(__('Cannot import ZIP: PHP zip extension is not available.', 'letterboxd-connect'));
+            }
+    
+            $zip = new ZipArchive();
+            if ($zip->open($file_path) !== true) {
+                throw new Exception(__('Could not open ZIP archive.', 'letterboxd-connect'));
+            }
+    
+            $candidates = [];
+            for ($i = 0; $i < $zip->numFiles; $i++) {
+                $name = $zip->getNameIndex($i);
+                if (!$name || substr($name, -1) === '/') {
                     continue; // directory
                 }
                 $base = basename($name);
@@ -1094,7 +2300,7 @@ class Letterboxd_Importer {
         fwrite($fp, $raw);
         rewind($fp);
     
-        // --- 6) Read & normalize header ---
+        // --- 6) Read header ---
         $header = fgetcsv($fp, 0, $delimiter);
         if (!is_array($header)) {
             // Helpful debug: first bytes if header couldn’t be read
@@ -1103,61 +2309,11 @@ class Letterboxd_Importer {
             throw new Exception(__('Invalid CSV format.', 'letterboxd-connect'));
         }
     
-        $normalize_header = static function ($h): string {
-            $s = (string) $h;
-            // Remove BOM, zero-width, NBSP; be resilient to invalid UTF-8
-            $clean = @preg_replace('/\x{FEFF}|\x{200B}|\x{00A0}/u', '', $s);
-            if ($clean === null) {
-                $s     = (string) @iconv('UTF-8', 'UTF-8//IGNORE', $s);
-                $clean = @preg_replace('/\x{FEFF}|\x{200B}|\x{00A0}/u', '', $s);
-            }
-            $s = (string) ($clean ?? $s);
-            $s = strtolower(trim($s));
-            $s = preg_replace('/\s+/', ' ', $s);
-            // normalize fancy dashes to hyphen
-            $s = str_replace(['–', '—'], '-', $s);
-            return $s;
-        };
-    
-        $header_norm = array_map($normalize_header, $header);
-        // letterboxd_debug_log('CSV header normalized: ' . wp_json_encode($header_norm));
-    
-        // --- 7) Map Letterboxd header variants to canonical keys ---
-        $map = [
-            'title'         => ['title', 'name', 'film', 'movie'],
-            'year'          => ['year', 'release year'],
-            'date'          => ['date watched', 'date', 'watched date'],
-            'rating'        => ['your rating', 'rating', 'diary rating'],
-            'review'        => ['review', 'review text', 'diary entry', 'diary'],
-            'uri'           => ['letterboxd uri', 'letterboxd url', 'letterboxd link', 'uri'],
-            'tmdb_movie_id' => ['tmdb movie id', 'tmdb id'],
-        ];
-        $index = [];
-        foreach ($map as $canon => $aliases) {
-            $index[$canon] = null;
-            foreach ($aliases as $alias) {
-                $pos = array_search($alias, $header_norm, true);
-                if ($pos !== false) { $index[$canon] = $pos; break; }
-            }
-        }
-        // letterboxd_debug_log('CSV header index map: ' . wp_json_encode($index));
-    
-        // --- 8) Parse rows (pad/truncate to header length), build items, import ---
-        $imported            = 0;
-        $skipped_existing    = 0;
-        $skipped_duplicates  = 0;
-        $line                = 1;
-        $expected            = count($header);
-        
-        // Prefetch existing comparable keys
-        $existing            = $this->prefetch_existing_keys();
-        $existing_url_set    = $existing['url_keys'];
-        $existing_ty_set     = $existing['title_year_keys'];
-        
-        // Dedupe within this single CSV
-        $seen_url_keys = [];
-        $seen_ty_keys  = [];
-        
+        // --- 7) Read the remaining rows, padding/truncating to header length ---
+        $rows     = [];
+        $line     = 1;
+        $expected = count($header);
+
         while (($row = fgetcsv($fp, 0, $delimiter)) !== false) {
             $line++;
         
@@ -1175,7 +2331,99 @@ class Letterboxd_Importer {
                     // letterboxd_debug_log(sprintf('Truncated CSV row %d from %d to %d.', $line, $actual, $expected));
                 }
             }
+
+            $rows[] = ['line' => $line, 'cells' => $row];
+        }
+
+        fclose($fp);
+
+        return [
+            'header' => $header,
+            'rows'   => $rows,
+        ];
+    }
+
+    /**
+     * Map Letterboxd header variants to canonical keys.
+     *
+     * @param array $header   Raw header row.
+     * @param array $mapping  Overrides: canonical field => column index (-1 to ignore).
+     * @return array          Canonical field => column index or null.
+     */
+    private function map_csv_columns(array $header, array $mapping = []): array
+    {
+        $header_norm = array_map([$this, 'normalize_csv_header'], $header);
+        // letterboxd_debug_log('CSV header normalized: ' . wp_json_encode($header_norm));
+
+        $index = [];
+        foreach (self::CSV_COLUMN_ALIASES as $canon => $aliases) {
+            $index[$canon] = null;
+            foreach ($aliases as $alias) {
+                $pos = array_search($alias, $header_norm, true);
+                if ($pos !== false) { $index[$canon] = $pos; break; }
+            }
+
+            if (array_key_exists($canon, $mapping)) {
+                $pos = (int) $mapping[$canon];
+                $index[$canon] = ($pos >= 0 && $pos < count($header)) ? $pos : null;
+            }
+        }
+        // letterboxd_debug_log('CSV header index map: ' . wp_json_encode($index));
+
+        return $index;
+    }
+
+    /**
+     * Normalize a header cell for alias matching.
+     */
+    private function normalize_csv_header($h): string
+    {
+        $s = (string) $h;
+        // Remove BOM, zero-width, NBSP; be resilient to invalid UTF-8
+        $clean = @preg_replace('/\x{FEFF}|\x{200B}|\x{00A0}/u', '', $s);
+        if ($clean === null) {
+            $s     = (string) @iconv('UTF-8', 'UTF-8//IGNORE', $s);
+            $clean = @preg_replace('/\x{FEFF}|\x{200B}|\x{00A0}/u', '', $s);
+        }
+        $s = (string) ($clean ?? $s);
+        $s = strtolower(trim($s));
+        $s = preg_replace('/\s+/', ' ', $s);
+        // normalize fancy dashes to hyphen
+        $s = str_replace(['–', '—'], '-', $s);
+        return $s;
+    }
+
+    /**
+     * Decide what would happen to each CSV row.
+     *
+     * Status is "new", "existing" (already imported), "duplicate" (earlier in
+     * the same file) or "invalid" (missing title or unreadable date). New rows
+     * carry the feed-shaped item to import.
+     *
+     * @param array  $rows    Rows from read_csv_export().
+     * @param array  $index   Column map from map_csv_columns().
+     * @param string $account Account whose movies count as existing (all when empty).
+     * @return array
+     */
+    private function classify_csv_rows(array $rows, array $index, string $account = ''): array
+    {
+        // Prefetch existing comparable keys. Each diary entry is a viewing,
+        // so a film is only "existing" when it was already watched that day.
+        $existing             = $this->prefetch_existing_keys($account);
+        $existing_viewing_set = $existing['viewing_keys'];
         
+        // Dedupe within this single CSV
+        $seen_viewing_keys = [];
+
+        // Existing entries are only compared on the columns the file has
+        $sync_fields = array_keys(array_filter(
+            array_intersect_key($index, array_flip(self::SYNC_FIELDS)),
+            static fn($i): bool => $i !== null
+        ));
+
+        $classified = [];
+        foreach ($rows as $entry) {
+            $row = $entry['cells'];
             $get = static function (string $key) use ($row, $index): string {
                 $i = $index[$key];
                 return ($i !== null && array_key_exists($i, $row)) ? trim((string)$row[$i]) : '';
@@ -1185,46 +2433,41 @@ class Letterboxd_Importer {
             $year  = $get('year');
             $date  = $get('date');
             $uri   = $get('uri');
+
+            $result = [
+                'line'   => $entry['line'],
+                'status' => 'invalid',
+                'title'  => $title,
+                'year'   => $year,
+                'date'   => $date,
+                'item'   => null,
+            ];
         
             if ($title === '' || $date === '') {
-                // letterboxd_debug_log('Skipping row due to missing Title/Date: ' . wp_json_encode([
-                //     'Date' => $date, 'Title' => $title, 'Year' => $year, 'Letterboxd URI' => $uri
-                // ]));
-                continue;
-            }
-        
-            // Build comparable keys (URL-based and Title+Year)
-            $urlKey = $this->normalize_letterboxd_key($uri);
-            $tyKey  = $this->normalize_letterboxd_key('', $title, $year);
-        
-            // Skip if we already have this movie in DB
-            if (($urlKey !== '' && isset($existing_url_set[$urlKey])) ||
-                ($tyKey  !== '' && isset($existing_ty_set[$tyKey]))) {
-                $skipped_existing++;
-                continue;
-            }
-        
-            // Skip duplicates within this CSV run
-            if (($urlKey !== '' && isset($seen_url_keys[$urlKey])) ||
-                ($tyKey  !== '' && isset($seen_ty_keys[$tyKey]))) {
-                $skipped_duplicates++;
+                $classified[] = $result;
                 continue;
             }
-            if ($urlKey !== '') { $seen_url_keys[$urlKey] = true; }
-            if ($tyKey  !== '') { $seen_ty_keys[$tyKey]  = true; }
         
             $ts = strtotime($date);
             if (!$ts) {
                 // letterboxd_debug_log('Skipping row due to unparseable date: ' . $date);
+                $classified[] = $result;
                 continue;
             }
-        
+            $day = gmdate('Y-m-d', $ts);
+
+            // Build comparable keys (URL-based and Title+Year) for this viewing
+            $urlKey = $this->normalize_letterboxd_key($uri);
+            $tyKey  = $this->normalize_letterboxd_key('', $title, $year);
+            $urlKey = $urlKey !== '' ? $urlKey . '@' . $day : '';
+            $tyKey  = $tyKey  !== '' ? $tyKey . '@' . $day : '';
+
             $rating = $get('rating');
             $review = $get('review');
             $tmdbId = $get('tmdb_movie_id');
-        
+
             $ratingSuffix = $rating !== '' ? ' - ' . $rating : '';
-            $item = [
+            $result['item'] = [
                 'link'         => $uri,
                 'title'        => "{$title}, {$year}{$ratingSuffix}",
                 'pubDate'      => gmdate('r', $ts),
@@ -1232,34 +2475,735 @@ class Letterboxd_Importer {
                 'poster_url'   => '',
                 'filmYear'     => $year,
                 'tmdb_movieId' => $tmdbId,
-                'rating'       => $rating
+                'rating'       => $rating,
+                'rewatch'      => strcasecmp($get('rewatch'), 'yes') === 0,
+                'spoilers'     => in_array(strtolower($get('spoilers')), ['yes', 'true', '1'], true),
+                'tags'         => array_values(array_filter(array_map('trim', explode(',', $get('tags'))))),
+                'sync_fields'  => $sync_fields
             ];
+
+            // Entries we already have are compared with the file instead of imported
+            if (($urlKey !== '' && isset($existing_viewing_set[$urlKey])) ||
+                ($tyKey  !== '' && isset($existing_viewing_set[$tyKey]))) {
+                $result['status'] = 'existing';
+                $classified[] = $result;
+                continue;
+            }
         
-            if ($this->import_movie($item, $options)) {
-                $imported++;
+            // Skip duplicates within this CSV run
+            if (($urlKey !== '' && isset($seen_viewing_keys[$urlKey])) ||
+                ($tyKey  !== '' && isset($seen_viewing_keys[$tyKey]))) {
+                $result['status'] = 'duplicate';
+                $result['item']   = null;
+                $classified[] = $result;
+                continue;
             }
+            if ($urlKey !== '') { $seen_viewing_keys[$urlKey] = true; }
+            if ($tyKey  !== '') { $seen_viewing_keys[$tyKey]  = true; }
+
+            $result['status'] = 'new';
+            $classified[] = $result;
         }
-        
-        fclose($fp);
+
+        return $classified;
+    }
+
+    /**
+     * Export the diary as a CSV in Letterboxd's import format.
+     *
+     * Each viewing is a row, holding the same fields import_from_csv() maps,
+     * so importing the file again only finds existing viewings. Films that
+     * are only on a list or the watchlist are left out.
+     *
+     * @param array $filters Optional 'after' and 'before' (Y-m-d, inclusive) and
+     *                       'status' ('any' or a post status).
+     * @return array         ['csv' => string, 'rows' => int]
+     */
+    public function export_to_csv(array $filters = []): array
+    {
+        $after  = (string) ($filters['after'] ?? '');
+        $before = (string) ($filters['before'] ?? '');
+        $status = (string) ($filters['status'] ?? 'any');
+
+        $post_ids = get_posts([
+            'post_type'      => 'movie',
+            'post_status'    => $status === 'any' ? ['publish', 'draft', 'pending', 'future', 'private'] : $status,
+            'posts_per_page' => -1,
+            'fields'         => 'ids',
+            'orderby'        => 'title',
+            'order'          => 'ASC',
+            'meta_query'     => [
+                ['key' => 'watch_status', 'compare' => 'NOT EXISTS'],
+            ],
+        ]);
+
+        $handle = fopen('php://temp', 'r+');
+        fputcsv($handle, array_keys(self::CSV_EXPORT_COLUMNS));
+
+        $count = 0;
+        foreach ($post_ids as $post_id) {
+            $film = $this->get_csv_export_film((int) $post_id);
+
+            // Films logged in WordPress without a date are exported undated
+            $viewings = $this->post_type->get_viewings((int) $post_id) ?: [[]];
+            $latest   = count($viewings) - 1;
+
+            foreach ($viewings as $i => $viewing) {
+                $date = (string) ($viewing['date'] ?? '');
+                if (($after !== '' && ($date === '' || $date < $after)) ||
+                    ($before !== '' && ($date === '' || $date > $before))) {
+                    continue;
+                }
+
+                $review = (string) ($viewing['review'] ?? '');
+                if ($review === '' && $i === $latest) {
+                    $review = $film['review'];
+                }
+
+                $row = array_merge($film, [
+                    'date'   => $date,
+                    'rating' => $this->to_export_rating((string) ($viewing['rating'] ?? $film['rating'])),
+                    'review' => trim(wp_kses($review, self::CSV_EXPORT_REVIEW_TAGS)),
+                    'uri'    => (string) ($viewing['link'] ?? '') ?: $film['uri'],
+                ]);
+
+                $cells = [];
+                foreach (self::CSV_EXPORT_COLUMNS as $canon) {
+                    $cells[] = $row[$canon];
+                }
+                fputcsv($handle, $cells);
+                $count++;
+            }
+        }
+
+        rewind($handle);
+        $csv = (string) stream_get_contents($handle);
+        fclose($handle);
+
+        return ['csv' => $csv, 'rows' => $count];
+    }
+
+    /**
+     * Collect the per-film columns of an export row.
+     *
+     * Year falls back to the year taxonomy and the review to the post content,
+     * since films logged in WordPress have neither imported meta.
+     */
+    private function get_csv_export_film(int $post_id): array
+    {
+        $year = (string) get_post_meta($post_id, 'movie_year', true);
+        if ($year === '') {
+            $terms = wp_get_object_terms($post_id, 'movie_year', ['fields' => 'names']);
+            $year  = !is_wp_error($terms) && !empty($terms) ? (string) $terms[0] : '';
+        }
+
+        $review = (string) get_post_meta($post_id, 'letterboxd_review', true);
+        if ($review === '' && get_post_meta($post_id, 'letterboxd_url', true) === '') {
+            $review = wpautop(wp_strip_all_tags(strip_shortcodes((string) get_post_field('post_content', $post_id))));
+        }
+
+        $tags = wp_get_object_terms($post_id, Letterboxd_Movie_Post_Type::TAG_TAXONOMY, ['fields' => 'names']);
+        $tmdb_id = get_post_meta($post_id, 'tmdb_id', true) ?: get_post_meta($post_id, 'tmdb_movie_id', true);
+
         return [
-            'imported'           => $imported,
-            'skipped_existing'   => $skipped_existing,
-            'skipped_duplicates' => $skipped_duplicates,
+            'title'         => (string) get_post_field('post_title', $post_id),
+            'year'          => $year,
+            'rating'        => (string) get_post_meta($post_id, 'movie_rating', true),
+            'review'        => $review,
+            'tags'          => !is_wp_error($tags) ? implode(', ', $tags) : '',
+            'uri'           => (string) get_post_meta($post_id, 'letterboxd_url', true),
+            'tmdb_movie_id' => (string) $tmdb_id,
         ];
+    }
 
+    /**
+     * Turn a stored rating into the 0.5-5 number Letterboxd imports, empty when unrated.
+     */
+    private function to_export_rating(string $rating): string
+    {
+        $value = letterboxd_rating_to_number($rating);
+        return $value > 0 ? (string) $value : '';
+    }
+
+    /**
+     * Import lists from a Letterboxd URL.
+     *
+     * Accepts a list page (letterboxd.com/<user>/list/<slug>/), a watchlist
+     * page (letterboxd.com/<user>/watchlist/) or a user feed
+     * (letterboxd.com/<user>/rss/), in which case every list published in the
+     * feed is imported from its own page.
+     *
+     * @param string $url     Letterboxd URL.
+     * @param array  $options Import options for the account the lists belong to.
+     * @return array          ['lists' => per-list summaries]
+     * @throws Exception      When the URL is not a Letterboxd list or cannot be read.
+     */
+    public function import_list_from_url(string $url, array $options): array
+    {
+        if (!preg_match(self::LIST_URL_PATTERN, $url, $m)) {
+            throw new Exception(__('Enter the URL of a Letterboxd list, watchlist or feed.', 'letterboxd-connect'));
+        }
+
+        $base = sprintf('https://letterboxd.com/%s/', strtolower($m[1]));
+
+        if (!empty($m[5])) {
+            $lists = [];
+            foreach ($this->parse_feed_lists($this->fetch_feed_content($base . 'rss/')) as $feed_list) {
+                try {
+                    $lists[] = $this->fetch_list_page($feed_list['url']);
+                } catch (Exception $e) {
+                    // The feed only shows the start of a list, but that beats nothing
+                    $lists[] = $feed_list;
+                }
+            }
+        } elseif (!empty($m[4])) {
+            $lists = [$this->fetch_list_page($base . 'watchlist/', true)];
+        } else {
+            $lists = [$this->fetch_list_page($base . 'list/' . strtolower($m[3]) . '/')];
+        }
+
+        if (empty($lists)) {
+            throw new Exception(__('No lists were found at that URL.', 'letterboxd-connect'));
+        }
+
+        return $this->import_lists($lists, $options);
+    }
+
+    /**
+     * Import lists and the watchlist from a Letterboxd export.
+     *
+     * Reads lists/*.csv and watchlist.csv from the export ZIP, or a single
+     * list or watchlist CSV.
+     *
+     * @param string $file_path Uploaded tmp file.
+     * @param array  $options   Import options for the account the export belongs to.
+     * @param string $file_name Original file name, used to recognise a watchlist CSV.
+     * @return array            ['lists' => per-list summaries]
+     * @throws Exception        On read/parse errors.
+     */
+    public function import_lists_from_export(string $file_path, array $options, string $file_name = ''): array
+    {
+        $lists = [];
+
+        if ($this->is_zip_file($file_path)) {
+            if (!class_exists('ZipArchive')) {
+                throw new Exception(__('Cannot import ZIP: PHP zip extension is not available.', 'letterboxd-connect'));
+            }
+
+            $zip = new ZipArchive();
+            if ($zip->open($file_path) !== true) {
+                throw new Exception(__('Could not open ZIP archive.', 'letterboxd-connect'));
+            }
+
+            for ($i = 0; $i < $zip->numFiles; $i++) {
+                $name = (string) $zip->getNameIndex($i);
+                $base = strtolower(basename($name));
+                if (str_starts_with($name, '__MACOSX/') || str_starts_with($base, '._')) {
+                    continue;
+                }
+
+                $is_watchlist = $base === 'watchlist.csv';
+                if (!$is_watchlist && !preg_match('#(^|/)lists/[^/]+\.csv$#i', $name)) {
+                    continue;
+                }
+
+                $list = $this->parse_list_csv((string) $zip->getFromIndex($i), $is_watchlist, basename($name, '.csv'));
+                if ($list !== null) {
+                    $lists[] = $list;
+                }
+            }
+            $zip->close();
+        } else {
+            $raw = file_get_contents($file_path);
+            if ($raw === false) {
+                throw new Exception(__('Could not read CSV file.', 'letterboxd-connect'));
+            }
+
+            $is_watchlist = stripos($file_name, 'watchlist') !== false;
+            $list = $this->parse_list_csv($raw, $is_watchlist, pathinfo($file_name, PATHINFO_FILENAME));
+            if ($list !== null) {
+                $lists[] = $list;
+            }
+        }
+
+        if (empty($lists)) {
+            throw new Exception(__('No lists or watchlist found (expected lists/*.csv or watchlist.csv).', 'letterboxd-connect'));
+        }
+
+        return $this->import_lists($lists, $options);
+    }
+
+    /**
+     * Store parsed lists and record them as one history run.
+     *
+     * @param array $lists   Lists from the parsers.
+     * @param array $options Import options.
+     * @return array         ['lists' => per-list summaries]
+     */
+    private function import_lists(array $lists, array $options): array
+    {
+        $run_id    = $this->history->start_run('list');
+        $summaries = [];
+
+        try {
+            foreach ($lists as $list) {
+                $summaries[] = $this->store_list($list, $options, $run_id);
+            }
+        } catch (Exception $e) {
+            $this->history->finish_run($run_id, 'error', $e->getMessage());
+            throw $e;
+        }
+
+        $this->history->finish_run($run_id, 'complete');
+
+        return ['lists' => $summaries];
+    }
+
+    /**
+     * Save one list as a movie_list term with its films in order.
+     *
+     * Films missing from the site are created as unwatched movies. Films
+     * no longer on the list lose the term.
+     *
+     * @param array  $list    name, slug, url, description, watchlist and films.
+     * @param array  $options Import options.
+     * @param string $run_id  History run.
+     * @return array          Summary: name, slug, total, created, linked, failed.
+     * @throws Exception      When the term cannot be saved.
+     */
+    private function store_list(array $list, array $options, string $run_id): array
+    {
+        $taxonomy = Letterboxd_Movie_Post_Type::LIST_TAXONOMY;
+        $account  = strtolower((string) ($options['username'] ?? ''));
+        $primary  = $account === '' || letterboxd_is_primary_account($account);
+
+        // Lists of other accounts are prefixed so slugs don't collide
+        $slug = $list['watchlist'] ? 'watchlist' : sanitize_title($list['slug']);
+        $name = $list['watchlist'] ? __('Watchlist', 'letterboxd-connect') : $list['name'];
+        if (!$primary) {
+            $slug = $account . '-' . $slug;
+            if ($list['watchlist']) {
+                /* translators: %s: Letterboxd username */
+                $name = sprintf(__('Watchlist (%s)', 'letterboxd-connect'), $account);
+            }
+        }
+
+        $term_args = ['description' => (string) ($list['description'] ?? '')];
+        $term      = get_term_by('slug', $slug, $taxonomy);
+        $result    = $term
+            ? wp_update_term($term->term_id, $taxonomy, $term_args + ['name' => $name])
+            : wp_insert_term($name, $taxonomy, $term_args + ['slug' => $slug]);
+        if (is_wp_error($result)) {
+            throw new Exception($result->get_error_message());
+        }
+        $term_id = (int) $result['term_id'];
+
+        update_term_meta($term_id, 'letterboxd_list_url', esc_url_raw((string) ($list['url'] ?? '')));
+        update_term_meta($term_id, 'letterboxd_account', $account);
+
+        $summary = [
+            'name'    => $name,
+            'slug'    => $slug,
+            'total'   => count($list['films']),
+            'created' => 0,
+            'linked'  => 0,
+            'failed'  => 0,
+        ];
+        $post_ids      = [];
+        $history_items = [];
+
+        foreach ($list['films'] as $film) {
+            $title = $film['year'] !== '' ? sprintf('%s (%s)', $film['title'], $film['year']) : $film['title'];
+
+            try {
+                [$post_id, $outcome] = $this->find_or_create_list_movie($film, $options);
+            } catch (Exception $e) {
+                $summary['failed']++;
+                $history_items[] = ['title' => $title, 'outcome' => 'failed', 'reason' => $e->getMessage()];
+                continue;
+            }
+
+            $summary[$outcome === 'created' ? 'created' : 'linked']++;
+            $post_ids[]      = $post_id;
+            $history_items[] = [
+                'title'   => $title,
+                'outcome' => $outcome,
+                /* translators: %s: List name */
+                'reason'  => sprintf(__('Added to %s', 'letterboxd-connect'), $name),
+            ];
+        }
+
+        $post_ids = array_values(array_unique($post_ids));
+
+        $previous = get_objects_in_term($term_id, $taxonomy);
+        if (!is_wp_error($previous)) {
+            foreach (array_diff(array_map('intval', $previous), $post_ids) as $removed) {
+                wp_remove_object_terms($removed, $term_id, $taxonomy);
+            }
+        }
+        foreach ($post_ids as $post_id) {
+            wp_set_object_terms($post_id, $term_id, $taxonomy, true);
+        }
+        update_term_meta($term_id, Letterboxd_Movie_Post_Type::LIST_ORDER_META, $post_ids);
+
+        $this->history->add_items($run_id, $history_items);
+
+        return $summary;
+    }
+
+    /**
+     * Find the movie a list entry refers to, or create it as unwatched.
+     *
+     * @param array $film    title, year and link.
+     * @param array $options Import options.
+     * @return array         [post ID, "created" or "updated"]
+     * @throws Exception     When the post cannot be created.
+     */
+    private function find_or_create_list_movie(array $film, array $options): array
+    {
+        $account  = (string) ($options['username'] ?? '');
+        $existing = $this->find_account_movie($film['link'], $film['title'], $film['year'], $account);
+        if ($existing) {
+            return [$existing->ID, 'updated'];
+        }
+
+        $post_id = wp_insert_post([
+            'post_title'  => sanitize_text_field($film['title']),
+            'post_status' => !empty($options['draft_status']) ? 'draft' : 'publish',
+            'post_type'   => 'movie',
+            'meta_input'  => array_filter([
+                'letterboxd_url' => esc_url_raw($film['link']),
+                'letterboxd_key' => $this->normalize_letterboxd_key($film['link'], $film['title'], $film['year']),
+                'movie_year'     => $film['year'],
+                'watch_status'   => 'unwatched',
+            ]),
+        ], true);
+        if (is_wp_error($post_id)) {
+            throw new Exception($post_id->get_error_message());
+        }
+
+        $this->set_movie_account($post_id, $options);
+        $this->set_movie_terms($post_id, ['filmYear' => $film['year']]);
+
+        return [$post_id, 'created'];
+    }
+
+    /**
+     * Look up a movie by its film link, then by title and year.
+     *
+     * @param string $link    Letterboxd film or diary link.
+     * @param string $title   Film title.
+     * @param string $year    Release year, may be empty.
+     * @param string $account Only consider this account's movies (all when empty).
+     * @return WP_Post|null
+     */
+    private function find_account_movie(
+        string $link,
+        string $title,
+        string $year,
+        string $account = ''
+    ): ?WP_Post {
+        $meta_query = [];
+        if ($account !== '') {
+            $meta_query[] = letterboxd_account_meta_query($account);
+        }
+
+        $base_args = [
+            'post_type'      => 'movie',
+            'post_status'    => 'any',
+            'posts_per_page' => 1,
+            'no_found_rows'  => true,
+        ];
+
+        // Diary links (/<user>/film/<slug>/) and film links share the film:<slug> key
+        $key = $this->normalize_letterboxd_key($link);
+        if (str_starts_with($key, 'film:')) {
+            $posts = get_posts($base_args + [
+                'meta_query' => array_merge($meta_query, [['key' => 'letterboxd_key', 'value' => $key]]),
+            ]);
+            if (!empty($posts)) {
+                return $posts[0];
+            }
+        }
+
+        if ($title === '') {
+            return null;
+        }
+        if ($year !== '') {
+            $meta_query[] = ['key' => 'movie_year', 'value' => $year];
+        }
+
+        $posts = get_posts($base_args + [
+            'title'      => $title,
+            'meta_query' => $meta_query,
+        ]);
+
+        return !empty($posts) ? $posts[0] : null;
+    }
+
+    /**
+     * Fetch every page of a Letterboxd list or watchlist.
+     *
+     * @param string $url       List URL ending in a slash.
+     * @param bool   $watchlist Whether this is the watchlist.
+     * @return array            List as expected by store_list().
+     * @throws Exception        When the first page cannot be read.
+     */
+    private function fetch_list_page(string $url, bool $watchlist = false): array
+    {
+        $films = [];
+        $name  = '';
+        $description = '';
+
+        for ($page = 1; $page <= self::LIST_MAX_PAGES; $page++) {
+            $html = $this->fetch_feed_content($page === 1 ? $url : $url . 'page/' . $page . '/', 'text/html');
+
+            if ($page === 1) {
+                if (preg_match('/<meta\s+property="og:title"\s+content="([^"]*)"/i', $html, $m)) {
+                    $name = trim(preg_replace('/\s*[•|]\s*Letterboxd\s*$/u', '', html_entity_decode($m[1], ENT_QUOTES)));
+                }
+                if (preg_match('/<meta\s+property="og:description"\s+content="([^"]*)"/i', $html, $m)) {
+                    $description = html_entity_decode($m[1], ENT_QUOTES);
+                }
+            }
+
+            $page_films = $this->parse_list_page_films($html);
+            if (empty($page_films)) {
+                break;
+            }
+            $films = array_merge($films, $page_films);
+
+            if (!preg_match('/class="[^"]*\bnext\b[^"]*"[^>]*href=|href="[^"]*\/page\/' . ($page + 1) . '\/"/i', $html)) {
+                break;
+            }
+        }
+
+        $slug = basename(untrailingslashit($url));
+
+        return [
+            'name'        => $name !== '' ? $name : ucwords(str_replace('-', ' ', $slug)),
+            'slug'        => $slug,
+            'url'         => $url,
+            'description' => $description,
+            'watchlist'   => $watchlist,
+            'films'       => $films,
+        ];
+    }
+
+    /**
+     * Pick the films, in order, out of a list page's poster grid.
+     *
+     * @param string $html List page HTML.
+     * @return array       Films with title, year and link.
+     */
+    private function parse_list_page_films(string $html): array
+    {
+        $films = [];
+        $seen  = [];
+
+        foreach (preg_split('/<li\b/i', $html) as $chunk) {
+            if (!preg_match('#data-(?:target|item|film)-link="(/film/[^/"]+/)"#i', $chunk, $link)) {
+                continue;
+            }
+            if (isset($seen[$link[1]])) {
+                continue;
+            }
+            $seen[$link[1]] = true;
+
+            $title = '';
+            $year  = '';
+            if (preg_match('/data-(?:item|film)-name="([^"]+)"/i', $chunk, $m)) {
+                $title = html_entity_decode($m[1], ENT_QUOTES);
+            } elseif (preg_match('/<img\b[^>]*\balt="([^"]+)"/i', $chunk, $m)) {
+                $title = html_entity_decode($m[1], ENT_QUOTES);
+            }
+            if (preg_match('/^(.*)\s\((\d{4})\)$/u', $title, $m)) {
+                [$title, $year] = [$m[1], $m[2]];
+            } elseif (preg_match('/data-film-release-year="(\d{4})"/i', $chunk, $m)) {
+                $year = $m[1];
+            }
+
+            if ($title === '') {
+                $title = ucwords(str_replace('-', ' ', basename($link[1])));
+            }
+
+            $films[] = [
+                'title' => trim($title),
+                'year'  => $year,
+                'link'  => 'https://letterboxd.com' . $link[1],
+            ];
+        }
+
+        return $films;
+    }
+
+    /**
+     * Find the lists published in a user's feed.
+     *
+     * The feed only carries the first films of each list, which are kept
+     * as a fallback for when the list page cannot be fetched.
+     *
+     * @param string $content Feed XML.
+     * @return array          Lists as expected by store_list().
+     */
+    private function parse_feed_lists(string $content): array
+    {
+        $xml = @simplexml_load_string($content, 'SimpleXMLElement', LIBXML_NOCDATA | LIBXML_NONET);
+        if ($xml === false || !isset($xml->channel->item)) {
+            return [];
+        }
+
+        $lists = [];
+        foreach ($xml->channel->item as $item) {
+            $link = trim((string) $item->link);
+            if (!preg_match('#/list/([a-z0-9_-]+)/?$#i', $link, $m)) {
+                continue;
+            }
+
+            $films = [];
+            if (preg_match_all('#<a[^>]+href="(https://letterboxd\.com/film/[^/"]+/)"[^>]*>(.*?)</a>#i', (string) $item->description, $anchors, PREG_SET_ORDER)) {
+                foreach ($anchors as $anchor) {
+                    $films[] = [
+                        'title' => trim(html_entity_decode(wp_strip_all_tags($anchor[2]), ENT_QUOTES)),
+                        'year'  => '',
+                        'link'  => $anchor[1],
+                    ];
+                }
+            }
+
+            $lists[] = [
+                'name'        => trim((string) $item->title),
+                'slug'        => $m[1],
+                'url'         => trailingslashit($link),
+                'description' => '',
+                'watchlist'   => false,
+                'films'       => $films,
+            ];
+        }
+
+        return $lists;
+    }
+
+    /**
+     * Parse a list or watchlist CSV from the Letterboxd export.
+     *
+     * List files start with a block describing the list (Date, Name, Tags,
+     * URL, Description) before the films (Position, Name, Year, URL).
+     * watchlist.csv only has the films (Date, Name, Year, Letterboxd URI).
+     *
+     * @param string $raw          CSV text.
+     * @param bool   $watchlist    Whether this is the watchlist.
+     * @param string $default_slug Slug used when the file does not name the list.
+     * @return array|null          List as expected by store_list(), null when there are no films.
+     */
+    private function parse_list_csv(string $raw, bool $watchlist, string $default_slug): ?array
+    {
+        $raw = str_replace(["\r\n", "\r"], "\n", $raw);
+        if (str_starts_with($raw, "\xEF\xBB\xBF")) {
+            $raw = substr($raw, 3);
+        }
+
+        $fp = fopen('php://temp', 'r+');
+        if (!$fp) {
+            throw new Exception(__('Unable to allocate CSV buffer.', 'letterboxd-connect'));
+        }
+        fwrite($fp, $raw);
+        rewind($fp);
+
+        $list = [
+            'name'        => '',
+            'slug'        => sanitize_title($default_slug),
+            'url'         => '',
+            'description' => '',
+            'watchlist'   => $watchlist,
+            'films'       => [],
+        ];
+        $header = null;
+        $meta   = null;
+
+        while (($row = fgetcsv($fp)) !== false) {
+            if ($row === [null]) {
+                continue;
+            }
+            $normalized = array_map([$this, 'normalize_csv_header'], $row);
+
+            if ($header === null) {
+                if (in_array('name', $normalized, true) && in_array('year', $normalized, true)) {
+                    $header = array_flip($normalized);
+                } elseif ($meta === null && in_array('name', $normalized, true) && in_array('url', $normalized, true)) {
+                    $meta = array_flip($normalized);
+                } elseif ($meta !== null && $list['name'] === '') {
+                    $list['name']        = trim((string) ($row[$meta['name']] ?? ''));
+                    $list['url']         = trim((string) ($row[$meta['url']] ?? ''));
+                    $list['description'] = trim((string) ($row[$meta['description'] ?? -1] ?? ''));
+                }
+                continue;
+            }
+
+            $get = static function (string $key) use ($row, $header): string {
+                return isset($header[$key]) ? trim((string) ($row[$header[$key]] ?? '')) : '';
+            };
+
+            $title = $get('name');
+            if ($title === '') {
+                continue;
+            }
+            $list['films'][] = [
+                'title'    => $title,
+                'year'     => $get('year'),
+                'link'     => $get('letterboxd uri') !== '' ? $get('letterboxd uri') : $get('url'),
+                'position' => (int) $get('position'),
+            ];
+        }
+        fclose($fp);
+
+        if (empty($list['films'])) {
+            return null;
+        }
+
+        // Ranked lists carry their position; keep file order otherwise
+        if ($list['films'][0]['position'] > 0) {
+            usort($list['films'], static fn($a, $b) => $a['position'] <=> $b['position']);
+        }
+
+        if ($list['url'] !== '' && preg_match('#/list/([a-z0-9_-]+)/?$#i', $list['url'], $m)) {
+            $list['slug'] = $m[1];
+        }
+        if ($list['name'] === '') {
+            $list['name'] = ucwords(str_replace('-', ' ', $list['slug']));
+        }
+
+        return $list;
+    }
+
+    /**
+     * Detect a ZIP archive by its signature rather than its extension.
+     */
+    private function is_zip_file(string $file_path): bool
+    {
+        $magic = @file_get_contents($file_path, false, null, 0, 4);
+        return $magic !== false && in_array($magic, ["PK\x03\x04", "PK\x05\x06", "PK\x07\x08"], true);
     }
 
     /**
      * Handling image import and featured image setting using media_handle_sideload()
+     *
+     * @param int $post_id Movie post ID
+     * @param string $poster_url Remote poster image
+     * @return int|WP_Error Attachment ID of the new featured image, or the error
      */
-    private function handle_poster_import(
+    public function handle_poster_import(
         int $post_id,
         string $poster_url
-    ): void {
+    ): int|WP_Error {
         // Check if the post exists
         if (!get_post($post_id)) {
             // letterboxd_debug_log( "Cannot import poster: Invalid post ID " . $post_id );
-            return;
+            return new WP_Error(
+                "invalid_post",
+                /* translators: %d: Post ID */
+                sprintf(__("Invalid post ID: %d", "letterboxd-connect"), $post_id)
+            );
         }
 
         // Include required WordPress files for media handling.
@@ -1271,7 +3215,7 @@ class Letterboxd_Importer {
         $tmp_file = download_url($poster_url, 30); // 30 seconds timeout.
         if (is_wp_error($tmp_file)) {
             // letterboxd_debug_log( "Failed to download poster: " . $tmp_file->get_error_message() );
-            return;
+            return $tmp_file;
         }
 
         // Prepare a file array similar to a $_FILES entry.
@@ -1299,7 +3243,7 @@ class Letterboxd_Importer {
                 WP_Filesystem();
             }
             $wp_filesystem->delete($file_array["tmp_name"]);
-            return;
+            return $attach_id;
         }
 
         // Build an appropriate alt text.
@@ -1323,7 +3267,7 @@ class Letterboxd_Importer {
         $attach_data = wp_generate_attachment_metadata($attach_id, $file_path);
         if (is_wp_error($attach_data)) {
             // letterboxd_debug_log( "Failed to generate attachment metadata: " . $attach_data->get_error_message() );
-            return;
+            return $attach_data;
         }
 
         $update_result = wp_update_attachment_metadata(
@@ -1337,7 +3281,13 @@ class Letterboxd_Importer {
         // Set the sideloaded image as the featured image.
         if (!set_post_thumbnail($post_id, $attach_id)) {
             // letterboxd_debug_log( "Failed to set featured image for post ID: " . $post_id );
+            return new WP_Error(
+                "poster_not_set",
+                __("The poster was downloaded but could not be set as the featured image.", "letterboxd-connect")
+            );
         }
+
+        return $attach_id;
     }
 
     /**
@@ -1348,6 +3298,16 @@ class Letterboxd_Importer {
             $year = sanitize_text_field($item["filmYear"]);
             $result = wp_set_object_terms($post_id, $year, "movie_year");
         }
+
+        // Tags from every diary entry of the film are kept
+        if (!empty($item["tags"])) {
+            wp_set_object_terms(
+                $post_id,
+                array_map("sanitize_text_field", (array) $item["tags"]),
+                Letterboxd_Movie_Post_Type::TAG_TAXONOMY,
+                true
+            );
+        }
     }
 
     private function enrich_with_tmdb_data(
@@ -1386,7 +3346,8 @@ class Letterboxd_Importer {
 
             // Extract and save metadata
             $metadata = $this->tmdb_handler->extract_movie_metadata(
-                $movie_data
+                $movie_data,
+                $this->tmdb_handler->get_streaming_region()
             );
 
             foreach ($metadata as $meta_key => $meta_value) {
@@ -1394,6 +3355,7 @@ class Letterboxd_Importer {
                     update_post_meta($post_id, $meta_key, $meta_value);
                 }
             }
+            $this->tmdb_handler->save_movie_terms($post_id, $movie_data);
             
             // letterboxd_debug_log( "TMDB enrichment complete for movie: " . get_the_title($post_id) );
         } catch (Exception $e) {
@@ -1405,7 +3367,7 @@ class Letterboxd_Importer {
      * Handle import error
      */
     private function handle_import_error(Exception $e, array $options): void {
-        $this->clear_import_lock();
+        $this->clear_import_lock(self::FEED_LOCK_OWNER);
         $this->log_error("Import failed: " . $e->getMessage(), "error", [
             "username" => $options["username"] ?? "",
             "exception" => $e->getMessage()
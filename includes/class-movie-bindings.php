@@ -0,0 +1,305 @@
+<?php
+/**
+ * Movie fields for block bindings and the Movie Query Loop
+ *
+ * Registers the "letterboxd-connect/movie" block bindings source, so core
+ * blocks (paragraph, heading, image, button) inside a Query Loop or a movie
+ * template can show a movie's fields. The "Movie Query Loop" variation of
+ * core/query is kept to movies on the front end as well.
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Movie_Bindings {
+    /**
+     * Block bindings source and Query Loop variation names
+     */
+    public const SOURCE_NAME = "letterboxd-connect/movie";
+    public const QUERY_VARIATION = "letterboxd-connect/movie-query";
+
+    /**
+     * Post type the fields belong to
+     */
+    private const POST_TYPE = "movie";
+
+    /**
+     * Image size used for bound posters
+     */
+    private const POSTER_SIZE = "movie-poster";
+
+    /**
+     * Number of Movie Query Loops being rendered, as they may be nested
+     */
+    private int $query_depth = 0;
+
+    /**
+     * Initialize the bindings
+     */
+    public function __construct() {
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks(): void {
+        add_action("init", [$this, "register_source"]);
+        add_action("enqueue_block_editor_assets", [$this, "enqueue_editor_assets"]);
+        add_filter("pre_render_block", [$this, "start_movie_query"], 10, 2);
+        add_filter("render_block_core/query", [$this, "end_movie_query"], 10, 2);
+    }
+
+    /**
+     * Formatted movie fields, with their labels
+     */
+    private function get_fields(): array {
+        return [
+            "watch_date" => __("Watch Date", "letterboxd-connect"),
+            "rating" => __("Rating", "letterboxd-connect"),
+            "director" => __("Director", "letterboxd-connect"),
+            "poster" => __("Poster", "letterboxd-connect"),
+            "streaming_link" => __("Streaming Link", "letterboxd-connect"),
+            "letterboxd_url" => __("Letterboxd Link", "letterboxd-connect"),
+            "imdb_url" => __("IMDb Link", "letterboxd-connect"),
+            "tmdb_url" => __("TMDB Link", "letterboxd-connect"),
+            "trailer_url" => __("Trailer Link", "letterboxd-connect"),
+            "runtime" => __("Runtime", "letterboxd-connect"),
+            "top_cast" => __("Cast", "letterboxd-connect"),
+            "times_watched" => __("Times Watched", "letterboxd-connect"),
+        ];
+    }
+
+    /**
+     * Register the block bindings source (WordPress 6.5 and later)
+     */
+    public function register_source(): void {
+        if (!function_exists("register_block_bindings_source")) {
+            return;
+        }
+
+        register_block_bindings_source(self::SOURCE_NAME, [
+            "label" => __("Movie", "letterboxd-connect"),
+            "get_value_callback" => [$this, "get_value"],
+            "uses_context" => ["postId", "postType"],
+        ]);
+    }
+
+    /**
+     * Get a bound movie field
+     *
+     * Besides the formatted fields, any movie meta field shown in the REST API
+     * can be bound by its meta key. When the movie has no value the block
+     * keeps its own content.
+     *
+     * @param array $source_args Binding arguments with the field key
+     * @param WP_Block $block_instance Block being rendered
+     * @param string $attribute_name Bound block attribute
+     * @return string|null Field value, or null when there is none
+     */
+    public function get_value(array $source_args, WP_Block $block_instance, string $attribute_name): ?string {
+        $post_id = (int) ($block_instance->context["postId"] ?? get_the_ID());
+        if (!$post_id || get_post_type($post_id) !== self::POST_TYPE) {
+            return null;
+        }
+
+        // Don't show fields of movies the visitor may not read
+        if (
+            (!is_post_publicly_viewable($post_id) && !current_user_can("read_post", $post_id)) ||
+            post_password_required($post_id)
+        ) {
+            return null;
+        }
+
+        $value = $this->get_field_value($post_id, (string) ($source_args["key"] ?? ""), $attribute_name);
+
+        return $value === "" ? null : $value;
+    }
+
+    /**
+     * Format one field for the bound attribute
+     *
+     * @param int $post_id Movie post ID
+     * @param string $key Field key
+     * @param string $attribute_name Bound block attribute
+     * @return string Field value, empty when there is none
+     */
+    private function get_field_value(int $post_id, string $key, string $attribute_name): string {
+        $meta = static fn(string $meta_key): string => (string) get_post_meta($post_id, $meta_key, true);
+
+        switch ($key) {
+            case "watch_date":
+                $date = $meta("watch_date");
+                return $date !== "" ? date_i18n(get_option("date_format"), strtotime($date)) : "";
+
+            case "rating":
+                $rating = letterboxd_rating_to_number($meta("movie_rating"));
+                return $attribute_name === "content"
+                    ? letterboxd_render_star_rating($rating)
+                    : letterboxd_rating_stars($rating);
+
+            case "poster":
+                return $this->get_poster_value($post_id, $attribute_name);
+
+            case "imdb_url":
+                return $meta("imdb_id") !== "" ? "https://www.imdb.com/title/" . rawurlencode($meta("imdb_id")) . "/" : "";
+
+            case "tmdb_url":
+                $tmdb_id = (int) ($meta("tmdb_id") ?: $meta("tmdb_movie_id"));
+                return $tmdb_id ? "https://www.themoviedb.org/movie/" . $tmdb_id : "";
+
+            case "runtime":
+                $runtime = (int) $meta("runtime");
+                /* translators: %d: Runtime in minutes */
+                return $runtime > 0 ? sprintf(__("%d min", "letterboxd-connect"), $runtime) : "";
+
+            case "times_watched":
+                $times = (int) $meta("times_watched");
+                return $times > 0
+                    ? sprintf(
+                        /* translators: %d: Number of times the movie was watched */
+                        _n("Watched %d time", "Watched %d times", $times, "letterboxd-connect"),
+                        $times
+                    )
+                    : "";
+
+            case "director":
+            case "streaming_link":
+            case "letterboxd_url":
+            case "trailer_url":
+            case "top_cast":
+                return $meta($key);
+        }
+
+        // Any other movie meta the REST API shows, unformatted
+        $registered = get_registered_meta_keys("post", self::POST_TYPE);
+        if (!empty($registered[$key]["show_in_rest"]) && !empty($registered[$key]["single"]) && !is_protected_meta($key, "post")) {
+            $value = get_post_meta($post_id, $key, true);
+            return is_scalar($value) ? (string) $value : "";
+        }
+
+        return "";
+    }
+
+    /**
+     * Poster URL, or its alt text when bound to an image's alt
+     *
+     * The featured image comes first, then Letterboxd's and TMDB's posters.
+     *
+     * @param int $post_id Movie post ID
+     * @param string $attribute_name Bound block attribute
+     * @return string Poster URL or alt text
+     */
+    private function get_poster_value(int $post_id, string $attribute_name): string {
+        if ($attribute_name === "alt" || $attribute_name === "title") {
+            return sprintf(
+                /* translators: %s: Movie title */
+                __("Movie poster for %s", "letterboxd-connect"),
+                get_the_title($post_id)
+            );
+        }
+
+        if (has_post_thumbnail($post_id)) {
+            return (string) get_the_post_thumbnail_url($post_id, self::POSTER_SIZE);
+        }
+
+        $poster_url = (string) get_post_meta($post_id, "poster_url", true);
+        if ($poster_url !== "") {
+            return $poster_url;
+        }
+
+        $poster_path = (string) get_post_meta($post_id, "tmdb_poster_path", true);
+        if ($poster_path === "") {
+            return "";
+        }
+
+        return (new Letterboxd_TMDB_Handler())->get_image_url($poster_path);
+    }
+
+    /**
+     * Keep a Movie Query Loop's query to movies while it renders
+     *
+     * @param string|null $pre_render Content to short-circuit rendering with
+     * @param array $parsed_block Block being rendered
+     * @return string|null Unchanged content
+     */
+    public function start_movie_query(?string $pre_render, array $parsed_block): ?string {
+        if (
+            ($parsed_block["blockName"] ?? "") === "core/query" &&
+            ($parsed_block["attrs"]["namespace"] ?? "") === self::QUERY_VARIATION
+        ) {
+            if ($this->query_depth++ === 0) {
+                add_filter("query_loop_block_query_vars", [$this, "limit_query_to_movies"]);
+            }
+        }
+
+        return $pre_render;
+    }
+
+    /**
+     * Stop limiting queries once the Movie Query Loop has rendered
+     *
+     * @param string $block_content Rendered block
+     * @param array $parsed_block Block that was rendered
+     * @return string Unchanged block content
+     */
+    public function end_movie_query(string $block_content, array $parsed_block): string {
+        if (
+            ($parsed_block["attrs"]["namespace"] ?? "") === self::QUERY_VARIATION &&
+            $this->query_depth > 0 &&
+            --$this->query_depth === 0
+        ) {
+            remove_filter("query_loop_block_query_vars", [$this, "limit_query_to_movies"]);
+        }
+
+        return $block_content;
+    }
+
+    /**
+     * Query only movies
+     *
+     * Unwatched list and watchlist films are left out, unless the loop is
+     * filtered by list.
+     *
+     * @param array $query Query Loop query vars
+     * @return array Query vars
+     */
+    public function limit_query_to_movies(array $query): array {
+        $query["post_type"] = self::POST_TYPE;
+
+        $taxonomies = array_column(array_filter((array) ($query["tax_query"] ?? []), "is_array"), "taxonomy");
+        if (!in_array(Letterboxd_Movie_Post_Type::LIST_TAXONOMY, $taxonomies, true)) {
+            $query["meta_query"] = (array) ($query["meta_query"] ?? []);
+            $query["meta_query"][] = Letterboxd_Movie_Post_Type::get_watched_meta_query();
+        }
+
+        return $query;
+    }
+
+    /**
+     * Enqueue the Query Loop variation and the editor side of the source
+     */
+    public function enqueue_editor_assets(): void {
+        wp_enqueue_script(
+            "letterboxd-movie-bindings",
+            plugins_url("js/movie-bindings.js", LETTERBOXD_PLUGIN_FILE),
+            ["wp-blocks", "wp-data", "wp-core-data", "wp-date", "wp-i18n"],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-movie-bindings", "letterboxdMovieBindings", [
+            "source" => self::SOURCE_NAME,
+            "queryVariation" => self::QUERY_VARIATION,
+            "postType" => self::POST_TYPE,
+            "fields" => $this->get_fields(),
+        ]);
+    }
+}
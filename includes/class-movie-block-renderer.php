@@ -22,10 +22,60 @@ class Letterboxd_Movie_Block_Renderer {
      * Block-related constants
      */
     private const BLOCK_NAME = "letterboxd-connect/movie-grid";
-    private const CACHE_GROUP = "letterboxd_blocks";
+    private const SINGLE_BLOCK_NAME = "letterboxd-connect/movie";
+    public const CACHE_GROUP = "letterboxd_blocks";
     private const CACHE_DURATION = 3600; // 1 hour
     private const MOVIE_POSTER_SIZE = "movie-poster";
 
+    /**
+     * Query string keys holding the interactive grid state
+     *
+     * Prefixed so they never match a public query var: "movie_year" is the
+     * release year taxonomy's, and would turn the page into a term archive.
+     */
+    private const STATE_PARAMS = [
+        "search" => "lb_search",
+        "sort" => "lb_sort",
+        "year" => "lb_year",
+    ];
+
+    /**
+     * Query string key holding the period a calendar grid shows
+     */
+    private const CALENDAR_PARAM = "lb_calendar";
+
+    /**
+     * Posters shown for one day of the month calendar before "+N more"
+     */
+    private const CALENDAR_DAY_POSTERS = 3;
+
+    /**
+     * Sort choices offered on the front end ("orderby-order")
+     */
+    private const SORT_OPTIONS = [
+        "watch_date-DESC",
+        "watch_date-ASC",
+        "last_watched-DESC",
+        "title-ASC",
+        "title-DESC",
+        "release_year-DESC",
+        "release_year-ASC",
+        "rating-DESC",
+        "rating-ASC",
+        "list-ASC",
+        "list-DESC",
+    ];
+
+    /**
+     * Sort fields a grid may use ("list" needs a list source)
+     */
+    private const ORDERBY_OPTIONS = ["title", "watch_date", "last_watched", "release_year", "rating", "list"];
+
+    /**
+     * Relative watch date ranges ("" uses watchedAfter/watchedBefore)
+     */
+    private const WATCHED_RANGES = ["", "this_year", "last_year", "last_12_months"];
+
     /**
      * Default block attributes
      */
@@ -44,10 +94,18 @@ class Letterboxd_Movie_Block_Renderer {
         ],
     ];
 
+    /**
+     * @var Letterboxd_Movie_Post_Type
+     */
+    private Letterboxd_Movie_Post_Type $post_type;
+
     /**
      * Initialize the block functionality
+     *
+     * @param Letterboxd_Movie_Post_Type $post_type Reads the viewings of a movie
      */
-    public function __construct() {
+    public function __construct(Letterboxd_Movie_Post_Type $post_type) {
+        $this->post_type = $post_type;
         $this->setup_hooks();
     }
 
@@ -79,7 +137,10 @@ class Letterboxd_Movie_Block_Renderer {
         add_action("save_post_movie", [$this, "clear_block_cache"]);
         add_action("deleted_post", [$this, "clear_block_cache"]);
         add_action("edited_movie_genre", [$this, "clear_taxonomy_cache"]);
+        add_action("edited_movie_country", [$this, "clear_taxonomy_cache"]);
         add_action("edited_movie_year", [$this, "clear_taxonomy_cache"]);
+        add_action("created_movie_list", [$this, "clear_taxonomy_cache"]);
+        add_action("edited_movie_list", [$this, "clear_taxonomy_cache"]);
     }
 
     public function register_rest_route(): void {
@@ -97,11 +158,7 @@ class Letterboxd_Movie_Block_Renderer {
                 ],
                 "orderby" => [
                     "validate_callback" => function ($param) {
-                        return in_array($param, [
-                            "title",
-                            "watch_date",
-                            "release_year",
-                        ]);
+                        return in_array($param, self::ORDERBY_OPTIONS, true);
                     },
                 ],
                 "order" => [
@@ -109,10 +166,346 @@ class Letterboxd_Movie_Block_Renderer {
                         return in_array(strtoupper($param), ["ASC", "DESC"]);
                     },
                 ],
+                "minRating" => [
+                    "validate_callback" => function ($param) {
+                        return is_numeric($param) &&
+                            $param >= 0 &&
+                            $param <= 5;
+                    },
+                ],
+                "maxRating" => [
+                    "validate_callback" => function ($param) {
+                        return is_numeric($param) &&
+                            $param >= 0 &&
+                            $param <= 5;
+                    },
+                ],
+                "watchedAfter" => [
+                    "validate_callback" => [$this, "validate_filter_date"],
+                ],
+                "watchedBefore" => [
+                    "validate_callback" => [$this, "validate_filter_date"],
+                ],
+                "watchedRange" => [
+                    "validate_callback" => function ($param) {
+                        return in_array($param, self::WATCHED_RANGES, true);
+                    },
+                ],
+                "source" => [
+                    "validate_callback" => [$this, "validate_source"],
+                ],
+            ],
+        ]);
+
+        // Public, read-only pages for the interactive front-end grid
+        register_rest_route("letterboxd-connect/v1", "/movie-grid", [
+            "methods" => "GET",
+            "callback" => [$this, "get_movie_grid_page"],
+            "permission_callback" => "__return_true",
+            "args" => [
+                "page" => [
+                    "type" => "integer",
+                    "default" => 1,
+                    "minimum" => 1,
+                    "sanitize_callback" => "absint",
+                ],
+                "perPage" => [
+                    "type" => "integer",
+                    "default" => 12,
+                    "minimum" => 1,
+                    "maximum" => 20,
+                ],
+                "search" => [
+                    "type" => "string",
+                    "default" => "",
+                    "sanitize_callback" => "sanitize_text_field",
+                ],
+                "sort" => [
+                    "type" => "string",
+                    "default" => "",
+                    "enum" => array_merge([""], self::SORT_OPTIONS),
+                ],
+                "year" => [
+                    "type" => "string",
+                    "default" => "",
+                    "sanitize_callback" => "sanitize_title",
+                ],
+                "attributes" => [
+                    "type" => "string",
+                    "default" => "{}",
+                    "description" => __(
+                        "JSON encoded block attributes of the grid being paged",
+                        "letterboxd-connect"
+                    ),
+                ],
+            ],
+        ]);
+
+        // Public months and years for calendar grids
+        register_rest_route("letterboxd-connect/v1", "/movie-calendar", [
+            "methods" => "GET",
+            "callback" => [$this, "get_movie_calendar"],
+            "permission_callback" => "__return_true",
+            "args" => [
+                "period" => [
+                    "type" => "string",
+                    "required" => true,
+                    "pattern" => "^\\d{4}(-(0[1-9]|1[0-2]))?$",
+                    "description" => __(
+                        "Month (YYYY-MM) or year (YYYY) to show",
+                        "letterboxd-connect"
+                    ),
+                ],
+                "attributes" => [
+                    "type" => "string",
+                    "default" => "{}",
+                    "description" => __(
+                        "JSON encoded block attributes of the calendar",
+                        "letterboxd-connect"
+                    ),
+                ],
             ],
         ]);
     }
 
+    /**
+     * Return one page of a front-end movie grid
+     *
+     * @param WP_REST_Request $request Request with page, search, sort and year
+     * @return WP_REST_Response Rendered items plus paging information
+     */
+    public function get_movie_grid_page(WP_REST_Request $request): WP_REST_Response {
+        $block_attributes = json_decode((string) $request["attributes"], true);
+        $attributes = $this->sanitize_grid_attributes(
+            is_array($block_attributes) ? $block_attributes : []
+        );
+        $attributes["perPage"] = (int) $request["perPage"];
+        $attributes = $this->apply_grid_state($attributes, [
+            "search" => $request["search"],
+            "sort" => $request["sort"],
+            "year" => $request["year"],
+        ]);
+
+        $page = max(1, (int) $request["page"]);
+        $query = $this->get_movies_query($attributes, "front", $page);
+
+        $html = $this->render_movie_collection($query, [
+            "layout" => $this->get_layout($attributes["displayMode"]),
+            "columns" => $attributes["columns"],
+            "showDirector" => $attributes["showDirector"],
+            "showRating" => $attributes["showRating"],
+            "showStreamingLink" => $attributes["showStreamingLink"],
+            "showExternalLinks" => $attributes["showExternalLinks"],
+            "showRewatchBadge" => $attributes["showRewatchBadge"],
+            "showReviewExcerpt" => $attributes["showReviewExcerpt"],
+            "showRuntime" => $attributes["showRuntime"],
+            "showCast" => $attributes["showCast"],
+            "showProviderBadges" => $attributes["showProviderBadges"],
+            "openInModal" => $attributes["openInModal"],
+        ]);
+
+        return new WP_REST_Response([
+            "html" => $html,
+            "page" => $page,
+            "totalPages" => (int) $query->max_num_pages,
+            "total" => (int) $query->found_posts,
+        ]);
+    }
+
+    /**
+     * Return one month or year of a front-end calendar grid
+     *
+     * @param WP_REST_Request $request Request with the period and block attributes
+     * @return WP_REST_Response Rendered calendar and the period it shows
+     */
+    public function get_movie_calendar(WP_REST_Request $request): WP_REST_Response {
+        $block_attributes = json_decode((string) $request["attributes"], true);
+        $attributes = $this->sanitize_grid_attributes(
+            is_array($block_attributes) ? $block_attributes : []
+        );
+        $period = $this->get_calendar_period($attributes, (string) $request["period"]);
+
+        $html = $this->render_movie_collection(
+            $this->get_calendar_query($attributes, $period, "front"),
+            [
+                "layout" => "calendar",
+                "calendarPeriod" => $period,
+                "openInModal" => $attributes["openInModal"],
+            ]
+        );
+
+        return new WP_REST_Response([
+            "html" => $html,
+            "period" => $period,
+        ]);
+    }
+
+    /**
+     * Query published movies with the grid's filters, for the public API
+     *
+     * @param array $filters Grid attributes (years, minRating, watchedAfter, director, orderby, ...)
+     * @param int $per_page Movies per page
+     * @param int $page Page number
+     * @return WP_Query Query with pagination information
+     */
+    public function query_movies(array $filters, int $per_page, int $page = 1): WP_Query {
+        $attributes = $this->sanitize_grid_attributes($filters);
+        $attributes["perPage"] = $per_page;
+
+        return $this->get_movies_query($attributes, "api", max(1, $page));
+    }
+
+    /**
+     * Keep only the grid attributes a visitor may influence, with safe values
+     *
+     * @param array $attributes Attributes sent by the front-end script
+     * @return array Sanitized attributes
+     */
+    private function sanitize_grid_attributes(array $attributes): array {
+        return [
+            "showAll" => true,
+            "columns" => max(1, min(6, (int) ($attributes["columns"] ?? 3))),
+            "displayMode" => in_array($attributes["displayMode"] ?? "", ["list", "carousel", "calendar"], true)
+                ? $attributes["displayMode"]
+                : "cards",
+            "calendarView" => ($attributes["calendarView"] ?? "") === "year" ? "year" : "month",
+            "orderby" => in_array($attributes["orderby"] ?? "", self::ORDERBY_OPTIONS, true)
+                ? $attributes["orderby"]
+                : "watch_date",
+            "order" => strtoupper((string) ($attributes["order"] ?? "")) === "ASC" ? "ASC" : "DESC",
+            "showDirector" => (bool) ($attributes["showDirector"] ?? true),
+            "showRating" => (bool) ($attributes["showRating"] ?? true),
+            "showStreamingLink" => (bool) ($attributes["showStreamingLink"] ?? true),
+            "showExternalLinks" => (bool) ($attributes["showExternalLinks"] ?? true),
+            "showRewatchBadge" => (bool) ($attributes["showRewatchBadge"] ?? false),
+            "showReviewExcerpt" => (bool) ($attributes["showReviewExcerpt"] ?? false),
+            "showRuntime" => (bool) ($attributes["showRuntime"] ?? false),
+            "showCast" => (bool) ($attributes["showCast"] ?? false),
+            "showProviderBadges" => (bool) ($attributes["showProviderBadges"] ?? false),
+            "openInModal" => (bool) ($attributes["openInModal"] ?? false),
+            "years" => array_values(array_filter(array_map("sanitize_title", (array) ($attributes["years"] ?? [])))),
+            "genres" => array_values(array_filter(array_map("sanitize_text_field", (array) ($attributes["genres"] ?? [])))),
+            "countries" => array_values(array_filter(array_map("sanitize_text_field", (array) ($attributes["countries"] ?? [])))),
+            "minRating" => (float) ($attributes["minRating"] ?? 0),
+            "maxRating" => (float) ($attributes["maxRating"] ?? 5),
+            "watchedAfter" => $this->validate_filter_date($attributes["watchedAfter"] ?? "") ? (string) ($attributes["watchedAfter"] ?? "") : "",
+            "watchedBefore" => $this->validate_filter_date($attributes["watchedBefore"] ?? "") ? (string) ($attributes["watchedBefore"] ?? "") : "",
+            "watchedRange" => in_array($attributes["watchedRange"] ?? "", self::WATCHED_RANGES, true) ? $attributes["watchedRange"] : "",
+            "director" => sanitize_text_field((string) ($attributes["director"] ?? "")),
+            "account" => sanitize_key((string) ($attributes["account"] ?? "")),
+            "source" => $this->validate_source($attributes["source"] ?? "") ? (string) ($attributes["source"] ?? "") : "",
+        ];
+    }
+
+    /**
+     * Apply a visitor's search, sort and year selection to the block attributes
+     *
+     * @param array $attributes Block attributes
+     * @param array $state      Values for "search", "sort" and "year"
+     * @return array Attributes used to build the query
+     */
+    private function apply_grid_state(array $attributes, array $state): array {
+        $search = sanitize_text_field((string) ($state["search"] ?? ""));
+        if ($search !== "") {
+            $attributes["search"] = $search;
+        }
+
+        $sort = (string) ($state["sort"] ?? "");
+        if (in_array($sort, self::SORT_OPTIONS, true)) {
+            [$attributes["orderby"], $attributes["order"]] = explode("-", $sort);
+        }
+
+        // A year chip narrows the grid, but never past the block's own year filter
+        $year = sanitize_title((string) ($state["year"] ?? ""));
+        $block_years = (array) ($attributes["years"] ?? []);
+        if ($year !== "" && (empty($block_years) || in_array($year, $block_years, true))) {
+            $attributes["years"] = [$year];
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Read the interactive grid state from the current URL
+     */
+    private function get_request_grid_state(): array {
+        $state = [];
+        foreach (self::STATE_PARAMS as $key => $param) {
+            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- public, read-only view state
+            $state[$key] = isset($_GET[$param]) ? sanitize_text_field(wp_unslash($_GET[$param])) : "";
+        }
+        return $state;
+    }
+
+    /**
+     * Get the release years offered as chips for a grid
+     *
+     * @param array $block_years Years the block is already limited to
+     * @return array Year term slugs, newest first
+     */
+    private function get_year_chips(array $block_years): array {
+        if (!empty($block_years)) {
+            rsort($block_years);
+            return array_values($block_years);
+        }
+
+        $terms = get_terms([
+            "taxonomy" => "movie_year",
+            "hide_empty" => true,
+            "orderby" => "name",
+            "order" => "DESC",
+            "fields" => "slugs",
+        ]);
+
+        return is_wp_error($terms) ? [] : array_values($terms);
+    }
+
+    /**
+     * Validate the grid source attribute
+     *
+     * @param mixed $param "" for the diary, "watchlist" or "list:{slug}"
+     */
+    public function validate_source($param): bool {
+        return is_string($param) &&
+            ($param === "" || $param === "watchlist" || (bool) preg_match('/^list:[a-z0-9_-]+$/', $param));
+    }
+
+    /**
+     * Find the movie_list term a grid source points at
+     *
+     * "watchlist" resolves to the watchlist of the block's account.
+     *
+     * @param array $attributes Block attributes with "source" and "account"
+     * @return WP_Term|null The list term, or null when it doesn't exist
+     */
+    private function get_source_term(array $attributes): ?WP_Term {
+        $source = (string) ($attributes["source"] ?? "");
+
+        if ($source === "watchlist") {
+            $account = sanitize_key($attributes["account"] ?? "");
+            $slug = $account !== "" && !letterboxd_is_primary_account($account)
+                ? $account . "-watchlist"
+                : "watchlist";
+        } else {
+            $slug = sanitize_title(substr($source, strlen("list:")));
+        }
+
+        $term = get_term_by("slug", $slug, Letterboxd_Movie_Post_Type::LIST_TAXONOMY);
+        return $term instanceof WP_Term ? $term : null;
+    }
+
+    /**
+     * Validate a watch date filter (empty or YYYY-MM-DD)
+     */
+    public function validate_filter_date($param): bool {
+        if ($param === "" || $param === null) {
+            return true;
+        }
+
+        $date = DateTime::createFromFormat("Y-m-d", (string) $param);
+        return $date !== false && $date->format("Y-m-d") === $param;
+    }
+
     public function check_block_permissions(): bool {
         return current_user_can("edit_posts");
     }
@@ -160,6 +553,10 @@ class Letterboxd_Movie_Block_Renderer {
                     "type" => "string",
                     "default" => "cards",
                 ],
+                "calendarView" => [
+                    "type" => "string",
+                    "default" => "month",
+                ],
                 // Display options
                 "showDirector" => [
                     "type" => "boolean",
@@ -177,6 +574,125 @@ class Letterboxd_Movie_Block_Renderer {
                     "type" => "boolean",
                     "default" => true,
                 ],
+                "showRewatchBadge" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                // List view only
+                "showReviewExcerpt" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                "showRuntime" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                "showCast" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                "showProviderBadges" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                "openInModal" => [
+                    "type" => "boolean",
+                    "default" => false,
+                ],
+                // Filters
+                "years" => [
+                    "type" => "array",
+                    "default" => [],
+                    "items" => [
+                        "type" => "string",
+                    ],
+                ],
+                // Genre and country term names
+                "genres" => [
+                    "type" => "array",
+                    "default" => [],
+                    "items" => [
+                        "type" => "string",
+                    ],
+                ],
+                "countries" => [
+                    "type" => "array",
+                    "default" => [],
+                    "items" => [
+                        "type" => "string",
+                    ],
+                ],
+                "minRating" => [
+                    "type" => "number",
+                    "default" => 0,
+                ],
+                "maxRating" => [
+                    "type" => "number",
+                    "default" => 5,
+                ],
+                "watchedAfter" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                "watchedBefore" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                "watchedRange" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                "director" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                "account" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                // "" for the diary, "watchlist" or "list:{slug}"
+                "source" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+            ],
+        ]);
+
+        register_block_type(self::SINGLE_BLOCK_NAME, [
+            "api_version" => 2,
+            "editor_script" => "letterboxd-single-movie-block",
+            "style" => "letterboxd-movie-grid",
+            "render_callback" => [$this, "render_single_movie_block"],
+            "attributes" => [
+                "movieId" => [
+                    "type" => "number",
+                    "default" => 0,
+                ],
+                "layout" => [
+                    "type" => "string",
+                    "default" => "horizontal",
+                ],
+                // Display options
+                "showDirector" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showRating" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showReview" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showStreamingLink" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showExternalLinks" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
             ],
         ]);
     }
@@ -197,6 +713,26 @@ class Letterboxd_Movie_Block_Renderer {
                 "wp-i18n",
                 "wp-block-editor",
                 "wp-server-side-render", // Added this dependency to match block.js
+                "wp-data",
+                "wp-core-data",
+            ],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            "letterboxd-single-movie-block",
+            plugins_url("js/single-movie-block.js", LETTERBOXD_PLUGIN_FILE),
+            [
+                "wp-blocks",
+                "wp-element",
+                "wp-components",
+                "wp-i18n",
+                "wp-block-editor",
+                "wp-server-side-render",
+                "wp-api-fetch",
+                "wp-url",
+                "wp-html-entities",
             ],
             LETTERBOXD_VERSION,
             true
@@ -228,6 +764,8 @@ class Letterboxd_Movie_Block_Renderer {
         if ($data === false) {
             $data = [
                 "pluginUrl" => plugins_url("", LETTERBOXD_PLUGIN_FILE),
+                "accounts" => wp_list_pluck(letterboxd_get_accounts(), "username"),
+                "lists" => $this->get_list_options(),
             ];
             wp_cache_set(
                 $cache_key,
@@ -240,11 +778,35 @@ class Letterboxd_Movie_Block_Renderer {
         return $data;
     }
 
+    /**
+     * Get the imported lists offered as grid sources in the editor
+     *
+     * @return array Options with label and value ("watchlist" or "list:{slug}")
+     */
+    private function get_list_options(): array {
+        $terms = get_terms([
+            "taxonomy" => Letterboxd_Movie_Post_Type::LIST_TAXONOMY,
+            "hide_empty" => false,
+            "orderby" => "name",
+        ]);
+
+        if (is_wp_error($terms)) {
+            return [];
+        }
+
+        return array_map(function (WP_Term $term): array {
+            return [
+                "label" => $term->name,
+                "value" => $term->slug === "watchlist" ? "watchlist" : "list:" . $term->slug,
+            ];
+        }, $terms);
+    }
+
     /**
      * Enqueue block assets for both editor and front-end
      */
     public function enqueue_block_assets(): void {
-        if (has_block(self::BLOCK_NAME)) {
+        if (has_block(self::BLOCK_NAME) || has_block(self::SINGLE_BLOCK_NAME)) {
             wp_enqueue_style(
                 "letterboxd-movie-grid",
                 plugins_url("css/movie-grid.css", LETTERBOXD_PLUGIN_FILE),
@@ -254,6 +816,71 @@ class Letterboxd_Movie_Block_Renderer {
         }
     }
 
+    /**
+     * Enqueue the front-end script for interactive (paginated) grids
+     */
+    private function enqueue_view_script(): void {
+        if (wp_script_is("letterboxd-movie-grid-view", "enqueued")) {
+            return;
+        }
+
+        wp_enqueue_script(
+            "letterboxd-movie-grid-view",
+            plugins_url("js/movie-grid-view.js", LETTERBOXD_PLUGIN_FILE),
+            ["wp-i18n"],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-movie-grid-view", "letterboxdMovieGrid", [
+            "restUrl" => rest_url("letterboxd-connect/v1/movie-grid"),
+            "params" => self::STATE_PARAMS,
+        ]);
+    }
+
+    /**
+     * Enqueue the front-end script for the movie details dialog
+     */
+    private function enqueue_modal_script(): void {
+        if (wp_script_is("letterboxd-movie-modal", "enqueued")) {
+            return;
+        }
+
+        wp_enqueue_script(
+            "letterboxd-movie-modal",
+            plugins_url("js/movie-modal.js", LETTERBOXD_PLUGIN_FILE),
+            ["wp-i18n"],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-movie-modal", "letterboxdMovieModal", [
+            "restUrl" => rest_url("letterboxd-connect/v1/movies/"),
+        ]);
+    }
+
+    /**
+     * Enqueue the front-end script for calendar grids
+     */
+    private function enqueue_calendar_script(): void {
+        if (wp_script_is("letterboxd-movie-calendar", "enqueued")) {
+            return;
+        }
+
+        wp_enqueue_script(
+            "letterboxd-movie-calendar",
+            plugins_url("js/movie-calendar.js", LETTERBOXD_PLUGIN_FILE),
+            [],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-movie-calendar", "letterboxdMovieCalendar", [
+            "restUrl" => rest_url("letterboxd-connect/v1/movie-calendar"),
+            "param" => self::CALENDAR_PARAM,
+        ]);
+    }
+
     /**
      * Render the movie grid block
      */
@@ -262,32 +889,96 @@ class Letterboxd_Movie_Block_Renderer {
         $is_rest = defined("REST_REQUEST") && REST_REQUEST;
         $context = $is_rest ? "edit" : "front";
     
+        $is_calendar = ($attributes["displayMode"] ?? "") === "calendar";
+
         // Get current page if we're showing all with pagination
         $paged = 1;
-        if ($attributes["showAll"] ?? false) {
+        $is_interactive = false;
+        if (($attributes["showAll"] ?? false) && !$is_calendar) {
             $paged = get_query_var("paged") ? get_query_var("paged") : 1;
+
+            // Linked search/sort/year state renders on the server too
+            if ($context === "front") {
+                $is_interactive = true;
+                $block_attributes = $attributes;
+                $attributes = $this->apply_grid_state(
+                    $attributes,
+                    $this->get_request_grid_state()
+                );
+                $this->enqueue_view_script();
+            }
         }
-    
+
+        if ($context === "front" && ($attributes["displayMode"] ?? "") === "carousel") {
+            wp_enqueue_script(
+                "letterboxd-movie-carousel",
+                plugins_url("js/movie-carousel.js", LETTERBOXD_PLUGIN_FILE),
+                ["wp-i18n"],
+                LETTERBOXD_VERSION,
+                true
+            );
+        }
+
+        // Calendars open on the month or year in the URL, or the current one
+        if ($is_calendar) {
+            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- public, read-only view state
+            $requested = $context === "front" && isset($_GET[self::CALENDAR_PARAM])
+                ? sanitize_text_field(wp_unslash($_GET[self::CALENDAR_PARAM]))
+                : "";
+            $attributes["calendarPeriod"] = $this->get_calendar_period($attributes, $requested);
+
+            if ($context === "front") {
+                $this->enqueue_calendar_script();
+            }
+        }
+
+        if ($context === "front" && !empty($attributes["openInModal"])) {
+            $this->enqueue_modal_script();
+        }
+
+        if (
+            $context === "front" &&
+            ($attributes["displayMode"] ?? "") === "list" &&
+            !empty($attributes["showReviewExcerpt"])
+        ) {
+            wp_enqueue_script(
+                "letterboxd-movie-review",
+                plugins_url("js/movie-review.js", LETTERBOXD_PLUGIN_FILE),
+                [],
+                LETTERBOXD_VERSION,
+                true
+            );
+        }
+
         $cache_key = "block_" . md5(serialize($attributes)) . "_" . $context . "_page_" . $paged;
         $output = wp_cache_get($cache_key, self::CACHE_GROUP);
     
         if ($output === false) {
-            $query = $this->get_movies_query($attributes, $context, $paged);
+            $query = $is_calendar
+                ? $this->get_calendar_query($attributes, $attributes["calendarPeriod"], $context)
+                : $this->get_movies_query($attributes, $context, $paged);
     
             // Get attributes with defaults
             $columns = isset($attributes["columns"]) ? intval($attributes["columns"]) : 3;
             $display_mode = isset($attributes["displayMode"]) ? sanitize_text_field($attributes["displayMode"]) : "cards";
-            $show_all = isset($attributes["showAll"]) ? (bool) $attributes["showAll"] : false;
+            $show_all = isset($attributes["showAll"]) && !$is_calendar ? (bool) $attributes["showAll"] : false;
     
             // Add display options to render attributes
             $render_options = [
-                "layout" => $display_mode === "list" ? "list" : "grid",
+                "layout" => $this->get_layout($display_mode),
                 "columns" => $columns,
                 "showDirector" => $attributes["showDirector"] ?? true,
                 "showRating" => $attributes["showRating"] ?? true,
                 "showStreamingLink" => $attributes["showStreamingLink"] ?? true,
                 "showExternalLinks" => $attributes["showExternalLinks"] ?? true,
+                "showRewatchBadge" => $attributes["showRewatchBadge"] ?? false,
+                "showReviewExcerpt" => $attributes["showReviewExcerpt"] ?? false,
+                "showRuntime" => $attributes["showRuntime"] ?? false,
+                "showCast" => $attributes["showCast"] ?? false,
+                "showProviderBadges" => $attributes["showProviderBadges"] ?? false,
+                "openInModal" => $attributes["openInModal"] ?? false,
                 "showPagination" => $show_all,
+                "calendarPeriod" => $attributes["calendarPeriod"] ?? "",
             ];
     
             // Use the unified render_movie_collection method with display options
@@ -307,12 +998,33 @@ class Letterboxd_Movie_Block_Renderer {
     
             // Create container with appropriate class based on context
             $container_class = $context === "edit" ? "editor-preview" : "wp-block-letterboxd-connect-movie-grid";
-            
+
+            // The view script builds its controls from these attributes
+            $interactive_attributes = "";
+            if ($is_interactive) {
+                $grid_attributes = $this->sanitize_grid_attributes($block_attributes);
+                $interactive_attributes = sprintf(
+                    ' data-interactive="true" data-attributes="%s" data-per-page="%d" data-years="%s" data-page="%d" data-total-pages="%d"',
+                    esc_attr(wp_json_encode($grid_attributes)),
+                    isset($attributes["perPage"]) ? intval($attributes["perPage"]) : 12,
+                    esc_attr(implode(",", $this->get_year_chips($grid_attributes["years"]))),
+                    $paged,
+                    $query->max_num_pages
+                );
+            } elseif ($is_calendar && $context === "front") {
+                // The calendar script loads other months with these attributes
+                $interactive_attributes = sprintf(
+                    ' data-attributes="%s"',
+                    esc_attr(wp_json_encode($this->sanitize_grid_attributes($attributes)))
+                );
+            }
+
             $output = sprintf(
-                '<div class="%s" data-columns="%d" data-display-mode="%s">%s%s</div>',
+                '<div class="%s" data-columns="%d" data-display-mode="%s"%s>%s%s</div>',
                 esc_attr($container_class),
                 $columns,
                 esc_attr($display_mode),
+                $interactive_attributes,
                 $grid,
                 $pagination
             );
@@ -325,6 +1037,104 @@ class Letterboxd_Movie_Block_Renderer {
         return $output;
     }
 
+    /**
+     * Render the single movie block as a large card
+     *
+     * @param array $attributes Block attributes
+     * @return string Rendered HTML
+     */
+    public function render_single_movie_block(array $attributes): string {
+        $post_id = isset($attributes["movieId"]) ? (int) $attributes["movieId"] : 0;
+        $post = $post_id > 0 ? get_post($post_id) : null;
+        $is_rest = defined("REST_REQUEST") && REST_REQUEST;
+
+        // Drafts and private movies only render for people who may read them,
+        // e.g. in the editor preview, never in content served to visitors
+        if (
+            !$post ||
+            $post->post_type !== "movie" ||
+            ($post->post_status !== "publish" && !current_user_can("read_post", $post_id))
+        ) {
+            return $is_rest
+                ? '<p class="no-movies">' . esc_html__("Movie not found.", "letterboxd-connect") . "</p>"
+                : "";
+        }
+
+        $layout = ($attributes["layout"] ?? "horizontal") === "vertical" ? "vertical" : "horizontal";
+        $display_options = [
+            "showDirector" => $attributes["showDirector"] ?? true,
+            "showRating" => $attributes["showRating"] ?? true,
+            "showStreamingLink" => $attributes["showStreamingLink"] ?? true,
+            "showExternalLinks" => $attributes["showExternalLinks"] ?? true,
+        ];
+
+        $meta_data = [
+            "director" => get_post_meta($post_id, "director", true),
+            "watch_date" => get_post_meta($post_id, "watch_date", true),
+            "rating" => get_post_meta($post_id, "movie_rating", true),
+            "imdb_id" => get_post_meta($post_id, "imdb_id", true),
+            "year" => $this->get_movie_year($post_id),
+            "streaming_link" => get_post_meta($post_id, "streaming_link", true),
+        ];
+
+        $meta_html = "";
+        if (!empty($meta_data["watch_date"])) {
+            $meta_html .= sprintf(
+                '<p class="watch-date">%s</p>',
+                esc_html(date_i18n(get_option("date_format"), strtotime($meta_data["watch_date"])))
+            );
+        }
+        if ($display_options["showDirector"] && !empty($meta_data["director"])) {
+            $meta_html .= sprintf(
+                '<p class="movie-director">%s</p>',
+                esc_html($meta_data["director"])
+            );
+        }
+        if ($display_options["showRating"] && !empty($meta_data["rating"])) {
+            $meta_html .= sprintf(
+                '<p class="movie-rating">%s</p>',
+                letterboxd_render_star_rating(letterboxd_rating_to_number($meta_data["rating"]))
+            );
+        }
+
+        $review_html = "";
+        if ($attributes["showReview"] ?? true) {
+            $review = has_excerpt($post_id)
+                ? get_the_excerpt($post)
+                : wp_trim_words(wp_strip_all_tags(strip_shortcodes($post->post_content)), 55);
+            if ($review !== "") {
+                $review_html = sprintf('<div class="movie-review">%s</div>', wpautop(esc_html($review)));
+            }
+        }
+
+        $title = esc_html(get_the_title($post_id));
+        if (!empty($meta_data["year"])) {
+            $title .= sprintf(' <span class="movie-year">%s</span>', esc_html($meta_data["year"]));
+        }
+
+        return sprintf(
+            '<div %1$s>
+                <div class="movie-item movie-feature layout-%2$s">
+                    %3$s
+                    <div class="movie-details">
+                        <h3 class="movie-title"><a href="%4$s">%5$s</a></h3>
+                        <div class="movie-meta">%6$s</div>
+                        %7$s
+                        %8$s
+                    </div>
+                </div>
+            </div>',
+            get_block_wrapper_attributes(),
+            esc_attr($layout),
+            wp_kses_post($this->get_movie_poster($post_id, self::MOVIE_POSTER_SIZE)),
+            esc_url(get_permalink($post_id)),
+            $title,
+            wp_kses_post($meta_html),
+            wp_kses_post($review_html),
+            wp_kses_post($this->get_movie_links($display_options, $meta_data, $post_id))
+        );
+    }
+
     /**
      * Get movies query based on block attributes
      *
@@ -381,6 +1191,17 @@ class Letterboxd_Movie_Block_Renderer {
             "update_post_meta_cache" => true,
         ];
 
+        // The public API never shows drafts or private movies, whoever asks
+        if ($context === "api") {
+            $args["post_status"] = "publish";
+        }
+
+        $args = $this->apply_movie_filters($args, $attributes);
+
+        if (!empty($attributes["search"])) {
+            $args["s"] = sanitize_text_field($attributes["search"]);
+        }
+
         // Define filter callback variables for later removal
         $orderby_filter = null;
         $join_filter = null;
@@ -396,11 +1217,9 @@ class Letterboxd_Movie_Block_Renderer {
 
             case "release_year":
                 // Join with terms table and order by term name
-                $args["tax_query"] = [
-                    [
-                        "taxonomy" => "movie_year",
-                        "operator" => "EXISTS",
-                    ],
+                $args["tax_query"][] = [
+                    "taxonomy" => "movie_year",
+                    "operator" => "EXISTS",
                 ];
                 $args["orderby"] = "terms";
                 $args["order"] = $attributes["order"];
@@ -422,6 +1241,52 @@ class Letterboxd_Movie_Block_Renderer {
                 add_filter("posts_join", $join_filter, 10, 2);
                 break;
 
+            case "list":
+                // Keep the order the films have on Letterboxd
+                if (!empty($args["post__in"])) {
+                    $args["orderby"] = "post__in";
+                    if (strtoupper((string) $args["order"]) === "DESC") {
+                        $args["post__in"] = array_reverse($args["post__in"]);
+                    }
+                    break;
+                }
+                // Without a list source, fall back to the watch date
+                // no break
+
+            case "last_watched":
+                // Movies imported before viewings were kept only have a watch date
+                $order = strtoupper((string) $args["order"]) === "ASC" ? "ASC" : "DESC";
+                $orderby_filter = function ($orderby, $query) use ($order) {
+                    return "COALESCE(lw.meta_value, wd.meta_value) {$order}";
+                };
+                $join_filter = function ($join, $query) {
+                    global $wpdb;
+                    $join .= " LEFT JOIN {$wpdb->postmeta} lw ON {$wpdb->posts}.ID = lw.post_id AND lw.meta_key = 'last_watched'";
+                    $join .= " LEFT JOIN {$wpdb->postmeta} wd ON {$wpdb->posts}.ID = wd.post_id AND wd.meta_key = 'watch_date'";
+                    return $join;
+                };
+
+                add_filter("posts_orderby", $orderby_filter, 10, 2);
+                add_filter("posts_join", $join_filter, 10, 2);
+                break;
+
+            case "rating":
+                // Unrated movies have no rating or 0, and sort as the lowest
+                $order = strtoupper((string) $args["order"]) === "ASC" ? "ASC" : "DESC";
+                $orderby_filter = function ($orderby, $query) use ($order) {
+                    global $wpdb;
+                    return "CAST(COALESCE(rt.meta_value, '0') AS DECIMAL(2,1)) {$order}, {$wpdb->posts}.post_date DESC";
+                };
+                $join_filter = function ($join, $query) {
+                    global $wpdb;
+                    $join .= " LEFT JOIN {$wpdb->postmeta} rt ON {$wpdb->posts}.ID = rt.post_id AND rt.meta_key = 'movie_rating'";
+                    return $join;
+                };
+
+                add_filter("posts_orderby", $orderby_filter, 10, 2);
+                add_filter("posts_join", $join_filter, 10, 2);
+                break;
+
             case "watch_date":
             default:
                 $args["meta_key"] = "watch_date";
@@ -432,13 +1297,11 @@ class Letterboxd_Movie_Block_Renderer {
         $query = new WP_Query($args);
 
         // Remove the filters if they were added
-        if (($attributes["orderby"] ?? "") === "release_year") {
-            if ($orderby_filter !== null) {
-                remove_filter("posts_orderby", $orderby_filter, 10);
-            }
-            if ($join_filter !== null) {
-                remove_filter("posts_join", $join_filter, 10);
-            }
+        if ($orderby_filter !== null) {
+            remove_filter("posts_orderby", $orderby_filter, 10);
+        }
+        if ($join_filter !== null) {
+            remove_filter("posts_join", $join_filter, 10);
         }
 
         // Cache the query
@@ -452,6 +1315,139 @@ class Letterboxd_Movie_Block_Renderer {
         return $query;
     }
 
+    /**
+     * Add the block's filter attributes to the query arguments
+     *
+     * @param array $args       WP_Query arguments
+     * @param array $attributes Block attributes
+     * @return array Query arguments with tax_query/meta_query filters
+     */
+    private function apply_movie_filters(array $args, array $attributes): array {
+        $tax_query = [];
+        $meta_query = [];
+
+        // Release years (movie_year term slugs)
+        $years = array_filter(
+            array_map("sanitize_title", (array) ($attributes["years"] ?? []))
+        );
+        if (!empty($years)) {
+            $tax_query[] = [
+                "taxonomy" => "movie_year",
+                "field" => "slug",
+                "terms" => array_values($years),
+            ];
+        }
+
+        // Genres and production countries (term names)
+        $term_filters = [
+            "movie_genre" => $attributes["genres"] ?? [],
+            "movie_country" => $attributes["countries"] ?? [],
+        ];
+        foreach ($term_filters as $taxonomy => $names) {
+            $names = array_filter(array_map("sanitize_text_field", (array) $names));
+            if (!empty($names)) {
+                $tax_query[] = [
+                    "taxonomy" => $taxonomy,
+                    "field" => "name",
+                    "terms" => array_values($names),
+                ];
+            }
+        }
+
+        // Rating range in half-star steps
+        $min_rating = isset($attributes["minRating"])
+            ? max(0.0, (float) $attributes["minRating"])
+            : 0.0;
+        $max_rating = isset($attributes["maxRating"])
+            ? min(5.0, (float) $attributes["maxRating"])
+            : 5.0;
+        if ($min_rating > 0 || $max_rating < 5) {
+            $meta_query[] = [
+                "key" => "movie_rating",
+                "value" => [max(0.5, $min_rating), $max_rating],
+                "compare" => "BETWEEN",
+                "type" => "DECIMAL(2,1)",
+            ];
+        }
+
+        // Watch date range, either relative or fixed dates
+        $watched_after = $attributes["watchedAfter"] ?? "";
+        $watched_before = $attributes["watchedBefore"] ?? "";
+        $watched_range = (string) ($attributes["watchedRange"] ?? "");
+        if ($watched_range !== "" && in_array($watched_range, self::WATCHED_RANGES, true)) {
+            $range = letterboxd_resolve_date_range($watched_range);
+            $watched_after = $range["start"];
+            $watched_before = $range["end"];
+        }
+
+        if ($watched_after !== "" && $this->validate_filter_date($watched_after)) {
+            $meta_query[] = [
+                "key" => "watch_date",
+                "value" => $watched_after,
+                "compare" => ">=",
+                "type" => "DATE",
+            ];
+        }
+
+        if ($watched_before !== "" && $this->validate_filter_date($watched_before)) {
+            $meta_query[] = [
+                "key" => "watch_date",
+                "value" => $watched_before,
+                "compare" => "<=",
+                "type" => "DATE",
+            ];
+        }
+
+        // Director (partial match so co-directed films are included)
+        $director = sanitize_text_field($attributes["director"] ?? "");
+        if ($director !== "") {
+            $meta_query[] = [
+                "key" => "director",
+                "value" => $director,
+                "compare" => "LIKE",
+            ];
+        }
+
+        // Letterboxd account. A watchlist source already belongs to one account.
+        $account = sanitize_key($attributes["account"] ?? "");
+        $source = (string) ($attributes["source"] ?? "");
+        if ($account !== "" && $source !== "watchlist") {
+            $meta_query[] = letterboxd_account_meta_query($account);
+        }
+
+        // Source: the diary, or the films of an imported list in list order
+        if ($source !== "" && $this->validate_source($source)) {
+            $term = $this->get_source_term($attributes);
+            $post_ids = $term
+                ? array_filter(array_map("intval", (array) get_term_meta($term->term_id, Letterboxd_Movie_Post_Type::LIST_ORDER_META, true)))
+                : [];
+
+            $tax_query[] = [
+                "taxonomy" => Letterboxd_Movie_Post_Type::LIST_TAXONOMY,
+                "field" => "term_id",
+                "terms" => $term ? [$term->term_id] : [0],
+            ];
+            $args["post__in"] = !empty($post_ids) ? array_values($post_ids) : [0];
+        } else {
+            // Films only known from a list or watchlist haven't been watched
+            $meta_query[] = [
+                "key" => "watch_status",
+                "compare" => "NOT EXISTS",
+            ];
+        }
+
+        if (!empty($tax_query)) {
+            $args["tax_query"] = $tax_query;
+        }
+
+        if (!empty($meta_query)) {
+            $meta_query["relation"] = "AND";
+            $args["meta_query"] = $meta_query;
+        }
+
+        return $args;
+    }
+
     /**
      * Render pagination for movie grid
      *
@@ -499,7 +1495,20 @@ class Letterboxd_Movie_Block_Renderer {
     }
 
     /**
-     * Render a collection of movies in either grid or list format
+     * Map a block display mode to a collection layout
+     *
+     * @param string $display_mode Block displayMode attribute
+     * @return string Layout: grid, list, carousel or calendar
+     */
+    private function get_layout(string $display_mode): string {
+        if (in_array($display_mode, ["list", "carousel", "calendar"], true)) {
+            return $display_mode;
+        }
+        return "grid";
+    }
+
+    /**
+     * Render a collection of movies in grid, list, carousel or calendar format
      *
      * @param WP_Query $query      The WordPress query with movie posts
      * @param array    $attributes Display attributes (layout, columns, etc.)
@@ -509,17 +1518,28 @@ class Letterboxd_Movie_Block_Renderer {
         WP_Query $query,
         array $attributes
     ): string {
-        ob_start();
-
         // Layout type (grid or list)
         $layout = isset($attributes["layout"]) ? $attributes["layout"] : "grid";
 
+        // A calendar shows its month or year even when nothing was watched
+        if ($layout === "calendar") {
+            return $this->render_calendar($query, $attributes);
+        }
+
+        ob_start();
+
         if ($query->have_posts()) {
             // Container class based on layout
             $container_class = $layout === "list" ? "movie-list" : "movie-grid";
 
             // Add columns attribute for grid layout
-            if ($layout === "grid") {
+            if ($layout === "carousel") {
+                printf(
+                    '<div class="movie-carousel" role="region" aria-roledescription="%s" aria-label="%s" tabindex="0">',
+                    esc_attr__("carousel", "letterboxd-connect"),
+                    esc_attr__("Movies", "letterboxd-connect")
+                );
+            } elseif ($layout === "grid") {
                 $columns = isset($attributes["columns"])
                     ? intval($attributes["columns"])
                     : 3;
@@ -538,6 +1558,12 @@ class Letterboxd_Movie_Block_Renderer {
                 "showRating" => $attributes["showRating"] ?? true,
                 "showStreamingLink" => $attributes["showStreamingLink"] ?? true,
                 "showExternalLinks" => $attributes["showExternalLinks"] ?? true,
+                "showRewatchBadge" => $attributes["showRewatchBadge"] ?? false,
+                "showReviewExcerpt" => $attributes["showReviewExcerpt"] ?? false,
+                "showRuntime" => $attributes["showRuntime"] ?? false,
+                "showCast" => $attributes["showCast"] ?? false,
+                "showProviderBadges" => $attributes["showProviderBadges"] ?? false,
+                "openInModal" => $attributes["openInModal"] ?? false,
             ];
 
             // Render each movie item
@@ -551,6 +1577,14 @@ class Letterboxd_Movie_Block_Renderer {
             }
 
             echo "</div>";
+
+            // TMDB's terms require crediting JustWatch for provider data
+            if (!empty($attributes["showProviderBadges"])) {
+                printf(
+                    '<p class="movie-providers-attribution">%s</p>',
+                    esc_html__("Streaming data from JustWatch via TMDB.", "letterboxd-connect")
+                );
+            }
         } else {
             echo '<p class="no-movies">' .
                 esc_html__("No movies found.", "letterboxd-connect") .
@@ -561,6 +1595,358 @@ class Letterboxd_Movie_Block_Renderer {
         return ob_get_clean();
     }
 
+    /**
+     * Resolve the month (YYYY-MM) or year (YYYY) a calendar grid shows
+     *
+     * @param array  $attributes Block attributes with "calendarView"
+     * @param string $requested  Period asked for in the URL or request, if any
+     * @return string The requested period when valid, else the current month or year
+     */
+    private function get_calendar_period(array $attributes, string $requested = ""): string {
+        if (preg_match('/^\d{4}(-(0[1-9]|1[0-2]))?$/', $requested)) {
+            return $requested;
+        }
+
+        return ($attributes["calendarView"] ?? "month") === "year"
+            ? wp_date("Y")
+            : wp_date("Y-m");
+    }
+
+    /**
+     * Query the movies watched during a calendar period, oldest first
+     *
+     * The block's own filters still apply, so a calendar limited to a genre
+     * or rating only shows those films.
+     *
+     * @param array  $attributes Block attributes
+     * @param string $period     Month (YYYY-MM) or year (YYYY)
+     * @param string $context    "front" or "edit"
+     * @return WP_Query Every movie watched in the period
+     */
+    private function get_calendar_query(
+        array $attributes,
+        string $period,
+        string $context = "front"
+    ): WP_Query {
+        $cache_key = "movie_calendar_" . md5(serialize($attributes) . $period) . "_" . $context;
+        $cached_query = wp_cache_get($cache_key, self::CACHE_GROUP);
+        if ($cached_query !== false) {
+            return $cached_query;
+        }
+
+        $is_year = strlen($period) === 4;
+        $start = $is_year ? "{$period}-01-01" : "{$period}-01";
+        $end = $is_year ? "{$period}-12-31" : gmdate("Y-m-t", strtotime($start));
+
+        $args = $this->apply_movie_filters([
+            "post_type" => "movie",
+            "posts_per_page" => -1,
+            "no_found_rows" => true,
+            "meta_key" => "watch_date",
+            "orderby" => "meta_value",
+            "order" => "ASC",
+        ], $attributes);
+
+        // Films first watched by the end of the period and last watched after
+        // its start, as a rewatch may fall in it. Narrows any watch date
+        // filter the block already has.
+        $args["meta_query"][] = [
+            "key" => "watch_date",
+            "value" => $end,
+            "compare" => "<=",
+            "type" => "DATE",
+        ];
+        $args["meta_query"][] = [
+            "relation" => "OR",
+            [
+                "key" => "last_watched",
+                "value" => $start,
+                "compare" => ">=",
+                "type" => "DATE",
+            ],
+            // Movies imported before rewatches were kept
+            [
+                "relation" => "AND",
+                [
+                    "key" => "last_watched",
+                    "compare" => "NOT EXISTS",
+                ],
+                [
+                    "key" => "watch_date",
+                    "value" => $start,
+                    "compare" => ">=",
+                    "type" => "DATE",
+                ],
+            ],
+        ];
+        $args["meta_query"]["relation"] = "AND";
+
+        $query = new WP_Query($args);
+        wp_cache_set($cache_key, $query, self::CACHE_GROUP, self::CACHE_DURATION);
+
+        return $query;
+    }
+
+    /**
+     * Render a month calendar or a year heatmap of watched movies
+     *
+     * @param WP_Query $query      Movies watched in the period
+     * @param array    $attributes Display attributes with "calendarPeriod" and "openInModal"
+     * @return string The rendered HTML
+     */
+    private function render_calendar(WP_Query $query, array $attributes): string {
+        $period = (string) ($attributes["calendarPeriod"] ?? "");
+        if ($period === "") {
+            $period = $this->get_calendar_period([]);
+        }
+        $is_year = strlen($period) === 4;
+
+        // Group the films by the days they were watched, rewatches included
+        $days = [];
+        $viewings = 0;
+        foreach ($query->posts as $post) {
+            $post_id = is_object($post) ? $post->ID : (int) $post;
+            foreach ($this->post_type->get_viewings($post_id) as $viewing) {
+                if (strncmp($viewing["date"], $period, strlen($period)) !== 0) {
+                    continue;
+                }
+                if (!in_array($post_id, $days[$viewing["date"]] ?? [], true)) {
+                    $days[$viewing["date"]][] = $post_id;
+                }
+                $viewings++;
+            }
+        }
+
+        $summary = sprintf(
+            '<p class="movie-calendar-summary">%s</p>',
+            esc_html(sprintf(
+                /* translators: %d: Number of viewings in the month or year, rewatches included */
+                _n("%d film watched", "%d films watched", $viewings, "letterboxd-connect"),
+                $viewings
+            ))
+        );
+
+        return sprintf(
+            '<div class="movie-calendar movie-calendar-%1$s" data-period="%2$s">%3$s%4$s%5$s</div>',
+            $is_year ? "year" : "month",
+            esc_attr($period),
+            $this->render_calendar_nav($period),
+            $summary,
+            $is_year
+                ? $this->render_calendar_year($period, $days)
+                : $this->render_calendar_month($period, $days, !empty($attributes["openInModal"]))
+        );
+    }
+
+    /**
+     * Render the previous/next and month/year links of a calendar
+     *
+     * @param string $period Month (YYYY-MM) or year (YYYY) being shown
+     * @return string Navigation HTML
+     */
+    private function render_calendar_nav(string $period): string {
+        if (strlen($period) === 4) {
+            $label = $period;
+            $prev = (string) ((int) $period - 1);
+            $next = (string) ((int) $period + 1);
+            // Switch to the current month when it is in this year
+            $switch = $period === wp_date("Y") ? wp_date("Y-m") : "{$period}-01";
+            $prev_label = __("Previous year", "letterboxd-connect");
+            $next_label = __("Next year", "letterboxd-connect");
+            $switch_text = __("Month view", "letterboxd-connect");
+        } else {
+            $month = strtotime("{$period}-01");
+            $label = date_i18n("F Y", $month);
+            $prev = gmdate("Y-m", strtotime("-1 month", $month));
+            $next = gmdate("Y-m", strtotime("+1 month", $month));
+            $switch = substr($period, 0, 4);
+            $prev_label = __("Previous month", "letterboxd-connect");
+            $next_label = __("Next month", "letterboxd-connect");
+            $switch_text = __("Year view", "letterboxd-connect");
+        }
+
+        $link = function (string $target, string $class, string $text, string $label = ""): string {
+            return sprintf(
+                '<a class="%s" href="%s" data-period="%s"%s>%s</a>',
+                esc_attr($class),
+                esc_url(add_query_arg(self::CALENDAR_PARAM, $target)),
+                esc_attr($target),
+                $label !== "" ? sprintf(' aria-label="%s"', esc_attr($label)) : "",
+                esc_html($text)
+            );
+        };
+
+        return sprintf(
+            '<nav class="movie-calendar-nav" aria-label="%s">%s<h3 class="movie-calendar-label" tabindex="-1">%s</h3>%s%s</nav>',
+            esc_attr__("Calendar navigation", "letterboxd-connect"),
+            $link($prev, "movie-calendar-prev", "‹", $prev_label),
+            esc_html($label),
+            $link($next, "movie-calendar-next", "›", $next_label),
+            $link($switch, "movie-calendar-switch", $switch_text)
+        );
+    }
+
+    /**
+     * Render a month as a table with poster thumbnails on each watch date
+     *
+     * @param string $period Month (YYYY-MM)
+     * @param array  $days   Post IDs keyed by watch date (YYYY-MM-DD)
+     * @param bool   $modal  Whether posters open the details dialog
+     * @return string Table HTML
+     */
+    private function render_calendar_month(string $period, array $days, bool $modal): string {
+        global $wp_locale;
+
+        $first = strtotime("{$period}-01");
+        $week_start = (int) get_option("start_of_week", 1);
+        $offset = ((int) gmdate("w", $first) - $week_start + 7) % 7;
+
+        $head = "";
+        for ($i = 0; $i < 7; $i++) {
+            $weekday = $wp_locale->get_weekday(($week_start + $i) % 7);
+            $head .= sprintf(
+                '<th scope="col"><abbr title="%s">%s</abbr></th>',
+                esc_attr($weekday),
+                esc_html($wp_locale->get_weekday_abbrev($weekday))
+            );
+        }
+
+        $empty = '<td class="movie-calendar-empty"></td>';
+        $cells = array_fill(0, $offset, $empty);
+        $days_in_month = (int) gmdate("t", $first);
+        for ($day = 1; $day <= $days_in_month; $day++) {
+            $date = sprintf("%s-%02d", $period, $day);
+            $cells[] = $this->render_calendar_day($day, $days[$date] ?? [], $modal);
+        }
+        while (count($cells) % 7 !== 0) {
+            $cells[] = $empty;
+        }
+
+        $rows = "";
+        foreach (array_chunk($cells, 7) as $week) {
+            $rows .= "<tr>" . implode("", $week) . "</tr>";
+        }
+
+        return sprintf(
+            '<table class="movie-calendar-month"><thead><tr>%s</tr></thead><tbody>%s</tbody></table>',
+            $head,
+            $rows
+        );
+    }
+
+    /**
+     * Render one day of the month calendar
+     *
+     * @param int   $day      Day of the month
+     * @param array $post_ids Movies watched that day
+     * @param bool  $modal    Whether posters open the details dialog
+     * @return string Table cell HTML
+     */
+    private function render_calendar_day(int $day, array $post_ids, bool $modal): string {
+        if (empty($post_ids)) {
+            return sprintf('<td><span class="movie-calendar-date">%d</span></td>', $day);
+        }
+
+        $films = "";
+        foreach (array_slice($post_ids, 0, self::CALENDAR_DAY_POSTERS) as $post_id) {
+            // movie-item and data-movie-id let the details dialog open these too
+            $films .= sprintf(
+                '<li class="movie-item movie-calendar-film"%s><a href="%s" aria-label="%s">%s</a></li>',
+                $modal ? sprintf(' data-movie-id="%d"', $post_id) : "",
+                esc_url(get_permalink($post_id)),
+                esc_attr(get_the_title($post_id)),
+                wp_kses_post($this->get_movie_poster($post_id, self::MOVIE_POSTER_SIZE))
+            );
+        }
+
+        $more = count($post_ids) - self::CALENDAR_DAY_POSTERS;
+        if ($more > 0) {
+            $films .= sprintf(
+                '<li class="movie-calendar-more">%s</li>',
+                esc_html(sprintf(
+                    /* translators: %d: Number of other movies watched the same day */
+                    __("+%d more", "letterboxd-connect"),
+                    $more
+                ))
+            );
+        }
+
+        return sprintf(
+            '<td class="has-movies"><span class="movie-calendar-date">%d</span><ul class="movie-calendar-films">%s</ul></td>',
+            $day,
+            $films
+        );
+    }
+
+    /**
+     * Render a year as a heatmap of films per day, one column per week
+     *
+     * Days with films link to their month.
+     *
+     * @param string $period Year (YYYY)
+     * @param array  $days   Post IDs keyed by watch date (YYYY-MM-DD)
+     * @return string Heatmap HTML
+     */
+    private function render_calendar_year(string $period, array $days): string {
+        global $wp_locale;
+
+        $week_start = (int) get_option("start_of_week", 1);
+        $day = strtotime("{$period}-01-01");
+        $index = ((int) gmdate("w", $day) - $week_start + 7) % 7;
+        $busiest = empty($days) ? 0 : max(array_map("count", $days));
+
+        $cells = str_repeat('<span class="movie-heatmap-day is-outside"></span>', $index);
+        $months = "";
+        while (gmdate("Y", $day) === $period) {
+            $date = gmdate("Y-m-d", $day);
+            $count = count($days[$date] ?? []);
+            $label = sprintf(
+                /* translators: 1: Date, 2: Number of movies watched that day */
+                _n("%1\$s: %2\$d film", "%1\$s: %2\$d films", $count, "letterboxd-connect"),
+                date_i18n(get_option("date_format"), $day),
+                $count
+            );
+
+            if ($count > 0) {
+                $cells .= sprintf(
+                    '<a class="movie-heatmap-day" data-level="%1$d" href="%2$s" data-period="%3$s" title="%4$s" aria-label="%4$s"></a>',
+                    (int) ceil($count / $busiest * 4),
+                    esc_url(add_query_arg(self::CALENDAR_PARAM, substr($date, 0, 7))),
+                    esc_attr(substr($date, 0, 7)),
+                    esc_attr($label)
+                );
+            } else {
+                $cells .= sprintf('<span class="movie-heatmap-day" data-level="0" title="%s"></span>', esc_attr($label));
+            }
+
+            if (gmdate("j", $day) === "1") {
+                $months .= sprintf(
+                    '<span style="grid-column: %d">%s</span>',
+                    intdiv($index, 7) + 1,
+                    esc_html($wp_locale->get_month_abbrev($wp_locale->get_month(gmdate("m", $day))))
+                );
+            }
+
+            $day = strtotime("+1 day", $day);
+            $index++;
+        }
+
+        $legend = "";
+        for ($level = 0; $level <= 4; $level++) {
+            $legend .= sprintf('<span class="movie-heatmap-day" data-level="%d"></span>', $level);
+        }
+
+        return sprintf(
+            '<div class="movie-heatmap"><div class="movie-heatmap-months" aria-hidden="true">%s</div><div class="movie-heatmap-days">%s</div></div>' .
+            '<p class="movie-heatmap-legend" aria-hidden="true">%s%s%s</p>',
+            $months,
+            $cells,
+            esc_html__("Less", "letterboxd-connect"),
+            $legend,
+            esc_html__("More", "letterboxd-connect")
+        );
+    }
+
     /**
      * Returns the movie poster HTML
      *
@@ -593,8 +1979,19 @@ class Letterboxd_Movie_Block_Renderer {
 
     /**
      * Get movie title HTML
+     *
+     * @param int $post_id The post ID
+     * @param bool $modal_trigger Whether the title opens the details dialog
+     * @return string Escaped title HTML
      */
-    private function get_movie_title(int $post_id): string {
+    private function get_movie_title(int $post_id, bool $modal_trigger = false): string {
+        if ($modal_trigger) {
+            return sprintf(
+                '<h3 class="movie-title"><button type="button" class="movie-modal-trigger" aria-haspopup="dialog">%s</button></h3>',
+                esc_html(get_the_title($post_id))
+            );
+        }
+
         return sprintf(
             '<h3 class="movie-title">%s</h3>',
             esc_html(get_the_title($post_id))
@@ -667,7 +2064,7 @@ class Letterboxd_Movie_Block_Renderer {
      * Render an individual movie item (card or list item)
      *
      * @param int    $post_id The movie post ID
-     * @param string $layout  The layout type ('grid' or 'list')
+     * @param string $layout  The layout type ('grid', 'list' or 'carousel')
      */
     private function render_movie_item(
         int $post_id,
@@ -680,6 +2077,12 @@ class Letterboxd_Movie_Block_Renderer {
             "showRating" => true,
             "showStreamingLink" => true,
             "showExternalLinks" => true,
+            "showRewatchBadge" => false,
+            "showReviewExcerpt" => false,
+            "showRuntime" => false,
+            "showCast" => false,
+            "showProviderBadges" => false,
+            "openInModal" => false,
         ]);
 
         // Get all needed meta data once
@@ -690,6 +2093,13 @@ class Letterboxd_Movie_Block_Renderer {
             "imdb_id" => get_post_meta($post_id, "imdb_id", true),
             "year" => $this->get_movie_year($post_id),
             "streaming_link" => get_post_meta($post_id, "streaming_link", true),
+            "times_watched" => (int) get_post_meta($post_id, "times_watched", true),
+            "last_watched" => get_post_meta($post_id, "last_watched", true),
+            "review" => get_post_meta($post_id, "letterboxd_review", true),
+            "review_spoilers" => (bool) get_post_meta($post_id, "review_spoilers", true),
+            "runtime" => (int) get_post_meta($post_id, "runtime", true),
+            "top_cast" => get_post_meta($post_id, "top_cast", true),
+            "streaming_providers" => get_post_meta($post_id, "streaming_providers", true),
         ];
 
         // Format watch date if available
@@ -705,12 +2115,29 @@ class Letterboxd_Movie_Block_Renderer {
             );
         }
 
+        // Rewatch badge for films with more than one diary entry
+        if ($display_options["showRewatchBadge"] && $meta_data["times_watched"] > 1) {
+            $date_watched_html .= sprintf(
+                '<p class="movie-rewatch-badge" title="%s">%s</p>',
+                esc_attr(sprintf(
+                    /* translators: %s: Date of the most recent viewing */
+                    __("Last watched %s", "letterboxd-connect"),
+                    date_i18n(get_option("date_format"), strtotime($meta_data["last_watched"]))
+                )),
+                esc_html(sprintf(
+                    /* translators: %d: Number of times the movie was watched */
+                    _n("Watched %d time", "Watched %d times", $meta_data["times_watched"], "letterboxd-connect"),
+                    $meta_data["times_watched"]
+                ))
+            );
+        }
+
         // Format rating if available and option is enabled
         $rating_html = "";
         if ($display_options["showRating"] && !empty($meta_data["rating"])) {
             $rating_html = sprintf(
                 '<p class="movie-rating">%s</p>',
-                esc_html($meta_data["rating"])
+                letterboxd_render_star_rating(letterboxd_rating_to_number($meta_data["rating"]))
             );
         }
 
@@ -726,19 +2153,51 @@ class Letterboxd_Movie_Block_Renderer {
             );
         }
         
+        // Runtime and cast from TMDB, if enabled
+        if ($display_options["showRuntime"] && $meta_data["runtime"] > 0) {
+            $director_html .= sprintf(
+                '<p class="movie-runtime">%s</p>',
+                esc_html(sprintf(
+                    /* translators: %d: Runtime in minutes */
+                    __("%d min", "letterboxd-connect"),
+                    $meta_data["runtime"]
+                ))
+            );
+        }
+        if ($display_options["showCast"] && !empty($meta_data["top_cast"])) {
+            $director_html .= sprintf(
+                '<p class="movie-cast">%s</p>',
+                esc_html($meta_data["top_cast"])
+            );
+        }
+
         // Get all movie links using the new combined function
         $movie_links = $this->get_movie_links(
             $display_options,
             $meta_data,
             $post_id
         );
+
+        // Provider logos sit above the links
+        if ($display_options["showProviderBadges"]) {
+            $movie_links = $this->get_provider_badges($meta_data) . $movie_links;
+        }
+
+        // Review excerpts only fit the list layout
+        $review_html = "";
+        if ($layout === "list" && $display_options["showReviewExcerpt"]) {
+            $review_html = $this->get_review_excerpt($post_id, $meta_data);
+        }
         
         // Set the appropriate CSS class based on layout
-        $layout_class = ($layout === "grid") ? "movie-card" : "movie-list-item";
+        $layout_class = ($layout === "list") ? "movie-list-item" : "movie-card";
+        if ($layout === "carousel") {
+            $layout_class .= " movie-carousel-item";
+        }
         
         // Render using a single template with dynamic class
         printf(
-            '<div class="%1$s movie-item">
+            '<div class="%1$s movie-item"%9$s>
                 %2$s
                 <div class="movie-details">
                     %3$s
@@ -748,15 +2207,112 @@ class Letterboxd_Movie_Block_Renderer {
                         %6$s
                     </div>
                     %7$s
+                    %8$s
                 </div>
             </div>',
             esc_attr($layout_class),
             wp_kses_post($this->get_movie_poster($post_id, "movie-poster")),
-            wp_kses_post($this->get_movie_title($post_id)),
+            $this->get_movie_title($post_id, $display_options["openInModal"]), // Escaped in get_movie_title()
             wp_kses_post($date_watched_html),
             wp_kses_post($director_html),
             wp_kses_post($rating_html),
-            wp_kses_post($movie_links)
+            $review_html, // Escaped in get_review_excerpt()
+            wp_kses_post($movie_links),
+            $display_options["openInModal"] ? sprintf(' data-movie-id="%d"', $post_id) : ""
+        );
+    }
+
+    /**
+     * Build the streaming provider logos for a movie
+     *
+     * Providers are grouped by how the film can be watched in the configured
+     * watch region. Logos link to the TMDB watch page for the film.
+     *
+     * @param array $meta_data Movie metadata including streaming_providers and streaming_link
+     * @return string Badge HTML, empty when no providers are stored
+     */
+    private function get_provider_badges(array $meta_data): string {
+        $providers = json_decode((string) $meta_data["streaming_providers"], true);
+        if (!is_array($providers)) {
+            return "";
+        }
+
+        $groups = [
+            "flatrate" => __("Stream", "letterboxd-connect"),
+            "rent" => __("Rent", "letterboxd-connect"),
+            "buy" => __("Buy", "letterboxd-connect"),
+        ];
+
+        $html = "";
+        foreach ($groups as $type => $label) {
+            if (empty($providers[$type]) || !is_array($providers[$type])) {
+                continue;
+            }
+
+            $logos = "";
+            foreach ($providers[$type] as $provider) {
+                $name = (string) ($provider["provider_name"] ?? "");
+                $logo = empty($provider["logo_path"])
+                    ? sprintf('<span class="movie-provider-name">%s</span>', esc_html($name))
+                    : sprintf(
+                        '<img src="%s" alt="%s" title="%s" width="32" height="32" loading="lazy">',
+                        esc_url($provider["logo_path"]),
+                        esc_attr($name),
+                        esc_attr($name)
+                    );
+
+                $logos .= empty($meta_data["streaming_link"])
+                    ? sprintf('<li class="movie-provider">%s</li>', $logo)
+                    : sprintf(
+                        '<li class="movie-provider"><a href="%s" target="_blank" rel="noopener noreferrer">%s</a></li>',
+                        esc_url($meta_data["streaming_link"]),
+                        $logo
+                    );
+            }
+
+            $html .= sprintf(
+                '<div class="movie-provider-group provider-%s"><span class="movie-provider-type">%s</span><ul>%s</ul></div>',
+                esc_attr($type),
+                esc_html($label),
+                $logos
+            );
+        }
+
+        return $html === "" ? "" : sprintf('<div class="movie-providers">%s</div>', $html);
+    }
+
+    /**
+     * Build the review excerpt for a list item
+     *
+     * Reviews marked as containing spoilers stay hidden until the visitor
+     * reveals them (see js/movie-review.js).
+     *
+     * @param int   $post_id   The movie post ID
+     * @param array $meta_data Movie metadata including review and review_spoilers
+     * @return string Excerpt HTML, empty without a review
+     */
+    private function get_review_excerpt(int $post_id, array $meta_data): string {
+        $excerpt = wp_trim_words(wp_strip_all_tags((string) $meta_data["review"]), 40);
+        if ($excerpt === "") {
+            return "";
+        }
+
+        if (!$meta_data["review_spoilers"]) {
+            return sprintf(
+                '<div class="movie-review"><p class="movie-review-text">%s</p></div>',
+                esc_html($excerpt)
+            );
+        }
+
+        $id = "movie-review-" . $post_id . "-" . wp_rand(1000, 9999);
+        return sprintf(
+            '<div class="movie-review has-spoilers">
+                <button type="button" class="movie-review-reveal" aria-expanded="false" aria-controls="%1$s">%2$s</button>
+                <p class="movie-review-text" id="%1$s" hidden>%3$s</p>
+            </div>',
+            esc_attr($id),
+            esc_html__("This review contains spoilers. Show review", "letterboxd-connect"),
+            esc_html($excerpt)
         );
     }
 
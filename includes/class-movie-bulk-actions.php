@@ -0,0 +1,479 @@
+<?php
+/**
+ * Bulk actions for the movies list table
+ *
+ * Selected movies are processed in small batches through the REST API, so a
+ * large selection doesn't time out. Without JavaScript the list table submits
+ * the action as usual and every movie is processed in that one request.
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Movie_Bulk_Actions {
+    /**
+     * REST namespace shared with the rest of the plugin
+     */
+    private const REST_NAMESPACE = "letterboxd-connect/v1";
+
+    /**
+     * Movies processed per REST request
+     */
+    private const BATCH_SIZE = 5;
+
+    /**
+     * Statuses the list table can move movies to
+     */
+    private const STATUSES = ["publish", "draft", "private"];
+
+    /**
+     * @var Letterboxd_Importer
+     */
+    private Letterboxd_Importer $importer;
+
+    /**
+     * @var Letterboxd_TMDB_Handler|null Created when a TMDB action runs
+     */
+    private ?Letterboxd_TMDB_Handler $tmdb_handler = null;
+
+    /**
+     * Initialize the bulk actions
+     *
+     * @param Letterboxd_Importer $importer Importer used to download posters
+     */
+    public function __construct(Letterboxd_Importer $importer) {
+        $this->importer = $importer;
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks(): void {
+        add_action("rest_api_init", [$this, "register_rest_routes"]);
+
+        if (is_admin()) {
+            add_filter("bulk_actions-edit-movie", [$this, "add_bulk_actions"]);
+            add_filter("handle_bulk_actions-edit-movie", [$this, "handle_bulk_action"], 10, 3);
+            add_filter("removable_query_args", [$this, "removable_query_args"]);
+            add_action("admin_notices", [$this, "display_notice"]);
+            add_action("admin_enqueue_scripts", [$this, "enqueue_assets"]);
+            add_action("admin_footer-edit.php", [$this, "render_progress_dialog"]);
+        }
+    }
+
+    /**
+     * Bulk action labels keyed by action name
+     */
+    private function get_actions(): array {
+        return [
+            "letterboxd_refresh_tmdb" => __("Refresh TMDB Data", "letterboxd-connect"),
+            "letterboxd_refresh_poster" => __("Re-download Poster", "letterboxd-connect"),
+            "letterboxd_clear_tmdb_match" => __("Clear TMDB Match", "letterboxd-connect"),
+            "letterboxd_status_publish" => __("Change Status to Published", "letterboxd-connect"),
+            "letterboxd_status_draft" => __("Change Status to Draft", "letterboxd-connect"),
+            "letterboxd_status_private" => __("Change Status to Private", "letterboxd-connect"),
+        ];
+    }
+
+    /**
+     * Add the movie actions to the list table's bulk actions menu
+     *
+     * @param array $actions Bulk actions keyed by name
+     * @return array Bulk actions
+     */
+    public function add_bulk_actions(array $actions): array {
+        $movie_actions = $this->get_actions();
+        if (!$this->can_publish()) {
+            unset($movie_actions["letterboxd_status_publish"]);
+        }
+
+        return array_merge($actions, $movie_actions);
+    }
+
+    /**
+     * Register the batch endpoint
+     */
+    public function register_rest_routes(): void {
+        register_rest_route(self::REST_NAMESPACE, "/movies/bulk", [
+            "methods" => "POST",
+            "callback" => [$this, "process_batch"],
+            "permission_callback" => [$this, "can_run_action"],
+            "args" => [
+                "action" => [
+                    "type" => "string",
+                    "required" => true,
+                    "enum" => array_keys($this->get_actions()),
+                ],
+                "ids" => [
+                    "type" => "array",
+                    "required" => true,
+                    "items" => [
+                        "type" => "integer",
+                        "minimum" => 1,
+                    ],
+                    "minItems" => 1,
+                    "maxItems" => self::BATCH_SIZE,
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Movie editors may run actions; publishing needs the publish capability
+     *
+     * Whether each movie may be edited is checked when it is processed.
+     *
+     * @param WP_REST_Request $request Request with the action
+     * @return bool Whether the request is allowed
+     */
+    public function can_run_action(WP_REST_Request $request): bool {
+        if ($request["action"] === "letterboxd_status_publish") {
+            return $this->can_publish();
+        }
+
+        return current_user_can("edit_movies");
+    }
+
+    /**
+     * Run an action on one batch of movies
+     *
+     * @param WP_REST_Request $request Request with action and ids
+     * @return WP_REST_Response|WP_Error Outcome per movie, or why nothing ran
+     */
+    public function process_batch(WP_REST_Request $request): WP_REST_Response|WP_Error {
+        $action = (string) $request["action"];
+        $post_ids = array_values(array_unique(array_map("intval", (array) $request["ids"])));
+
+        if ($this->is_tmdb_action($action) && !$this->get_tmdb_handler()->is_api_key_configured()) {
+            return new WP_Error(
+                "tmdb_not_configured",
+                __("TMDB API key is not configured.", "letterboxd-connect"),
+                ["status" => 400]
+            );
+        }
+
+        $items = [];
+        foreach ($this->run_action($action, $post_ids) as $post_id => $item) {
+            $items[] = [
+                "id" => $post_id,
+                "title" => get_the_title($post_id),
+            ] + $item;
+        }
+
+        return new WP_REST_Response(["items" => $items]);
+    }
+
+    /**
+     * Run an action on movies the current user may edit
+     *
+     * @param string $action Bulk action name
+     * @param int[] $post_ids Movie post IDs
+     * @return array Outcome (updated, skipped or failed) and reason keyed by post ID
+     */
+    private function run_action(string $action, array $post_ids): array {
+        $results = [];
+        $allowed = [];
+
+        foreach ($post_ids as $post_id) {
+            if (get_post_type($post_id) !== "movie" || !current_user_can("edit_post", $post_id)) {
+                $results[$post_id] = [
+                    "outcome" => "failed",
+                    "reason" => __("You are not allowed to edit this movie.", "letterboxd-connect"),
+                ];
+            } else {
+                $allowed[] = $post_id;
+            }
+        }
+
+        if ($action === "letterboxd_refresh_tmdb") {
+            return $results + $this->refresh_tmdb($allowed);
+        }
+
+        foreach ($allowed as $post_id) {
+            $results[$post_id] = match ($action) {
+                "letterboxd_refresh_poster" => $this->refresh_poster($post_id),
+                "letterboxd_clear_tmdb_match" => $this->clear_tmdb_match($post_id),
+                default => $this->change_status($post_id, substr($action, strlen("letterboxd_status_"))),
+            };
+        }
+
+        return $results;
+    }
+
+    /**
+     * Fetch TMDB details and streaming providers again
+     *
+     * @param int[] $post_ids Movie post IDs
+     * @return array Outcome and reason keyed by post ID
+     */
+    private function refresh_tmdb(array $post_ids): array {
+        if (empty($post_ids)) {
+            return [];
+        }
+
+        $tmdb_handler = $this->get_tmdb_handler();
+        $region = $tmdb_handler->get_streaming_region();
+        $metadata = $tmdb_handler->batch_update_movie_metadata($post_ids, $region);
+        $tmdb_handler->batch_update_streaming_providers($post_ids, $region);
+
+        $results = [];
+        foreach ($post_ids as $post_id) {
+            $results[$post_id] = $metadata["items"][$post_id] ?? [
+                "outcome" => "failed",
+                "reason" => (string) ($metadata["errors"][0] ?? __("TMDB update failed", "letterboxd-connect")),
+            ];
+        }
+
+        return $results;
+    }
+
+    /**
+     * Download the poster again and make it the featured image
+     *
+     * Letterboxd's poster is used when the movie has one, TMDB's otherwise.
+     * The previous poster is deleted when it was uploaded for this movie.
+     *
+     * @param int $post_id Movie post ID
+     * @return array Outcome and reason
+     */
+    private function refresh_poster(int $post_id): array {
+        $poster_url = (string) get_post_meta($post_id, "poster_url", true);
+        $poster_path = (string) get_post_meta($post_id, "tmdb_poster_path", true);
+        if ($poster_url === "" && $poster_path !== "") {
+            $poster_url = $this->get_tmdb_handler()->get_image_url($poster_path, "original");
+        }
+
+        if ($poster_url === "") {
+            return [
+                "outcome" => "skipped",
+                "reason" => __("No poster found for this movie", "letterboxd-connect"),
+            ];
+        }
+
+        $previous_id = (int) get_post_thumbnail_id($post_id);
+        $attachment_id = $this->importer->handle_poster_import($post_id, $poster_url);
+        if (is_wp_error($attachment_id)) {
+            return ["outcome" => "failed", "reason" => $attachment_id->get_error_message()];
+        }
+
+        if ($previous_id && $previous_id !== $attachment_id && (int) get_post_field("post_parent", $previous_id) === $post_id) {
+            wp_delete_attachment($previous_id, true);
+        }
+
+        return ["outcome" => "updated", "reason" => ""];
+    }
+
+    /**
+     * Forget the TMDB match so the next update searches again
+     *
+     * @param int $post_id Movie post ID
+     * @return array Outcome and reason
+     */
+    private function clear_tmdb_match(int $post_id): array {
+        if (!$this->get_tmdb_handler()->get_movie_match($post_id)["tmdb_id"]) {
+            return [
+                "outcome" => "skipped",
+                "reason" => __("Not matched to a TMDB film", "letterboxd-connect"),
+            ];
+        }
+
+        $this->get_tmdb_handler()->clear_movie_match($post_id);
+
+        return ["outcome" => "updated", "reason" => ""];
+    }
+
+    /**
+     * Move a movie to another status
+     *
+     * @param int $post_id Movie post ID
+     * @param string $status Target status
+     * @return array Outcome and reason
+     */
+    private function change_status(int $post_id, string $status): array {
+        if (!in_array($status, self::STATUSES, true)) {
+            return [
+                "outcome" => "failed",
+                "reason" => __("Unknown status", "letterboxd-connect"),
+            ];
+        }
+
+        if (get_post_status($post_id) === $status) {
+            return [
+                "outcome" => "skipped",
+                "reason" => __("Already has this status", "letterboxd-connect"),
+            ];
+        }
+
+        $result = wp_update_post(["ID" => $post_id, "post_status" => $status], true);
+        if (is_wp_error($result)) {
+            return ["outcome" => "failed", "reason" => $result->get_error_message()];
+        }
+
+        return ["outcome" => "updated", "reason" => ""];
+    }
+
+    /**
+     * Process a bulk action submitted without JavaScript
+     *
+     * @param string $redirect_to URL to return to
+     * @param string $action Bulk action name
+     * @param array $post_ids Selected post IDs
+     * @return string URL with the result counts
+     */
+    public function handle_bulk_action(string $redirect_to, string $action, array $post_ids): string {
+        if (!isset($this->get_actions()[$action])) {
+            return $redirect_to;
+        }
+
+        $allowed = $action === "letterboxd_status_publish" ? $this->can_publish() : current_user_can("edit_movies");
+        if (!$allowed) {
+            wp_die(esc_html__("You do not have sufficient permissions to perform this action.", "letterboxd-connect"));
+        }
+
+        $post_ids = array_map("intval", $post_ids);
+        if ($this->is_tmdb_action($action) && !$this->get_tmdb_handler()->is_api_key_configured()) {
+            $results = array_fill_keys($post_ids, ["outcome" => "failed"]);
+        } else {
+            $results = $this->run_action($action, $post_ids);
+        }
+        $outcomes = array_count_values(array_column($results, "outcome"));
+
+        return add_query_arg([
+            "letterboxd_bulk" => $action,
+            "letterboxd_updated" => $outcomes["updated"] ?? 0,
+            "letterboxd_skipped" => $outcomes["skipped"] ?? 0,
+            "letterboxd_failed" => $outcomes["failed"] ?? 0,
+        ], $redirect_to);
+    }
+
+    /**
+     * Drop the result counts from the URL once the notice was shown
+     *
+     * @param array $args Removable query arguments
+     * @return array Removable query arguments
+     */
+    public function removable_query_args(array $args): array {
+        return array_merge($args, ["letterboxd_bulk", "letterboxd_updated", "letterboxd_skipped", "letterboxd_failed"]);
+    }
+
+    /**
+     * Report the result of a bulk action submitted without JavaScript
+     */
+    public function display_notice(): void {
+        $action = isset($_GET["letterboxd_bulk"]) ? sanitize_key(wp_unslash($_GET["letterboxd_bulk"])) : "";
+        $label = $this->get_actions()[$action] ?? "";
+        if ($label === "" || !$this->is_movie_list_screen()) {
+            return;
+        }
+
+        $failed = absint($_GET["letterboxd_failed"] ?? 0);
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            $failed ? "warning" : "success",
+            esc_html(sprintf(
+                /* translators: 1: Bulk action, 2: Updated count, 3: Skipped count, 4: Failed count */
+                __('%1$s: %2$d updated, %3$d skipped, %4$d failed.', "letterboxd-connect"),
+                $label,
+                absint($_GET["letterboxd_updated"] ?? 0),
+                absint($_GET["letterboxd_skipped"] ?? 0),
+                $failed
+            ))
+        );
+    }
+
+    /**
+     * Enqueue the batch runner on the movies list
+     *
+     * @param string $hook_suffix Current admin page
+     */
+    public function enqueue_assets(string $hook_suffix): void {
+        if ($hook_suffix !== "edit.php" || !$this->is_movie_list_screen()) {
+            return;
+        }
+
+        wp_enqueue_style(
+            "letterboxd-movie-bulk-actions",
+            plugins_url("css/movie-bulk-actions.css", LETTERBOXD_PLUGIN_FILE),
+            [],
+            LETTERBOXD_VERSION
+        );
+
+        wp_enqueue_script(
+            "letterboxd-movie-bulk-actions",
+            plugins_url("js/movie-bulk-actions.js", LETTERBOXD_PLUGIN_FILE),
+            ["jquery", "wp-api-fetch", "wp-i18n"],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-movie-bulk-actions", "letterboxdBulkActions", [
+            "restNamespace" => self::REST_NAMESPACE,
+            "batchSize" => self::BATCH_SIZE,
+            "actions" => $this->get_actions(),
+        ]);
+    }
+
+    /**
+     * Print the progress dialog used by the batch runner
+     */
+    public function render_progress_dialog(): void {
+        if (!$this->is_movie_list_screen()) {
+            return;
+        }
+        ?>
+        <dialog id="letterboxd-bulk-dialog" class="letterboxd-bulk-dialog" aria-labelledby="letterboxd-bulk-title">
+            <h2 id="letterboxd-bulk-title"></h2>
+            <div class="letterboxd-bulk-progress">
+                <progress id="letterboxd-bulk-progress" max="100" value="0"></progress>
+                <p id="letterboxd-bulk-status" aria-live="polite"></p>
+            </div>
+            <div id="letterboxd-bulk-errors" class="letterboxd-bulk-errors" hidden>
+                <h3><?php esc_html_e("Not processed", "letterboxd-connect"); ?></h3>
+                <ul></ul>
+            </div>
+            <p class="letterboxd-bulk-buttons">
+                <button type="button" class="button" id="letterboxd-bulk-pause"><?php esc_html_e("Pause", "letterboxd-connect"); ?></button>
+                <button type="button" class="button button-primary" id="letterboxd-bulk-close"><?php esc_html_e("Close", "letterboxd-connect"); ?></button>
+            </p>
+        </dialog>
+        <?php
+    }
+
+    /**
+     * Check whether the current screen is the movies list
+     */
+    private function is_movie_list_screen(): bool {
+        $screen = function_exists("get_current_screen") ? get_current_screen() : null;
+        return $screen && $screen->id === "edit-movie";
+    }
+
+    /**
+     * Check whether an action talks to TMDB
+     */
+    private function is_tmdb_action(string $action): bool {
+        return $action === "letterboxd_refresh_tmdb";
+    }
+
+    /**
+     * Check whether the current user may publish movies
+     */
+    private function can_publish(): bool {
+        $post_type = get_post_type_object("movie");
+        return $post_type && current_user_can($post_type->cap->publish_posts);
+    }
+
+    /**
+     * TMDB handler, created on first use
+     */
+    private function get_tmdb_handler(): Letterboxd_TMDB_Handler {
+        return $this->tmdb_handler ??= new Letterboxd_TMDB_Handler();
+    }
+}
@@ -26,8 +26,32 @@ class Letterboxd_Movie_Post_Type {
      */
     private const POST_TYPE = "movie";
     private const YEAR_TAXONOMY = "movie_year";
+    public const LIST_TAXONOMY = "movie_list";
+    public const TAG_TAXONOMY = "movie_tag";
+
+    /**
+     * Taxonomies filled from TMDB data, with their rewrite slug and the
+     * suffix of their capabilities
+     */
+    public const TMDB_TAXONOMIES = [
+        "movie_genre" => ["slug" => "movie-genre", "caps" => "movie_genres"],
+        "movie_country" => ["slug" => "movie-country", "caps" => "movie_countries"],
+        "movie_language" => ["slug" => "movie-language", "caps" => "movie_languages"],
+    ];
+    public const LIST_ORDER_META = "letterboxd_list_order";
+    public const VIEWING_META = "letterboxd_viewing";
     private const CACHE_GROUP = "letterboxd_movies";
 
+    /**
+     * Option set once ratings stored as Letterboxd stars were converted to numbers
+     */
+    private const RATINGS_MIGRATED_OPTION = "letterboxd_ratings_numeric";
+
+    /**
+     * Nesting depth of imports writing movie_rating, which must not touch the diary
+     */
+    private static int $rating_sync_paused = 0;
+
     /**
      * Cached capabilities
      */
@@ -52,6 +76,66 @@ class Letterboxd_Movie_Post_Type {
             "description" => "Movie director(s)",
             "sanitize_callback" => "sanitize_text_field",
         ],
+        "watch_date" => [
+            "type" => "string",
+            "description" => "Date of the first diary entry",
+            "sanitize_callback" => "sanitize_text_field",
+        ],
+        "streaming_link" => [
+            "type" => "string",
+            "description" => "Where to watch the movie, from TMDB",
+            "sanitize_callback" => "esc_url_raw",
+        ],
+        "letterboxd_account" => [
+            "type" => "string",
+            "description" => "Letterboxd account the movie was imported from",
+            "sanitize_callback" => "sanitize_key",
+        ],
+        "watch_status" => [
+            "type" => "string",
+            "description" => "Unwatched for list and watchlist films without a diary entry",
+            "sanitize_callback" => "sanitize_key",
+        ],
+        "letterboxd_review" => [
+            "type" => "string",
+            "description" => "Latest Letterboxd review of the movie",
+            "sanitize_callback" => "wp_kses_post",
+        ],
+        "movie_rating" => [
+            "type" => "number",
+            "description" => "Rating from 0.5 to 5 in half stars, 0 when unrated",
+            "sanitize_callback" => "letterboxd_rating_to_number",
+        ],
+        "review_spoilers" => [
+            "type" => "boolean",
+            "description" => "Whether the review is marked as containing spoilers",
+            "sanitize_callback" => "rest_sanitize_boolean",
+        ],
+        "runtime" => [
+            "type" => "integer",
+            "description" => "Runtime in minutes from TMDB",
+            "sanitize_callback" => "absint",
+        ],
+        "top_cast" => [
+            "type" => "string",
+            "description" => "Top-billed cast from TMDB, comma separated",
+            "sanitize_callback" => "sanitize_text_field",
+        ],
+        "trailer_url" => [
+            "type" => "string",
+            "description" => "Trailer URL from TMDB",
+            "sanitize_callback" => "esc_url_raw",
+        ],
+        "times_watched" => [
+            "type" => "integer",
+            "description" => "Number of diary entries for the movie",
+            "sanitize_callback" => "absint",
+        ],
+        "last_watched" => [
+            "type" => "string",
+            "description" => "Date of the most recent diary entry",
+            "sanitize_callback" => "sanitize_text_field",
+        ],
     ];
 
     /**
@@ -71,9 +155,16 @@ class Letterboxd_Movie_Post_Type {
         add_action("init", [$this, "register_post_type"]);
         add_action("init", [$this, "register_taxonomies"]);
         add_action("init", [$this, "register_meta_fields"]);
+        add_action("init", [$this, "migrate_ratings"], 20);
+        add_action("added_post_meta", [$this, "sync_latest_viewing_rating"], 10, 4);
+        add_action("updated_post_meta", [$this, "sync_latest_viewing_rating"], 10, 4);
 
         // Admin customization
         add_action("admin_head", [$this, "add_admin_styles"]);
+        add_action("enqueue_block_editor_assets", [
+            $this,
+            "enqueue_rating_panel",
+        ]);
         add_filter("enter_title_here", [$this, "modify_title_placeholder"]);
         add_filter("post_updated_messages", [
             $this,
@@ -82,6 +173,7 @@ class Letterboxd_Movie_Post_Type {
 
         // Query modifications
         add_action("pre_get_posts", [$this, "modify_archive_query"]);
+        add_filter("wp_sitemaps_posts_query_args", [$this, "exclude_unwatched_from_sitemap"], 10, 2);
 
         // REST API customization
         add_action("rest_api_init", [$this, "register_rest_fields"]);
@@ -145,7 +237,10 @@ class Letterboxd_Movie_Post_Type {
             "map_meta_cap" => true,
             "hierarchical" => false,
             "menu_position" => 5,
-            "taxonomies" => [self::YEAR_TAXONOMY],
+            "taxonomies" => array_merge(
+                [self::YEAR_TAXONOMY, self::LIST_TAXONOMY, self::TAG_TAXONOMY],
+                array_keys(self::TMDB_TAXONOMIES)
+            ),
             "show_in_nav_menus" => true,
             "show_in_admin_bar" => true,
             "query_var" => true,
@@ -323,6 +418,67 @@ class Letterboxd_Movie_Post_Type {
             "meta_box_cb" => "post_tags_meta_box",
         ]);
 
+        // Letterboxd lists and watchlists; the order of each list is kept
+        // in the term's "letterboxd_list_order" meta
+        register_taxonomy(self::LIST_TAXONOMY, self::POST_TYPE, [
+            "label" => __("Lists", "letterboxd-connect"),
+            "labels" => $this->get_list_labels(),
+            "hierarchical" => false,
+            "show_in_rest" => true,
+            "show_admin_column" => true,
+            "query_var" => true,
+            "rewrite" => ["slug" => "movie-list"],
+            "show_in_nav_menus" => true,
+            "public" => true,
+            "capabilities" => [
+                "manage_terms" => "manage_movie_lists",
+                "edit_terms" => "edit_movie_lists",
+                "delete_terms" => "delete_movie_lists",
+                "assign_terms" => "assign_movie_lists",
+            ],
+        ]);
+
+        // Tags added to diary entries on Letterboxd
+        register_taxonomy(self::TAG_TAXONOMY, self::POST_TYPE, [
+            "label" => __("Tags", "letterboxd-connect"),
+            "labels" => $this->get_tag_labels(),
+            "hierarchical" => false,
+            "show_in_rest" => true,
+            "show_admin_column" => true,
+            "query_var" => true,
+            "rewrite" => ["slug" => "movie-tag"],
+            "show_in_nav_menus" => true,
+            "public" => true,
+            "capabilities" => [
+                "manage_terms" => "manage_movie_tags",
+                "edit_terms" => "edit_movie_tags",
+                "delete_terms" => "delete_movie_tags",
+                "assign_terms" => "assign_movie_tags",
+            ],
+        ]);
+
+        // Genres, production countries and original language from TMDB
+        $tmdb_labels = $this->get_tmdb_taxonomy_labels();
+        foreach (self::TMDB_TAXONOMIES as $taxonomy => $config) {
+            register_taxonomy($taxonomy, self::POST_TYPE, [
+                "label" => $tmdb_labels[$taxonomy]["name"],
+                "labels" => $tmdb_labels[$taxonomy],
+                "hierarchical" => false,
+                "show_in_rest" => true,
+                "show_admin_column" => true,
+                "query_var" => true,
+                "rewrite" => ["slug" => $config["slug"]],
+                "show_in_nav_menus" => true,
+                "public" => true,
+                "capabilities" => [
+                    "manage_terms" => "manage_" . $config["caps"],
+                    "edit_terms" => "edit_" . $config["caps"],
+                    "delete_terms" => "delete_" . $config["caps"],
+                    "assign_terms" => "assign_" . $config["caps"],
+                ],
+            ]);
+        }
+
         $this->map_taxonomy_capabilities();
     }
 
@@ -338,6 +494,19 @@ class Letterboxd_Movie_Post_Type {
             $admin->add_cap("edit_movie_years");
             $admin->add_cap("delete_movie_years");
             $admin->add_cap("assign_movie_years");
+            $admin->add_cap("manage_movie_lists");
+            $admin->add_cap("edit_movie_lists");
+            $admin->add_cap("delete_movie_lists");
+            $admin->add_cap("assign_movie_lists");
+            $admin->add_cap("manage_movie_tags");
+            $admin->add_cap("edit_movie_tags");
+            $admin->add_cap("delete_movie_tags");
+            $admin->add_cap("assign_movie_tags");
+            foreach (self::TMDB_TAXONOMIES as $config) {
+                foreach (["manage", "edit", "delete", "assign"] as $action) {
+                    $admin->add_cap($action . "_" . $config["caps"]);
+                }
+            }
         }
 
         if ($editor) {
@@ -355,7 +524,20 @@ class Letterboxd_Movie_Post_Type {
             "edit_movie_years",
             "delete_movie_years",
             "assign_movie_years",
+            "manage_movie_lists",
+            "edit_movie_lists",
+            "delete_movie_lists",
+            "assign_movie_lists",
+            "manage_movie_tags",
+            "edit_movie_tags",
+            "delete_movie_tags",
+            "assign_movie_tags",
         ];
+        foreach (self::TMDB_TAXONOMIES as $config) {
+            foreach (["manage", "edit", "delete", "assign"] as $action) {
+                $capabilities[] = $action . "_" . $config["caps"];
+            }
+        }
 
         foreach ($roles as $role_name) {
             $role = get_role($role_name);
@@ -439,6 +621,97 @@ class Letterboxd_Movie_Post_Type {
         ];
     }
 
+    /**
+     * Get list taxonomy labels
+     */
+    private function get_list_labels(): array {
+        return [
+            "name" => _x(
+                "Lists",
+                "taxonomy general name",
+                "letterboxd-connect"
+            ),
+            "singular_name" => _x(
+                "List",
+                "taxonomy singular name",
+                "letterboxd-connect"
+            ),
+            "search_items" => __("Search Lists", "letterboxd-connect"),
+            "all_items" => __("All Lists", "letterboxd-connect"),
+            "edit_item" => __("Edit List", "letterboxd-connect"),
+            "update_item" => __("Update List", "letterboxd-connect"),
+            "add_new_item" => __("Add New List", "letterboxd-connect"),
+            "new_item_name" => __("New List", "letterboxd-connect"),
+            "menu_name" => __("Lists", "letterboxd-connect"),
+        ];
+    }
+
+    /**
+     * Get labels for the taxonomies filled from TMDB
+     */
+    private function get_tmdb_taxonomy_labels(): array {
+        return [
+            "movie_genre" => [
+                "name" => _x("Genres", "taxonomy general name", "letterboxd-connect"),
+                "singular_name" => _x("Genre", "taxonomy singular name", "letterboxd-connect"),
+                "search_items" => __("Search Genres", "letterboxd-connect"),
+                "all_items" => __("All Genres", "letterboxd-connect"),
+                "edit_item" => __("Edit Genre", "letterboxd-connect"),
+                "update_item" => __("Update Genre", "letterboxd-connect"),
+                "add_new_item" => __("Add New Genre", "letterboxd-connect"),
+                "new_item_name" => __("New Genre", "letterboxd-connect"),
+                "menu_name" => __("Genres", "letterboxd-connect"),
+            ],
+            "movie_country" => [
+                "name" => _x("Countries", "taxonomy general name", "letterboxd-connect"),
+                "singular_name" => _x("Country", "taxonomy singular name", "letterboxd-connect"),
+                "search_items" => __("Search Countries", "letterboxd-connect"),
+                "all_items" => __("All Countries", "letterboxd-connect"),
+                "edit_item" => __("Edit Country", "letterboxd-connect"),
+                "update_item" => __("Update Country", "letterboxd-connect"),
+                "add_new_item" => __("Add New Country", "letterboxd-connect"),
+                "new_item_name" => __("New Country", "letterboxd-connect"),
+                "menu_name" => __("Countries", "letterboxd-connect"),
+            ],
+            "movie_language" => [
+                "name" => _x("Languages", "taxonomy general name", "letterboxd-connect"),
+                "singular_name" => _x("Language", "taxonomy singular name", "letterboxd-connect"),
+                "search_items" => __("Search Languages", "letterboxd-connect"),
+                "all_items" => __("All Languages", "letterboxd-connect"),
+                "edit_item" => __("Edit Language", "letterboxd-connect"),
+                "update_item" => __("Update Language", "letterboxd-connect"),
+                "add_new_item" => __("Add New Language", "letterboxd-connect"),
+                "new_item_name" => __("New Language", "letterboxd-connect"),
+                "menu_name" => __("Languages", "letterboxd-connect"),
+            ],
+        ];
+    }
+
+    /**
+     * Get tag taxonomy labels
+     */
+    private function get_tag_labels(): array {
+        return [
+            "name" => _x(
+                "Tags",
+                "taxonomy general name",
+                "letterboxd-connect"
+            ),
+            "singular_name" => _x(
+                "Tag",
+                "taxonomy singular name",
+                "letterboxd-connect"
+            ),
+            "search_items" => __("Search Tags", "letterboxd-connect"),
+            "all_items" => __("All Tags", "letterboxd-connect"),
+            "edit_item" => __("Edit Tag", "letterboxd-connect"),
+            "update_item" => __("Update Tag", "letterboxd-connect"),
+            "add_new_item" => __("Add New Tag", "letterboxd-connect"),
+            "new_item_name" => __("New Tag", "letterboxd-connect"),
+            "menu_name" => __("Tags", "letterboxd-connect"),
+        ];
+    }
+
     /**
      * Example of secure taxonomy term assignment
      */
@@ -548,6 +821,28 @@ class Letterboxd_Movie_Post_Type {
                 "auth_callback" => [$this, "meta_auth_callback"],
             ]);
         }
+
+        // One entry per diary entry, managed by the importer
+        register_post_meta(self::POST_TYPE, self::VIEWING_META, [
+            "type" => "object",
+            "description" => "Letterboxd diary entry",
+            "single" => false,
+            "show_in_rest" => [
+                "schema" => [
+                    "type" => "object",
+                    "properties" => [
+                        "date" => ["type" => "string"],
+                        "rating" => ["type" => "number"],
+                        "rewatch" => ["type" => "boolean"],
+                        "review" => ["type" => "string"],
+                        "spoilers" => ["type" => "boolean"],
+                        "link" => ["type" => "string"],
+                    ],
+                ],
+            ],
+            "sanitize_callback" => [$this, "sanitize_viewing"],
+            "auth_callback" => [$this, "meta_auth_callback"],
+        ]);
     }
 
     /**
@@ -570,6 +865,39 @@ class Letterboxd_Movie_Post_Type {
         }
     }
 
+    /**
+     * Enqueue the rating panel and its star rating component when editing a movie
+     */
+    public function enqueue_rating_panel(): void {
+        $screen = function_exists("get_current_screen") ? get_current_screen() : null;
+        if (!$screen || $screen->post_type !== self::POST_TYPE) {
+            return;
+        }
+
+        wp_register_script(
+            "letterboxd-star-rating",
+            plugins_url("js/star-rating.js", LETTERBOXD_PLUGIN_FILE),
+            ["wp-element", "wp-components", "wp-compose", "wp-i18n"],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_enqueue_script(
+            "letterboxd-movie-rating-panel",
+            plugins_url("js/movie-rating-panel.js", LETTERBOXD_PLUGIN_FILE),
+            [
+                "letterboxd-star-rating",
+                "wp-plugins",
+                "wp-edit-post",
+                "wp-element",
+                "wp-data",
+                "wp-i18n",
+            ],
+            LETTERBOXD_VERSION,
+            true
+        );
+    }
+
     /**
      * Modify the title placeholder
      */
@@ -623,6 +951,9 @@ class Letterboxd_Movie_Post_Type {
     /**
      * Modify archive query
      *
+     * Films only known from a list or watchlist stay out of movie archives,
+     * search results and feeds; list archives still show them.
+     *
      * @param WP_Query $query The WordPress query object
      */
     public function modify_archive_query(WP_Query $query): void {
@@ -635,6 +966,54 @@ class Letterboxd_Movie_Post_Type {
             $query->set("orderby", "date");
             $query->set("order", "DESC");
         }
+
+        $movie_taxonomies = array_merge(
+            [self::YEAR_TAXONOMY, self::TAG_TAXONOMY],
+            array_keys(self::TMDB_TAXONOMIES)
+        );
+
+        if (
+            !$query->is_singular() &&
+            !$query->is_tax(self::LIST_TAXONOMY) &&
+            ($query->is_post_type_archive(self::POST_TYPE) ||
+                $query->is_tax($movie_taxonomies) ||
+                $query->is_search() ||
+                $query->is_feed())
+        ) {
+            $meta_query = $query->get("meta_query") ?: [];
+            $meta_query[] = self::get_watched_meta_query();
+            $query->set("meta_query", $meta_query);
+        }
+    }
+
+    /**
+     * Leave unwatched films out of the movie sitemap
+     *
+     * @param array $args Sitemap query arguments
+     * @param string $post_type Post type of the sitemap
+     * @return array Query arguments
+     */
+    public function exclude_unwatched_from_sitemap(array $args, string $post_type): array {
+        if ($post_type === self::POST_TYPE) {
+            $args["meta_query"] = (array) ($args["meta_query"] ?? []);
+            $args["meta_query"][] = self::get_watched_meta_query();
+        }
+
+        return $args;
+    }
+
+    /**
+     * Meta query clause matching watched movies
+     *
+     * List and watchlist films without a diary entry carry watch_status.
+     *
+     * @return array Meta query clause
+     */
+    public static function get_watched_meta_query(): array {
+        return [
+            "key" => "watch_status",
+            "compare" => "NOT EXISTS",
+        ];
     }
 
     /**
@@ -787,6 +1166,288 @@ class Letterboxd_Movie_Post_Type {
         return !empty($posts) ? $posts[0] : null;
     }
 
+    /**
+     * Get a movie's diary entries, oldest first
+     *
+     * Movies imported before each entry was kept return their single watch
+     * date as the only entry. Stored entries are normalized, so entries saved
+     * by older versions or through the REST API always have every field.
+     *
+     * @param int $post_id Movie post ID
+     * @return array Entries with date, rating, rewatch, review, spoilers and link
+     */
+    public function get_viewings(int $post_id): array {
+        $viewings = array_values(array_filter(
+            array_map([$this, "sanitize_viewing"], array_filter(
+                (array) get_post_meta($post_id, self::VIEWING_META),
+                "is_array"
+            )),
+            fn(array $viewing): bool => $viewing["date"] !== ""
+        ));
+
+        if (empty($viewings)) {
+            $watch_date = (string) get_post_meta($post_id, "watch_date", true);
+            if ($watch_date === "") {
+                return [];
+            }
+            $viewings[] = $this->sanitize_viewing([
+                "date" => $watch_date,
+                "rating" => get_post_meta($post_id, "movie_rating", true),
+                "link" => get_post_meta($post_id, "letterboxd_url", true),
+            ]);
+        }
+
+        usort($viewings, fn(array $a, array $b): int => strcmp($a["date"], $b["date"]));
+
+        return $viewings;
+    }
+
+    /**
+     * Add a diary entry to a movie
+     *
+     * An entry logged on the same date as an existing one replaces it, so
+     * importing the same diary twice doesn't add viewings.
+     *
+     * @param int $post_id Movie post ID
+     * @param array $viewing Entry with date, rating, rewatch, review, spoilers and link
+     * @return bool Whether the entry is new
+     */
+    public function add_viewing(int $post_id, array $viewing): bool {
+        $viewing = $this->sanitize_viewing($viewing);
+        if ($viewing["date"] === "") {
+            return false;
+        }
+
+        $is_new = true;
+        $viewings = $this->get_viewings($post_id);
+        foreach ($viewings as $index => $existing) {
+            if ($existing["date"] === $viewing["date"]) {
+                // Keep what the earlier import knew when this one leaves it out
+                $viewings[$index] = array_merge(
+                    $existing,
+                    array_filter(
+                        $viewing,
+                        fn($value, string $key): bool => $key === "rating" ? $value > 0 : $value !== "",
+                        ARRAY_FILTER_USE_BOTH
+                    )
+                );
+                $is_new = false;
+                break;
+            }
+        }
+        if ($is_new) {
+            $viewings[] = $viewing;
+        }
+
+        delete_post_meta($post_id, self::VIEWING_META);
+        foreach ($viewings as $entry) {
+            add_post_meta($post_id, self::VIEWING_META, $entry);
+        }
+
+        $this->update_viewing_summary($post_id);
+
+        return $is_new;
+    }
+
+    /**
+     * Change or remove the diary entry logged on a date
+     *
+     * Unlike add_viewing(), values are replaced even when they are empty, so
+     * a rating or review removed on Letterboxd is removed here too.
+     *
+     * @param int $post_id Movie post ID
+     * @param string $date Date of the entry (Y-m-d)
+     * @param array|null $changes Values to change, or null to remove the entry
+     * @return bool Whether an entry was logged on that date
+     */
+    public function update_viewing(int $post_id, string $date, ?array $changes): bool {
+        $viewings = $this->get_viewings($post_id);
+        $index = array_search($date, array_column($viewings, "date"), true);
+        if ($index === false) {
+            return false;
+        }
+
+        if ($changes === null) {
+            array_splice($viewings, $index, 1);
+        } else {
+            $viewings[$index] = $this->sanitize_viewing(array_merge($viewings[$index], $changes));
+        }
+
+        delete_post_meta($post_id, self::VIEWING_META);
+        foreach ($viewings as $entry) {
+            add_post_meta($post_id, self::VIEWING_META, $entry);
+        }
+
+        $this->update_viewing_summary($post_id);
+
+        // The summary only copies values that are set
+        if (isset($changes["rating"]) && empty(array_filter(array_column($viewings, "rating")))) {
+            update_post_meta($post_id, "movie_rating", 0);
+        }
+        if (isset($changes["review"]) && empty(array_filter(array_column($viewings, "review")))) {
+            delete_post_meta($post_id, "letterboxd_review");
+            delete_post_meta($post_id, "review_spoilers");
+        }
+
+        return true;
+    }
+
+    /**
+     * Store the first and last watch dates, watch count and latest rating
+     *
+     * @param int $post_id Movie post ID
+     */
+    public function update_viewing_summary(int $post_id): void {
+        $viewings = $this->get_viewings($post_id);
+        if (empty($viewings)) {
+            return;
+        }
+
+        update_post_meta($post_id, "watch_date", $viewings[0]["date"]);
+        update_post_meta($post_id, "last_watched", $viewings[count($viewings) - 1]["date"]);
+        update_post_meta($post_id, "times_watched", count($viewings));
+
+        $ratings = array_filter(array_column($viewings, "rating"), fn($rating): bool => $rating > 0);
+        if (!empty($ratings)) {
+            update_post_meta($post_id, "movie_rating", end($ratings));
+        }
+
+        $reviewed = array_filter($viewings, fn(array $viewing): bool => $viewing["review"] !== "");
+        if (!empty($reviewed)) {
+            $latest = end($reviewed);
+            update_post_meta($post_id, "letterboxd_review", $latest["review"]);
+            update_post_meta($post_id, "review_spoilers", $latest["spoilers"]);
+        }
+    }
+
+    /**
+     * Give the latest diary entry a rating changed in the editor
+     *
+     * Exports and the calendar feed read ratings from the diary entries, and
+     * the next import would otherwise put the old rating back.
+     *
+     * @param int    $meta_id    Meta ID, unused
+     * @param int    $post_id    Post ID
+     * @param string $meta_key   Meta key
+     * @param mixed  $meta_value New value
+     */
+    public function sync_latest_viewing_rating($meta_id, $post_id, $meta_key, $meta_value): void {
+        if (
+            self::$rating_sync_paused > 0 ||
+            $meta_key !== "movie_rating" ||
+            get_post_type((int) $post_id) !== self::POST_TYPE
+        ) {
+            return;
+        }
+
+        $viewings = array_values(array_filter(
+            (array) get_post_meta((int) $post_id, self::VIEWING_META),
+            "is_array"
+        ));
+        if (empty($viewings)) {
+            return;
+        }
+
+        // Raw entries, so update_post_meta() can match the stored value
+        usort($viewings, fn(array $a, array $b): int => strcmp((string) ($a["date"] ?? ""), (string) ($b["date"] ?? "")));
+        $rating = letterboxd_rating_to_number($meta_value);
+
+        // The movie shows the latest rated entry, which may not be the latest entry
+        $rated = array_filter($viewings, fn(array $viewing): bool => letterboxd_rating_to_number($viewing["rating"] ?? "") > 0);
+        $current = empty($rated) ? 0.0 : letterboxd_rating_to_number(end($rated)["rating"]);
+        if ($current === $rating) {
+            return;
+        }
+
+        $latest = count($viewings) - 1;
+
+        update_post_meta(
+            (int) $post_id,
+            self::VIEWING_META,
+            array_merge($viewings[$latest], ["rating" => $rating]),
+            $viewings[$latest]
+        );
+    }
+
+    /**
+     * Write movie meta without copying movie_rating into the diary
+     *
+     * Imports store each entry's own rating in its viewing, so a rating the
+     * importer writes must not overwrite the latest entry's rating.
+     *
+     * @param callable $callback Code that writes the meta
+     * @return mixed What the callback returns
+     */
+    public static function without_rating_sync(callable $callback): mixed {
+        self::$rating_sync_paused++;
+        try {
+            return $callback();
+        } finally {
+            self::$rating_sync_paused--;
+        }
+    }
+
+    /**
+     * Convert ratings stored as Letterboxd stars ("★★★½") to numbers
+     *
+     * Runs once, for sites that imported films before ratings were numeric.
+     * Covers both the movie's rating and the rating of each diary entry.
+     */
+    public function migrate_ratings(): void {
+        if (get_option(self::RATINGS_MIGRATED_OPTION)) {
+            return;
+        }
+
+        global $wpdb;
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT meta_id, meta_key, meta_value FROM {$wpdb->postmeta} WHERE meta_key IN (%s, %s)",
+            "movie_rating",
+            self::VIEWING_META
+        ));
+
+        $converted = 0;
+        foreach ($rows as $row) {
+            if ($row->meta_key === "movie_rating") {
+                $value = letterboxd_rating_to_number($row->meta_value);
+                if ((string) $value === $row->meta_value) {
+                    continue;
+                }
+            } else {
+                $value = maybe_unserialize($row->meta_value);
+                if (!is_array($value) || is_float($value["rating"] ?? null)) {
+                    continue;
+                }
+                $value["rating"] = letterboxd_rating_to_number($value["rating"] ?? "");
+            }
+
+            update_metadata_by_mid("post", (int) $row->meta_id, $value);
+            $converted++;
+        }
+
+        update_option(self::RATINGS_MIGRATED_OPTION, 1);
+        $this->debug_log(sprintf("Converted %d stored ratings to numbers", $converted));
+    }
+
+    /**
+     * Sanitize a diary entry
+     *
+     * @param mixed $viewing Raw entry
+     * @return array Entry with date (Y-m-d or empty), rating, rewatch, review, spoilers and link
+     */
+    public function sanitize_viewing($viewing): array {
+        $viewing = is_array($viewing) ? $viewing : [];
+        $timestamp = strtotime((string) ($viewing["date"] ?? ""));
+
+        return [
+            "date" => $timestamp ? gmdate("Y-m-d", $timestamp) : "",
+            "rating" => letterboxd_rating_to_number($viewing["rating"] ?? ""),
+            "rewatch" => !empty($viewing["rewatch"]),
+            "review" => wp_kses_post((string) ($viewing["review"] ?? "")),
+            "spoilers" => !empty($viewing["spoilers"]),
+            "link" => esc_url_raw((string) ($viewing["link"] ?? "")),
+        ];
+    }
+
     /**
      * Check if a movie exists by its Letterboxd URL
      *
@@ -0,0 +1,462 @@
+<?php
+/**
+ * Class to handle the Movie Stats block
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Movie_Stats_Block {
+    /**
+     * Block-related constants
+     */
+    private const BLOCK_NAME = "letterboxd-connect/movie-stats";
+    private const CACHE_GROUP = "letterboxd_stats";
+    private const CACHE_DURATION = 3600; // 1 hour
+    private const MAX_MONTHS = 24;
+
+    /**
+     * @var Letterboxd_Movie_Post_Type
+     */
+    private Letterboxd_Movie_Post_Type $post_type;
+
+    /**
+     * Initialize the block functionality
+     *
+     * @param Letterboxd_Movie_Post_Type $post_type Reads the viewings of a movie
+     */
+    public function __construct(Letterboxd_Movie_Post_Type $post_type) {
+        $this->post_type = $post_type;
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks(): void {
+        add_action("init", [$this, "register_block"]);
+
+        if (is_admin()) {
+            add_action("enqueue_block_editor_assets", [
+                $this,
+                "enqueue_editor_assets",
+            ]);
+        }
+        add_action("enqueue_block_assets", [$this, "enqueue_block_assets"]);
+
+        // Any change to the diary invalidates the stats
+        add_action("save_post_movie", [$this, "clear_stats_cache"]);
+        add_action("deleted_post", [$this, "clear_stats_cache"]);
+        add_action("edited_movie_year", [$this, "clear_stats_cache"]);
+        add_action("added_post_meta", [$this, "clear_stats_cache_for_viewing"], 10, 3);
+        add_action("deleted_post_meta", [$this, "clear_stats_cache_for_viewing"], 10, 3);
+    }
+
+    /**
+     * Register the movie stats block
+     */
+    public function register_block(): void {
+        if (!function_exists("register_block_type")) {
+            return;
+        }
+
+        register_block_type(self::BLOCK_NAME, [
+            "api_version" => 2,
+            "editor_script" => "letterboxd-movie-stats-block",
+            "style" => "letterboxd-movie-stats",
+            "render_callback" => [$this, "render_block"],
+            "attributes" => [
+                // Panels
+                "showMonthly" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showYearly" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showRatings" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showDirectors" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "showDecades" => [
+                    "type" => "boolean",
+                    "default" => true,
+                ],
+                "directorsLimit" => [
+                    "type" => "number",
+                    "default" => 5,
+                ],
+                // Date range
+                "dateRange" => [
+                    "type" => "string",
+                    "default" => "all",
+                ],
+                "startDate" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+                "endDate" => [
+                    "type" => "string",
+                    "default" => "",
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Enqueue editor-specific assets
+     */
+    public function enqueue_editor_assets(): void {
+        wp_enqueue_script(
+            "letterboxd-movie-stats-block",
+            plugins_url("js/movie-stats-block.js", LETTERBOXD_PLUGIN_FILE),
+            [
+                "wp-blocks",
+                "wp-element",
+                "wp-components",
+                "wp-i18n",
+                "wp-block-editor",
+                "wp-server-side-render",
+            ],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_enqueue_style(
+            "letterboxd-movie-stats",
+            plugins_url("css/movie-stats.css", LETTERBOXD_PLUGIN_FILE),
+            [],
+            LETTERBOXD_VERSION
+        );
+    }
+
+    /**
+     * Enqueue block styles on the front end
+     */
+    public function enqueue_block_assets(): void {
+        if (has_block(self::BLOCK_NAME)) {
+            wp_enqueue_style(
+                "letterboxd-movie-stats",
+                plugins_url("css/movie-stats.css", LETTERBOXD_PLUGIN_FILE),
+                [],
+                LETTERBOXD_VERSION
+            );
+        }
+    }
+
+    /**
+     * Render the movie stats block
+     *
+     * @param array $attributes Block attributes
+     * @return string Rendered HTML
+     */
+    public function render_block(array $attributes): string {
+        $range = letterboxd_resolve_date_range(
+            (string) ($attributes["dateRange"] ?? "all"),
+            (string) ($attributes["startDate"] ?? ""),
+            (string) ($attributes["endDate"] ?? "")
+        );
+        $stats = $this->get_stats(
+            $range["start"],
+            $range["end"],
+            max(1, min(20, (int) ($attributes["directorsLimit"] ?? 5)))
+        );
+
+        if ($stats["total"] === 0) {
+            return sprintf(
+                '<div %s><p class="no-movies">%s</p></div>',
+                get_block_wrapper_attributes(),
+                esc_html__("No movies watched in this period.", "letterboxd-connect")
+            );
+        }
+
+        $panels = "";
+
+        if ($attributes["showMonthly"] ?? true) {
+            $panels .= $this->render_panel(
+                __("Films per month", "letterboxd-connect"),
+                $this->label_months($stats["months"]),
+                "monthly"
+            );
+        }
+
+        if ($attributes["showYearly"] ?? true) {
+            $panels .= $this->render_panel(
+                __("Films per year", "letterboxd-connect"),
+                $stats["years"],
+                "yearly"
+            );
+        }
+
+        if ($attributes["showRatings"] ?? true) {
+            $panels .= $this->render_panel(
+                __("Ratings", "letterboxd-connect"),
+                $this->label_ratings($stats["ratings"]),
+                "ratings"
+            );
+        }
+
+        if ($attributes["showDirectors"] ?? true) {
+            $panels .= $this->render_panel(
+                __("Most-watched directors", "letterboxd-connect"),
+                $stats["directors"],
+                "directors"
+            );
+        }
+
+        if ($attributes["showDecades"] ?? true) {
+            $panels .= $this->render_panel(
+                __("Films by decade", "letterboxd-connect"),
+                $this->label_decades($stats["decades"]),
+                "decades"
+            );
+        }
+
+        return sprintf(
+            '<div %s><p class="movie-stats-total">%s</p><div class="movie-stats-panels">%s</div></div>',
+            get_block_wrapper_attributes(),
+            esc_html(
+                sprintf(
+                    /* translators: %d: Number of films */
+                    _n("%d film watched", "%d films watched", $stats["total"], "letterboxd-connect"),
+                    $stats["total"]
+                )
+            ),
+            $panels
+        );
+    }
+
+    /**
+     * Render one panel as a horizontal bar chart
+     *
+     * @param string $title  Panel heading
+     * @param array  $counts Counts keyed by label
+     * @param string $type   Panel type used as CSS modifier
+     * @return string Panel HTML
+     */
+    private function render_panel(string $title, array $counts, string $type): string {
+        if (empty($counts)) {
+            return "";
+        }
+
+        $max = max($counts);
+        $bars = "";
+        foreach ($counts as $label => $count) {
+            $bars .= sprintf(
+                '<li class="movie-stats-bar"><span class="movie-stats-label">%s</span><span class="movie-stats-track"><span class="movie-stats-fill" style="width: %s%%"></span></span><span class="movie-stats-count">%d</span></li>',
+                esc_html((string) $label),
+                esc_attr((string) round(($count / max(1, $max)) * 100, 1)),
+                $count
+            );
+        }
+
+        return sprintf(
+            '<section class="movie-stats-panel movie-stats-%s"><h3 class="movie-stats-title">%s</h3><ol class="movie-stats-bars">%s</ol></section>',
+            esc_attr($type),
+            esc_html($title),
+            $bars
+        );
+    }
+
+    /**
+     * Collect all stats for a watch date range
+     *
+     * @param string $start           Start date (Y-m-d) or empty
+     * @param string $end             End date (Y-m-d) or empty
+     * @param int    $directors_limit Number of directors to return
+     * @return array Stats with total, months, years, ratings, directors and decades
+     */
+    public function get_stats(string $start, string $end, int $directors_limit = 5): array {
+        $cache_key = "stats_" . md5($start . "|" . $end . "|" . $directors_limit) .
+            "_" . wp_cache_get_last_changed(self::CACHE_GROUP);
+        $stats = wp_cache_get($cache_key, self::CACHE_GROUP);
+        if ($stats !== false) {
+            return $stats;
+        }
+
+        $rows = $this->get_diary_rows($start, $end);
+
+        $stats = [
+            "total" => count($rows),
+            "months" => [],
+            "years" => [],
+            "ratings" => [],
+            "directors" => [],
+            "decades" => [],
+        ];
+
+        foreach ($rows as $row) {
+            $month = substr($row->watch_date, 0, 7);
+            $year = substr($row->watch_date, 0, 4);
+            $stats["months"][$month] = ($stats["months"][$month] ?? 0) + 1;
+            $stats["years"][$year] = ($stats["years"][$year] ?? 0) + 1;
+
+            $rating = letterboxd_rating_to_number($row->rating);
+            if ($rating > 0) {
+                $key = number_format($rating, 1);
+                $stats["ratings"][$key] = ($stats["ratings"][$key] ?? 0) + 1;
+            }
+
+            // Co-directed films count towards each director
+            foreach (array_filter(array_map("trim", explode(",", (string) $row->director))) as $director) {
+                $stats["directors"][$director] = ($stats["directors"][$director] ?? 0) + 1;
+            }
+
+            if (is_numeric($row->release_year)) {
+                $decade = (int) (floor((int) $row->release_year / 10) * 10);
+                $stats["decades"][$decade] = ($stats["decades"][$decade] ?? 0) + 1;
+            }
+        }
+
+        ksort($stats["months"]);
+        $stats["months"] = array_slice($stats["months"], -self::MAX_MONTHS, null, true);
+        ksort($stats["years"]);
+        ksort($stats["decades"]);
+
+        // Full half-star histogram so gaps show as empty bars
+        $ratings = [];
+        for ($step = 1; $step <= 10; $step++) {
+            $key = number_format($step / 2, 1);
+            $ratings[$key] = $stats["ratings"][$key] ?? 0;
+        }
+        $stats["ratings"] = $ratings;
+
+        arsort($stats["directors"]);
+        $stats["directors"] = array_slice($stats["directors"], 0, $directors_limit, true);
+
+        wp_cache_set($cache_key, $stats, self::CACHE_GROUP, self::CACHE_DURATION);
+
+        return $stats;
+    }
+
+    /**
+     * Fetch one row per viewing with the fields the stats need
+     *
+     * Rewatches count as viewings of their own, each with its date and rating.
+     *
+     * @param string $start Start date (Y-m-d) or empty
+     * @param string $end   End date (Y-m-d) or empty
+     * @return array Rows with watch_date, rating, director and release_year
+     */
+    private function get_diary_rows(string $start, string $end): array {
+        global $wpdb;
+
+        // Movies first watched by the end and last watched after the start
+        $where = "";
+        $params = [];
+        if ($start !== "") {
+            $where .= " AND COALESCE(NULLIF(lw.meta_value, ''), wd.meta_value) >= %s";
+            $params[] = $start;
+        }
+        if ($end !== "") {
+            $where .= " AND wd.meta_value <= %s";
+            $params[] = $end;
+        }
+
+        $sql = "SELECT p.ID,
+                d.meta_value AS director,
+                (SELECT t.name FROM {$wpdb->term_relationships} tr
+                    INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id AND tt.taxonomy = 'movie_year'
+                    INNER JOIN {$wpdb->terms} t ON t.term_id = tt.term_id
+                    WHERE tr.object_id = p.ID LIMIT 1) AS release_year
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} wd ON wd.post_id = p.ID AND wd.meta_key = 'watch_date'
+            LEFT JOIN {$wpdb->postmeta} lw ON lw.post_id = p.ID AND lw.meta_key = 'last_watched'
+            LEFT JOIN {$wpdb->postmeta} d ON d.post_id = p.ID AND d.meta_key = 'director'
+            WHERE p.post_type = 'movie'
+                AND p.post_status = 'publish'
+                AND wd.meta_value <> ''{$where}
+            GROUP BY p.ID";
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- placeholders only added with values
+        $movies = $wpdb->get_results(empty($params) ? $sql : $wpdb->prepare($sql, $params));
+        if (!is_array($movies)) {
+            return [];
+        }
+
+        $rows = [];
+        foreach ($movies as $movie) {
+            foreach ($this->post_type->get_viewings((int) $movie->ID) as $viewing) {
+                if (($start !== "" && $viewing["date"] < $start) || ($end !== "" && $viewing["date"] > $end)) {
+                    continue;
+                }
+
+                $rows[] = (object) [
+                    "watch_date" => $viewing["date"],
+                    "rating" => $viewing["rating"],
+                    "director" => $movie->director,
+                    "release_year" => $movie->release_year,
+                ];
+            }
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Format "Y-m" keys as localized month labels
+     */
+    private function label_months(array $months): array {
+        $labeled = [];
+        foreach ($months as $month => $count) {
+            $labeled[date_i18n("M Y", strtotime($month . "-01"))] = $count;
+        }
+        return $labeled;
+    }
+
+    /**
+     * Format rating keys as star labels
+     */
+    private function label_ratings(array $ratings): array {
+        $labeled = [];
+        foreach ($ratings as $rating => $count) {
+            $value = (float) $rating;
+            $labeled[str_repeat("★", (int) floor($value)) . (fmod($value, 1.0) ? "½" : "")] = $count;
+        }
+        return $labeled;
+    }
+
+    /**
+     * Format decade keys as "1990s"
+     */
+    private function label_decades(array $decades): array {
+        $labeled = [];
+        foreach ($decades as $decade => $count) {
+            /* translators: %d: Decade, e.g. 1990 */
+            $labeled[sprintf(__("%ds", "letterboxd-connect"), $decade)] = $count;
+        }
+        return $labeled;
+    }
+
+    /**
+     * Invalidate cached stats
+     */
+    public function clear_stats_cache(): void {
+        wp_cache_delete("last_changed", self::CACHE_GROUP);
+    }
+
+    /**
+     * Clear the stats when a diary entry is added or removed
+     *
+     * @param int|array $meta_ids  Meta ID or IDs
+     * @param int       $object_id Post ID
+     * @param string    $meta_key  Meta key
+     */
+    public function clear_stats_cache_for_viewing($meta_ids, int $object_id, string $meta_key): void {
+        if ($meta_key === Letterboxd_Movie_Post_Type::VIEWING_META) {
+            $this->clear_stats_cache();
+        }
+    }
+}
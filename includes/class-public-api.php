@@ -0,0 +1,482 @@
+<?php
+/**
+ * Public, read-only movie API with JSON Feed and iCalendar diary outputs
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Public_API {
+    /**
+     * API constants
+     */
+    private const REST_NAMESPACE = "letterboxd-connect/v1";
+    private const CACHE_DURATION = 3600; // 1 hour
+    private const MAX_PER_PAGE = 100;
+    private const CALENDAR_MAX_MOVIES = 500;
+    private const CALENDAR_ROUTE = "/movies/calendar";
+
+    /**
+     * Sort orders the API exposes (list order needs a list source)
+     */
+    private const ORDERBY_OPTIONS = ["title", "watch_date", "last_watched", "release_year", "rating"];
+
+    /**
+     * @var Letterboxd_Movie_Block_Renderer
+     */
+    private Letterboxd_Movie_Block_Renderer $renderer;
+
+    /**
+     * @var Letterboxd_Movie_Post_Type
+     */
+    private Letterboxd_Movie_Post_Type $post_type;
+
+    /**
+     * Initialize the API
+     *
+     * @param Letterboxd_Movie_Block_Renderer $renderer Builds the movie queries
+     * @param Letterboxd_Movie_Post_Type $post_type Reads the viewings of a movie
+     */
+    public function __construct(
+        Letterboxd_Movie_Block_Renderer $renderer,
+        Letterboxd_Movie_Post_Type $post_type
+    ) {
+        $this->renderer = $renderer;
+        $this->post_type = $post_type;
+
+        add_action("rest_api_init", [$this, "register_rest_routes"]);
+        add_filter("rest_pre_serve_request", [$this, "serve_calendar"], 10, 4);
+    }
+
+    /**
+     * Register the public routes
+     */
+    public function register_rest_routes(): void {
+        register_rest_route(self::REST_NAMESPACE, "/movies", [
+            "methods" => "GET",
+            "callback" => [$this, "get_movies"],
+            "permission_callback" => "__return_true",
+            "args" => $this->get_collection_args(),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, "/movies/(?P<id>\d+)", [
+            "methods" => "GET",
+            "callback" => [$this, "get_movie"],
+            "permission_callback" => "__return_true",
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, "/movies/feed", [
+            "methods" => "GET",
+            "callback" => [$this, "get_json_feed"],
+            "permission_callback" => "__return_true",
+            "args" => $this->get_collection_args(),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, self::CALENDAR_ROUTE, [
+            "methods" => "GET",
+            "callback" => [$this, "get_calendar"],
+            "permission_callback" => "__return_true",
+            "args" => $this->get_collection_args(),
+        ]);
+    }
+
+    /**
+     * Filter, sort and paging arguments shared by every route
+     */
+    private function get_collection_args(): array {
+        $date = [
+            "type" => "string",
+            "default" => "",
+            "pattern" => "^(\\d{4}-\\d{2}-\\d{2})?$",
+        ];
+
+        return [
+            "year" => [
+                "description" => __("Release years, comma separated", "letterboxd-connect"),
+                "type" => "string",
+                "default" => "",
+                "pattern" => "^(\\d{4}(,\\d{4})*)?$",
+            ],
+            "min_rating" => [
+                "description" => __("Lowest rating, 0.5 to 5", "letterboxd-connect"),
+                "type" => "number",
+                "default" => 0,
+                "minimum" => 0,
+                "maximum" => 5,
+            ],
+            "max_rating" => [
+                "description" => __("Highest rating, 0.5 to 5", "letterboxd-connect"),
+                "type" => "number",
+                "default" => 5,
+                "minimum" => 0,
+                "maximum" => 5,
+            ],
+            "watched_after" => array_merge($date, [
+                "description" => __("First watch date to include (YYYY-MM-DD)", "letterboxd-connect"),
+            ]),
+            "watched_before" => array_merge($date, [
+                "description" => __("Last watch date to include (YYYY-MM-DD)", "letterboxd-connect"),
+            ]),
+            "watched_range" => [
+                "description" => __("Relative watch date range, instead of fixed dates", "letterboxd-connect"),
+                "type" => "string",
+                "default" => "",
+                "enum" => ["", "this_year", "last_year", "last_12_months"],
+            ],
+            "director" => [
+                "description" => __("Part of a director's name", "letterboxd-connect"),
+                "type" => "string",
+                "default" => "",
+                "sanitize_callback" => "sanitize_text_field",
+            ],
+            "orderby" => [
+                "type" => "string",
+                "default" => "watch_date",
+                "enum" => self::ORDERBY_OPTIONS,
+            ],
+            "order" => [
+                "type" => "string",
+                "default" => "desc",
+                "enum" => ["asc", "desc"],
+            ],
+            "page" => [
+                "type" => "integer",
+                "default" => 1,
+                "minimum" => 1,
+            ],
+            "per_page" => [
+                "type" => "integer",
+                "default" => 20,
+                "minimum" => 1,
+                "maximum" => self::MAX_PER_PAGE,
+            ],
+        ];
+    }
+
+    /**
+     * List published movies
+     *
+     * @param WP_REST_Request $request Filters, sorting and paging
+     * @return WP_REST_Response Movies with X-WP-Total and X-WP-TotalPages headers
+     */
+    public function get_movies(WP_REST_Request $request): WP_REST_Response {
+        $data = $this->get_cached("movies", $request, function () use ($request): array {
+            $query = $this->query($request, (int) $request["per_page"]);
+
+            return [
+                "movies" => array_map([$this, "prepare_movie"], wp_list_pluck($query->posts, "ID")),
+                "total" => (int) $query->found_posts,
+                "pages" => (int) $query->max_num_pages,
+            ];
+        });
+
+        $response = new WP_REST_Response($data["movies"]);
+        $response->header("X-WP-Total", (string) $data["total"]);
+        $response->header("X-WP-TotalPages", (string) $data["pages"]);
+
+        return $response;
+    }
+
+    /**
+     * One published movie with everything the details dialog shows
+     *
+     * @param WP_REST_Request $request Request with the post ID
+     * @return WP_REST_Response|WP_Error Movie details or a 404
+     */
+    public function get_movie(WP_REST_Request $request): WP_REST_Response|WP_Error {
+        $post_id = (int) $request["id"];
+        if (get_post_type($post_id) !== "movie" || get_post_status($post_id) !== "publish") {
+            return new WP_Error(
+                "movie_not_found",
+                __("Movie not found.", "letterboxd-connect"),
+                ["status" => 404]
+            );
+        }
+
+        $movie = $this->get_cached("movie", $request, function () use ($post_id): array {
+            $watch_date = (string) get_post_meta($post_id, "watch_date", true);
+
+            // The dialog hides spoilers behind a button, like the grid's review excerpts
+            return array_merge($this->prepare_movie($post_id), [
+                "poster_large" => (string) get_the_post_thumbnail_url($post_id, "large"),
+                "overview" => (string) get_post_meta($post_id, "tmdb_overview", true),
+                "cast" => (string) get_post_meta($post_id, "top_cast", true),
+                "trailer_url" => (string) get_post_meta($post_id, "trailer_url", true),
+                "review" => wp_kses_post((string) get_post_meta($post_id, "letterboxd_review", true)),
+                "review_spoilers" => (bool) get_post_meta($post_id, "review_spoilers", true),
+                "watch_date_formatted" => $watch_date !== "" ? date_i18n(get_option("date_format"), strtotime($watch_date)) : "",
+            ]);
+        });
+
+        return new WP_REST_Response($movie);
+    }
+
+    /**
+     * The diary as a JSON Feed (https://www.jsonfeed.org/version/1.1/)
+     *
+     * @param WP_REST_Request $request Filters, sorting and paging
+     * @return WP_REST_Response Feed document
+     */
+    public function get_json_feed(WP_REST_Request $request): WP_REST_Response {
+        $feed = $this->get_cached("feed", $request, function () use ($request): array {
+            $query = $this->query($request, (int) $request["per_page"]);
+
+            $items = [];
+            foreach (wp_list_pluck($query->posts, "ID") as $post_id) {
+                $movie = $this->prepare_movie($post_id);
+                $item = [
+                    "id" => $movie["link"],
+                    "url" => $movie["link"],
+                    "title" => $movie["year"] !== "" ? sprintf("%s (%s)", $movie["title"], $movie["year"]) : $movie["title"],
+                    "content_html" => $movie["review"] !== "" ? $movie["review"] : $movie["title"],
+                    "tags" => $movie["genres"],
+                    "_letterboxd" => [
+                        "rating" => $movie["rating"],
+                        "watch_date" => $movie["watch_date"],
+                        "last_watched" => $movie["last_watched"],
+                        "times_watched" => $movie["times_watched"],
+                        "director" => $movie["director"],
+                        "letterboxd_url" => $movie["letterboxd_url"],
+                        "tmdb_id" => $movie["tmdb_id"],
+                    ],
+                ];
+                if ($movie["last_watched"] !== "") {
+                    $item["date_published"] = gmdate("c", (int) strtotime($movie["last_watched"]));
+                }
+                if ($movie["poster"] !== "") {
+                    $item["image"] = $movie["poster"];
+                }
+                $items[] = $item;
+            }
+
+            return [
+                "version" => "https://jsonfeed.org/version/1.1",
+                "title" => sprintf(
+                    /* translators: %s: Site name */
+                    __("%s: Film diary", "letterboxd-connect"),
+                    get_bloginfo("name")
+                ),
+                "home_page_url" => home_url("/"),
+                "feed_url" => add_query_arg($request->get_query_params(), rest_url(self::REST_NAMESPACE . "/movies/feed")),
+                "items" => $items,
+            ];
+        });
+
+        $response = new WP_REST_Response($feed);
+        $response->header("Content-Type", "application/feed+json; charset=" . get_option("blog_charset"));
+
+        return $response;
+    }
+
+    /**
+     * Every watch date as an all-day iCalendar event
+     *
+     * The response body is replaced by serve_calendar().
+     *
+     * @param WP_REST_Request $request Filters and sorting
+     * @return WP_REST_Response Calendar text
+     */
+    public function get_calendar(WP_REST_Request $request): WP_REST_Response {
+        $calendar = $this->get_cached("calendar", $request, function () use ($request): string {
+            $query = $this->query($request, self::CALENDAR_MAX_MOVIES, 1);
+            $host = (string) wp_parse_url(home_url(), PHP_URL_HOST);
+            $range = $this->get_watched_range($request);
+            $stamp = gmdate("Ymd\THis\Z");
+
+            $lines = [
+                "BEGIN:VCALENDAR",
+                "VERSION:2.0",
+                "PRODID:-//letterboxd-connect//Film diary//EN",
+                "CALSCALE:GREGORIAN",
+                "X-WR-CALNAME:" . $this->escape_ical_text(sprintf(
+                    /* translators: %s: Site name */
+                    __("%s: Film diary", "letterboxd-connect"),
+                    get_bloginfo("name")
+                )),
+            ];
+
+            foreach (wp_list_pluck($query->posts, "ID") as $post_id) {
+                $movie = $this->prepare_movie($post_id);
+                $title = $movie["year"] !== "" ? sprintf("%s (%s)", $movie["title"], $movie["year"]) : $movie["title"];
+
+                foreach ($this->post_type->get_viewings($post_id) as $viewing) {
+                    if (($range["start"] !== "" && $viewing["date"] < $range["start"]) ||
+                        ($range["end"] !== "" && $viewing["date"] > $range["end"])) {
+                        continue;
+                    }
+
+                    $day = strtotime($viewing["date"]);
+                    $summary = $viewing["rating"] > 0 ? sprintf("%s %s", $title, letterboxd_rating_stars($viewing["rating"])) : $title;
+
+                    array_push(
+                        $lines,
+                        "BEGIN:VEVENT",
+                        "UID:movie-{$post_id}-" . gmdate("Ymd", $day) . "@{$host}",
+                        "DTSTAMP:{$stamp}",
+                        "DTSTART;VALUE=DATE:" . gmdate("Ymd", $day),
+                        "DTEND;VALUE=DATE:" . gmdate("Ymd", $day + DAY_IN_SECONDS),
+                        "SUMMARY:" . $this->escape_ical_text($summary),
+                        "URL:" . $movie["link"],
+                        "TRANSP:TRANSPARENT",
+                        "END:VEVENT"
+                    );
+                }
+            }
+
+            $lines[] = "END:VCALENDAR";
+
+            return implode("\r\n", array_map([$this, "fold_ical_line"], $lines)) . "\r\n";
+        });
+
+        $response = new WP_REST_Response($calendar);
+        $response->header("Content-Type", "text/calendar; charset=utf-8");
+        $response->header("Content-Disposition", 'inline; filename="film-diary.ics"');
+
+        return $response;
+    }
+
+    /**
+     * Send the calendar as plain iCalendar text instead of a JSON string
+     *
+     * @param bool $served Whether the request has already been served
+     * @param WP_HTTP_Response $result Response to send
+     * @param WP_REST_Request $request Current request
+     * @param WP_REST_Server $server Server instance
+     * @return bool Whether the request was served here
+     */
+    public function serve_calendar($served, $result, $request, $server): bool {
+        if ($served || $request->get_route() !== "/" . self::REST_NAMESPACE . self::CALENDAR_ROUTE) {
+            return (bool) $served;
+        }
+        if ($result->is_error() || !is_string($result->get_data())) {
+            return false;
+        }
+
+        echo $result->get_data(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- iCalendar text, not HTML
+        return true;
+    }
+
+    /**
+     * Run the movie query for a request
+     */
+    private function query(WP_REST_Request $request, int $per_page, ?int $page = null): WP_Query {
+        $range = $this->get_watched_range($request);
+
+        return $this->renderer->query_movies([
+            "years" => array_filter(explode(",", (string) $request["year"])),
+            "minRating" => (float) $request["min_rating"],
+            "maxRating" => (float) $request["max_rating"],
+            "watchedAfter" => $range["start"],
+            "watchedBefore" => $range["end"],
+            "director" => (string) $request["director"],
+            "orderby" => (string) $request["orderby"],
+            "order" => strtoupper((string) $request["order"]),
+        ], $per_page, $page ?? (int) $request["page"]);
+    }
+
+    /**
+     * Resolve the watched range or fixed dates of a request
+     *
+     * @return array start and end dates, empty when open
+     */
+    private function get_watched_range(WP_REST_Request $request): array {
+        if ((string) $request["watched_range"] !== "") {
+            return letterboxd_resolve_date_range((string) $request["watched_range"]);
+        }
+
+        return [
+            "start" => (string) $request["watched_after"],
+            "end" => (string) $request["watched_before"],
+        ];
+    }
+
+    /**
+     * Build a response once per set of parameters
+     *
+     * Cached in the grid's cache group so edits to movies clear it too.
+     */
+    private function get_cached(string $name, WP_REST_Request $request, callable $build) {
+        $params = $request->get_params();
+        ksort($params);
+        $cache_key = "api_{$name}_" . md5(serialize($params));
+
+        $data = wp_cache_get($cache_key, Letterboxd_Movie_Block_Renderer::CACHE_GROUP);
+        if ($data === false) {
+            $data = $build();
+            wp_cache_set($cache_key, $data, Letterboxd_Movie_Block_Renderer::CACHE_GROUP, self::CACHE_DURATION);
+        }
+
+        return $data;
+    }
+
+    /**
+     * Public fields of a movie
+     *
+     * @param int $post_id Movie post ID
+     * @return array Movie data
+     */
+    public function prepare_movie(int $post_id): array {
+        $years = wp_get_object_terms($post_id, "movie_year", ["fields" => "names"]);
+        $genres = wp_get_object_terms($post_id, "movie_genre", ["fields" => "names"]);
+        $rating = letterboxd_rating_to_number(get_post_meta($post_id, "movie_rating", true));
+        $review = (string) get_post_meta($post_id, "letterboxd_review", true);
+
+        return [
+            "id" => $post_id,
+            "title" => html_entity_decode(get_the_title($post_id), ENT_QUOTES, "UTF-8"),
+            "year" => !is_wp_error($years) && !empty($years) ? (string) $years[0] : (string) get_post_meta($post_id, "movie_year", true),
+            "link" => get_permalink($post_id),
+            "watch_date" => (string) get_post_meta($post_id, "watch_date", true),
+            "last_watched" => (string) (get_post_meta($post_id, "last_watched", true) ?: get_post_meta($post_id, "watch_date", true)),
+            "times_watched" => max(1, (int) get_post_meta($post_id, "times_watched", true)),
+            "rating" => letterboxd_rating_stars($rating),
+            "rating_value" => $rating,
+            // Spoiler reviews are left out of public output
+            "review" => get_post_meta($post_id, "review_spoilers", true) ? "" : wp_kses_post($review),
+            "director" => (string) get_post_meta($post_id, "director", true),
+            "runtime" => (int) get_post_meta($post_id, "runtime", true),
+            "genres" => !is_wp_error($genres) ? $genres : [],
+            "poster" => (string) get_the_post_thumbnail_url($post_id, "movie-poster"),
+            "letterboxd_url" => (string) get_post_meta($post_id, "letterboxd_url", true),
+            "tmdb_id" => (int) (get_post_meta($post_id, "tmdb_id", true) ?: get_post_meta($post_id, "tmdb_movie_id", true)),
+            "imdb_id" => (string) get_post_meta($post_id, "imdb_id", true),
+        ];
+    }
+
+    /**
+     * Escape text for an iCalendar property value (RFC 5545, 3.3.11)
+     */
+    private function escape_ical_text(string $text): string {
+        $text = html_entity_decode(wp_strip_all_tags($text), ENT_QUOTES, "UTF-8");
+        return str_replace(["\\", ";", ",", "\r\n", "\n"], ["\\\\", "\\;", "\\,", "\\n", "\\n"], $text);
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting a UTF-8 character
+     *
+     * Continuation lines start with a space, so they carry 74 octets of text.
+     */
+    private function fold_ical_line(string $line): string {
+        $folded = "";
+        $limit = 75;
+        while (strlen($line) > $limit) {
+            $cut = $limit;
+            // Step back over UTF-8 continuation bytes
+            while ($cut > 0 && (ord($line[$cut]) & 0xC0) === 0x80) {
+                $cut--;
+            }
+            $folded .= substr($line, 0, $cut) . "\r\n ";
+            $line = substr($line, $cut);
+            $limit = 74;
+        }
+
+        return $folded . $line;
+    }
+}
@@ -47,20 +47,23 @@ class Letterboxd_Settings_Manager
     private const USERNAME_PATTERN = '/^[a-z0-9][a-z0-9-]*[a-z0-9]$/';
 
     private const SETTINGS_FIELDS = [
-        "username" => [
-            "label" => "Letterboxd Username",
-            "callback" => "render_username_field",
-        ],
-        "start_date" => [
-            "label" => "Start Date",
-            "callback" => "render_start_date_field",
-        ],
-        "draft_status" => [
-            "label" => "Import as Draft",
-            "callback" => "render_draft_status_field",
+        "accounts" => [
+            "label" => "Letterboxd Accounts",
+            "callback" => "render_accounts_field",
         ],
     ];
 
+    /**
+     * How often an account's feed can be checked
+     */
+    private const ACCOUNT_FREQUENCIES = [
+        "hourly",
+        "twicedaily",
+        "daily",
+        "weekly",
+        "disabled",
+    ];
+
     /**
      * Advanced settings fields
      */
@@ -69,6 +72,14 @@ class Letterboxd_Settings_Manager
             "label" => "TMDB API Key",
             "callback" => "render_tmdb_api_key_field",
         ],
+        "streaming_region" => [
+            "label" => "Watch Region",
+            "callback" => "render_streaming_region_field",
+        ],
+        "webhooks" => [
+            "label" => "Webhooks",
+            "callback" => "render_webhooks_field",
+        ],
     ];
 
     /**
@@ -78,6 +89,7 @@ class Letterboxd_Settings_Manager
         "username" => "",
         "start_date" => "",
         "draft_status" => false,
+        "accounts" => [],
     ];
 
     /**
@@ -86,6 +98,7 @@ class Letterboxd_Settings_Manager
     private const DEFAULT_ADVANCED_OPTIONS = [
         "tmdb_api_key" => "",
         "tmdb_session_id" => "",
+        "streaming_region" => "US",
     ];
 
     /**
@@ -109,6 +122,13 @@ class Letterboxd_Settings_Manager
      */
     private array $advanced_options;
 
+    /**
+     * Import run history
+     *
+     * @var Letterboxd_Import_History
+     */
+    private Letterboxd_Import_History $import_history;
+
     /**
      * Sanitize and validate all options
      *
@@ -140,6 +160,7 @@ class Letterboxd_Settings_Manager
     public function __construct(LetterboxdApiServiceInterface $api_service)
     {
         $this->api_service = $api_service;
+        $this->import_history = new Letterboxd_Import_History();
         $this->load_options();
         $this->setup_hooks();
     }
@@ -236,26 +257,63 @@ class Letterboxd_Settings_Manager
         }
 
         $this->register_route("/settings", [
-            "methods" => "POST",
-            "callback" => [$this, "update_settings"],
-            "permission_callback" => fn() => current_user_can("manage_options"),
-            "args" => [
-                "username" => [
-                    "required" => true,
-                    "sanitize_callback" => "sanitize_text_field",
-                ],
-                "start_date" => [
-                    "sanitize_callback" => "sanitize_text_field",
-                ],
-                "draft_status" => [
-                    "sanitize_callback" => "rest_sanitize_boolean",
-                ],
-                "run_import_trigger" => [
-                    "sanitize_callback" => "sanitize_text_field",
-                    "default" => "0",
+            [
+                "methods" => "GET",
+                "callback" => [$this, "get_settings"],
+                "permission_callback" => fn() => current_user_can("manage_options"),
+            ],
+            [
+                "methods" => "POST",
+                "callback" => [$this, "update_settings"],
+                "permission_callback" => fn() => current_user_can("manage_options"),
+                "args" => [
+                    "accounts" => [
+                        "type" => "array",
+                    ],
+                    "username" => [
+                        "sanitize_callback" => "sanitize_text_field",
+                    ],
+                    "start_date" => [
+                        "sanitize_callback" => "sanitize_text_field",
+                    ],
+                    "draft_status" => [
+                        "sanitize_callback" => "rest_sanitize_boolean",
+                    ],
+                    "run_import_trigger" => [
+                        "sanitize_callback" => "sanitize_text_field",
+                        "default" => "0",
+                    ],
+                    "tmdb_api_key" => [
+                        "sanitize_callback" => "sanitize_text_field",
+                    ],
+                    "streaming_region" => [
+                        "sanitize_callback" => "sanitize_text_field",
+                    ],
                 ],
-                "tmdb_api_key" => [
-                    "sanitize_callback" => "sanitize_text_field",
+            ],
+            [
+                // Only the fields that are sent are changed
+                "methods" => "PATCH",
+                "callback" => [$this, "patch_settings"],
+                "permission_callback" => fn() => current_user_can("manage_options"),
+                "args" => [
+                    "accounts" => [
+                        "type" => "array",
+                    ],
+                    "notifications" => [
+                        "type" => "boolean",
+                    ],
+                    "tmdb_api_key" => [
+                        "type" => "string",
+                        "sanitize_callback" => "sanitize_text_field",
+                    ],
+                    "streaming_region" => [
+                        "type" => "string",
+                        "enum" => array_keys(Letterboxd_TMDB_Handler::WATCH_REGIONS),
+                    ],
+                    "webhooks" => [
+                        "type" => "array",
+                    ],
                 ],
             ],
         ]);
@@ -307,6 +365,148 @@ class Letterboxd_Settings_Manager
             "callback" => [$this, "get_import_status"],
             "permission_callback" => fn() => current_user_can("manage_options"),
         ]);
+
+        $this->register_route("/import-jobs", [
+            "methods" => "POST",
+            "callback" => [$this, "start_import_job"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "account" => [
+                    "sanitize_callback" => "sanitize_text_field",
+                    "default" => "",
+                ],
+            ],
+        ]);
+
+        $this->register_route("/import-jobs/(?P<id>[a-f0-9]{32})", [
+            "methods" => "GET",
+            "callback" => [$this, "get_import_job"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+        ]);
+
+        $this->register_route("/import-jobs/(?P<id>[a-f0-9]{32})/step", [
+            "methods" => "POST",
+            "callback" => [$this, "run_import_job_step"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+        ]);
+
+        $this->register_route("/import-jobs/(?P<id>[a-f0-9]{32})/cancel", [
+            "methods" => "POST",
+            "callback" => [$this, "cancel_import_job"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+        ]);
+
+        $this->register_route("/import-history", [
+            "methods" => "GET",
+            "callback" => [$this, "get_import_history"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+        ]);
+
+        $this->register_route("/csv-import/preview", [
+            "methods" => "POST",
+            "callback" => [$this, "preview_csv_import"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "account" => [
+                    "sanitize_callback" => "sanitize_text_field",
+                    "default" => "",
+                ],
+                "token" => [
+                    "sanitize_callback" => "sanitize_key",
+                    "default" => "",
+                ],
+            ],
+        ]);
+
+        $this->register_route("/csv-import/process", [
+            "methods" => "POST",
+            "callback" => [$this, "process_csv_import"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "account" => [
+                    "sanitize_callback" => "sanitize_text_field",
+                    "default" => "",
+                ],
+                "token" => [
+                    "required" => true,
+                    "sanitize_callback" => "sanitize_key",
+                ],
+                "offset" => [
+                    "sanitize_callback" => "absint",
+                    "default" => 0,
+                ],
+            ],
+        ]);
+
+        $this->register_route("/list-import", [
+            "methods" => "POST",
+            "callback" => [$this, "import_lists"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "url" => [
+                    "sanitize_callback" => "esc_url_raw",
+                    "default" => "",
+                ],
+                "account" => [
+                    "sanitize_callback" => "sanitize_text_field",
+                    "default" => "",
+                ],
+            ],
+        ]);
+
+        $this->register_route("/csv-import/(?P<token>[a-f0-9]{32})", [
+            "methods" => "DELETE",
+            "callback" => [$this, "discard_csv_import"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+        ]);
+
+        $this->register_route("/sync-changes", [
+            [
+                "methods" => "GET",
+                "callback" => [$this, "get_sync_changes"],
+                "permission_callback" => fn() => current_user_can("manage_options"),
+            ],
+            [
+                "methods" => "POST",
+                "callback" => [$this, "review_sync_changes"],
+                "permission_callback" => fn() => current_user_can("manage_options"),
+                "args" => [
+                    "approve" => [
+                        "type" => "array",
+                        "items" => ["type" => "string", "pattern" => "^[a-f0-9]{32}$"],
+                        "default" => [],
+                    ],
+                    "reject" => [
+                        "type" => "array",
+                        "items" => ["type" => "string", "pattern" => "^[a-f0-9]{32}$"],
+                        "default" => [],
+                    ],
+                ],
+            ],
+        ]);
+
+        $this->register_route("/export", [
+            "methods" => "GET",
+            "callback" => [$this, "export_csv"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "after" => [
+                    "type" => "string",
+                    "default" => "",
+                    "pattern" => "^(\\d{4}-\\d{2}-\\d{2})?$",
+                ],
+                "before" => [
+                    "type" => "string",
+                    "default" => "",
+                    "pattern" => "^(\\d{4}-\\d{2}-\\d{2})?$",
+                ],
+                "status" => [
+                    "type" => "string",
+                    "default" => "any",
+                    "enum" => ["any", "publish", "draft", "private"],
+                ],
+            ],
+        ]);
     }
 
     /**
@@ -380,186 +580,682 @@ class Letterboxd_Settings_Manager
     }
 
     /**
-     * Update settings via REST API
+     * Update settings via REST API
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function update_settings(WP_REST_Request $request): WP_REST_Response
+    {
+        if (!current_user_can("manage_options")) {
+            return new WP_REST_Response(
+                [
+                    "success" => false,
+                    "message" => __(
+                        "Insufficient permissions",
+                        "letterboxd-connect",
+                    ),
+                ],
+                403,
+            );
+        }
+
+        $posted_data = $request->get_params();
+        //letterboxd_debug_log('update_settings POST data: ' . print_r($posted_data, true));
+
+        // First, make sure any old flag is cleared to prevent accidental imports
+        delete_option("letterboxd_run_import_flag");
+
+        // Older clients post a single account as username/start_date/draft_status
+        $accounts = $posted_data["accounts"] ?? null;
+        if (!is_array($accounts)) {
+            $accounts = [
+                [
+                    "username" => $posted_data["username"] ?? "",
+                    "start_date" => $posted_data["start_date"] ?? "",
+                    "draft_status" => !empty($posted_data["draft_status"]),
+                    "frequency" =>
+                        $posted_data["letterboxd_auto_import_options"][
+                            "frequency"
+                        ] ?? "daily",
+                ],
+            ];
+        }
+
+        $accounts = $this->validate_accounts($accounts);
+        if ($accounts instanceof WP_REST_Response) {
+            return $accounts;
+        }
+
+        $this->save_accounts($accounts);
+
+        // Save advanced settings if present
+        if (isset($posted_data["tmdb_api_key"])) {
+            // Get existing options to preserve tmdb_session_id
+            $advanced_settings = get_option(self::ADVANCED_OPTION_NAME, []);
+            $advanced_settings["tmdb_api_key"] = sanitize_text_field(
+                $posted_data["tmdb_api_key"],
+            );
+            if (isset($posted_data["streaming_region"])) {
+                $advanced_settings["streaming_region"] = $this->sanitize_streaming_region(
+                    $posted_data["streaming_region"],
+                );
+            }
+            update_option(self::ADVANCED_OPTION_NAME, $advanced_settings);
+        }
+
+        // Save auto-import settings; schedules now live on each account
+        if (isset($posted_data["letterboxd_auto_import_options"])) {
+            $auto_import_settings = [
+                "notifications" => !empty(
+                    $posted_data["letterboxd_auto_import_options"][
+                        "notifications"
+                    ]
+                ),
+            ];
+
+            // First, verify we're not recreating the same value
+            $existing = get_option("letterboxd_auto_import_options", []);
+            if ($existing != $auto_import_settings) {
+                // Use true for autoload parameter
+                update_option(
+                    "letterboxd_auto_import_options",
+                    $auto_import_settings,
+                    true,
+                );
+
+                set_transient("letterboxd_settings_just_updated", true, 60); // 60 seconds
+            }
+        }
+
+        // IMPORTANT: Check the explicit value - use strict === comparison
+        $run_import =
+            isset($posted_data["run_import_trigger"]) &&
+            $posted_data["run_import_trigger"] === "1";
+
+        // Only run an import if explicitly requested
+        if ($run_import) {
+            // letterboxd_debug_log( "Manual import explicitly requested - running now", );
+
+            // Use a do_action with a priority to ensure it runs after all settings are saved
+            add_action(
+                "shutdown",
+                function () {
+                    // letterboxd_debug_log("Running import on shutdown hook");
+                    do_action("letterboxd_check_and_import");
+                },
+                999,
+            );
+        }
+
+        return new WP_REST_Response(
+            [
+                "success" => true,
+                "message" => __(
+                    "Settings saved successfully.",
+                    "letterboxd-connect",
+                ),
+            ],
+            200,
+        );
+    }
+
+    /**
+     * Return the saved settings of the General and Advanced tabs
+     *
+     * @return WP_REST_Response Settings keyed like the PATCH fields
+     */
+    public function get_settings(): WP_REST_Response
+    {
+        return new WP_REST_Response([
+            "success" => true,
+            "settings" => $this->get_settings_state(),
+        ]);
+    }
+
+    /**
+     * Update only the settings that were sent
+     *
+     * The settings screen sends just the fields that changed, so saving one
+     * tab never overwrites values another tab holds.
+     *
+     * @param WP_REST_Request $request Changed fields
+     * @return WP_REST_Response Saved settings or a field error
+     */
+    public function patch_settings(WP_REST_Request $request): WP_REST_Response
+    {
+        if ($request->has_param("accounts")) {
+            $accounts = $this->validate_accounts((array) $request["accounts"]);
+            if ($accounts instanceof WP_REST_Response) {
+                return $accounts;
+            }
+            $this->save_accounts($accounts);
+        }
+
+        if ($request->has_param("notifications")) {
+            $auto_import_settings = get_option("letterboxd_auto_import_options", []);
+            $auto_import_settings = is_array($auto_import_settings) ? $auto_import_settings : [];
+            $auto_import_settings["notifications"] = (bool) $request["notifications"];
+            update_option("letterboxd_auto_import_options", $auto_import_settings, true);
+        }
+
+        if ($request->has_param("webhooks")) {
+            $webhooks = (new Letterboxd_Webhooks())->validate_targets((array) $request["webhooks"]);
+            if (is_wp_error($webhooks)) {
+                return new WP_REST_Response(
+                    [
+                        "success" => false,
+                        "message" => $webhooks->get_error_message(),
+                        "field" => "webhooks",
+                    ],
+                    400,
+                );
+            }
+            update_option(Letterboxd_Webhooks::OPTION_NAME, $webhooks, false);
+        }
+
+        $advanced_fields = array_filter(
+            ["tmdb_api_key", "streaming_region"],
+            [$request, "has_param"],
+        );
+        if (!empty($advanced_fields)) {
+            $advanced_settings = get_option(self::ADVANCED_OPTION_NAME, []);
+            $advanced_settings = is_array($advanced_settings) ? $advanced_settings : [];
+            foreach ($advanced_fields as $field) {
+                $advanced_settings[$field] = $field === "streaming_region"
+                    ? $this->sanitize_streaming_region($request[$field])
+                    : trim((string) $request[$field]);
+            }
+            update_option(self::ADVANCED_OPTION_NAME, $advanced_settings);
+        }
+
+        return new WP_REST_Response([
+            "success" => true,
+            "message" => __("Settings saved successfully.", "letterboxd-connect"),
+            "settings" => $this->get_settings_state(),
+        ]);
+    }
+
+    /**
+     * Current values of the fields on the General and Advanced tabs
+     *
+     * @return array Accounts, notifications, TMDB API key, watch region and webhooks
+     */
+    private function get_settings_state(): array
+    {
+        $auto_import = get_option("letterboxd_auto_import_options", []);
+        $advanced = get_option(self::ADVANCED_OPTION_NAME, []);
+        $advanced = is_array($advanced) ? $advanced : [];
+
+        return [
+            "accounts" => $this->sanitize_accounts(letterboxd_get_accounts()),
+            "notifications" => !empty($auto_import["notifications"]),
+            "tmdb_api_key" => (string) ($advanced["tmdb_api_key"] ?? ""),
+            "streaming_region" => $this->sanitize_streaming_region(
+                $advanced["streaming_region"] ?? "",
+            ),
+            "webhooks" => (new Letterboxd_Webhooks())->get_targets(),
+        ];
+    }
+
+    /**
+     * Sanitize accounts and check every username
+     *
+     * @param array $accounts Submitted accounts
+     * @return array|WP_REST_Response Sanitized accounts, or an error naming the account
+     */
+    private function validate_accounts(array $accounts): array|WP_REST_Response
+    {
+        $accounts = $this->sanitize_accounts($accounts);
+        if (empty($accounts)) {
+            return new WP_REST_Response(
+                [
+                    "success" => false,
+                    "message" => __(
+                        "Add at least one Letterboxd account.",
+                        "letterboxd-connect",
+                    ),
+                    "field" => "accounts",
+                ],
+                400,
+            );
+        }
+
+        foreach ($accounts as $index => $account) {
+            $validation = $this->validate_letterboxd_username(
+                $account["username"],
+            );
+            if (is_wp_error($validation)) {
+                return new WP_REST_Response(
+                    [
+                        "success" => false,
+                        "message" => sprintf(
+                            /* translators: 1: Letterboxd username, 2: Validation error */
+                            __("Account %1\$s: %2\$s", "letterboxd-connect"),
+                            $account["username"],
+                            $validation->get_error_message(),
+                        ),
+                        "field" => "accounts",
+                        "account" => $index,
+                    ],
+                    400,
+                );
+            }
+        }
+
+        return $accounts;
+    }
+
+    /**
+     * Save accounts and reschedule their imports
+     *
+     * @param array $accounts Validated accounts
+     */
+    private function save_accounts(array $accounts): void
+    {
+        $main_settings = $this->sanitize_options(["accounts" => $accounts]);
+        update_option(self::OPTION_NAME, $main_settings);
+
+        $auto_import = new Letterboxd_Auto_Import(
+            Letterboxd_To_WordPress::get_instance(),
+        );
+        $auto_import->update_account_schedules($main_settings["accounts"]);
+    }
+
+    /**
+     * Validate Letterboxd username
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function validate_username(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $username = $request->get_param("username");
+        $validation_result = $this->validate_letterboxd_username($username);
+
+        if (is_wp_error($validation_result)) {
+            return new WP_REST_Response(
+                [
+                    "success" => false,
+                    "message" => $validation_result->get_error_message(),
+                ],
+                400,
+            );
+        }
+
+        return new WP_REST_Response(
+            [
+                "success" => true,
+                "message" => __("Username is valid.", "letterboxd-connect"),
+            ],
+            200,
+        );
+    }
+
+    /**
+     * Get import status for REST API
+     *
+     * @return WP_REST_Response
+     */
+    public function get_import_status(): WP_REST_Response
+    {
+        $interval = get_option("letterboxd_import_interval", "hourly");
+        $last_import = get_option("letterboxd_last_import", 0);
+
+        $schedules = wp_get_schedules();
+        $interval_seconds = isset($schedules[$interval])
+            ? $schedules[$interval]["interval"]
+            : 3600;
+
+        $next_check = $last_import + $interval_seconds;
+
+        return new WP_REST_Response(
+            [
+                "success" => true,
+                "last_import" => $last_import,
+                "next_check" => $next_check,
+                "imported_count" => get_option("letterboxd_imported_count", 0),
+            ],
+            200,
+        );
+    }
+
+    /**
+     * Start a manual import job for every account, or only the one requested
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function start_import_job(WP_REST_Request $request): WP_REST_Response
+    {
+        $username = (string) $request->get_param("account");
+        if ($username !== "") {
+            $account = letterboxd_get_account($username);
+            $accounts = $account ? [$account] : [];
+        } else {
+            $accounts = letterboxd_get_accounts();
+        }
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->start_import_job(
+                $accounts,
+            ),
+            409,
+        );
+    }
+
+    /**
+     * Report progress and the full log of an import job
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function get_import_job(WP_REST_Request $request): WP_REST_Response
+    {
+        $job_id = (string) $request->get_param("id");
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->get_import_job(
+                $job_id,
+            ),
+        );
+    }
+
+    /**
+     * Import the next batch of an import job
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function run_import_job_step(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $job_id = (string) $request->get_param("id");
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->run_import_job_step(
+                $job_id,
+            ),
+        );
+    }
+
+    /**
+     * Cancel an import job, releasing the import lock
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function cancel_import_job(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $job_id = (string) $request->get_param("id");
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->cancel_import_job(
+                $job_id,
+            ),
+        );
+    }
+
+    /**
+     * Stage an uploaded export, or re-read a staged one, and preview the import
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function preview_csv_import(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $files = $request->get_file_params();
+        $upload = $files["letterboxd_csv_file"]["tmp_name"] ?? "";
+        $token = (string) $request->get_param("token");
+        $mapping = $this->sanitize_csv_mapping($request->get_param("mapping"));
+        $account = $this->get_request_account($request)["username"] ?? "";
+
+        return $this->importer_response(
+            function (Letterboxd_Importer $importer) use (
+                $upload,
+                $token,
+                $mapping,
+                $account,
+            ) {
+                if ($upload !== "") {
+                    $token = $importer->stage_csv_import($upload);
+                }
+                return $importer->preview_csv_import(
+                    $token,
+                    $mapping,
+                    $account,
+                );
+            },
+            400,
+            "preview",
+        );
+    }
+
+    /**
+     * Import the next chunk of a staged export
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function process_csv_import(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $token = (string) $request->get_param("token");
+        $mapping = $this->sanitize_csv_mapping($request->get_param("mapping"));
+        $offset = (int) $request->get_param("offset");
+        $options = $this->get_request_account($request) ?? [];
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->process_csv_import_chunk(
+                $token,
+                $mapping,
+                $offset,
+                $options,
+            ),
+            400,
+            "result",
+        );
+    }
+
+    /**
+     * Throw away a staged export without importing it
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function discard_csv_import(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        Letterboxd_To_WordPress::get_instance()->importer->discard_csv_import(
+            (string) $request->get_param("token"),
+        );
+
+        return new WP_REST_Response(["success" => true], 200);
+    }
+
+    /**
+     * Export the diary as a Letterboxd import CSV
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function export_csv(WP_REST_Request $request): WP_REST_Response
+    {
+        $filters = [
+            "after" => (string) $request->get_param("after"),
+            "before" => (string) $request->get_param("before"),
+            "status" => (string) $request->get_param("status"),
+        ];
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->export_to_csv(
+                $filters,
+            ),
+            500,
+            "result",
+        );
+    }
+
+    /**
+     * List the changes from Letterboxd that wait for review
+     *
+     * @return WP_REST_Response
+     */
+    public function get_sync_changes(): WP_REST_Response
+    {
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->get_sync_changes(),
+            500,
+            "changes",
+        );
+    }
+
+    /**
+     * Apply or reject changes from Letterboxd, and list those still waiting
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function review_sync_changes(
+        WP_REST_Request $request,
+    ): WP_REST_Response {
+        $approve = (array) $request->get_param("approve");
+        $reject = (array) $request->get_param("reject");
+
+        return $this->importer_response(
+            fn(Letterboxd_Importer $importer) => $importer->review_sync_changes(
+                $approve,
+                $reject,
+            ) + ["changes" => $importer->get_sync_changes()],
+            500,
+            "result",
+        );
+    }
+
+    /**
+     * Import Letterboxd lists from a URL or from an uploaded export
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response
+     */
+    public function import_lists(WP_REST_Request $request): WP_REST_Response
+    {
+        $files = $request->get_file_params();
+        $upload = $files["letterboxd_list_file"] ?? [];
+        $url = esc_url_raw((string) $request->get_param("url"));
+        $options = $this->get_request_account($request) ?? [];
+
+        return $this->importer_response(
+            function (Letterboxd_Importer $importer) use (
+                $upload,
+                $url,
+                $options,
+            ) {
+                if (!empty($upload["tmp_name"])) {
+                    return $importer->import_lists_from_export(
+                        $upload["tmp_name"],
+                        $options,
+                        sanitize_file_name((string) ($upload["name"] ?? "")),
+                    );
+                }
+                return $importer->import_list_from_url($url, $options);
+            },
+            400,
+            "result",
+        );
+    }
+
+    /**
+     * Resolve the account an export or list is imported for
+     *
+     * Falls back to the primary account when none is given.
      *
      * @param WP_REST_Request $request
-     * @return WP_REST_Response
+     * @return array|null Account settings
      */
-    public function update_settings(WP_REST_Request $request): WP_REST_Response
+    private function get_request_account(WP_REST_Request $request): ?array
     {
-        if (!current_user_can("manage_options")) {
-            return new WP_REST_Response(
-                [
-                    "success" => false,
-                    "message" => __(
-                        "Insufficient permissions",
-                        "letterboxd-connect",
-                    ),
-                ],
-                403,
-            );
+        $username = (string) $request->get_param("account");
+        if ($username !== "") {
+            return letterboxd_get_account($username);
         }
+        return letterboxd_get_accounts()[0] ?? null;
+    }
 
-        $posted_data = $request->get_params();
-        //letterboxd_debug_log('update_settings POST data: ' . print_r($posted_data, true));
-
-        // First, make sure any old flag is cleared to prevent accidental imports
-        delete_option("letterboxd_run_import_flag");
-
-        // Save main settings
-        $main_settings = $this->sanitize_options([
-            "username" => $posted_data["username"] ?? "",
-            "start_date" => $posted_data["start_date"] ?? "",
-            "draft_status" => !empty($posted_data["draft_status"]),
-        ]);
-        update_option(self::OPTION_NAME, $main_settings);
-
-        // Save advanced settings if present
-        if (isset($posted_data["tmdb_api_key"])) {
-            // Get existing options to preserve tmdb_session_id
-            $advanced_settings = get_option(self::ADVANCED_OPTION_NAME, []);
-            $advanced_settings["tmdb_api_key"] = sanitize_text_field(
-                $posted_data["tmdb_api_key"],
-            );
-            update_option(self::ADVANCED_OPTION_NAME, $advanced_settings);
+    /**
+     * Keep only canonical field => column index pairs from a mapping override
+     *
+     * @param mixed $mapping Raw mapping parameter
+     * @return array
+     */
+    private function sanitize_csv_mapping($mapping): array
+    {
+        if (is_string($mapping)) {
+            $mapping = json_decode($mapping, true);
         }
-
-        // Save auto-import settings
-        if (isset($posted_data["letterboxd_auto_import_options"])) {
-            $auto_import_settings = [
-                "frequency" => isset(
-                    $posted_data["letterboxd_auto_import_options"]["frequency"],
-                )
-                    ? sanitize_text_field(
-                        $posted_data["letterboxd_auto_import_options"][
-                            "frequency"
-                        ],
-                    )
-                    : "daily",
-                "notifications" => !empty(
-                    $posted_data["letterboxd_auto_import_options"][
-                        "notifications"
-                    ]
-                ),
-            ];
-
-            // First, verify we're not recreating the same value
-            $existing = get_option("letterboxd_auto_import_options", []);
-            if ($existing != $auto_import_settings) {
-                // Use true for autoload parameter
-                $update_result = update_option(
-                    "letterboxd_auto_import_options",
-                    $auto_import_settings,
-                    true,
-                );
-
-                // Also update the import interval option for compatibility
-                update_option(
-                    "letterboxd_import_interval",
-                    $auto_import_settings["frequency"],
-                    true,
-                );
-
-                set_transient("letterboxd_settings_just_updated", true, 60); // 60 seconds
-
-                // Only update the schedule if the settings were successfully saved
-                if ($update_result) {
-                    $auto_import = new Letterboxd_Auto_Import(
-                        Letterboxd_To_WordPress::get_instance(),
-                    );
-                    $auto_import->update_import_schedule(
-                        $auto_import_settings["frequency"],
-                    );
-                }
-            }
+        if (!is_array($mapping)) {
+            return [];
         }
 
-        // IMPORTANT: Check the explicit value - use strict === comparison
-        $run_import =
-            isset($posted_data["run_import_trigger"]) &&
-            $posted_data["run_import_trigger"] === "1";
-
-        // Only run an import if explicitly requested
-        if ($run_import) {
-            // letterboxd_debug_log( "Manual import explicitly requested - running now", );
-
-            // Use a do_action with a priority to ensure it runs after all settings are saved
-            add_action(
-                "shutdown",
-                function () {
-                    // letterboxd_debug_log("Running import on shutdown hook");
-                    do_action("letterboxd_check_and_import");
-                },
-                999,
-            );
+        $clean = [];
+        foreach ($mapping as $field => $column) {
+            if (is_string($field) && is_numeric($column)) {
+                $clean[sanitize_key($field)] = (int) $column;
+            }
         }
-
-        return new WP_REST_Response(
-            [
-                "success" => true,
-                "message" => __(
-                    "Settings saved successfully.",
-                    "letterboxd-connect",
-                ),
-            ],
-            200,
-        );
+        return $clean;
     }
 
     /**
-     * Validate Letterboxd username
+     * Run an importer call and wrap the result for REST
      *
-     * @param WP_REST_Request $request
+     * @param callable $callback Receives the importer and returns the result
+     * @param int $error_status HTTP status used when the call fails
+     * @param string $result_key Response key holding the result
      * @return WP_REST_Response
      */
-    public function validate_username(
-        WP_REST_Request $request,
+    private function importer_response(
+        callable $callback,
+        int $error_status = 404,
+        string $result_key = "job",
     ): WP_REST_Response {
-        $username = $request->get_param("username");
-        $validation_result = $this->validate_letterboxd_username($username);
-
-        if (is_wp_error($validation_result)) {
+        try {
+            $result = $callback(
+                Letterboxd_To_WordPress::get_instance()->importer,
+            );
+        } catch (Exception $e) {
             return new WP_REST_Response(
                 [
                     "success" => false,
-                    "message" => $validation_result->get_error_message(),
+                    "message" => $e->getMessage(),
                 ],
-                400,
+                $error_status,
             );
         }
 
         return new WP_REST_Response(
             [
                 "success" => true,
-                "message" => __("Username is valid.", "letterboxd-connect"),
+                $result_key => $result,
             ],
             200,
         );
     }
 
     /**
-     * Get import status for REST API
+     * List recorded import runs, newest first
      *
      * @return WP_REST_Response
      */
-    public function get_import_status(): WP_REST_Response
+    public function get_import_history(): WP_REST_Response
     {
-        $interval = get_option("letterboxd_import_interval", "hourly");
-        $last_import = get_option("letterboxd_last_import", 0);
-
-        $schedules = wp_get_schedules();
-        $interval_seconds = isset($schedules[$interval])
-            ? $schedules[$interval]["interval"]
-            : 3600;
-
-        $next_check = $last_import + $interval_seconds;
-
         return new WP_REST_Response(
             [
                 "success" => true,
-                "last_import" => $last_import,
-                "next_check" => $next_check,
-                "imported_count" => get_option("letterboxd_imported_count", 0),
+                "runs" => $this->import_history->get_runs(),
             ],
             200,
         );
@@ -792,6 +1488,18 @@ class Letterboxd_Settings_Manager
                     ),
                     $imported,
                 );
+                $updated = (int) ($result["updated"] ?? 0);
+                if ($updated > 0) {
+                    $msg_parts[] = sprintf(
+                        _n(
+                            "Updated %d with changes from Letterboxd.",
+                            "Updated %d with changes from Letterboxd.",
+                            $updated,
+                            "letterboxd-connect",
+                        ),
+                        $updated,
+                    );
+                }
                 $msg_parts[] = sprintf(
                     _n(
                         "Skipped %d existing.",
@@ -880,6 +1588,153 @@ class Letterboxd_Settings_Manager
             esc_html__("Get one here", "letterboxd-connect"),
         );
     }
+
+    /**
+     * Render watch region field
+     */
+    public function render_streaming_region_field(): void {
+        $current = $this->sanitize_streaming_region(
+            $this->advanced_options["streaming_region"] ?? "",
+        );
+
+        $options = "";
+        foreach (Letterboxd_TMDB_Handler::WATCH_REGIONS as $code => $name) {
+            $options .= sprintf(
+                '<option value="%s"%s>%s</option>',
+                esc_attr($code),
+                selected($current, $code, false),
+                esc_html($name),
+            );
+        }
+
+        printf(
+            '<select name="%s[streaming_region]" id="streaming_region">%s</select>
+            <p class="description">%s</p>',
+            esc_attr(self::ADVANCED_OPTION_NAME),
+            $options, // Escaped above
+            esc_html__(
+                "Streaming, rental and purchase options are shown for this country. Provider data is refreshed daily.",
+                "letterboxd-connect",
+            ),
+        );
+    }
+
+    /**
+     * Render the webhooks table
+     *
+     * Rows are added, removed and tested by settings.js.
+     */
+    public function render_webhooks_field(): void {
+        $webhooks = (new Letterboxd_Webhooks())->get_targets();
+        if (empty($webhooks)) {
+            $webhooks = [
+                [
+                    "id" => "",
+                    "url" => "",
+                    "format" => "json",
+                    "events" => ["import_succeeded"],
+                ],
+            ];
+        }
+        ?>
+        <table class="widefat letterboxd-webhooks" id="letterboxd-webhooks">
+            <thead>
+                <tr>
+                    <th scope="col"><?php esc_html_e("URL", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("Format", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("Events", "letterboxd-connect"); ?></th>
+                    <th scope="col"><span class="screen-reader-text"><?php esc_html_e("Actions", "letterboxd-connect"); ?></span></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($webhooks as $webhook) {
+                    $this->render_webhook_row($webhook);
+                } ?>
+            </tbody>
+        </table>
+        <p>
+            <button type="button" class="button" id="letterboxd-add-webhook">
+                <?php esc_html_e("Add webhook", "letterboxd-connect"); ?>
+            </button>
+        </p>
+        <p class="description">
+            <?php esc_html_e(
+                "Post import results to a URL: plain JSON, or a Slack or Discord incoming webhook. Failed sends are retried three times over the next half hour.",
+                "letterboxd-connect",
+            ); ?>
+        </p>
+        <?php
+    }
+
+    /**
+     * Render one row of the webhooks table
+     *
+     * @param array $webhook Webhook target
+     */
+    private function render_webhook_row(array $webhook): void {
+        $formats = [
+            "json" => __("JSON", "letterboxd-connect"),
+            "slack" => __("Slack", "letterboxd-connect"),
+            "discord" => __("Discord", "letterboxd-connect"),
+        ];
+        $events = [
+            "import_succeeded" => __("New films imported", "letterboxd-connect"),
+            "import_failed" => __("Import failed", "letterboxd-connect"),
+            "tmdb_refreshed" => __("TMDB refresh finished", "letterboxd-connect"),
+        ];
+        ?>
+        <tr class="letterboxd-webhook-row">
+            <td>
+                <input type="hidden" class="letterboxd-webhook-id" value="<?php echo esc_attr($webhook["id"]); ?>">
+                <input type="url" class="regular-text letterboxd-webhook-url"
+                    value="<?php echo esc_attr($webhook["url"]); ?>"
+                    placeholder="https://hooks.slack.com/services/…"
+                    aria-label="<?php esc_attr_e("Webhook URL", "letterboxd-connect"); ?>">
+                <span class="letterboxd-webhook-result" aria-live="polite"></span>
+            </td>
+            <td>
+                <select class="letterboxd-webhook-format" aria-label="<?php esc_attr_e("Payload format", "letterboxd-connect"); ?>">
+                    <?php foreach ($formats as $value => $label) : ?>
+                        <option value="<?php echo esc_attr($value); ?>" <?php selected($webhook["format"], $value); ?>>
+                            <?php echo esc_html($label); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </td>
+            <td>
+                <?php foreach ($events as $value => $label) : ?>
+                    <label class="letterboxd-webhook-event-label">
+                        <input type="checkbox" class="letterboxd-webhook-event" value="<?php echo esc_attr($value); ?>"
+                            <?php checked(in_array($value, $webhook["events"], true)); ?>>
+                        <?php echo esc_html($label); ?>
+                    </label>
+                <?php endforeach; ?>
+            </td>
+            <td>
+                <button type="button" class="button button-secondary letterboxd-test-webhook">
+                    <?php esc_html_e("Send test", "letterboxd-connect"); ?>
+                </button>
+                <button type="button" class="button-link letterboxd-remove-webhook">
+                    <?php esc_html_e("Remove", "letterboxd-connect"); ?>
+                </button>
+            </td>
+        </tr>
+        <?php
+    }
+
+    /**
+     * Limit a watch region to the supported codes
+     *
+     * @param mixed $region Submitted region code
+     * @return string Region code, "US" when unknown
+     */
+    private function sanitize_streaming_region($region): string {
+        $region = strtoupper(sanitize_text_field((string) $region));
+
+        return isset(Letterboxd_TMDB_Handler::WATCH_REGIONS[$region])
+            ? $region
+            : "US";
+    }
     
     private function build_admin_notice_url(string $message, string $type = 'updated'): string {
         return add_query_arg([
@@ -904,6 +1759,10 @@ class Letterboxd_Settings_Manager
         $progress['status']       = 'complete';
         $progress['last_updated'] = time();
         $progress['summary']      = $summary; // <— new
+
+        if (!empty($progress['history_id'])) {
+            $this->import_history->finish_run($progress['history_id'], 'complete', $summary);
+        }
         
         set_transient($progress_key, $progress, self::PROGRESS_TTL_COMPLETE);
         
@@ -933,6 +1792,10 @@ class Letterboxd_Settings_Manager
         }
         
         $active_tab = isset($_GET['tab']) ? sanitize_key($_GET['tab']) : 'general';
+        if (!in_array($active_tab, ['general', 'advanced', 'csv_import', 'sync', 'history'], true)) {
+            $active_tab = 'general';
+        }
+        $sync_count = (new Letterboxd_Sync_Queue())->count();
         include_once plugin_dir_path(__FILE__) . 'templates/settings-page.php';
     }
 
@@ -1183,6 +2046,11 @@ class Letterboxd_Settings_Manager
         $tmdb_handler = new Letterboxd_TMDB_Handler();
         if (!$tmdb_handler->is_api_key_configured()) {
             $error_message = __('TMDB API key is not configured.', 'letterboxd-connect');
+            $this->import_history->finish_run(
+                $this->import_history->start_run('tmdb'),
+                'error',
+                $error_message
+            );
         
             // Write an error state the poller can surface
             set_transient('letterboxd_tmdb_update_results', [
@@ -1198,8 +2066,7 @@ class Letterboxd_Settings_Manager
             echo esc_html($error_message);
             exit();
         }
-        $options = get_option('letterboxd_wordpress_advanced_options', []);
-        $region  = $options['streaming_region'] ?? 'US';
+        $region = $tmdb_handler->get_streaming_region();
 
         $progress = get_transient($progress_key);
         $is_new_run = false;
@@ -1239,6 +2106,7 @@ class Letterboxd_Settings_Manager
                 'batch_size'      => $batch_size,
                 'started_at'      => time(),
                 'last_updated'    => time(),
+                'history_id'      => $this->import_history->start_run('tmdb'),
             ];
             set_transient($progress_key, $progress, self::PROGRESS_TTL_RUNNING);
             // $this->letterboxd_debug_log("[PROGRESS] Initialized progress for batch 1; total_posts={$total_posts}");
@@ -1332,6 +2200,17 @@ class Letterboxd_Settings_Manager
         //     $verify_tmdb_title !== '' ? $verify_tmdb_title : '(empty)'
         // ));
     
+        // Itemised metadata results for the import history
+        $history_items = [];
+        foreach (($metaRes['items'] ?? []) as $pid => $item) {
+            $history_items[] = [
+                'title'   => get_the_title($pid),
+                'outcome' => $item['outcome'],
+                'reason'  => $item['reason'],
+            ];
+        }
+        $this->import_history->add_items((string) ($progress['history_id'] ?? ''), $history_items);
+
         // Aggregate results
         $updated_this = (int) ($metaRes['updated'] ?? 0) + (int) ($provRes['updated'] ?? 0);
         $failed_this  = (int) ($metaRes['failed']  ?? 0) + (int) ($provRes['failed']  ?? 0);
@@ -1437,11 +2316,6 @@ class Letterboxd_Settings_Manager
         
         wp_enqueue_media();
 
-        $auto_import_options = get_option("letterboxd_auto_import_options", [
-            "frequency" => "daily",
-            "notifications" => false,
-        ]);
-
         // Prepare script data
         $token = get_transient("letterboxd_tmdb_auth_callback");
 
@@ -1454,13 +2328,9 @@ class Letterboxd_Settings_Manager
             "nonce" => wp_create_nonce(self::AJAX_ACTION),
             "maxUploadSize" => wp_max_upload_size(),
             "dateFormat" => get_option("date_format"),
-            "settings" => [
-                "username" => $this->options["username"] ?? "",
-                "start_date" => $this->options["start_date"] ?? "",
-                "draft_status" => $this->options["draft_status"] ?? false,
-                "tmdb_api_key" => $this->advanced_options["tmdb_api_key"] ?? "",
-                "auto_import" => $auto_import_options,
-            ],
+            "frequencies" => self::ACCOUNT_FREQUENCIES,
+            "usernameMinLength" => self::USERNAME_MIN_LENGTH,
+            "usernameMaxLength" => self::USERNAME_MAX_LENGTH,
         ];
 
         // Localize scripts
@@ -1531,15 +2401,21 @@ class Letterboxd_Settings_Manager
     public function sanitize_options(array $input): array
     {
         try {
-            // Just sanitize and return the options
+            $accounts = $this->sanitize_accounts(
+                isset($input["accounts"]) && is_array($input["accounts"])
+                    ? $input["accounts"]
+                    : [$input],
+            );
+
+            // The first account is mirrored into the single-account keys
+            // that older code and other plugins read
+            $primary = $accounts[0] ?? [];
+
             return [
-                "username" => isset($input["username"])
-                    ? sanitize_text_field($input["username"])
-                    : "",
-                "start_date" => isset($input["start_date"])
-                    ? sanitize_text_field($input["start_date"])
-                    : "",
-                "draft_status" => !empty($input["draft_status"]),
+                "username" => $primary["username"] ?? "",
+                "start_date" => $primary["start_date"] ?? "",
+                "draft_status" => $primary["draft_status"] ?? false,
+                "accounts" => $accounts,
             ];
         } catch (\Exception $e) {
             add_settings_error(
@@ -1551,6 +2427,56 @@ class Letterboxd_Settings_Manager
         }
     }
 
+    /**
+     * Sanitize a list of accounts, dropping empty and repeated usernames
+     *
+     * @param array $accounts Raw accounts
+     * @return array Sanitized accounts
+     */
+    private function sanitize_accounts(array $accounts): array
+    {
+        $sanitized = [];
+
+        foreach ($accounts as $account) {
+            if (!is_array($account)) {
+                continue;
+            }
+
+            $username = strtolower(
+                sanitize_text_field($account["username"] ?? ""),
+            );
+            if ($username === "" || isset($sanitized[$username])) {
+                continue;
+            }
+
+            $frequency = sanitize_key($account["frequency"] ?? "daily");
+
+            $sanitized[$username] = [
+                "username" => $username,
+                "start_date" => sanitize_text_field(
+                    $account["start_date"] ?? "",
+                ),
+                "draft_status" => !empty($account["draft_status"]),
+                "frequency" => in_array(
+                    $frequency,
+                    self::ACCOUNT_FREQUENCIES,
+                    true,
+                )
+                    ? $frequency
+                    : "daily",
+                "sync_policy" => in_array(
+                    $account["sync_policy"] ?? "",
+                    Letterboxd_Sync_Queue::POLICIES,
+                    true,
+                )
+                    ? $account["sync_policy"]
+                    : Letterboxd_Sync_Queue::DEFAULT_POLICY,
+            ];
+        }
+
+        return array_values($sanitized);
+    }
+
     /**
      * Sanitize advanced options (gracefully handles null input).
      *
@@ -1572,6 +2498,9 @@ class Letterboxd_Settings_Manager
                 ? sanitize_text_field($input["tmdb_api_key"])
                 : $existing["tmdb_api_key"] ?? "",
             "tmdb_session_id" => $existing["tmdb_session_id"] ?? "",
+            "streaming_region" => $this->sanitize_streaming_region(
+                $input["streaming_region"] ?? $existing["streaming_region"] ?? "",
+            ),
         ];
 
         return $sanitized;
@@ -1593,52 +2522,135 @@ class Letterboxd_Settings_Manager
     }
 
     /**
-     * Render username field
-     */
-    public function render_username_field(): void
-    {
-        printf(
-            '<input type="text" name="%s[username]" value="%s" class="regular-text" required>
-            <p class="description">%s</p>',
-            esc_attr(self::OPTION_NAME),
-            esc_attr($this->options["username"]),
-            esc_html__("Your Letterboxd username", "letterboxd-connect"),
-        );
-    }
-
-    /**
-     * Render start date field
+     * Render the accounts table
+     *
+     * Rows are added and removed by settings.js; the first row is the
+     * primary account.
      */
-    public function render_start_date_field(): void
+    public function render_accounts_field(): void
     {
-        printf(
-            '<input type="date" id="start_date" name="%s[start_date]" value="%s" class="regular-text" max="%s">
-            <p class="description">%s</p>',
-            esc_attr(self::OPTION_NAME),
-            esc_attr($this->options["start_date"]),
-            esc_attr(gmdate("Y-m-d")),
-            esc_html__(
-                "Optional: Only import movies watched after this date",
+        $accounts = letterboxd_get_accounts();
+        if (empty($accounts)) {
+            $accounts = [
+                [
+                    "username" => "",
+                    "start_date" => "",
+                    "draft_status" => false,
+                    "frequency" => "daily",
+                    "sync_policy" => Letterboxd_Sync_Queue::DEFAULT_POLICY,
+                ],
+            ];
+        }
+        ?>
+        <table class="widefat letterboxd-accounts" id="letterboxd-accounts">
+            <thead>
+                <tr>
+                    <th scope="col"><?php esc_html_e("Username", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("Start Date", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("Import as Draft", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("Check for New Movies", "letterboxd-connect"); ?></th>
+                    <th scope="col"><?php esc_html_e("When Entries Differ", "letterboxd-connect"); ?></th>
+                    <th scope="col"><span class="screen-reader-text"><?php esc_html_e("Actions", "letterboxd-connect"); ?></span></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($accounts as $index => $account) {
+                    $this->render_account_row($index, $account);
+                } ?>
+            </tbody>
+        </table>
+        <p>
+            <button type="button" class="button" id="letterboxd-add-account">
+                <?php esc_html_e("Add account", "letterboxd-connect"); ?>
+            </button>
+        </p>
+        <p class="description">
+            <?php esc_html_e(
+                "Each account is imported on its own schedule. Start date is optional: only movies watched after it are imported. The first account is the primary one.",
                 "letterboxd-connect",
-            ),
-        );
+            ); ?>
+        </p>
+        <p class="description">
+            <?php esc_html_e(
+                "Imports compare entries you already have with Letterboxd, so ratings and reviews edited there and entries deleted there are noticed. When an entry differs, WordPress can keep its own values and only fill in what it doesn't have, take the Letterboxd values, or ask you on the Review Changes tab.",
+                "letterboxd-connect",
+            ); ?>
+        </p>
+        <?php
     }
 
     /**
-     * Render draft status field
+     * Render one row of the accounts table
+     *
+     * @param int $index Row index
+     * @param array $account Account settings
      */
-    public function render_draft_status_field(): void
+    private function render_account_row(int $index, array $account): void
     {
-        printf(
-            '<input type="checkbox" name="%s[draft_status]" value="1" %s>
-            <span class="description">%s</span>',
-            esc_attr(self::OPTION_NAME),
-            checked($this->options["draft_status"], true, false),
-            esc_html__(
-                "Save imported movies as drafts instead of publishing immediately",
-                "letterboxd-connect",
-            ),
-        );
+        $name = sprintf("%s[accounts][%d]", self::OPTION_NAME, $index);
+        $frequency_labels = [
+            "hourly" => __("Once Hourly", "letterboxd-connect"),
+            "twicedaily" => __("Twice Daily", "letterboxd-connect"),
+            "daily" => __("Once Daily", "letterboxd-connect"),
+            "weekly" => __("Once Weekly", "letterboxd-connect"),
+            "disabled" => __("Disabled", "letterboxd-connect"),
+        ];
+        $policy_labels = [
+            "wordpress" => __("WordPress wins", "letterboxd-connect"),
+            "letterboxd" => __("Letterboxd wins", "letterboxd-connect"),
+            "ask" => __("Ask me", "letterboxd-connect"),
+        ];
+        ?>
+        <tr class="letterboxd-account-row">
+            <td>
+                <input type="text" class="regular-text letterboxd-account-username"
+                    name="<?php echo esc_attr($name . "[username]"); ?>"
+                    value="<?php echo esc_attr($account["username"]); ?>"
+                    aria-label="<?php esc_attr_e("Letterboxd username", "letterboxd-connect"); ?>">
+                <span class="letterboxd-account-validation" aria-live="polite"></span>
+            </td>
+            <td>
+                <input type="date" class="letterboxd-account-start-date"
+                    name="<?php echo esc_attr($name . "[start_date]"); ?>"
+                    value="<?php echo esc_attr($account["start_date"] ?? ""); ?>"
+                    max="<?php echo esc_attr(gmdate("Y-m-d")); ?>"
+                    aria-label="<?php esc_attr_e("Start date", "letterboxd-connect"); ?>">
+            </td>
+            <td>
+                <input type="checkbox" class="letterboxd-account-draft"
+                    name="<?php echo esc_attr($name . "[draft_status]"); ?>" value="1"
+                    <?php checked(!empty($account["draft_status"])); ?>
+                    aria-label="<?php esc_attr_e("Import as draft", "letterboxd-connect"); ?>">
+            </td>
+            <td>
+                <select class="letterboxd-account-frequency"
+                    name="<?php echo esc_attr($name . "[frequency]"); ?>"
+                    aria-label="<?php esc_attr_e("Check for new movies", "letterboxd-connect"); ?>">
+                    <?php foreach ($frequency_labels as $value => $label) : ?>
+                        <option value="<?php echo esc_attr($value); ?>" <?php selected($account["frequency"] ?? "daily", $value); ?>>
+                            <?php echo esc_html($label); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </td>
+            <td>
+                <select class="letterboxd-account-sync-policy"
+                    name="<?php echo esc_attr($name . "[sync_policy]"); ?>"
+                    aria-label="<?php esc_attr_e("When entries differ", "letterboxd-connect"); ?>">
+                    <?php foreach ($policy_labels as $value => $label) : ?>
+                        <option value="<?php echo esc_attr($value); ?>" <?php selected($account["sync_policy"] ?? Letterboxd_Sync_Queue::DEFAULT_POLICY, $value); ?>>
+                            <?php echo esc_html($label); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </td>
+            <td>
+                <button type="button" class="button-link letterboxd-remove-account">
+                    <?php esc_html_e("Remove", "letterboxd-connect"); ?>
+                </button>
+            </td>
+        </tr>
+        <?php
     }
 
     /**
@@ -1716,9 +2728,9 @@ class Letterboxd_Settings_Manager
     {
         switch ($column) {
             case "rating":
-                $rating = get_post_meta($post_id, "movie_rating", true);
+                $rating = letterboxd_render_star_rating(letterboxd_rating_to_number(get_post_meta($post_id, "movie_rating", true)));
                 echo $rating
-                    ? esc_html($rating)
+                    ? $rating // Escaped in letterboxd_render_star_rating()
                     : esc_html__("No Rating", "letterboxd-connect");
                 break;
 
@@ -0,0 +1,158 @@
+<?php
+/**
+ * Keeps Letterboxd changes that wait for review
+ *
+ * Accounts whose conflict policy is "ask" don't apply changes found by an
+ * import. Each change is stored here until it is approved or rejected on the
+ * settings page. Rejected changes are remembered, so the same change isn't
+ * raised again by the next import.
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Sync_Queue {
+    /**
+     * Storage constants
+     */
+    public const OPTION_NAME = "letterboxd_sync_queue";
+    public const REJECTED_OPTION_NAME = "letterboxd_sync_rejected";
+    private const MAX_REJECTED = 500;
+
+    /**
+     * Conflict policies: which side wins when a diary entry differs
+     */
+    public const POLICIES = ["wordpress", "letterboxd", "ask"];
+    public const DEFAULT_POLICY = "wordpress";
+
+    /**
+     * ID of the change for one diary entry
+     *
+     * An entry has at most one change waiting, so a newer import replaces it.
+     *
+     * @param int $post_id Movie post ID
+     * @param string $date Date of the diary entry (Y-m-d)
+     * @return string Change ID
+     */
+    public static function get_change_id(int $post_id, string $date): string {
+        return md5($post_id . "|" . $date);
+    }
+
+    /**
+     * Add or replace a change, unless the same change was rejected before
+     *
+     * @param array $change Change with id, type, post_id, title, date, account and fields
+     * @return bool Whether the change is waiting for review
+     */
+    public function add(array $change): bool {
+        if ($this->is_rejected($change)) {
+            return false;
+        }
+
+        $changes = $this->get_changes();
+        $changes[$change["id"]] = $change + ["found_at" => time()];
+        $this->save($changes);
+
+        return true;
+    }
+
+    /**
+     * All changes waiting for review, oldest first
+     */
+    public function get_changes(): array {
+        $changes = get_option(self::OPTION_NAME, []);
+        return is_array($changes) ? $changes : [];
+    }
+
+    /**
+     * Get one waiting change
+     *
+     * @param string $id Change ID
+     * @return array|null The change, or null when it isn't waiting
+     */
+    public function get(string $id): ?array {
+        return $this->get_changes()[$id] ?? null;
+    }
+
+    /**
+     * Number of changes waiting for review
+     */
+    public function count(): int {
+        return count($this->get_changes());
+    }
+
+    /**
+     * Drop a change, e.g. once applied or when the two sides agree again
+     *
+     * @param string $id Change ID
+     */
+    public function remove(string $id): void {
+        $changes = $this->get_changes();
+        if (isset($changes[$id])) {
+            unset($changes[$id]);
+            $this->save($changes);
+        }
+    }
+
+    /**
+     * Drop a change and remember not to raise it again
+     *
+     * @param string $id Change ID
+     */
+    public function reject(string $id): void {
+        $change = $this->get($id);
+        if ($change === null) {
+            return;
+        }
+
+        $rejected = $this->get_rejected();
+        unset($rejected[$id]);
+        $rejected[$id] = $this->fingerprint($change);
+        update_option(
+            self::REJECTED_OPTION_NAME,
+            array_slice($rejected, -self::MAX_REJECTED, null, true),
+            false
+        );
+
+        $this->remove($id);
+    }
+
+    /**
+     * Check whether this exact change was rejected before
+     */
+    private function is_rejected(array $change): bool {
+        return ($this->get_rejected()[$change["id"]] ?? "") === $this->fingerprint($change);
+    }
+
+    /**
+     * Rejected change IDs with the fingerprint of what Letterboxd had
+     */
+    private function get_rejected(): array {
+        $rejected = get_option(self::REJECTED_OPTION_NAME, []);
+        return is_array($rejected) ? $rejected : [];
+    }
+
+    /**
+     * Identify a change by what Letterboxd has, so a later edit there is raised again
+     */
+    private function fingerprint(array $change): string {
+        return md5((string) wp_json_encode([
+            $change["type"],
+            array_column($change["fields"] ?? [], "letterboxd"),
+        ]));
+    }
+
+    /**
+     * Persist changes without autoloading them on every request
+     */
+    private function save(array $changes): void {
+        update_option(self::OPTION_NAME, $changes, false);
+    }
+}
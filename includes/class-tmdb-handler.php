@@ -28,6 +28,83 @@ class Letterboxd_TMDB_Handler {
     private const RATE_LIMIT_KEY = "tmdb_rate_limit";
     private const RATE_LIMIT_PERIOD = 1; // 1 second
     private const RATE_LIMIT_REQUESTS = 3; // Max 3 requests per second (TMDB's rate limit)
+    private const TOP_CAST_COUNT = 5; // Top-billed actors kept in "top_cast"
+
+    /**
+     * Post meta set when an editor has confirmed a movie's TMDB match
+     */
+    public const MATCH_LOCK_META = "tmdb_match_locked";
+
+    /**
+     * Post meta written from the matched TMDB film
+     */
+    private const MATCH_META_KEYS = [
+        "tmdb_id",
+        "tmdb_id_source",
+        "tmdb_last_sync",
+        "tmdb_title",
+        "tmdb_original_title",
+        "tmdb_overview",
+        "tmdb_release_date",
+        "tmdb_poster_path",
+        "tmdb_backdrop_path",
+        "tmdb_genres",
+        "director",
+        "imdb_id",
+        "runtime",
+        "top_cast",
+        "trailer_url",
+        "streaming_providers",
+        "streaming_link",
+        "streaming_region",
+        "streaming_providers_updated",
+    ];
+
+    /**
+     * Scheduled streaming provider refresh
+     */
+    public const STREAMING_REFRESH_HOOK = "letterboxd_refresh_streaming_providers";
+    private const STREAMING_REFRESH_AGE = 604800; // Refresh providers older than a week
+    private const STREAMING_REFRESH_BATCH = 50; // Movies refreshed per scheduled run
+
+    /**
+     * Watch regions offered in the settings (ISO 3166-1 alpha-2 => name)
+     */
+    public const WATCH_REGIONS = [
+        "AR" => "Argentina",
+        "AU" => "Australia",
+        "AT" => "Austria",
+        "BE" => "Belgium",
+        "BR" => "Brazil",
+        "CA" => "Canada",
+        "CL" => "Chile",
+        "CO" => "Colombia",
+        "CZ" => "Czech Republic",
+        "DK" => "Denmark",
+        "FI" => "Finland",
+        "FR" => "France",
+        "DE" => "Germany",
+        "HK" => "Hong Kong",
+        "IN" => "India",
+        "IE" => "Ireland",
+        "IT" => "Italy",
+        "JP" => "Japan",
+        "MX" => "Mexico",
+        "NL" => "Netherlands",
+        "NZ" => "New Zealand",
+        "NO" => "Norway",
+        "PL" => "Poland",
+        "PT" => "Portugal",
+        "SG" => "Singapore",
+        "ZA" => "South Africa",
+        "KR" => "South Korea",
+        "ES" => "Spain",
+        "SE" => "Sweden",
+        "CH" => "Switzerland",
+        "TR" => "Turkey",
+        "GB" => "United Kingdom",
+        "US" => "United States",
+    ];
 
     /**
      * @var string API key
@@ -64,6 +141,18 @@ class Letterboxd_TMDB_Handler {
         return !empty($this->api_key);
     }
 
+    /**
+     * Get the watch region configured in the settings
+     *
+     * @return string Region code, "US" when unset or unknown
+     */
+    public function get_streaming_region(): string {
+        $options = get_option("letterboxd_wordpress_advanced_options", []);
+        $region = strtoupper((string) ($options["streaming_region"] ?? ""));
+
+        return isset(self::WATCH_REGIONS[$region]) ? $region : "US";
+    }
+
     /**
      * Rate limit API requests to avoid hitting TMDB limits
      *
@@ -233,7 +322,7 @@ class Letterboxd_TMDB_Handler {
         }
 
         $response = $this->make_api_request("/movie/{$movie_id}", [
-            "append_to_response" => "credits,release_dates,images,external_ids",
+            "append_to_response" => "credits,release_dates,images,external_ids,videos",
         ]);
 
         if (!is_wp_error($response)) {
@@ -357,15 +446,10 @@ class Letterboxd_TMDB_Handler {
             }
         }
 
-        // Fetch uncached items
+        // Fetch uncached items; errors are passed through so callers can
+        // tell a failed request from a film with no providers
         foreach ($ids_to_fetch as $movie_id) {
-            $providers = $this->get_streaming_providers($movie_id, $region);
-
-            if (!is_wp_error($providers)) {
-                $results[$movie_id] = $providers;
-            } else {
-                $results[$movie_id] = [];
-            }
+            $results[$movie_id] = $this->get_streaming_providers($movie_id, $region);
 
             // Small delay between requests to respect rate limits
             if (count($ids_to_fetch) > 1) {
@@ -546,6 +630,110 @@ class Letterboxd_TMDB_Handler {
         return (int) ($id ?: 0);
     }
 
+    /**
+     * Search TMDB and return every candidate, for picking a match by hand
+     *
+     * @param string $query Film title
+     * @param int|null $year Release year to narrow the search
+     * @return array|WP_Error Results (id, title, year, poster, overview) and
+     *                        the ID search_movie_id() would choose as best_match
+     */
+    public function search_movies(string $query, ?int $year = null): array|WP_Error {
+        $query = $this->normalize_query_string($query);
+        if ($query === '') {
+            return ['results' => [], 'best_match' => 0];
+        }
+
+        $resp = $this->tmdb_search_movie($query, $year);
+        if (is_wp_error($resp)) {
+            return $resp;
+        }
+
+        $rows = $resp['results'] ?? [];
+        $results = [];
+        foreach ($rows as $row) {
+            if (empty($row['id']) || empty($row['title'])) { continue; }
+
+            $results[] = [
+                'id'       => (int) $row['id'],
+                'title'    => (string) $row['title'],
+                'year'     => substr((string) ($row['release_date'] ?? ''), 0, 4),
+                'poster'   => !empty($row['poster_path']) ? $this->get_image_url($row['poster_path'], 'w92') : '',
+                'overview' => wp_trim_words((string) ($row['overview'] ?? ''), 25),
+            ];
+        }
+
+        return [
+            'results'    => $results,
+            'best_match' => (int) ($this->choose_best_search_match($rows, $query, $year) ?: 0),
+        ];
+    }
+
+    /**
+     * Point a movie at a TMDB film chosen by an editor and re-run enrichment
+     *
+     * @param int $post_id Movie post ID
+     * @param int $tmdb_id TMDB movie ID
+     * @param bool $locked Whether bulk updates must keep this match
+     * @return array Results from batch_update_movie_metadata
+     */
+    public function set_movie_match(int $post_id, int $tmdb_id, bool $locked): array {
+        $id_meta_keys = (array) apply_filters('letterboxd_tmdb_id_meta_keys', ['tmdb_id', 'tmdb_movie_id']);
+        foreach (array_unique(array_merge(['tmdb_id'], $id_meta_keys)) as $key) {
+            update_post_meta($post_id, $key, $tmdb_id);
+        }
+        update_post_meta($post_id, 'tmdb_id_source', 'manual');
+
+        if ($locked) {
+            update_post_meta($post_id, self::MATCH_LOCK_META, 1);
+        } else {
+            delete_post_meta($post_id, self::MATCH_LOCK_META);
+        }
+
+        $region = $this->get_streaming_region();
+        $results = $this->batch_update_movie_metadata([$post_id], $region);
+        $this->batch_update_streaming_providers([$post_id], $region);
+
+        return $results;
+    }
+
+    /**
+     * Forget a movie's TMDB match and the details fetched for it
+     *
+     * The next TMDB update searches for the film again. Genre, country and
+     * language terms are kept, as editors may have changed them by hand.
+     *
+     * @param int $post_id Movie post ID
+     */
+    public function clear_movie_match(int $post_id): void {
+        $id_meta_keys = (array) apply_filters('letterboxd_tmdb_id_meta_keys', ['tmdb_id', 'tmdb_movie_id']);
+        $keys = array_merge($id_meta_keys, self::MATCH_META_KEYS, [self::MATCH_LOCK_META]);
+
+        foreach (array_unique($keys) as $key) {
+            delete_post_meta($post_id, $key);
+        }
+    }
+
+    /**
+     * Summarise the TMDB film a movie is currently matched to
+     *
+     * @param int $post_id Movie post ID
+     * @return array tmdb_id, title, year, poster, source and locked
+     */
+    public function get_movie_match(int $post_id): array {
+        $tmdb_id = (int) (get_post_meta($post_id, 'tmdb_id', true) ?: get_post_meta($post_id, 'tmdb_movie_id', true));
+        $poster_path = (string) get_post_meta($post_id, 'tmdb_poster_path', true);
+
+        return [
+            'tmdb_id' => $tmdb_id,
+            'title'   => (string) get_post_meta($post_id, 'tmdb_title', true),
+            'year'    => substr((string) get_post_meta($post_id, 'tmdb_release_date', true), 0, 4),
+            'poster'  => $poster_path !== '' ? $this->get_image_url($poster_path, 'w185') : '',
+            'source'  => (string) get_post_meta($post_id, 'tmdb_id_source', true),
+            'locked'  => (bool) get_post_meta($post_id, self::MATCH_LOCK_META, true),
+        ];
+    }
+
     /**
      * Decide which search result is the best match for the given title/year.
      * Returns TMDB id or null.
@@ -871,17 +1059,35 @@ class Letterboxd_TMDB_Handler {
             $metadata["tmdb_genres"] = implode(", ", $genres);
         }
 
+        // Runtime in minutes
+        if (!empty($movie_data["runtime"])) {
+            $metadata["runtime"] = (int) $movie_data["runtime"];
+        }
+
+        // Top-billed cast (credits are ordered by billing)
+        if (!empty($movie_data["credits"]["cast"])) {
+            $cast = array_slice($movie_data["credits"]["cast"], 0, self::TOP_CAST_COUNT);
+            $metadata["top_cast"] = implode(", ", array_column($cast, "name"));
+        }
+
+        // Trailer link, when TMDB knows one
+        $trailer_url = $this->get_trailer_url($movie_data);
+        if ($trailer_url !== "") {
+            $metadata["trailer_url"] = $trailer_url;
+        }
+
         // Get streaming providers if TMDB ID is available
         if (!empty($movie_data["id"])) {
             $providers = $this->get_streaming_providers(
                 $movie_data["id"],
                 $region
             );
-            if (!is_wp_error($providers) && !empty($providers)) {
+            if (!is_wp_error($providers)) {
                 $metadata["streaming_providers"] = wp_json_encode(
                     $this->format_streaming_providers($providers)
                 );
                 $metadata["streaming_link"] = $providers["link"] ?? "";
+                $metadata["streaming_region"] = $region;
                 $metadata["streaming_providers_updated"] = current_time(
                     "mysql"
                 );
@@ -891,12 +1097,78 @@ class Letterboxd_TMDB_Handler {
         return $metadata;
     }
 
+    /**
+     * Pick a trailer from the movie's videos
+     *
+     * Official YouTube trailers come first, then any YouTube trailer.
+     *
+     * @param array $movie_data Movie data from TMDB with appended videos
+     * @return string Trailer URL, empty when there is none
+     */
+    private function get_trailer_url(array $movie_data): string {
+        $trailers = array_filter(
+            $movie_data["videos"]["results"] ?? [],
+            static fn($video): bool => is_array($video) &&
+                ($video["site"] ?? "") === "YouTube" &&
+                ($video["type"] ?? "") === "Trailer" &&
+                !empty($video["key"])
+        );
+        if (empty($trailers)) {
+            return "";
+        }
+
+        usort($trailers, static fn(array $a, array $b): int => !empty($b["official"]) <=> !empty($a["official"]));
+
+        return "https://www.youtube.com/watch?v=" . rawurlencode($trailers[0]["key"]);
+    }
+
+    /**
+     * Get the genre, country and language terms for a movie
+     *
+     * @param array $movie_data Movie data from TMDB
+     * @return array Term names keyed by taxonomy
+     */
+    public function extract_movie_terms(array $movie_data): array {
+        $language = (string) ($movie_data["original_language"] ?? "");
+        foreach ($movie_data["spoken_languages"] ?? [] as $spoken) {
+            if (($spoken["iso_639_1"] ?? "") === $language && !empty($spoken["english_name"])) {
+                $language = $spoken["english_name"];
+                break;
+            }
+        }
+
+        return [
+            "movie_genre" => array_column($movie_data["genres"] ?? [], "name"),
+            "movie_country" => array_column($movie_data["production_countries"] ?? [], "name"),
+            "movie_language" => $language !== "" ? [$language] : [],
+        ];
+    }
+
+    /**
+     * Replace a movie's genre, country and language terms with TMDB's
+     *
+     * @param int $post_id Movie post ID
+     * @param array $movie_data Movie data from TMDB
+     */
+    public function save_movie_terms(int $post_id, array $movie_data): void {
+        foreach ($this->extract_movie_terms($movie_data) as $taxonomy => $names) {
+            if (!empty($names)) {
+                wp_set_object_terms(
+                    $post_id,
+                    array_map("sanitize_text_field", $names),
+                    $taxonomy
+                );
+            }
+        }
+    }
+
     /**
      * Ensure tmdb_id exists (search if missing), fetch details in batches,
      * and write all extracted TMDB meta to each post.
      */
     public function batch_update_movie_metadata(array $post_ids, string $region = 'US'): array {
-        $results = ['updated' => 0, 'failed' => 0, 'skipped' => 0, 'errors' => []];
+        // 'items' maps each post ID to its outcome and reason for the import history
+        $results = ['updated' => 0, 'failed' => 0, 'skipped' => 0, 'errors' => [], 'items' => []];
 
         // letterboxd_debug_log('[META] Starting batch_update_movie_metadata for ' . count($post_ids) . ' posts; region=' . $region);
 
@@ -916,10 +1188,16 @@ class Letterboxd_TMDB_Handler {
         $post_to_tmdb = [];
         foreach ($post_ids as $post_id) {
             // Look for an existing TMDB ID in any of the allowed keys.
+            // A match locked by an editor always wins over the other keys.
             $tmdb_id = 0;
-            foreach ($id_meta_keys as $key) {
-                $val = (int) get_post_meta($post_id, $key, true);
-                if ($val) { $tmdb_id = $val; break; }
+            if (get_post_meta($post_id, self::MATCH_LOCK_META, true)) {
+                $tmdb_id = (int) get_post_meta($post_id, 'tmdb_id', true);
+            }
+            if (!$tmdb_id) {
+                foreach ($id_meta_keys as $key) {
+                    $val = (int) get_post_meta($post_id, $key, true);
+                    if ($val) { $tmdb_id = $val; break; }
+                }
             }
 
             if (!$tmdb_id) {
@@ -961,6 +1239,10 @@ class Letterboxd_TMDB_Handler {
                 $post_to_tmdb[$post_id] = (int) $tmdb_id;
             } else {
                 $results['skipped']++;
+                $results['items'][$post_id] = [
+                    'outcome' => 'skipped',
+                    'reason'  => __('TMDB match failed', 'letterboxd-connect'),
+                ];
             }
         }
 
@@ -982,7 +1264,13 @@ class Letterboxd_TMDB_Handler {
                     $msg = "[META] Details error for TMDB {$tmdb_id}: " . $movie_data->get_error_message();
                     $results['errors'][] = $msg;
                     // letterboxd_debug_log($msg);
-                    foreach ($post_ids_for_tmdb as $pid) { $results['failed']++; }
+                    foreach ($post_ids_for_tmdb as $pid) {
+                        $results['failed']++;
+                        $results['items'][$pid] = [
+                            'outcome' => 'failed',
+                            'reason'  => $movie_data->get_error_message(),
+                        ];
+                    }
                     continue;
                 }
 
@@ -995,6 +1283,7 @@ class Letterboxd_TMDB_Handler {
                         foreach ($meta as $k => $v) {
                             update_post_meta($pid, $k, $v);
                         }
+                        $this->save_movie_terms($pid, $movie_data);
                         // Update sync time (nicety) even when ID was pre-existing.
                         update_post_meta($pid, 'tmdb_last_sync', current_time('mysql'));
 
@@ -1002,8 +1291,10 @@ class Letterboxd_TMDB_Handler {
                         $probe = get_post_meta($pid, 'tmdb_title', true);
                         // letterboxd_debug_log("[META] Wrote meta for post {$pid}; tmdb_title='" . (string) $probe . "'");
                         $results['updated']++;
+                        $results['items'][$pid] = ['outcome' => 'updated', 'reason' => ''];
                     } catch (\Throwable $e) {
                         $results['failed']++;
+                        $results['items'][$pid] = ['outcome' => 'failed', 'reason' => $e->getMessage()];
                         $msg = "Meta write error for post {$pid} (TMDB {$tmdb_id}): " . $e->getMessage();
                         $results['errors'][] = $msg;
                         // letterboxd_debug_log('[META] ' . $msg);
@@ -1096,17 +1387,17 @@ class Letterboxd_TMDB_Handler {
                         continue;
                     }
         
-                    if (empty($providers) || is_wp_error($providers)) {
+                    if (is_wp_error($providers)) {
                         $results['failed'] += count($post_ids_for_tmdb);
-                        $error_msg = is_wp_error($providers)
-                            ? $providers->get_error_message()
-                            : "No providers for TMDB ID {$tmdb_id}";
+                        $error_msg = $providers->get_error_message();
                         $results['errors'][] = $error_msg;
                         // letterboxd_debug_log($error_msg);
                         continue;
                     }
         
-                    // Format once per TMDB ID then write to all mapped posts
+                    // Format once per TMDB ID then write to all mapped posts.
+                    // A film with no providers in the region still gets an empty
+                    // set so stale badges from an earlier refresh are cleared.
                     try {
                         $formatted_providers = $this->format_streaming_providers($providers);
                     } catch (Exception $e) {
@@ -1129,6 +1420,7 @@ class Letterboxd_TMDB_Handler {
                                 'streaming_link',
                                 $providers['link'] ?? ''
                             );
+                            update_post_meta($post_id, 'streaming_region', $region);
                             update_post_meta(
                                 $post_id,
                                 'streaming_providers_updated',
@@ -1158,6 +1450,99 @@ class Letterboxd_TMDB_Handler {
         return $results;
     }
 
+    /**
+     * Refresh streaming providers that are stale or from another region
+     *
+     * Runs on a daily schedule and works through the oldest data first, a
+     * batch at a time, so availability stays current without a long cron run.
+     * "more" tells whether a full batch was refreshed, so others may remain.
+     *
+     * @return array Results from batch_update_streaming_providers, plus "more"
+     */
+    public function refresh_stale_streaming_providers(): array {
+        if (!$this->is_api_key_configured()) {
+            return ["updated" => 0, "failed" => 0, "errors" => []];
+        }
+
+        $region = $this->get_streaming_region();
+        $cutoff = wp_date(
+            "Y-m-d H:i:s",
+            time() - self::STREAMING_REFRESH_AGE
+        );
+
+        $post_ids = get_posts([
+            "post_type" => "movie",
+            "post_status" => "any",
+            "fields" => "ids",
+            "posts_per_page" => self::STREAMING_REFRESH_BATCH,
+            "no_found_rows" => true,
+            "meta_key" => "streaming_providers_updated",
+            "orderby" => "meta_value",
+            "order" => "ASC",
+            "meta_query" => [
+                "relation" => "AND",
+                [
+                    "key" => "tmdb_id",
+                    "compare" => "EXISTS",
+                ],
+                [
+                    "relation" => "OR",
+                    [
+                        "key" => "streaming_providers_updated",
+                        "value" => $cutoff,
+                        "compare" => "<",
+                        "type" => "DATETIME",
+                    ],
+                    [
+                        "key" => "streaming_region",
+                        "value" => $region,
+                        "compare" => "!=",
+                    ],
+                    [
+                        "key" => "streaming_region",
+                        "compare" => "NOT EXISTS",
+                    ],
+                ],
+            ],
+        ]);
+
+        // Films enriched before providers were tracked have no timestamp
+        // at all, so the ordered query above cannot see them
+        if (count($post_ids) < self::STREAMING_REFRESH_BATCH) {
+            $post_ids = array_merge($post_ids, get_posts([
+                "post_type" => "movie",
+                "post_status" => "any",
+                "fields" => "ids",
+                "posts_per_page" => self::STREAMING_REFRESH_BATCH - count($post_ids),
+                "no_found_rows" => true,
+                "meta_query" => [
+                    [
+                        "key" => "tmdb_id",
+                        "compare" => "EXISTS",
+                    ],
+                    [
+                        "key" => "streaming_providers_updated",
+                        "compare" => "NOT EXISTS",
+                    ],
+                ],
+            ]));
+        }
+
+        if (empty($post_ids)) {
+            return ["updated" => 0, "failed" => 0, "errors" => [], "more" => false];
+        }
+
+        $results = $this->batch_update_streaming_providers(
+            array_map("intval", $post_ids),
+            $region
+        );
+
+        // Movies that keep failing stay stale, so only continue on progress
+        $results["more"] = count($post_ids) >= self::STREAMING_REFRESH_BATCH && $results["updated"] > 0;
+
+        return $results;
+    }
+
     /**
      * Generate IMDb URL from IMDb ID
      *
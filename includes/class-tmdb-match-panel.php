@@ -0,0 +1,223 @@
+<?php
+/**
+ * Editor panel for reviewing and fixing a movie's TMDB match
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_TMDB_Match_Panel {
+    /**
+     * REST namespace shared with the rest of the plugin
+     */
+    private const REST_NAMESPACE = "letterboxd-connect/v1";
+
+    /**
+     * Initialize the panel
+     */
+    public function __construct() {
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks(): void {
+        add_action("rest_api_init", [$this, "register_rest_routes"]);
+
+        if (is_admin()) {
+            add_action("enqueue_block_editor_assets", [
+                $this,
+                "enqueue_editor_assets",
+            ]);
+        }
+    }
+
+    /**
+     * Register the match and search endpoints
+     */
+    public function register_rest_routes(): void {
+        register_rest_route(self::REST_NAMESPACE, "/tmdb-match/(?P<id>\d+)", [
+            [
+                "methods" => "GET",
+                "callback" => [$this, "get_match"],
+                "permission_callback" => [$this, "can_edit_movie"],
+            ],
+            [
+                "methods" => "POST",
+                "callback" => [$this, "update_match"],
+                "permission_callback" => [$this, "can_edit_movie"],
+                "args" => [
+                    "tmdb_id" => [
+                        "type" => "integer",
+                        "minimum" => 1,
+                    ],
+                    "locked" => [
+                        "type" => "boolean",
+                        "default" => false,
+                    ],
+                ],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, "/tmdb-search", [
+            "methods" => "GET",
+            "callback" => [$this, "search"],
+            "permission_callback" => fn() => current_user_can("edit_movies"),
+            "args" => [
+                "query" => [
+                    "type" => "string",
+                    "required" => true,
+                    "sanitize_callback" => "sanitize_text_field",
+                ],
+                "year" => [
+                    "type" => "integer",
+                    "minimum" => 1870,
+                    "maximum" => 2100,
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Only editors of the movie may see or change its match
+     *
+     * @param WP_REST_Request $request Request with the post ID
+     * @return bool Whether the request is allowed
+     */
+    public function can_edit_movie(WP_REST_Request $request): bool {
+        $post_id = (int) $request["id"];
+        return get_post_type($post_id) === "movie" &&
+            current_user_can("edit_post", $post_id);
+    }
+
+    /**
+     * Return the current TMDB match for a movie
+     *
+     * @param WP_REST_Request $request Request with the post ID
+     * @return WP_REST_Response Match summary
+     */
+    public function get_match(WP_REST_Request $request): WP_REST_Response {
+        $tmdb_handler = new Letterboxd_TMDB_Handler();
+
+        return new WP_REST_Response([
+            "match" => $tmdb_handler->get_movie_match((int) $request["id"]),
+            "configured" => $tmdb_handler->is_api_key_configured(),
+        ]);
+    }
+
+    /**
+     * Match a movie to a different TMDB film and re-run enrichment
+     *
+     * Without a tmdb_id only the lock is changed.
+     *
+     * @param WP_REST_Request $request Request with the post ID, tmdb_id and locked
+     * @return WP_REST_Response|WP_Error Updated match summary or error
+     */
+    public function update_match(WP_REST_Request $request): WP_REST_Response|WP_Error {
+        $tmdb_handler = new Letterboxd_TMDB_Handler();
+        $post_id = (int) $request["id"];
+
+        if (empty($request["tmdb_id"])) {
+            if ($request["locked"]) {
+                update_post_meta($post_id, Letterboxd_TMDB_Handler::MATCH_LOCK_META, 1);
+            } else {
+                delete_post_meta($post_id, Letterboxd_TMDB_Handler::MATCH_LOCK_META);
+            }
+
+            return new WP_REST_Response([
+                "match" => $tmdb_handler->get_movie_match($post_id),
+            ]);
+        }
+
+        if (!$tmdb_handler->is_api_key_configured()) {
+            return new WP_Error(
+                "tmdb_not_configured",
+                __("TMDB API key is not configured.", "letterboxd-connect"),
+                ["status" => 400]
+            );
+        }
+
+        $results = $tmdb_handler->set_movie_match(
+            $post_id,
+            (int) $request["tmdb_id"],
+            (bool) $request["locked"]
+        );
+
+        if (($results["items"][$post_id]["outcome"] ?? "") === "failed") {
+            return new WP_Error(
+                "tmdb_enrichment_failed",
+                $results["items"][$post_id]["reason"],
+                ["status" => 502]
+            );
+        }
+
+        return new WP_REST_Response([
+            "match" => $tmdb_handler->get_movie_match($post_id),
+        ]);
+    }
+
+    /**
+     * Proxy a TMDB search so the API key stays on the server
+     *
+     * @param WP_REST_Request $request Request with query and optional year
+     * @return WP_REST_Response|WP_Error Candidates and the suggested best match
+     */
+    public function search(WP_REST_Request $request): WP_REST_Response|WP_Error {
+        $tmdb_handler = new Letterboxd_TMDB_Handler();
+        if (!$tmdb_handler->is_api_key_configured()) {
+            return new WP_Error(
+                "tmdb_not_configured",
+                __("TMDB API key is not configured.", "letterboxd-connect"),
+                ["status" => 400]
+            );
+        }
+
+        $year = $request["year"] ? (int) $request["year"] : null;
+        $results = $tmdb_handler->search_movies((string) $request["query"], $year);
+
+        if (is_wp_error($results)) {
+            $results->add_data(["status" => 502]);
+            return $results;
+        }
+
+        return new WP_REST_Response($results);
+    }
+
+    /**
+     * Enqueue the panel script when editing a movie
+     */
+    public function enqueue_editor_assets(): void {
+        $screen = function_exists("get_current_screen") ? get_current_screen() : null;
+        if (!$screen || $screen->post_type !== "movie") {
+            return;
+        }
+
+        wp_enqueue_script(
+            "letterboxd-tmdb-match-panel",
+            plugins_url("js/tmdb-match-panel.js", LETTERBOXD_PLUGIN_FILE),
+            [
+                "wp-plugins",
+                "wp-edit-post",
+                "wp-element",
+                "wp-components",
+                "wp-data",
+                "wp-i18n",
+                "wp-api-fetch",
+            ],
+            LETTERBOXD_VERSION,
+            true
+        );
+
+        wp_localize_script("letterboxd-tmdb-match-panel", "letterboxdTmdbMatch", [
+            "restNamespace" => self::REST_NAMESPACE,
+        ]);
+    }
+}
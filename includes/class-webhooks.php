@@ -0,0 +1,434 @@
+<?php
+/**
+ * Outgoing webhook notifications for import results
+ *
+ * @package letterboxd-connect
+ * @since 1.1.0
+ */
+
+declare(strict_types=1);
+
+// Prevent direct access
+if (!defined("ABSPATH")) {
+    exit();
+}
+
+class Letterboxd_Webhooks {
+    private function debug_log($message) {
+        letterboxd_debug_log($message, "Webhooks");
+    }
+
+    /**
+     * Storage and scheduling constants
+     */
+    public const OPTION_NAME = "letterboxd_webhooks";
+    public const RETRY_HOOK = "letterboxd_retry_webhook";
+    private const REST_NAMESPACE = "letterboxd-connect/v1";
+    private const TIMEOUT = 10;
+    private const MAX_TARGETS = 10;
+    private const MAX_LISTED_FILMS = 10;
+    private const DISCORD_MAX_LENGTH = 2000;
+
+    /**
+     * Wait before each retry of a failed send: 1 minute, 5 minutes, 30 minutes
+     */
+    private const RETRY_DELAYS = [60, 300, 1800];
+
+    /**
+     * Payload formats a target can use
+     */
+    public const FORMATS = ["json", "slack", "discord"];
+
+    /**
+     * Events a target can subscribe to
+     */
+    public const EVENTS = ["import_succeeded", "import_failed", "tmdb_refreshed"];
+
+    /**
+     * Track if hooks have been setup
+     *
+     * @var bool
+     */
+    private static $hooks_setup = false;
+
+    /**
+     * Initialize webhooks
+     */
+    public function __construct() {
+        // The settings screen creates its own instance, so hook up only once
+        if (!self::$hooks_setup) {
+            self::$hooks_setup = true;
+            $this->setup_hooks();
+        }
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks(): void {
+        add_action("letterboxd_import_run_recorded", [$this, "notify_run"]);
+        add_action(self::RETRY_HOOK, [$this, "retry_delivery"], 10, 3);
+        add_action("rest_api_init", [$this, "register_rest_routes"]);
+    }
+
+    /**
+     * Register the test endpoint
+     */
+    public function register_rest_routes(): void {
+        register_rest_route(self::REST_NAMESPACE, "/webhooks/test", [
+            "methods" => "POST",
+            "callback" => [$this, "send_test"],
+            "permission_callback" => fn() => current_user_can("manage_options"),
+            "args" => [
+                "url" => [
+                    "type" => "string",
+                    "format" => "uri",
+                    "required" => true,
+                ],
+                "format" => [
+                    "type" => "string",
+                    "default" => "json",
+                    "enum" => self::FORMATS,
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Saved webhook targets
+     *
+     * @return array Targets with id, url, format and events
+     */
+    public function get_targets(): array {
+        $targets = get_option(self::OPTION_NAME, []);
+        $targets = $this->validate_targets(is_array($targets) ? $targets : []);
+
+        return is_wp_error($targets) ? [] : $targets;
+    }
+
+    /**
+     * Sanitize submitted targets, rejecting unusable URLs
+     *
+     * Rows without a URL are dropped.
+     *
+     * @param array $targets Raw targets
+     * @return array|WP_Error Sanitized targets or the first problem found
+     */
+    public function validate_targets(array $targets): array|WP_Error {
+        $sanitized = [];
+
+        foreach ($targets as $target) {
+            if (!is_array($target) || trim((string) ($target["url"] ?? "")) === "") {
+                continue;
+            }
+
+            $url = esc_url_raw(trim((string) $target["url"]), ["http", "https"]);
+            if ($url === "" || !wp_http_validate_url($url)) {
+                return new WP_Error(
+                    "invalid_webhook_url",
+                    sprintf(
+                        /* translators: %s: Webhook URL */
+                        __("%s is not a valid webhook URL.", "letterboxd-connect"),
+                        $target["url"]
+                    )
+                );
+            }
+
+            $events = array_values(array_intersect(self::EVENTS, (array) ($target["events"] ?? [])));
+            if (empty($events)) {
+                return new WP_Error(
+                    "missing_webhook_events",
+                    sprintf(
+                        /* translators: %s: Webhook URL */
+                        __("Choose at least one event for %s.", "letterboxd-connect"),
+                        $url
+                    )
+                );
+            }
+
+            $id = sanitize_key((string) ($target["id"] ?? ""));
+            $format = (string) ($target["format"] ?? "json");
+
+            $sanitized[] = [
+                "id" => $id !== "" ? $id : strtolower(wp_generate_password(8, false)),
+                "url" => $url,
+                "format" => in_array($format, self::FORMATS, true) ? $format : "json",
+                "events" => $events,
+            ];
+        }
+
+        if (count($sanitized) > self::MAX_TARGETS) {
+            return new WP_Error(
+                "too_many_webhooks",
+                sprintf(
+                    /* translators: %d: Maximum number of webhooks */
+                    __("Add at most %d webhooks.", "letterboxd-connect"),
+                    self::MAX_TARGETS
+                )
+            );
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Notify subscribed targets about a finished import run
+     *
+     * @param array $run Finished run from the import history
+     */
+    public function notify_run(array $run): void {
+        $event = $this->get_run_event($run);
+        if ($event === null) {
+            return;
+        }
+
+        foreach ($this->get_targets() as $target) {
+            if (in_array($event, $target["events"], true)) {
+                $this->send($target, $this->build_payload($target["format"], $event, $run), 1);
+            }
+        }
+    }
+
+    /**
+     * Send a payload again after a failed attempt
+     *
+     * @param string $target_id Target ID
+     * @param array $payload Payload built for the target's format
+     * @param int $attempt Attempt number, starting at 2
+     */
+    public function retry_delivery(string $target_id, array $payload, int $attempt): void {
+        foreach ($this->get_targets() as $target) {
+            // Targets removed in the meantime are not retried
+            if ($target["id"] === $target_id) {
+                $this->send($target, $payload, $attempt);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Send a test message to a URL that may not be saved yet
+     *
+     * @param WP_REST_Request $request Request with url and format
+     * @return WP_REST_Response|WP_Error Result of the send
+     */
+    public function send_test(WP_REST_Request $request): WP_REST_Response|WP_Error {
+        $targets = $this->validate_targets([[
+            "url" => $request["url"],
+            "format" => $request["format"],
+            "events" => self::EVENTS,
+        ]]);
+        if (is_wp_error($targets) || empty($targets)) {
+            return new WP_Error(
+                "invalid_webhook_url",
+                is_wp_error($targets) ? $targets->get_error_message() : __("Enter a webhook URL.", "letterboxd-connect"),
+                ["status" => 400]
+            );
+        }
+
+        $result = $this->deliver(
+            $targets[0],
+            $this->build_payload($targets[0]["format"], "test", [])
+        );
+        if (is_wp_error($result)) {
+            $result->add_data(["status" => 502]);
+            return $result;
+        }
+
+        return new WP_REST_Response([
+            "success" => true,
+            "message" => __("Test message sent.", "letterboxd-connect"),
+        ]);
+    }
+
+    /**
+     * Deliver a payload, scheduling a retry when it fails
+     */
+    private function send(array $target, array $payload, int $attempt): void {
+        $result = $this->deliver($target, $payload);
+        if (!is_wp_error($result)) {
+            return;
+        }
+
+        $this->debug_log(sprintf(
+            "Sending to %s failed (attempt %d): %s",
+            $target["url"],
+            $attempt,
+            $result->get_error_message()
+        ));
+
+        if (isset(self::RETRY_DELAYS[$attempt - 1])) {
+            wp_schedule_single_event(
+                time() + self::RETRY_DELAYS[$attempt - 1],
+                self::RETRY_HOOK,
+                [$target["id"], $payload, $attempt + 1]
+            );
+        }
+    }
+
+    /**
+     * POST a payload as JSON
+     *
+     * @return bool|WP_Error True when the target answered with a 2xx status
+     */
+    private function deliver(array $target, array $payload): bool|WP_Error {
+        $response = wp_safe_remote_post($target["url"], [
+            "timeout" => self::TIMEOUT,
+            "headers" => [
+                "Content-Type" => "application/json",
+                "User-Agent" => "Letterboxd-Connect/" . LETTERBOXD_VERSION . "; " . home_url("/"),
+            ],
+            "body" => wp_json_encode($payload),
+            "data_format" => "body",
+        ]);
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        $code = (int) wp_remote_retrieve_response_code($response);
+        if ($code < 200 || $code >= 300) {
+            return new WP_Error(
+                "webhook_http_error",
+                sprintf(
+                    /* translators: %d: HTTP status code */
+                    __("The webhook answered with HTTP status %d.", "letterboxd-connect"),
+                    $code
+                )
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Which event a finished run stands for, if any
+     *
+     * Imports that found nothing new, list imports and cancelled runs send
+     * nothing.
+     */
+    private function get_run_event(array $run): ?string {
+        $status = $run["status"] ?? "";
+
+        if (($run["trigger"] ?? "") === "tmdb") {
+            return $status === "complete" ? "tmdb_refreshed" : null;
+        }
+        if ($status === "error") {
+            return "import_failed";
+        }
+        // Films added by list imports are unwatched, not logged
+        if ($status === "complete" && ($run["trigger"] ?? "") !== "list" && ($run["counts"]["created"] ?? 0) > 0) {
+            return "import_succeeded";
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the body for a target's format
+     *
+     * @param string $format One of self::FORMATS
+     * @param string $event One of self::EVENTS, or "test"
+     * @param array $run Finished run, empty for tests
+     * @return array Payload
+     */
+    private function build_payload(string $format, string $event, array $run): array {
+        $films = array_values(array_map(
+            static fn(array $item): string => $item["title"],
+            array_filter(
+                (array) ($run["items"] ?? []),
+                static fn($item): bool => is_array($item) && ($item["outcome"] ?? "") === "created"
+            )
+        ));
+        $text = $this->get_message($event, $run, $films);
+
+        switch ($format) {
+            case "slack":
+                // Slack reads &, < and > as markup
+                return [
+                    "text" => str_replace(["&", "<", ">"], ["&amp;", "&lt;", "&gt;"], $text),
+                ];
+
+            case "discord":
+                return [
+                    "content" => mb_substr($text, 0, self::DISCORD_MAX_LENGTH),
+                    "allowed_mentions" => ["parse" => []],
+                ];
+
+            default:
+                return [
+                    "event" => $event,
+                    "text" => $text,
+                    "site" => [
+                        "name" => get_bloginfo("name"),
+                        "url" => home_url("/"),
+                    ],
+                    "run" => empty($run) ? null : [
+                        "id" => $run["id"] ?? "",
+                        "trigger" => $run["trigger"] ?? "",
+                        "status" => $run["status"] ?? "",
+                        "message" => $run["message"] ?? "",
+                        "started_at" => (int) ($run["started_at"] ?? 0),
+                        "finished_at" => (int) ($run["finished_at"] ?? 0),
+                        "counts" => $run["counts"] ?? [],
+                    ],
+                    "films" => $films,
+                ];
+        }
+    }
+
+    /**
+     * Human-readable message for chat payloads
+     */
+    private function get_message(string $event, array $run, array $films): string {
+        $site = html_entity_decode(get_bloginfo("name"), ENT_QUOTES, "UTF-8");
+        $counts = $run["counts"] ?? [];
+
+        switch ($event) {
+            case "import_succeeded":
+                $created = (int) ($counts["created"] ?? count($films));
+                $lines = [sprintf(
+                    /* translators: 1: Number of films, 2: Site name */
+                    _n("%1\$d new film logged on %2\$s:", "%1\$d new films logged on %2\$s:", $created, "letterboxd-connect"),
+                    $created,
+                    $site
+                )];
+                foreach (array_slice($films, 0, self::MAX_LISTED_FILMS) as $film) {
+                    $lines[] = "• " . $film;
+                }
+                // Counts include films past the history's per-run item limit
+                if ($created > self::MAX_LISTED_FILMS) {
+                    $lines[] = sprintf(
+                        /* translators: %d: Number of films not listed */
+                        __("…and %d more", "letterboxd-connect"),
+                        $created - self::MAX_LISTED_FILMS
+                    );
+                }
+                return implode("\n", $lines);
+
+            case "import_failed":
+                return sprintf(
+                    /* translators: 1: Site name, 2: Error message */
+                    __("Letterboxd import failed on %1\$s: %2\$s", "letterboxd-connect"),
+                    $site,
+                    ($run["message"] ?? "") ?: __("Unknown error", "letterboxd-connect")
+                );
+
+            case "tmdb_refreshed":
+                return sprintf(
+                    /* translators: 1: Site name, 2: Number of updated films, 3: Number of failed films */
+                    __("TMDB refresh finished on %1\$s: %2\$d updated, %3\$d failed.", "letterboxd-connect"),
+                    $site,
+                    (int) ($counts["updated"] ?? 0) + (int) ($counts["created"] ?? 0),
+                    (int) ($counts["failed"] ?? 0)
+                );
+
+            default:
+                return sprintf(
+                    /* translators: %s: Site name */
+                    __("Test message from Letterboxd Connect on %s.", "letterboxd-connect"),
+                    $site
+                );
+        }
+    }
+}
@@ -66,6 +66,195 @@ function letterboxd_register_block_assets() {
     ]);
 }
 
+/**
+ * Convert a rating (Letterboxd stars or a CSV number) to a number
+ *
+ * Ratings are stored as this number, so it doubles as the sanitize
+ * callback of the movie_rating meta field.
+ *
+ * @param mixed $rating Raw rating, e.g. "★★★½", "3.5" or 3.5
+ * @return float Rating from 0.5 to 5 in half stars, 0 when unrated
+ */
+function letterboxd_rating_to_number($rating): float {
+    $rating = trim((string) $rating);
+    if ($rating === '') {
+        return 0.0;
+    }
+
+    if (is_numeric($rating)) {
+        $value = (float) $rating;
+    } else {
+        $value = mb_substr_count($rating, '★') + (mb_substr_count($rating, '½') > 0 ? 0.5 : 0.0);
+    }
+
+    return max(0.0, min(5.0, round($value * 2) / 2));
+}
+
+/**
+ * Write a numeric rating the way Letterboxd shows it
+ *
+ * @param float $rating Rating from 0.5 to 5
+ * @return string Stars such as "★★★½", empty when unrated
+ */
+function letterboxd_rating_stars(float $rating): string {
+    $rating = letterboxd_rating_to_number($rating);
+
+    return str_repeat('★', (int) floor($rating)) . (fmod($rating, 1.0) ? '½' : '');
+}
+
+/**
+ * Render a read-only star rating
+ *
+ * Screen readers hear "Rated 3.5 out of 5" instead of the star characters.
+ * The movie editor's rating panel uses the same markup for its preview.
+ *
+ * @param float $rating Rating from 0.5 to 5
+ * @return string Escaped HTML, empty when unrated
+ */
+function letterboxd_render_star_rating(float $rating): string {
+    $rating = letterboxd_rating_to_number($rating);
+    if ($rating <= 0) {
+        return '';
+    }
+
+    return sprintf(
+        '<span class="letterboxd-stars" role="img" aria-label="%s">%s</span>',
+        esc_attr(sprintf(
+            /* translators: %s: Rating from 0.5 to 5 */
+            __('Rated %s out of 5', 'letterboxd-connect'),
+            number_format_i18n($rating, fmod($rating, 1.0) ? 1 : 0)
+        )),
+        esc_html(letterboxd_rating_stars($rating))
+    );
+}
+
+/**
+ * Resolve a named watch date range to concrete dates
+ *
+ * Relative ranges ("this_year", "last_12_months", ...) are resolved on every
+ * render so blocks using them keep themselves up to date.
+ *
+ * @param string $range Range name: all, this_year, last_year, last_12_months or custom
+ * @param string $start Start date (Y-m-d) used by the custom range
+ * @param string $end   End date (Y-m-d) used by the custom range
+ * @return array Array with "start" and "end" keys, empty strings when open-ended
+ */
+function letterboxd_resolve_date_range(string $range, string $start = '', string $end = ''): array {
+    $now = current_datetime();
+    $year = (int) $now->format('Y');
+
+    switch ($range) {
+        case 'this_year':
+            return ['start' => $year . '-01-01', 'end' => $year . '-12-31'];
+
+        case 'last_year':
+            return ['start' => ($year - 1) . '-01-01', 'end' => ($year - 1) . '-12-31'];
+
+        case 'last_12_months':
+            return [
+                'start' => $now->modify('-12 months')->format('Y-m-d'),
+                'end' => $now->format('Y-m-d'),
+            ];
+
+        case 'custom':
+            $is_date = function ($value) {
+                return (bool) preg_match('/^\d{4}-\d{2}-\d{2}$/', $value);
+            };
+            return [
+                'start' => $is_date($start) ? $start : '',
+                'end' => $is_date($end) ? $end : '',
+            ];
+
+        default:
+            return ['start' => '', 'end' => ''];
+    }
+}
+
+/**
+ * Get the Letterboxd accounts configured on this site
+ *
+ * Sites set up before multiple accounts were supported only store a single
+ * username, start date and draft status; that becomes the only account.
+ * The first account is the primary one: movies imported before accounts
+ * were recorded belong to it.
+ *
+ * @return array[] Each with username, start_date, draft_status and frequency
+ */
+function letterboxd_get_accounts(): array {
+    $options = get_option('letterboxd_wordpress_options', []);
+    $options = is_array($options) ? $options : [];
+
+    $accounts = $options['accounts'] ?? [];
+    if (empty($accounts) && !empty($options['username'])) {
+        $auto_import = get_option('letterboxd_auto_import_options', []);
+        $accounts = [[
+            'username' => $options['username'],
+            'start_date' => $options['start_date'] ?? '',
+            'draft_status' => !empty($options['draft_status']),
+            'frequency' => $auto_import['frequency'] ?? 'daily',
+        ]];
+    }
+
+    return array_values(array_filter(
+        (array) $accounts,
+        static fn($account) => is_array($account) && !empty($account['username'])
+    ));
+}
+
+/**
+ * Get a single configured account by username
+ *
+ * @param string $username Letterboxd username
+ * @return array|null Account settings, or null when not configured
+ */
+function letterboxd_get_account(string $username): ?array {
+    foreach (letterboxd_get_accounts() as $account) {
+        if (strtolower($account['username']) === strtolower($username)) {
+            return $account;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a username is the site's primary (first) account
+ *
+ * @param string $username Letterboxd username
+ * @return bool
+ */
+function letterboxd_is_primary_account(string $username): bool {
+    $accounts = letterboxd_get_accounts();
+    return !empty($accounts) && strtolower($accounts[0]['username']) === strtolower($username);
+}
+
+/**
+ * Build a meta_query clause matching the movies of one account
+ *
+ * Movies imported before accounts were recorded belong to the primary account.
+ *
+ * @param string $username Letterboxd username
+ * @return array meta_query clause
+ */
+function letterboxd_account_meta_query(string $username): array {
+    $clause = [
+        'key' => 'letterboxd_account',
+        'value' => strtolower($username),
+    ];
+
+    if (!letterboxd_is_primary_account($username)) {
+        return $clause;
+    }
+
+    return [
+        'relation' => 'OR',
+        $clause,
+        [
+            'key' => 'letterboxd_account',
+            'compare' => 'NOT EXISTS',
+        ],
+    ];
+}
+
 /**
  * Clean up any temporary files created during import
  */
@@ -2,20 +2,65 @@
 	<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
 	
 	<h2 class="nav-tab-wrapper">
-		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=general" class="nav-tab <?php echo esc_attr( $active_tab === 'general' ? 'nav-tab-active' : '' ); ?>">
+		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=general" data-tab="general" class="nav-tab <?php echo esc_attr( $active_tab === 'general' ? 'nav-tab-active' : '' ); ?>">
 			<?php esc_html_e( 'General Settings', 'letterboxd-connect' ); ?>
 		</a>
-		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=advanced" class="nav-tab <?php echo esc_attr( $active_tab === 'advanced' ? 'nav-tab-active' : '' ); ?>">
+		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=advanced" data-tab="advanced" class="nav-tab <?php echo esc_attr( $active_tab === 'advanced' ? 'nav-tab-active' : '' ); ?>">
 			<?php esc_html_e( 'Advanced Settings', 'letterboxd-connect' ); ?>
 		</a>
-		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=csv_import" class="nav-tab <?php echo esc_attr( $active_tab === 'csv_import' ? 'nav-tab-active' : '' ); ?>">
+		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=csv_import" data-tab="csv_import" class="nav-tab <?php echo esc_attr( $active_tab === 'csv_import' ? 'nav-tab-active' : '' ); ?>">
 			<?php esc_html_e( 'CSV Import', 'letterboxd-connect' ); ?>
 		</a>
+		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=sync" data-tab="sync" class="nav-tab <?php echo esc_attr( $active_tab === 'sync' ? 'nav-tab-active' : '' ); ?>">
+			<?php esc_html_e( 'Review Changes', 'letterboxd-connect' ); ?>
+			<span id="letterboxd-sync-count" class="letterboxd-sync-count"<?php echo $sync_count ? '' : ' hidden'; ?>><?php echo esc_html( number_format_i18n( $sync_count ) ); ?></span>
+		</a>
+		<a href="?page=<?php echo esc_attr( self::MENU_SLUG ); ?>&tab=history" data-tab="history" class="nav-tab <?php echo esc_attr( $active_tab === 'history' ? 'nav-tab-active' : '' ); ?>">
+			<?php esc_html_e( 'Import History', 'letterboxd-connect' ); ?>
+		</a>
 	</h2>
 
 	<div id="letterboxd-settings-container">
 
-		<?php if ( $active_tab === 'csv_import' ): ?>
+		<?php // Every tab is rendered; settings.js switches between them without reloading ?>
+		<div id="settings-update-message" class="notice" role="status"></div>
+
+		<form id="letterboxd-settings-form" action="options.php" method="post" novalidate<?php echo in_array( $active_tab, array( 'general', 'advanced' ), true ) ? '' : ' hidden'; ?>>
+			<?php wp_nonce_field( self::NONCE_ACTION, self::NONCE_NAME ); ?>
+			<?php settings_fields( self::OPTION_GROUP ); ?>
+
+			<div class="letterboxd-tab-panel" data-tab="general"<?php echo $active_tab === 'general' ? '' : ' hidden'; ?>>
+				<?php do_settings_sections( self::MENU_SLUG ); ?>
+				<div class="import-after-save">
+					<label for="letterboxd_run_import_trigger">
+						<input type="checkbox" id="letterboxd_run_import_trigger" name="letterboxd_run_import_trigger" value="1">
+						<span class="description"><?php esc_html_e( 'Run an import after save', 'letterboxd-connect' ); ?></span>
+					</label>
+				</div>
+				<div id="letterboxd-import-job" class="letterboxd-import-job" hidden>
+					<div class="letterboxd-import-job-header">
+						<strong id="letterboxd-import-job-status" role="status"></strong>
+						<button type="button" id="letterboxd-import-job-cancel" class="button button-secondary">
+							<?php esc_html_e( 'Cancel import', 'letterboxd-connect' ); ?>
+						</button>
+					</div>
+					<progress id="letterboxd-import-job-progress" max="100" value="0"></progress>
+					<p id="letterboxd-import-job-counts" class="description"></p>
+					<ol id="letterboxd-import-job-log" class="letterboxd-import-job-log"></ol>
+				</div>
+			</div>
+
+			<div class="letterboxd-tab-panel" data-tab="advanced"<?php echo $active_tab === 'advanced' ? '' : ' hidden'; ?>>
+				<?php do_settings_sections( self::MENU_SLUG . '_advanced' ); ?>
+				<?php $this->render_update_tmdb_button(); ?>
+			</div>
+
+			<?php submit_button( __( 'Save Settings', 'letterboxd-connect' ), 'primary', 'save-settings' ); ?>
+		</form>
+
+		<div class="letterboxd-tab-panel" data-tab="csv_import"<?php echo $active_tab === 'csv_import' ? '' : ' hidden'; ?>>
+
+			<div id="letterboxd-csv-message" class="notice"></div>
 
 			<form
 				id="letterboxd-csv-import-form"
@@ -45,39 +90,236 @@
 							</p>
 						</td>
 					</tr>
+					<?php $csv_accounts = letterboxd_get_accounts(); ?>
+					<?php if ( count( $csv_accounts ) > 1 ): ?>
+						<tr>
+							<th scope="row">
+								<label for="letterboxd_csv_account">
+									<?php esc_html_e( 'Account', 'letterboxd-connect' ); ?>
+								</label>
+							</th>
+							<td>
+								<select name="account" id="letterboxd_csv_account">
+									<?php foreach ( $csv_accounts as $csv_account ): ?>
+										<option value="<?php echo esc_attr( $csv_account['username'] ); ?>">
+											<?php echo esc_html( $csv_account['username'] ); ?>
+										</option>
+									<?php endforeach; ?>
+								</select>
+								<p class="description">
+									<?php esc_html_e( 'Imported movies are recorded as coming from this account.', 'letterboxd-connect' ); ?>
+								</p>
+							</td>
+						</tr>
+					<?php endif; ?>
 				</table>
 
-				<?php submit_button( __( 'Import from CSV', 'letterboxd-connect' ) ); ?>
+				<?php submit_button( __( 'Preview import', 'letterboxd-connect' ) ); ?>
 			</form>
 
-		<?php else: ?>
+			<div id="letterboxd-csv-preview" class="letterboxd-csv-preview" hidden>
+				<h2><?php esc_html_e( 'Import preview', 'letterboxd-connect' ); ?></h2>
+				<p id="letterboxd-csv-summary"></p>
 
-			<form id="letterboxd-settings-form" action="options.php" method="post">
-				<?php wp_nonce_field( self::NONCE_ACTION, self::NONCE_NAME ); ?>
+				<h3><?php esc_html_e( 'Column mapping', 'letterboxd-connect' ); ?></h3>
+				<table class="form-table letterboxd-csv-mapping">
+					<tbody id="letterboxd-csv-mapping"></tbody>
+				</table>
 
-				<?php if ( $active_tab === 'general' ): ?>
-					<?php
-					settings_fields( self::OPTION_GROUP );
-					do_settings_sections( self::MENU_SLUG );
-					?>
-					<div class="import-after-save">
-						<label for="letterboxd_run_import_trigger">
-							<input type="checkbox" id="letterboxd_run_import_trigger" name="letterboxd_run_import_trigger" value="1">
-							<span class="description"><?php esc_html_e( 'Run an import after save', 'letterboxd-connect' ); ?></span>
-						</label>
-					</div>
-				<?php else: ?>
-					<?php
-					settings_fields( self::OPTION_GROUP );
-					do_settings_sections( self::MENU_SLUG . '_advanced' );
-					?>
-					<?php $this->render_update_tmdb_button(); ?>
-				<?php endif; ?>
-
-				<?php submit_button( __( 'Save Settings', 'letterboxd-connect' ), 'primary', 'save-settings' ); ?>
+				<h3><?php esc_html_e( 'Rows', 'letterboxd-connect' ); ?></h3>
+				<p>
+					<label for="letterboxd-csv-status-filter"><?php esc_html_e( 'Show', 'letterboxd-connect' ); ?></label>
+					<select id="letterboxd-csv-status-filter">
+						<option value=""><?php esc_html_e( 'All rows', 'letterboxd-connect' ); ?></option>
+						<option value="new"><?php esc_html_e( 'New', 'letterboxd-connect' ); ?></option>
+						<option value="existing"><?php esc_html_e( 'Already imported', 'letterboxd-connect' ); ?></option>
+						<option value="duplicate"><?php esc_html_e( 'Duplicates in file', 'letterboxd-connect' ); ?></option>
+						<option value="invalid"><?php esc_html_e( 'Invalid', 'letterboxd-connect' ); ?></option>
+					</select>
+				</p>
+				<div class="letterboxd-csv-rows-wrap">
+					<table class="widefat striped letterboxd-csv-rows">
+						<thead>
+							<tr>
+								<th scope="col"><?php esc_html_e( 'Line', 'letterboxd-connect' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Status', 'letterboxd-connect' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Title', 'letterboxd-connect' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Year', 'letterboxd-connect' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Date', 'letterboxd-connect' ); ?></th>
+							</tr>
+						</thead>
+						<tbody id="letterboxd-csv-rows"></tbody>
+					</table>
+				</div>
+
+				<div id="letterboxd-csv-progress" class="letterboxd-import-job" hidden>
+					<strong id="letterboxd-csv-progress-status" role="status"></strong>
+					<progress id="letterboxd-csv-progress-bar" max="100" value="0"></progress>
+				</div>
+
+				<p class="submit">
+					<button type="button" id="letterboxd-csv-confirm" class="button button-primary"></button>
+					<button type="button" id="letterboxd-csv-discard" class="button button-secondary">
+						<?php esc_html_e( 'Start over', 'letterboxd-connect' ); ?>
+					</button>
+				</p>
+			</div>
+
+			<h2><?php esc_html_e( 'Lists and watchlist', 'letterboxd-connect' ); ?></h2>
+			<p><?php esc_html_e( 'Import named lists and your watchlist. Films that are not in your diary yet are added as unwatched.', 'letterboxd-connect' ); ?></p>
+
+			<div id="letterboxd-list-message" class="notice"></div>
+
+			<form id="letterboxd-list-import-form" method="post" enctype="multipart/form-data">
+				<table class="form-table">
+					<tr>
+						<th scope="row">
+							<label for="letterboxd_list_url"><?php esc_html_e( 'List URL', 'letterboxd-connect' ); ?></label>
+						</th>
+						<td>
+							<input type="url" name="url" id="letterboxd_list_url" class="regular-text" placeholder="https://letterboxd.com/username/list/name/">
+							<p class="description">
+								<?php esc_html_e( 'A list, your watchlist (letterboxd.com/username/watchlist/) or your feed (letterboxd.com/username/rss/) to import every list it mentions.', 'letterboxd-connect' ); ?>
+							</p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="letterboxd_list_file"><?php esc_html_e( 'Or upload', 'letterboxd-connect' ); ?></label>
+						</th>
+						<td>
+							<input type="file" name="letterboxd_list_file" id="letterboxd_list_file" accept=".zip,.csv">
+							<p class="description">
+								<?php esc_html_e( 'The export ZIP (imports lists/*.csv and watchlist.csv), a single list CSV or watchlist.csv.', 'letterboxd-connect' ); ?>
+							</p>
+						</td>
+					</tr>
+					<?php if ( count( $csv_accounts ) > 1 ): ?>
+						<tr>
+							<th scope="row">
+								<label for="letterboxd_list_account"><?php esc_html_e( 'Account', 'letterboxd-connect' ); ?></label>
+							</th>
+							<td>
+								<select name="account" id="letterboxd_list_account">
+									<?php foreach ( $csv_accounts as $csv_account ): ?>
+										<option value="<?php echo esc_attr( $csv_account['username'] ); ?>">
+											<?php echo esc_html( $csv_account['username'] ); ?>
+										</option>
+									<?php endforeach; ?>
+								</select>
+							</td>
+						</tr>
+					<?php endif; ?>
+				</table>
+
+				<?php submit_button( __( 'Import lists', 'letterboxd-connect' ), 'secondary' ); ?>
 			</form>
 
-		<?php endif; ?>
+			<ul id="letterboxd-list-results" class="letterboxd-list-results"></ul>
+
+			<h2><?php esc_html_e( 'Export', 'letterboxd-connect' ); ?></h2>
+			<p><?php esc_html_e( 'Download your diary as a CSV in Letterboxd\'s import format, to bring films you logged here back to Letterboxd. Each viewing is one row.', 'letterboxd-connect' ); ?></p>
+
+			<div id="letterboxd-export-message" class="notice"></div>
+
+			<form id="letterboxd-export-form" method="get">
+				<table class="form-table">
+					<tr>
+						<th scope="row">
+							<label for="letterboxd_export_after"><?php esc_html_e( 'Watched between', 'letterboxd-connect' ); ?></label>
+						</th>
+						<td>
+							<input type="date" name="after" id="letterboxd_export_after">
+							<label for="letterboxd_export_before" class="screen-reader-text"><?php esc_html_e( 'Watched before', 'letterboxd-connect' ); ?></label>
+							<input type="date" name="before" id="letterboxd_export_before">
+							<p class="description"><?php esc_html_e( 'Leave empty to export every viewing.', 'letterboxd-connect' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row">
+							<label for="letterboxd_export_status"><?php esc_html_e( 'Post status', 'letterboxd-connect' ); ?></label>
+						</th>
+						<td>
+							<select name="status" id="letterboxd_export_status">
+								<option value="any"><?php esc_html_e( 'All', 'letterboxd-connect' ); ?></option>
+								<option value="publish"><?php esc_html_e( 'Published', 'letterboxd-connect' ); ?></option>
+								<option value="draft"><?php esc_html_e( 'Draft', 'letterboxd-connect' ); ?></option>
+								<option value="private"><?php esc_html_e( 'Private', 'letterboxd-connect' ); ?></option>
+							</select>
+						</td>
+					</tr>
+				</table>
+
+				<?php submit_button( __( 'Download CSV', 'letterboxd-connect' ), 'secondary' ); ?>
+			</form>
+
+		</div>
+
+		<div class="letterboxd-tab-panel" data-tab="sync"<?php echo $active_tab === 'sync' ? '' : ' hidden'; ?>>
+
+			<p><?php esc_html_e( 'Imports for accounts set to "Ask me" keep what changed on Letterboxd here. Approve a change to apply it to the diary entry, or reject it to keep what WordPress has. A rejected change comes back only if the entry is edited on Letterboxd again.', 'letterboxd-connect' ); ?></p>
+
+			<div id="letterboxd-sync-message" class="notice" role="status"></div>
+
+			<p class="letterboxd-sync-actions">
+				<button type="button" id="letterboxd-sync-approve-all" class="button button-primary" disabled>
+					<?php esc_html_e( 'Approve all', 'letterboxd-connect' ); ?>
+				</button>
+				<button type="button" id="letterboxd-sync-reject-all" class="button button-secondary" disabled>
+					<?php esc_html_e( 'Reject all', 'letterboxd-connect' ); ?>
+				</button>
+			</p>
+
+			<table class="widefat striped letterboxd-sync-changes">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Film', 'letterboxd-connect' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Entry', 'letterboxd-connect' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Change', 'letterboxd-connect' ); ?></th>
+						<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'letterboxd-connect' ); ?></span></th>
+					</tr>
+				</thead>
+				<tbody id="letterboxd-sync-changes">
+					<tr><td colspan="4"><?php esc_html_e( 'Loading changes…', 'letterboxd-connect' ); ?></td></tr>
+				</tbody>
+			</table>
+
+		</div>
+
+		<div class="letterboxd-tab-panel" data-tab="history"<?php echo $active_tab === 'history' ? '' : ' hidden'; ?>>
+
+			<div id="letterboxd-import-history" class="letterboxd-import-history">
+				<div class="letterboxd-import-history-filters">
+					<label for="letterboxd-history-trigger"><?php esc_html_e( 'Trigger', 'letterboxd-connect' ); ?></label>
+					<select id="letterboxd-history-trigger">
+						<option value=""><?php esc_html_e( 'All', 'letterboxd-connect' ); ?></option>
+						<option value="rss"><?php esc_html_e( 'RSS', 'letterboxd-connect' ); ?></option>
+						<option value="csv"><?php esc_html_e( 'CSV', 'letterboxd-connect' ); ?></option>
+						<option value="list"><?php esc_html_e( 'Lists', 'letterboxd-connect' ); ?></option>
+						<option value="cron"><?php esc_html_e( 'Scheduled', 'letterboxd-connect' ); ?></option>
+						<option value="tmdb"><?php esc_html_e( 'TMDB refresh', 'letterboxd-connect' ); ?></option>
+					</select>
+
+					<label for="letterboxd-history-outcome"><?php esc_html_e( 'Outcome', 'letterboxd-connect' ); ?></label>
+					<select id="letterboxd-history-outcome">
+						<option value=""><?php esc_html_e( 'All', 'letterboxd-connect' ); ?></option>
+						<option value="created"><?php esc_html_e( 'Created', 'letterboxd-connect' ); ?></option>
+						<option value="updated"><?php esc_html_e( 'Updated', 'letterboxd-connect' ); ?></option>
+						<option value="skipped"><?php esc_html_e( 'Skipped', 'letterboxd-connect' ); ?></option>
+						<option value="failed"><?php esc_html_e( 'Failed', 'letterboxd-connect' ); ?></option>
+					</select>
+
+					<button type="button" id="letterboxd-history-download" class="button button-secondary">
+						<?php esc_html_e( 'Download CSV', 'letterboxd-connect' ); ?>
+					</button>
+				</div>
+
+				<div id="letterboxd-history-runs" class="letterboxd-history-runs">
+					<p><?php esc_html_e( 'Loading import history…', 'letterboxd-connect' ); ?></p>
+				</div>
+			</div>
+
+		</div>
 
 	</div>
 </div>
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * Movie Query Loop variation and the editor side of the movie bindings source
+ *
+ * The variation starts with a layout of core blocks bound to movie fields, so
+ * theme builders can rearrange it freely. Bound blocks preview the selected
+ * movie's values; fields the REST API doesn't expose show their label.
+ */
+(function () {
+    const { registerBlockVariation, registerBlockBindingsSource } = wp.blocks;
+    const { __, _n, sprintf } = wp.i18n;
+    const { dateI18n, getSettings } = wp.date;
+    const settings = window.letterboxdMovieBindings || {};
+    const fields = settings.fields || {};
+    const URL_ATTRIBUTES = ['url', 'href'];
+
+    const bind = (attribute, key) => ({
+        metadata: {
+            bindings: {
+                [attribute]: { source: settings.source, args: { key } }
+            }
+        }
+    });
+
+    registerBlockVariation('core/query', {
+        name: settings.queryVariation,
+        title: __('Movie Query Loop', 'letterboxd-connect'),
+        description: __('Design your own layout for a list of movies.', 'letterboxd-connect'),
+        category: 'letterboxd-blocks',
+        icon: 'format-video',
+        keywords: [__('movies', 'letterboxd-connect'), __('letterboxd', 'letterboxd-connect')],
+        scope: ['inserter'],
+        isActive: (attributes) => attributes.namespace === settings.queryVariation,
+        // Hide the post type control: the loop always lists movies
+        allowedControls: ['order', 'taxQuery', 'search', 'author'],
+        attributes: {
+            namespace: settings.queryVariation,
+            query: {
+                perPage: 12,
+                pages: 0,
+                offset: 0,
+                postType: settings.postType,
+                order: 'desc',
+                orderBy: 'date',
+                author: '',
+                search: '',
+                exclude: [],
+                sticky: '',
+                inherit: false
+            }
+        },
+        innerBlocks: [
+            ['core/post-template', {}, [
+                ['core/post-featured-image', { isLink: true }],
+                ['core/post-title', { level: 3, isLink: true }],
+                ['core/paragraph', bind('content', 'watch_date')],
+                ['core/paragraph', bind('content', 'rating')],
+                ['core/paragraph', bind('content', 'director')]
+            ]],
+            ['core/query-pagination'],
+            ['core/query-no-results', {}, [
+                ['core/paragraph', { content: __('No movies found.', 'letterboxd-connect') }]
+            ]]
+        ]
+    });
+
+    // Editor previews need WordPress 6.7; older versions show the block's own content
+    if (typeof registerBlockBindingsSource !== 'function') {
+        return;
+    }
+
+    const getFieldValue = (select, record, key, attribute) => {
+        const meta = record.meta || {};
+        const title = typeof record.title === 'object' ? record.title.rendered : record.title;
+
+        switch (key) {
+            case 'watch_date':
+                return meta.watch_date ? dateI18n(getSettings().formats.date, meta.watch_date) : '';
+            case 'rating': {
+                const rating = Number(meta.movie_rating) || 0;
+                return '★'.repeat(Math.floor(rating)) + (rating % 1 ? '½' : '');
+            }
+            case 'poster': {
+                if (attribute === 'alt' || attribute === 'title') {
+                    /* translators: %s: Movie title */
+                    return sprintf(__('Movie poster for %s', 'letterboxd-connect'), title || '');
+                }
+                const media = record.featured_media ? select('core').getMedia(record.featured_media) : null;
+                return (media && media.source_url) || meta.poster_url || '';
+            }
+            case 'runtime':
+                /* translators: %d: Runtime in minutes */
+                return meta.runtime > 0 ? sprintf(__('%d min', 'letterboxd-connect'), meta.runtime) : '';
+            case 'times_watched':
+                return meta.times_watched > 0
+                    ? sprintf(
+                        /* translators: %d: Number of times the movie was watched */
+                        _n('Watched %d time', 'Watched %d times', meta.times_watched, 'letterboxd-connect'),
+                        meta.times_watched
+                    )
+                    : '';
+            default:
+                return meta[key] !== undefined && meta[key] !== null ? String(meta[key]) : '';
+        }
+    };
+
+    registerBlockBindingsSource({
+        name: settings.source,
+        label: __('Movie', 'letterboxd-connect'),
+        usesContext: ['postId', 'postType'],
+        getValues({ select, context, bindings }) {
+            const record = context.postId
+                ? select('core').getEditedEntityRecord('postType', context.postType || settings.postType, context.postId)
+                : null;
+
+            const values = {};
+            Object.entries(bindings).forEach(([attribute, binding]) => {
+                const key = (binding.args && binding.args.key) || '';
+                const value = record && record.type === settings.postType
+                    ? getFieldValue(select, record, key, attribute)
+                    : '';
+                // Show the field's label in place of a missing text value
+                values[attribute] = value || (URL_ATTRIBUTES.includes(attribute) ? '' : fields[key] || key);
+            });
+            return values;
+        },
+        canUserEditValue: () => false,
+        getFieldsList({ context }) {
+            if (context && context.postType && context.postType !== settings.postType) {
+                return [];
+            }
+            return Object.entries(fields).map(([key, label]) => ({
+                label,
+                type: 'string',
+                args: { key }
+            }));
+        }
+    });
+})();
@@ -5,8 +5,11 @@ const {
     SelectControl, 
     RangeControl, 
     RadioControl,
-    ToggleControl 
+    ToggleControl,
+    TextControl,
+    FormTokenField
 } = wp.components;
+const { useSelect } = wp.data;
 const { __ } = wp.i18n;
 const { useState, Fragment, createElement } = wp.element;
 const ServerSideRender = wp.serverSideRender;
@@ -21,10 +24,28 @@ const DEFAULT_ATTRIBUTES = {
     order: 'DESC',
     columns: 3,
     displayMode: 'cards',
+    calendarView: 'month',
     showDirector: true,
     showRating: true,
     showStreamingLink: true,
-    showExternalLinks: true
+    showExternalLinks: true,
+    showRewatchBadge: false,
+    showReviewExcerpt: false,
+    showRuntime: false,
+    showCast: false,
+    showProviderBadges: false,
+    openInModal: false,
+    years: [],
+    genres: [],
+    countries: [],
+    minRating: 0,
+    maxRating: 5,
+    watchedAfter: '',
+    watchedBefore: '',
+    watchedRange: '',
+    director: '',
+    account: '',
+    source: ''
 };
 
 // Editor control options
@@ -35,19 +56,114 @@ const orderOptions = [
 
 const orderByOptions = [
     { label: __('Watch Date', 'letterboxd-connect'), value: 'watch_date' },
+    { label: __('Most Recent Viewing', 'letterboxd-connect'), value: 'last_watched' },
     { label: __('Movie Title', 'letterboxd-connect'), value: 'title' },
-    { label: __('Release Year', 'letterboxd-connect'), value: 'release_year' }
+    { label: __('Release Year', 'letterboxd-connect'), value: 'release_year' },
+    { label: __('Rating', 'letterboxd-connect'), value: 'rating' }
 ];
 
+// Lists and watchlists imported from Letterboxd
+const sourceOptions = [
+    { label: __('Diary (watched films)', 'letterboxd-connect'), value: '' },
+    ...((window.letterboxdMovieBlock && window.letterboxdMovieBlock.lists) || [])
+];
+
+const listOrderByOption = { label: __('List Order', 'letterboxd-connect'), value: 'list' };
+
 const displayModeOptions = [
     { label: __('Cards', 'letterboxd-connect'), value: 'cards' },
-    { label: __('List', 'letterboxd-connect'), value: 'list' }
+    { label: __('List', 'letterboxd-connect'), value: 'list' },
+    { label: __('Carousel', 'letterboxd-connect'), value: 'carousel' },
+    { label: __('Calendar', 'letterboxd-connect'), value: 'calendar' }
+];
+
+const calendarViewOptions = [
+    { label: __('Month', 'letterboxd-connect'), value: 'month' },
+    { label: __('Year heatmap', 'letterboxd-connect'), value: 'year' }
+];
+
+// Letterboxd accounts configured on the site
+const accountOptions = [
+    { label: __('All accounts', 'letterboxd-connect'), value: '' },
+    ...((window.letterboxdMovieBlock && window.letterboxdMovieBlock.accounts) || []).map((username) => ({
+        label: username,
+        value: username
+    }))
+];
+
+const watchedRangeOptions = [
+    { label: __('Specific dates', 'letterboxd-connect'), value: '' },
+    { label: __('This year', 'letterboxd-connect'), value: 'this_year' },
+    { label: __('Last year', 'letterboxd-connect'), value: 'last_year' },
+    { label: __('Last 12 months', 'letterboxd-connect'), value: 'last_12_months' }
+];
+
+// Preset grids offered in the inserter
+const blockVariations = [
+    {
+        name: 'recently-watched',
+        title: __('Recently Watched', 'letterboxd-connect'),
+        description: __('A carousel of your latest diary entries.', 'letterboxd-connect'),
+        icon: 'backup',
+        attributes: {
+            displayMode: 'carousel',
+            number: 12,
+            orderby: 'watch_date',
+            order: 'DESC'
+        },
+        scope: ['inserter']
+    },
+    {
+        name: 'top-rated',
+        title: __('Top Rated', 'letterboxd-connect'),
+        description: __('Movies you rated four stars or more.', 'letterboxd-connect'),
+        icon: 'star-filled',
+        attributes: {
+            displayMode: 'cards',
+            columns: 4,
+            number: 8,
+            minRating: 4,
+            orderby: 'rating',
+            order: 'DESC'
+        },
+        scope: ['inserter']
+    },
+    {
+        name: 'watched-this-year',
+        title: __('Watched This Year', 'letterboxd-connect'),
+        description: __('Everything you watched this calendar year.', 'letterboxd-connect'),
+        icon: 'calendar-alt',
+        attributes: {
+            displayMode: 'cards',
+            showAll: true,
+            perPage: 12,
+            watchedRange: 'this_year',
+            orderby: 'watch_date',
+            order: 'DESC'
+        },
+        scope: ['inserter']
+    }
 ];
 
 
 const EditMovieGrid = ({ attributes, setAttributes }) => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    const yearTerms = useSelect((select) => select('core').getEntityRecords(
+        'taxonomy',
+        'movie_year',
+        { per_page: 100, orderby: 'name', order: 'desc', hide_empty: true }
+    ), []);
+    const yearSuggestions = (yearTerms || []).map((term) => term.name);
+    // Genres and countries come from TMDB
+    const { genreSuggestions, countrySuggestions } = useSelect((select) => {
+        const query = { per_page: 100, orderby: 'name', order: 'asc', hide_empty: true };
+        const names = (terms) => (terms || []).map((term) => term.name);
+        return {
+            genreSuggestions: names(select('core').getEntityRecords('taxonomy', 'movie_genre', query)),
+            countrySuggestions: names(select('core').getEntityRecords('taxonomy', 'movie_country', query))
+        };
+    }, []);
     const blockProps = useBlockProps({
         className: `display-${attributes.displayMode} columns-${attributes.columns}`
     });
@@ -73,6 +189,19 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
                     gap: 1.5rem;
                 }
             `;
+        } else if (attributes.displayMode === 'carousel') {
+            // Carousel display mode - single scrolling row
+            styleElement.textContent = `
+                .editor-styles-wrapper .movie-grid-preview .movie-carousel,
+                .editor-styles-wrapper .editor-preview .movie-carousel {
+                    display: flex;
+                    gap: 1rem;
+                    overflow-x: auto;
+                }
+                .editor-styles-wrapper .movie-carousel .movie-item {
+                    flex: 0 0 10rem;
+                }
+            `;
         } else {
             // List display mode - always single column
             styleElement.textContent = `
@@ -93,6 +222,20 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
         createElement(
             PanelBody,
             { title: __('Movie Grid Settings', 'letterboxd-connect') },
+            sourceOptions.length > 1 && createElement(SelectControl, {
+                label: __('Source', 'letterboxd-connect'),
+                value: attributes.source,
+                options: sourceOptions,
+                onChange: (value) => setAttributes(value
+                    ? { source: value, orderby: 'list', order: 'ASC' }
+                    : {
+                        source: value,
+                        orderby: attributes.orderby === 'list' ? 'watch_date' : attributes.orderby,
+                        order: attributes.orderby === 'list' ? 'DESC' : attributes.order
+                    }
+                ),
+                help: __('Show your diary, or the films of an imported list or watchlist', 'letterboxd-connect')
+            }),
             createElement(RadioControl, {
                 label: __('Display Mode', 'letterboxd-connect'),
                 selected: attributes.displayMode,
@@ -113,13 +256,21 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
                     __('max of two columns show on mobile', 'letterboxd-connect')
                 ]
             }),
-            createElement(ToggleControl, {
+            attributes.displayMode === 'calendar' && createElement(SelectControl, {
+                label: __('Calendar View', 'letterboxd-connect'),
+                value: attributes.calendarView,
+                options: calendarViewOptions,
+                onChange: (value) => setAttributes({ calendarView: value }),
+                help: __('Opens on the current month or year; visitors can move between months and years', 'letterboxd-connect')
+            }),
+            // A calendar shows every film of its month or year, by date
+            attributes.displayMode !== 'calendar' && createElement(ToggleControl, {
                 label: __('Show All Movies', 'letterboxd-connect'),
                 checked: attributes.showAll,
                 onChange: (value) => setAttributes({ showAll: value }),
                 help: __('Enable pagination and show all movies', 'letterboxd-connect')
             }),
-            !attributes.showAll && createElement(RangeControl, {
+            attributes.displayMode !== 'calendar' && !attributes.showAll && createElement(RangeControl, {
                 label: __('Number of Movies', 'letterboxd-connect'),
                 value: attributes.number,
                 onChange: (value) => setAttributes({ number: value }),
@@ -127,7 +278,7 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
                 max: 24,
                 help: __('Select how many movies to display', 'letterboxd-connect')
             }),
-            attributes.showAll && createElement(RangeControl, {
+            attributes.displayMode !== 'calendar' && attributes.showAll && createElement(RangeControl, {
                 label: __('Movies Per Page', 'letterboxd-connect'),
                 value: attributes.perPage,
                 onChange: (value) => setAttributes({ perPage: value }),
@@ -135,13 +286,13 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
                 max: 20,
                 help: __('Select how many movies to display per page', 'letterboxd-connect')
             }),
-            createElement(SelectControl, {
+            attributes.displayMode !== 'calendar' && createElement(SelectControl, {
                 label: __('Order By', 'letterboxd-connect'),
                 value: attributes.orderby,
-                options: orderByOptions,
+                options: attributes.source ? [listOrderByOption, ...orderByOptions] : orderByOptions,
                 onChange: (value) => setAttributes({ orderby: value })
             }),
-            createElement(SelectControl, {
+            attributes.displayMode !== 'calendar' && createElement(SelectControl, {
                 label: __('Order', 'letterboxd-connect'),
                 value: attributes.order,
                 options: orderOptions,
@@ -173,6 +324,126 @@ const EditMovieGrid = ({ attributes, setAttributes }) => {
                 label: __('Show External Links', 'letterboxd-connect'),
                 checked: attributes.showExternalLinks,
                 onChange: (value) => setAttributes({ showExternalLinks: value })
+            }),
+            createElement(ToggleControl, {
+                label: __('Show Rewatch Badge', 'letterboxd-connect'),
+                checked: attributes.showRewatchBadge,
+                onChange: (value) => setAttributes({ showRewatchBadge: value }),
+                help: __('Show how many times films you rewatched were logged', 'letterboxd-connect')
+            }),
+            createElement(ToggleControl, {
+                label: __('Show Runtime', 'letterboxd-connect'),
+                checked: attributes.showRuntime,
+                onChange: (value) => setAttributes({ showRuntime: value })
+            }),
+            createElement(ToggleControl, {
+                label: __('Show Cast', 'letterboxd-connect'),
+                checked: attributes.showCast,
+                onChange: (value) => setAttributes({ showCast: value }),
+                help: __('Top-billed actors from TMDB', 'letterboxd-connect')
+            }),
+            createElement(ToggleControl, {
+                label: __('Show Provider Badges', 'letterboxd-connect'),
+                checked: attributes.showProviderBadges,
+                onChange: (value) => setAttributes({ showProviderBadges: value }),
+                help: __('Logos of services streaming, renting or selling the film in your watch region', 'letterboxd-connect')
+            }),
+            createElement(ToggleControl, {
+                label: __('Open Details in Modal', 'letterboxd-connect'),
+                checked: attributes.openInModal,
+                onChange: (value) => setAttributes({ openInModal: value }),
+                help: __('Clicking a film title shows its poster, overview, cast, rating and review without leaving the page', 'letterboxd-connect')
+            }),
+            attributes.displayMode === 'list' && createElement(ToggleControl, {
+                label: __('Show Review Excerpt', 'letterboxd-connect'),
+                checked: attributes.showReviewExcerpt,
+                onChange: (value) => setAttributes({ showReviewExcerpt: value }),
+                help: __('Reviews with spoilers stay hidden until visitors choose to read them', 'letterboxd-connect')
+            })
+        ),
+        createElement(
+            PanelBody,
+            {
+                title: __('Filters', 'letterboxd-connect'),
+                initialOpen: false
+            },
+            createElement(FormTokenField, {
+                label: __('Release Years', 'letterboxd-connect'),
+                value: attributes.years,
+                suggestions: yearSuggestions,
+                onChange: (tokens) => setAttributes({
+                    years: tokens.filter((token) => /^\d{4}$/.test(token))
+                }),
+                __experimentalExpandOnFocus: true
+            }),
+            createElement(FormTokenField, {
+                label: __('Genres', 'letterboxd-connect'),
+                value: attributes.genres,
+                suggestions: genreSuggestions,
+                onChange: (tokens) => setAttributes({ genres: tokens }),
+                __experimentalExpandOnFocus: true
+            }),
+            createElement(FormTokenField, {
+                label: __('Countries', 'letterboxd-connect'),
+                value: attributes.countries,
+                suggestions: countrySuggestions,
+                onChange: (tokens) => setAttributes({ countries: tokens }),
+                __experimentalExpandOnFocus: true
+            }),
+            createElement(RangeControl, {
+                label: __('Minimum Rating', 'letterboxd-connect'),
+                value: attributes.minRating,
+                onChange: (value) => setAttributes({
+                    minRating: value,
+                    maxRating: Math.max(value, attributes.maxRating)
+                }),
+                min: 0,
+                max: 5,
+                step: 0.5,
+                help: __('Set to 0 to include unrated movies', 'letterboxd-connect')
+            }),
+            createElement(RangeControl, {
+                label: __('Maximum Rating', 'letterboxd-connect'),
+                value: attributes.maxRating,
+                onChange: (value) => setAttributes({
+                    maxRating: value,
+                    minRating: Math.min(value, attributes.minRating)
+                }),
+                min: 0.5,
+                max: 5,
+                step: 0.5
+            }),
+            createElement(SelectControl, {
+                label: __('Watched', 'letterboxd-connect'),
+                value: attributes.watchedRange,
+                options: watchedRangeOptions,
+                onChange: (value) => setAttributes({ watchedRange: value }),
+                help: __('Relative ranges update automatically', 'letterboxd-connect')
+            }),
+            !attributes.watchedRange && createElement(TextControl, {
+                label: __('Watched After', 'letterboxd-connect'),
+                type: 'date',
+                value: attributes.watchedAfter,
+                onChange: (value) => setAttributes({ watchedAfter: value })
+            }),
+            !attributes.watchedRange && createElement(TextControl, {
+                label: __('Watched Before', 'letterboxd-connect'),
+                type: 'date',
+                value: attributes.watchedBefore,
+                onChange: (value) => setAttributes({ watchedBefore: value })
+            }),
+            createElement(TextControl, {
+                label: __('Director', 'letterboxd-connect'),
+                value: attributes.director,
+                onChange: (value) => setAttributes({ director: value }),
+                help: __('Show only movies by this director', 'letterboxd-connect')
+            }),
+            accountOptions.length > 2 && createElement(SelectControl, {
+                label: __('Account', 'letterboxd-connect'),
+                value: attributes.account,
+                options: accountOptions,
+                onChange: (value) => setAttributes({ account: value }),
+                help: __('Show only movies imported from this Letterboxd account', 'letterboxd-connect')
             })
         )
     );
@@ -271,6 +542,10 @@ registerBlockType(BLOCK_NAME, {
             type: 'string',
             default: DEFAULT_ATTRIBUTES.displayMode
         },
+        calendarView: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.calendarView
+        },
         // display options
         showDirector: {
             type: 'boolean',
@@ -287,8 +562,87 @@ registerBlockType(BLOCK_NAME, {
         showExternalLinks: {
             type: 'boolean',
             default: DEFAULT_ATTRIBUTES.showExternalLinks
+        },
+        showRewatchBadge: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.showRewatchBadge
+        },
+        showReviewExcerpt: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.showReviewExcerpt
+        },
+        showRuntime: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.showRuntime
+        },
+        showCast: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.showCast
+        },
+        showProviderBadges: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.showProviderBadges
+        },
+        openInModal: {
+            type: 'boolean',
+            default: DEFAULT_ATTRIBUTES.openInModal
+        },
+        // filters
+        years: {
+            type: 'array',
+            default: DEFAULT_ATTRIBUTES.years,
+            items: {
+                type: 'string'
+            }
+        },
+        genres: {
+            type: 'array',
+            default: DEFAULT_ATTRIBUTES.genres,
+            items: {
+                type: 'string'
+            }
+        },
+        countries: {
+            type: 'array',
+            default: DEFAULT_ATTRIBUTES.countries,
+            items: {
+                type: 'string'
+            }
+        },
+        minRating: {
+            type: 'number',
+            default: DEFAULT_ATTRIBUTES.minRating
+        },
+        maxRating: {
+            type: 'number',
+            default: DEFAULT_ATTRIBUTES.maxRating
+        },
+        watchedAfter: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.watchedAfter
+        },
+        watchedBefore: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.watchedBefore
+        },
+        watchedRange: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.watchedRange
+        },
+        director: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.director
+        },
+        account: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.account
+        },
+        source: {
+            type: 'string',
+            default: DEFAULT_ATTRIBUTES.source
         }
     },
+    variations: blockVariations,
     edit: EditMovieGrid,
     save: () => null // Server-side rendered
 });
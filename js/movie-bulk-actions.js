@@ -0,0 +1,184 @@
+/**
+ * Letterboxd Connect bulk actions for the movies list
+ *
+ * Runs the plugin's bulk actions in batches through the REST API and shows
+ * their progress in a dialog. A batch that fails pauses the run, so it can be
+ * retried with Resume.
+ */
+
+jQuery(document).ready(($) => {
+	const settings = window.letterboxdBulkActions || {};
+	const { __, sprintf } = wp.i18n;
+
+	const SELECTORS = {
+		applyButtons: '#doaction, #doaction2',
+		checkedPosts: '#the-list input[name="post[]"]:checked',
+		dialog: '#letterboxd-bulk-dialog',
+		title: '#letterboxd-bulk-title',
+		progress: '#letterboxd-bulk-progress',
+		status: '#letterboxd-bulk-status',
+		errors: '#letterboxd-bulk-errors',
+		pause: '#letterboxd-bulk-pause',
+		close: '#letterboxd-bulk-close'
+	};
+
+	const dialog = $(SELECTORS.dialog).get(0);
+	if (!settings.actions || !dialog || typeof dialog.showModal !== 'function') {
+		return;
+	}
+
+	let run = null;
+
+	const chunk = (ids, size) => {
+		const batches = [];
+		for (let i = 0; i < ids.length; i += size) {
+			batches.push(ids.slice(i, i + size));
+		}
+		return batches;
+	};
+
+	const updateProgress = (message) => {
+		const percent = Math.round((run.processed / run.total) * 100);
+		$(SELECTORS.progress).val(percent);
+
+		const counts = sprintf(
+			/* translators: 1: Processed movies, 2: Selected movies, 3: Updated, 4: Skipped, 5: Failed */
+			__('%1$d of %2$d movies processed: %3$d updated, %4$d skipped, %5$d failed.', 'letterboxd-connect'),
+			run.processed,
+			run.total,
+			run.counts.updated,
+			run.counts.skipped,
+			run.counts.failed
+		);
+		$(SELECTORS.status).text(message ? `${counts} ${message}` : counts);
+	};
+
+	const updateButtons = () => {
+		const finished = run.batch >= run.batches.length;
+		$(SELECTORS.pause)
+			.prop('hidden', finished)
+			.prop('disabled', run.paused && run.busy)
+			.text(run.paused ? __('Resume', 'letterboxd-connect') : __('Pause', 'letterboxd-connect'));
+		$(SELECTORS.close).prop('disabled', !finished && !run.paused);
+	};
+
+	const addErrors = (items) => {
+		const list = $(SELECTORS.errors).find('ul');
+		items.forEach((item) => {
+			const title = item.title || sprintf(
+				/* translators: %d: Post ID */
+				__('Movie #%d', 'letterboxd-connect'),
+				item.id
+			);
+			list.append(
+				$('<li>')
+					.addClass(`outcome-${item.outcome}`)
+					.append($('<strong>').text(title), document.createTextNode(` — ${item.reason}`))
+			);
+		});
+		$(SELECTORS.errors).prop('hidden', list.children().length === 0);
+	};
+
+	const processNextBatch = () => {
+		if (run.batch >= run.batches.length) {
+			updateProgress(__('Done.', 'letterboxd-connect'));
+			updateButtons();
+			return;
+		}
+
+		if (run.paused) {
+			updateProgress(__('Paused.', 'letterboxd-connect'));
+			updateButtons();
+			return;
+		}
+
+		run.busy = true;
+		updateButtons();
+
+		wp.apiFetch({
+			path: `${settings.restNamespace}/movies/bulk`,
+			method: 'POST',
+			data: {
+				action: run.action,
+				ids: run.batches[run.batch]
+			}
+		}).then((response) => {
+			const items = response.items || [];
+			items.forEach((item) => {
+				run.counts[item.outcome] = (run.counts[item.outcome] || 0) + 1;
+			});
+			addErrors(items.filter((item) => item.outcome !== 'updated'));
+
+			run.processed += run.batches[run.batch].length;
+			run.batch++;
+			run.busy = false;
+			updateProgress();
+			processNextBatch();
+		}).catch((error) => {
+			// Keep the batch, so Resume retries it
+			run.busy = false;
+			run.paused = true;
+			updateProgress(error.message || __('The request failed.', 'letterboxd-connect'));
+			updateButtons();
+		});
+	};
+
+	const startRun = (action, ids) => {
+		run = {
+			action,
+			batches: chunk(ids, settings.batchSize || 5),
+			batch: 0,
+			total: ids.length,
+			processed: 0,
+			counts: { updated: 0, skipped: 0, failed: 0 },
+			paused: false,
+			busy: false
+		};
+
+		$(SELECTORS.title).text(settings.actions[action]);
+		$(SELECTORS.errors).prop('hidden', true).find('ul').empty();
+		updateProgress();
+		dialog.showModal();
+		processNextBatch();
+	};
+
+	$(SELECTORS.applyButtons).on('click', function (e) {
+		const action = $(this).siblings('select').val();
+		if (!settings.actions[action]) {
+			return;
+		}
+
+		e.preventDefault();
+
+		const ids = $(SELECTORS.checkedPosts).map((i, el) => Number(el.value)).get();
+		if (ids.length) {
+			startRun(action, ids);
+		}
+	});
+
+	$(SELECTORS.pause).on('click', () => {
+		run.paused = !run.paused;
+		if (run.paused) {
+			updateProgress(run.busy ? __('Pausing after this batch…', 'letterboxd-connect') : __('Paused.', 'letterboxd-connect'));
+			updateButtons();
+		} else {
+			processNextBatch();
+		}
+	});
+
+	$(SELECTORS.close).on('click', () => dialog.close());
+
+	// Escape may only close the dialog when the run isn't working
+	dialog.addEventListener('cancel', (e) => {
+		if ($(SELECTORS.close).prop('disabled')) {
+			e.preventDefault();
+		}
+	});
+
+	// Reload the list so it shows what changed
+	dialog.addEventListener('close', () => {
+		if (run && run.processed) {
+			window.location.reload();
+		}
+	});
+});
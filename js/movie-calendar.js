@@ -0,0 +1,129 @@
+/**
+ * Front-end behaviour for Movie Grid blocks in calendar mode
+ *
+ * Previous/next, month/year and heatmap day links load the calendar through
+ * the public movie-calendar REST endpoint and keep the period in the URL.
+ * Without JS the same links reload the page on the linked period.
+ */
+(function () {
+    const settings = window.letterboxdMovieCalendar || {};
+    const param = settings.param || 'lb_calendar';
+
+    /**
+     * Build a linkable URL for a calendar period
+     */
+    const buildUrl = (period) => {
+        const url = new URL(window.location.href);
+        url.searchParams.set(param, period);
+        return url.toString();
+    };
+
+    class MovieCalendar {
+        constructor(container) {
+            this.container = container;
+            this.attributes = container.dataset.attributes || '{}';
+            this.initialPeriod = this.getPeriod();
+            this.request = null;
+
+            // Calendars are replaced wholesale, so announce the change separately
+            this.status = document.createElement('p');
+            this.status.className = 'screen-reader-text';
+            this.status.setAttribute('role', 'status');
+            this.container.appendChild(this.status);
+
+            this.syncLinks();
+
+            this.container.addEventListener('click', (event) => {
+                const link = event.target.closest('a[data-period]');
+                if (!link || event.metaKey || event.ctrlKey || event.shiftKey) {
+                    return;
+                }
+
+                event.preventDefault();
+                window.history.pushState(null, '', buildUrl(link.dataset.period));
+                this.load(link.dataset.period, link.closest('.movie-calendar-nav') ? link.className : '');
+            });
+
+            window.addEventListener('popstate', () => {
+                const period = new URL(window.location.href).searchParams.get(param) || this.initialPeriod;
+                if (period !== this.getPeriod()) {
+                    this.load(period);
+                }
+            });
+        }
+
+        getPeriod() {
+            const calendar = this.container.querySelector('.movie-calendar');
+            return calendar ? calendar.dataset.period : '';
+        }
+
+        /**
+         * Point the links at full page URLs, since REST responses can't know them
+         */
+        syncLinks() {
+            this.container.querySelectorAll('.movie-calendar a[data-period]').forEach((link) => {
+                link.href = buildUrl(link.dataset.period);
+            });
+        }
+
+        load(period, focusClass = '') {
+            if (this.request) {
+                this.request.abort();
+            }
+            this.request = new AbortController();
+
+            const url = new URL(settings.restUrl, window.location.href);
+            url.searchParams.set('period', period);
+            url.searchParams.set('attributes', this.attributes);
+
+            this.container.classList.add('is-loading');
+            this.container.setAttribute('aria-busy', 'true');
+
+            fetch(url.toString(), { signal: this.request.signal, credentials: 'same-origin' })
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(response.statusText);
+                    }
+                    return response.json();
+                })
+                .then((data) => {
+                    const template = document.createElement('template');
+                    template.innerHTML = data.html;
+                    this.container.querySelector('.movie-calendar').replaceWith(template.content);
+                    this.syncLinks();
+
+                    // Keep keyboard users on the control they used
+                    const label = this.container.querySelector('.movie-calendar-label');
+                    const target = focusClass
+                        ? this.container.querySelector(`.movie-calendar-nav [class="${focusClass}"]`)
+                        : label;
+                    if (target) {
+                        target.focus();
+                    }
+
+                    const summary = this.container.querySelector('.movie-calendar-summary');
+                    this.status.textContent = [label, summary]
+                        .filter(Boolean)
+                        .map((element) => element.textContent)
+                        .join(': ');
+                })
+                .catch((error) => {
+                    if (error.name === 'AbortError') {
+                        return;
+                    }
+                    // Fall back to a full page load of the same period
+                    window.location.href = buildUrl(period);
+                })
+                .finally(() => {
+                    this.container.classList.remove('is-loading');
+                    this.container.removeAttribute('aria-busy');
+                });
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document
+            .querySelectorAll('.wp-block-letterboxd-connect-movie-grid[data-display-mode="calendar"]')
+            .forEach((container) => new MovieCalendar(container));
+    });
+})();
@@ -0,0 +1,120 @@
+/**
+ * Front-end behaviour for Movie Grid blocks in carousel mode
+ *
+ * The carousel is a horizontally scrolling strip that works with touch and
+ * scrollbars on its own; this adds previous/next buttons and arrow keys.
+ * Interactive grids replace their results in place, so carousels are set up
+ * again whenever a grid reports new results.
+ */
+(function () {
+    const { __ } = wp.i18n;
+
+    class MovieCarousel {
+        constructor(track) {
+            this.track = track;
+
+            this.buildControls();
+            this.updateControls();
+
+            this.track.addEventListener('keydown', (event) => this.onKeyDown(event));
+            this.track.addEventListener('scroll', () => this.updateControls(), { passive: true });
+            window.addEventListener('resize', () => {
+                if (this.track.isConnected) {
+                    this.updateControls();
+                }
+            });
+        }
+
+        buildControls() {
+            this.controls = document.createElement('div');
+            this.controls.className = 'movie-carousel-controls';
+
+            this.prevButton = this.createButton('prev', __('Previous movies', 'letterboxd-connect'), '‹');
+            this.nextButton = this.createButton('next', __('Next movies', 'letterboxd-connect'), '›');
+
+            this.prevButton.addEventListener('click', () => this.scrollBy(-1));
+            this.nextButton.addEventListener('click', () => this.scrollBy(1));
+
+            this.controls.append(this.prevButton, this.nextButton);
+            this.track.parentNode.insertBefore(this.controls, this.track);
+        }
+
+        createButton(direction, label, text) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `movie-carousel-button movie-carousel-${direction}`;
+            button.setAttribute('aria-label', label);
+            button.setAttribute('aria-controls', this.getTrackId());
+            button.textContent = text;
+            return button;
+        }
+
+        getTrackId() {
+            if (!this.track.id) {
+                this.track.id = `movie-carousel-${Math.random().toString(36).slice(2, 9)}`;
+            }
+            return this.track.id;
+        }
+
+        /**
+         * Width of one slide including the gap
+         */
+        getStep() {
+            const item = this.track.querySelector('.movie-item');
+            if (!item) {
+                return this.track.clientWidth;
+            }
+            const gap = parseFloat(window.getComputedStyle(this.track).columnGap) || 0;
+            return item.getBoundingClientRect().width + gap;
+        }
+
+        /**
+         * Scroll by roughly a visible page of slides
+         */
+        scrollBy(direction) {
+            const step = this.getStep();
+            const perPage = Math.max(1, Math.floor(this.track.clientWidth / step));
+            this.track.scrollBy({ left: direction * step * perPage, behavior: 'smooth' });
+        }
+
+        onKeyDown(event) {
+            // Leave arrow keys alone while a link inside a slide has focus
+            if (event.target !== this.track) {
+                return;
+            }
+
+            const keys = {
+                ArrowLeft: () => this.track.scrollBy({ left: -this.getStep(), behavior: 'smooth' }),
+                ArrowRight: () => this.track.scrollBy({ left: this.getStep(), behavior: 'smooth' }),
+                Home: () => this.track.scrollTo({ left: 0, behavior: 'smooth' }),
+                End: () => this.track.scrollTo({ left: this.track.scrollWidth, behavior: 'smooth' })
+            };
+
+            if (keys[event.key]) {
+                event.preventDefault();
+                keys[event.key]();
+            }
+        }
+
+        updateControls() {
+            const maxScroll = this.track.scrollWidth - this.track.clientWidth - 1;
+            this.prevButton.disabled = this.track.scrollLeft <= 0;
+            this.nextButton.disabled = this.track.scrollLeft >= maxScroll;
+            this.controls.hidden = maxScroll <= 0;
+        }
+    }
+
+    const initCarousels = (root) => {
+        root
+            .querySelectorAll('.movie-carousel')
+            .forEach((track) => new MovieCarousel(track));
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document
+            .querySelectorAll('.wp-block-letterboxd-connect-movie-grid')
+            .forEach(initCarousels);
+    });
+
+    document.addEventListener('letterboxd:movie-grid-updated', (event) => initCarousels(event.target));
+})();
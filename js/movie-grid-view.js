@@ -0,0 +1,333 @@
+/**
+ * Front-end behaviour for paginated Movie Grid blocks
+ *
+ * Adds search, sort and release year controls and loads pages through the
+ * public movie-grid REST endpoint. The server-rendered grid and pagination
+ * stay untouched until the script runs, so the block works without JS.
+ */
+(function () {
+    const { __ } = wp.i18n;
+    const settings = window.letterboxdMovieGrid || {};
+    const params = settings.params || {
+        search: 'lb_search',
+        sort: 'lb_sort',
+        year: 'lb_year'
+    };
+
+    const SEARCH_DELAY = 300;
+
+    // Dispatched on the block after new results are shown, so other scripts
+    // (like the carousel) can set up the new markup
+    const UPDATED_EVENT = 'letterboxd:movie-grid-updated';
+
+    const sortOptions = [
+        { value: 'watch_date-DESC', label: __('Recently watched', 'letterboxd-connect') },
+        { value: 'watch_date-ASC', label: __('First watched', 'letterboxd-connect') },
+        { value: 'last_watched-DESC', label: __('Most recent viewing', 'letterboxd-connect') },
+        { value: 'title-ASC', label: __('Title (A–Z)', 'letterboxd-connect') },
+        { value: 'title-DESC', label: __('Title (Z–A)', 'letterboxd-connect') },
+        { value: 'release_year-DESC', label: __('Newest releases', 'letterboxd-connect') },
+        { value: 'release_year-ASC', label: __('Oldest releases', 'letterboxd-connect') },
+        { value: 'rating-DESC', label: __('Highest rated', 'letterboxd-connect') },
+        { value: 'rating-ASC', label: __('Lowest rated', 'letterboxd-connect') }
+    ];
+
+    // Only offered when the grid shows a list or the watchlist
+    const listSortOptions = [
+        { value: 'list-ASC', label: __('List order', 'letterboxd-connect') },
+        { value: 'list-DESC', label: __('List order (reversed)', 'letterboxd-connect') }
+    ];
+
+    /**
+     * Read the grid state from the current URL
+     */
+    const readUrlState = () => {
+        const url = new URL(window.location.href);
+        const pathPage = url.pathname.match(/\/page\/(\d+)\/?$/);
+
+        return {
+            search: url.searchParams.get(params.search) || '',
+            sort: url.searchParams.get(params.sort) || '',
+            year: url.searchParams.get(params.year) || '',
+            page: parseInt(url.searchParams.get('paged') || (pathPage ? pathPage[1] : '1'), 10) || 1
+        };
+    };
+
+    /**
+     * Build a linkable URL for a grid state
+     */
+    const buildUrl = (state) => {
+        const url = new URL(window.location.href);
+        url.pathname = url.pathname.replace(/\/page\/\d+\/?$/, '/');
+
+        const values = {
+            [params.search]: state.search,
+            [params.sort]: state.sort,
+            [params.year]: state.year,
+            paged: state.page > 1 ? String(state.page) : ''
+        };
+
+        Object.keys(values).forEach((key) => {
+            if (values[key]) {
+                url.searchParams.set(key, values[key]);
+            } else {
+                url.searchParams.delete(key);
+            }
+        });
+
+        return url.toString();
+    };
+
+    class InteractiveMovieGrid {
+        constructor(container) {
+            this.container = container;
+            this.attributes = container.dataset.attributes || '{}';
+            this.perPage = parseInt(container.dataset.perPage, 10) || 12;
+            this.years = (container.dataset.years || '').split(',').filter(Boolean);
+            this.defaultSort = this.getDefaultSort();
+            this.isList = this.getSource() !== '';
+            this.state = readUrlState();
+            this.request = null;
+            this.searchTimer = null;
+
+            this.buildControls();
+            this.wrapResults();
+            this.bindPagination();
+
+            window.addEventListener('popstate', () => {
+                this.state = readUrlState();
+                this.syncControls();
+                this.load();
+            });
+        }
+
+        getDefaultSort() {
+            try {
+                const attributes = JSON.parse(this.attributes);
+                return `${attributes.orderby}-${attributes.order}`;
+            } catch (e) {
+                return 'watch_date-DESC';
+            }
+        }
+
+        getSource() {
+            try {
+                return JSON.parse(this.attributes).source || '';
+            } catch (e) {
+                return '';
+            }
+        }
+
+        buildControls() {
+            const form = document.createElement('form');
+            form.className = 'movie-grid-controls';
+            form.setAttribute('role', 'search');
+            form.addEventListener('submit', (event) => event.preventDefault());
+
+            // Search box
+            const searchLabel = document.createElement('label');
+            searchLabel.className = 'movie-grid-search';
+            const searchText = document.createElement('span');
+            searchText.className = 'screen-reader-text';
+            searchText.textContent = __('Search movies', 'letterboxd-connect');
+            this.searchInput = document.createElement('input');
+            this.searchInput.type = 'search';
+            this.searchInput.placeholder = __('Search movies…', 'letterboxd-connect');
+            this.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => {
+                    this.update({ search: this.searchInput.value.trim() });
+                }, SEARCH_DELAY);
+            });
+            searchLabel.append(searchText, this.searchInput);
+
+            // Sort dropdown
+            const sortLabel = document.createElement('label');
+            sortLabel.className = 'movie-grid-sort';
+            const sortText = document.createElement('span');
+            sortText.textContent = __('Sort by', 'letterboxd-connect');
+            this.sortSelect = document.createElement('select');
+            (this.isList ? listSortOptions.concat(sortOptions) : sortOptions).forEach((option) => {
+                this.sortSelect.add(new Option(option.label, option.value));
+            });
+            this.sortSelect.addEventListener('change', () => {
+                const sort = this.sortSelect.value === this.defaultSort ? '' : this.sortSelect.value;
+                this.update({ sort });
+            });
+            sortLabel.append(sortText, this.sortSelect);
+
+            form.append(searchLabel, sortLabel);
+
+            // Year chips
+            if (this.years.length > 1) {
+                this.chips = document.createElement('div');
+                this.chips.className = 'movie-grid-years';
+                this.chips.setAttribute('role', 'group');
+                this.chips.setAttribute('aria-label', __('Release year', 'letterboxd-connect'));
+
+                ['', ...this.years].forEach((year) => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'movie-grid-year-chip';
+                    chip.dataset.year = year;
+                    chip.textContent = year || __('All years', 'letterboxd-connect');
+                    chip.addEventListener('click', () => this.update({ year }));
+                    this.chips.appendChild(chip);
+                });
+
+                form.appendChild(this.chips);
+            }
+
+            this.container.insertBefore(form, this.container.firstChild);
+            this.syncControls();
+        }
+
+        /**
+         * Move the server-rendered grid and pagination into a live region
+         */
+        wrapResults() {
+            this.results = document.createElement('div');
+            this.results.className = 'movie-grid-results';
+            this.results.setAttribute('aria-live', 'polite');
+
+            Array.from(this.container.children)
+                .filter((child) => !child.classList.contains('movie-grid-controls'))
+                .forEach((child) => this.results.appendChild(child));
+
+            this.container.appendChild(this.results);
+        }
+
+        syncControls() {
+            this.searchInput.value = this.state.search;
+            this.sortSelect.value = this.state.sort || this.defaultSort;
+
+            if (this.chips) {
+                this.chips.querySelectorAll('button').forEach((chip) => {
+                    chip.setAttribute('aria-pressed', chip.dataset.year === this.state.year ? 'true' : 'false');
+                });
+            }
+        }
+
+        bindPagination() {
+            this.results.addEventListener('click', (event) => {
+                const link = event.target.closest('.movie-grid-pagination a');
+                if (!link || event.metaKey || event.ctrlKey || event.shiftKey) {
+                    return;
+                }
+
+                const page = parseInt(link.dataset.page || this.getPageFromHref(link.href), 10);
+                if (!page) {
+                    return;
+                }
+
+                event.preventDefault();
+                this.update({ page }, false);
+                this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        }
+
+        getPageFromHref(href) {
+            const url = new URL(href, window.location.href);
+            const pathPage = url.pathname.match(/\/page\/(\d+)\/?$/);
+            return url.searchParams.get('paged') || (pathPage ? pathPage[1] : '1');
+        }
+
+        /**
+         * Change part of the state, resetting to the first page unless paging
+         */
+        update(changes, resetPage = true) {
+            this.state = Object.assign({}, this.state, changes, resetPage ? { page: 1 } : {});
+            this.syncControls();
+            window.history.pushState(null, '', buildUrl(this.state));
+            this.load();
+        }
+
+        load() {
+            if (this.request) {
+                this.request.abort();
+            }
+            this.request = new AbortController();
+
+            const url = new URL(settings.restUrl, window.location.href);
+            url.searchParams.set('page', String(this.state.page));
+            url.searchParams.set('perPage', String(this.perPage));
+            url.searchParams.set('search', this.state.search);
+            url.searchParams.set('sort', this.state.sort);
+            url.searchParams.set('year', this.state.year);
+            url.searchParams.set('attributes', this.attributes);
+
+            this.container.classList.add('is-loading');
+            this.container.setAttribute('aria-busy', 'true');
+
+            fetch(url.toString(), { signal: this.request.signal, credentials: 'same-origin' })
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(response.statusText);
+                    }
+                    return response.json();
+                })
+                .then((data) => {
+                    this.results.innerHTML = data.html + this.renderPagination(data.page, data.totalPages);
+                    this.container.dataset.page = data.page;
+                    this.container.dataset.totalPages = data.totalPages;
+                    this.container.dispatchEvent(new CustomEvent(UPDATED_EVENT, { bubbles: true }));
+                })
+                .catch((error) => {
+                    if (error.name === 'AbortError') {
+                        return;
+                    }
+                    // Fall back to a full page load of the same state
+                    window.location.href = buildUrl(this.state);
+                })
+                .finally(() => {
+                    this.container.classList.remove('is-loading');
+                    this.container.removeAttribute('aria-busy');
+                });
+        }
+
+        /**
+         * Mirror the markup of the server-side pagination
+         */
+        renderPagination(current, total) {
+            if (total <= 1) {
+                return '';
+            }
+
+            const link = (page, text, className = '') => {
+                const href = buildUrl(Object.assign({}, this.state, { page }));
+                return `<li><a class="${className} page-numbers" href="${href}" data-page="${page}">${text}</a></li>`;
+            };
+
+            let items = '';
+            if (current > 1) {
+                items += link(current - 1, __('&laquo; Previous', 'letterboxd-connect'), 'prev');
+            }
+
+            for (let page = 1; page <= total; page++) {
+                const isEdge = page === 1 || page === total;
+                const isNear = Math.abs(page - current) <= 2;
+
+                if (page === current) {
+                    items += `<li><span aria-current="page" class="page-numbers current">${page}</span></li>`;
+                } else if (isEdge || isNear) {
+                    items += link(page, String(page));
+                } else if (Math.abs(page - current) === 3) {
+                    items += '<li><span class="page-numbers dots">&hellip;</span></li>';
+                }
+            }
+
+            if (current < total) {
+                items += link(current + 1, __('Next &raquo;', 'letterboxd-connect'), 'next');
+            }
+
+            return `<nav class="movie-grid-pagination" aria-label="${__('Movies navigation', 'letterboxd-connect')}">` +
+                `<ul class="page-numbers">${items}</ul></nav>`;
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document
+            .querySelectorAll('.wp-block-letterboxd-connect-movie-grid[data-interactive="true"]')
+            .forEach((container) => new InteractiveMovieGrid(container));
+    });
+})();
@@ -0,0 +1,269 @@
+/**
+ * Movie details dialog for Movie Grid blocks
+ *
+ * Film titles in grids with "Open Details in Modal" turned on open a dialog
+ * instead of leaving the page. Details load from the public movies endpoint
+ * the first time a film is opened, and previous/next move through the films
+ * of the grid as currently shown, including pages loaded in place.
+ */
+(function () {
+    const { __, sprintf } = wp.i18n;
+    const settings = window.letterboxdMovieModal || {};
+
+    if (!settings.restUrl || typeof HTMLDialogElement === 'undefined') {
+        return;
+    }
+
+    const details = new Map();
+    let dialog = null;
+    let current = null;
+    let trigger = null;
+
+    const el = (tag, className, text) => {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text) {
+            node.textContent = text;
+        }
+        return node;
+    };
+
+    const createDialog = () => {
+        dialog = el('dialog', 'movie-modal');
+        dialog.setAttribute('aria-labelledby', 'movie-modal-title');
+
+        const close = el('button', 'movie-modal-close', '×');
+        close.type = 'button';
+        close.setAttribute('aria-label', __('Close', 'letterboxd-connect'));
+        close.addEventListener('click', () => dialog.close());
+
+        const body = el('div', 'movie-modal-body');
+        body.setAttribute('aria-live', 'polite');
+
+        const nav = el('div', 'movie-modal-nav');
+        const prev = el('button', 'movie-modal-prev', __('← Previous', 'letterboxd-connect'));
+        const next = el('button', 'movie-modal-next', __('Next →', 'letterboxd-connect'));
+        prev.type = 'button';
+        next.type = 'button';
+        prev.addEventListener('click', () => step(-1));
+        next.addEventListener('click', () => step(1));
+        nav.append(prev, next);
+
+        dialog.append(close, body, nav);
+
+        // A click on the backdrop lands on the dialog itself
+        dialog.addEventListener('click', (event) => {
+            if (event.target === dialog) {
+                dialog.close();
+            }
+        });
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowLeft') {
+                step(-1);
+            } else if (event.key === 'ArrowRight') {
+                step(1);
+            }
+        });
+        dialog.addEventListener('close', () => {
+            if (trigger && document.contains(trigger)) {
+                trigger.focus();
+            }
+            current = null;
+        });
+
+        document.body.appendChild(dialog);
+    };
+
+    /**
+     * Films of the grid the current film belongs to, in display order
+     */
+    const getSiblings = (item) => {
+        const grid = item.closest('.wp-block-letterboxd-connect-movie-grid') || document;
+        return Array.from(grid.querySelectorAll('.movie-item[data-movie-id]'));
+    };
+
+    const step = (direction) => {
+        if (!current) {
+            return;
+        }
+        const siblings = getSiblings(current);
+        const target = siblings[siblings.indexOf(current) + direction];
+        if (target) {
+            show(target);
+        }
+    };
+
+    const loadMovie = (id) => {
+        if (!details.has(id)) {
+            const request = fetch(settings.restUrl + id, { credentials: 'same-origin' })
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(response.statusText);
+                    }
+                    return response.json();
+                })
+                .catch((error) => {
+                    // Let a later attempt try again
+                    details.delete(id);
+                    throw error;
+                });
+            details.set(id, request);
+        }
+        return details.get(id);
+    };
+
+    const renderMovie = (movie) => {
+        const body = el('div', 'movie-modal-content');
+
+        const posterUrl = movie.poster_large || movie.poster;
+        if (posterUrl) {
+            const poster = el('img', 'movie-modal-poster');
+            poster.src = posterUrl;
+            poster.alt = sprintf(
+                /* translators: %s: Movie title */
+                __('Movie poster for %s', 'letterboxd-connect'),
+                movie.title
+            );
+            body.appendChild(poster);
+        }
+
+        const info = el('div', 'movie-modal-info');
+        const title = el('h2', 'movie-modal-title', movie.year ? `${movie.title} (${movie.year})` : movie.title);
+        title.id = 'movie-modal-title';
+        info.appendChild(title);
+
+        const meta = el('dl', 'movie-modal-meta');
+        const addMeta = (label, value) => {
+            if (value) {
+                meta.append(el('dt', '', label), el('dd', '', String(value)));
+            }
+        };
+        addMeta(__('Director', 'letterboxd-connect'), movie.director);
+        addMeta(__('Cast', 'letterboxd-connect'), movie.cast);
+        addMeta(__('Runtime', 'letterboxd-connect'), movie.runtime > 0
+            ? sprintf(
+                /* translators: %d: Runtime in minutes */
+                __('%d min', 'letterboxd-connect'),
+                movie.runtime
+            )
+            : '');
+        addMeta(__('Rating', 'letterboxd-connect'), movie.rating);
+        addMeta(__('Watched', 'letterboxd-connect'), movie.watch_date_formatted);
+        if (meta.children.length) {
+            info.appendChild(meta);
+        }
+
+        if (movie.overview) {
+            info.appendChild(el('p', 'movie-modal-overview', movie.overview));
+        }
+
+        if (movie.review) {
+            const review = el('div', 'movie-modal-review');
+            const text = el('div', 'movie-review-text');
+            // Sanitized on the server
+            text.innerHTML = movie.review;
+
+            if (movie.review_spoilers) {
+                const reveal = el('button', 'movie-review-reveal', __('This review contains spoilers. Show review', 'letterboxd-connect'));
+                reveal.type = 'button';
+                reveal.setAttribute('aria-expanded', 'false');
+                text.hidden = true;
+                reveal.addEventListener('click', () => {
+                    text.hidden = false;
+                    reveal.hidden = true;
+                    reveal.setAttribute('aria-expanded', 'true');
+                });
+                review.appendChild(reveal);
+            }
+            review.appendChild(text);
+            info.appendChild(review);
+        }
+
+        const links = el('p', 'movie-modal-links');
+        const addLink = (url, label) => {
+            if (url) {
+                const link = el('a', '', label);
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                links.appendChild(link);
+            }
+        };
+        addLink(movie.trailer_url, __('Watch trailer', 'letterboxd-connect'));
+        addLink(movie.letterboxd_url, __('Letterboxd', 'letterboxd-connect'));
+        if (movie.link) {
+            const permalink = el('a', '', __('Full details', 'letterboxd-connect'));
+            permalink.href = movie.link;
+            links.appendChild(permalink);
+        }
+        if (links.children.length) {
+            info.appendChild(links);
+        }
+
+        body.appendChild(info);
+        return body;
+    };
+
+    const show = (item) => {
+        current = item;
+        const id = item.dataset.movieId;
+        const body = dialog.querySelector('.movie-modal-body');
+        const siblings = getSiblings(item);
+        const index = siblings.indexOf(item);
+
+        dialog.querySelector('.movie-modal-prev').disabled = index <= 0;
+        dialog.querySelector('.movie-modal-next').disabled = index === siblings.length - 1;
+
+        body.replaceChildren(el('p', 'movie-modal-loading', __('Loading…', 'letterboxd-connect')));
+        dialog.setAttribute('aria-busy', 'true');
+
+        loadMovie(id)
+            .then((movie) => {
+                // Ignore answers for a film the visitor has already moved past
+                if (current !== item) {
+                    return;
+                }
+                body.replaceChildren(renderMovie(movie));
+            })
+            .catch(() => {
+                if (current === item) {
+                    body.replaceChildren(el('p', 'movie-modal-error', __('Could not load this film.', 'letterboxd-connect')));
+                }
+            })
+            .finally(() => {
+                if (current === item) {
+                    dialog.removeAttribute('aria-busy');
+                }
+            });
+
+        // Warm the cache for the neighbours
+        [siblings[index - 1], siblings[index + 1]].forEach((sibling) => {
+            if (sibling) {
+                loadMovie(sibling.dataset.movieId).catch(() => {});
+            }
+        });
+    };
+
+    // Delegated so pages loaded in place by the interactive grid work too
+    document.addEventListener('click', (event) => {
+        const opener = event.target.closest('.movie-modal-trigger, .movie-item[data-movie-id] .movie-poster, .movie-calendar-film[data-movie-id] a');
+        const item = opener && opener.closest('.movie-item[data-movie-id]');
+        if (!item) {
+            return;
+        }
+
+        event.preventDefault();
+        if (!dialog) {
+            createDialog();
+        }
+
+        // Calendar posters are links; grid posters fall back to the title
+        trigger = opener.closest('a, button') || item.querySelector('.movie-modal-trigger');
+        show(item);
+        if (!dialog.open) {
+            dialog.showModal();
+        }
+    });
+})();
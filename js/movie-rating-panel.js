@@ -0,0 +1,39 @@
+/**
+ * Rating panel for the movie editor
+ *
+ * Edits the movie_rating meta field in half stars. Saving the movie also
+ * gives its latest diary entry the new rating.
+ */
+(function () {
+    const { registerPlugin } = wp.plugins;
+    const PluginDocumentSettingPanel =
+        (wp.editor && wp.editor.PluginDocumentSettingPanel) ||
+        wp.editPost.PluginDocumentSettingPanel;
+    const { useSelect, useDispatch } = wp.data;
+    const { __ } = wp.i18n;
+    const { createElement } = wp.element;
+    const { StarRating } = window.letterboxdStarRating;
+
+    function MovieRatingPanel() {
+        const rating = useSelect((select) => {
+            const meta = select('core/editor').getEditedPostAttribute('meta') || {};
+            return Number(meta.movie_rating) || 0;
+        }, []);
+        const { editPost } = useDispatch('core/editor');
+
+        return createElement(
+            PluginDocumentSettingPanel,
+            {
+                name: 'letterboxd-movie-rating',
+                title: __('Rating', 'letterboxd-connect')
+            },
+            createElement(StarRating, {
+                label: __('Your rating', 'letterboxd-connect'),
+                value: rating,
+                onChange: (value) => editPost({ meta: { movie_rating: value } })
+            })
+        );
+    }
+
+    registerPlugin('letterboxd-movie-rating', { render: MovieRatingPanel });
+})();
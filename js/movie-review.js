@@ -0,0 +1,26 @@
+/**
+ * Front-end behaviour for review excerpts in Movie Grid list view
+ *
+ * Reviews marked as containing spoilers are rendered hidden behind a button;
+ * clicking it reveals the review. Listens on the document so pages loaded
+ * in place by the interactive grid work too.
+ */
+(function () {
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest('.movie-review-reveal');
+        if (!button) {
+            return;
+        }
+
+        const review = document.getElementById(button.getAttribute('aria-controls'));
+        if (!review) {
+            return;
+        }
+
+        review.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        button.hidden = true;
+        review.setAttribute('tabindex', '-1');
+        review.focus();
+    });
+})();
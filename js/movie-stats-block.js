@@ -0,0 +1,138 @@
+/**
+ * Movie Stats block editor
+ *
+ * Wrapped in a closure so its constants don't clash with the other block scripts.
+ */
+(function () {
+    const { registerBlockType } = wp.blocks;
+    const { useBlockProps, InspectorControls } = wp.blockEditor;
+    const {
+        PanelBody,
+        SelectControl,
+        RangeControl,
+        TextControl,
+        ToggleControl
+    } = wp.components;
+    const { __ } = wp.i18n;
+    const { Fragment, createElement } = wp.element;
+    const ServerSideRender = wp.serverSideRender;
+
+    // Block configuration
+    const BLOCK_NAME = 'letterboxd-connect/movie-stats';
+    const DEFAULT_ATTRIBUTES = {
+        showMonthly: true,
+        showYearly: true,
+        showRatings: true,
+        showDirectors: true,
+        showDecades: true,
+        directorsLimit: 5,
+        dateRange: 'all',
+        startDate: '',
+        endDate: ''
+    };
+
+    const dateRangeOptions = [
+        { label: __('All time', 'letterboxd-connect'), value: 'all' },
+        { label: __('This year', 'letterboxd-connect'), value: 'this_year' },
+        { label: __('Last year', 'letterboxd-connect'), value: 'last_year' },
+        { label: __('Last 12 months', 'letterboxd-connect'), value: 'last_12_months' },
+        { label: __('Custom range', 'letterboxd-connect'), value: 'custom' }
+    ];
+
+    const panelToggles = [
+        { key: 'showMonthly', label: __('Films per month', 'letterboxd-connect') },
+        { key: 'showYearly', label: __('Films per year', 'letterboxd-connect') },
+        { key: 'showRatings', label: __('Rating distribution', 'letterboxd-connect') },
+        { key: 'showDirectors', label: __('Most-watched directors', 'letterboxd-connect') },
+        { key: 'showDecades', label: __('Films by decade', 'letterboxd-connect') }
+    ];
+
+    const EditMovieStats = ({ attributes, setAttributes }) => {
+        const blockProps = useBlockProps();
+
+        const inspectorControls = createElement(
+            InspectorControls,
+            null,
+            createElement(
+                PanelBody,
+                { title: __('Date Range', 'letterboxd-connect') },
+                createElement(SelectControl, {
+                    label: __('Watched', 'letterboxd-connect'),
+                    value: attributes.dateRange,
+                    options: dateRangeOptions,
+                    onChange: (value) => setAttributes({ dateRange: value }),
+                    help: __('Relative ranges update automatically', 'letterboxd-connect')
+                }),
+                attributes.dateRange === 'custom' && createElement(TextControl, {
+                    label: __('From', 'letterboxd-connect'),
+                    type: 'date',
+                    value: attributes.startDate,
+                    onChange: (value) => setAttributes({ startDate: value })
+                }),
+                attributes.dateRange === 'custom' && createElement(TextControl, {
+                    label: __('To', 'letterboxd-connect'),
+                    type: 'date',
+                    value: attributes.endDate,
+                    onChange: (value) => setAttributes({ endDate: value })
+                })
+            ),
+            createElement(
+                PanelBody,
+                { title: __('Panels', 'letterboxd-connect') },
+                ...panelToggles.map((panel) => createElement(ToggleControl, {
+                    key: panel.key,
+                    label: panel.label,
+                    checked: attributes[panel.key],
+                    onChange: (value) => setAttributes({ [panel.key]: value })
+                })),
+                attributes.showDirectors && createElement(RangeControl, {
+                    label: __('Number of Directors', 'letterboxd-connect'),
+                    value: attributes.directorsLimit,
+                    onChange: (value) => setAttributes({ directorsLimit: value }),
+                    min: 1,
+                    max: 20
+                })
+            )
+        );
+
+        return createElement(
+            Fragment,
+            null,
+            inspectorControls,
+            createElement(
+                'div',
+                blockProps,
+                createElement(ServerSideRender, {
+                    block: BLOCK_NAME,
+                    attributes: attributes
+                })
+            )
+        );
+    };
+
+    // Register the block
+    registerBlockType(BLOCK_NAME, {
+        title: __('Movie Stats', 'letterboxd-connect'),
+        icon: 'chart-bar',
+        category: 'letterboxd-blocks',
+        keywords: [
+            __('movies', 'letterboxd-connect'),
+            __('letterboxd', 'letterboxd-connect'),
+            __('stats', 'letterboxd-connect')
+        ],
+        supports: {
+            align: ['wide', 'full'],
+            html: false
+        },
+        attributes: Object.keys(DEFAULT_ATTRIBUTES).reduce((attributes, key) => {
+            const value = DEFAULT_ATTRIBUTES[key];
+            attributes[key] = {
+                type: typeof value === 'boolean' ? 'boolean' : (typeof value === 'number' ? 'number' : 'string'),
+                default: value
+            };
+            return attributes;
+        }, {}),
+        edit: EditMovieStats,
+        save: () => null // Server-side rendered
+    });
+})();
@@ -5,18 +5,80 @@
 jQuery(document).ready(($) => {
 	// Cache frequently used selectors and constants
 	const SELECTORS = {
-		startDate: '#start_date',
-		usernameField: 'input[name="letterboxd_wordpress_options[username]"]',
-		usernameMessage: '#username-validation-message',
+		// Accounts table selectors
+		accountsTable: '#letterboxd-accounts',
+		accountRow: '.letterboxd-account-row',
+		accountUsername: '.letterboxd-account-username',
+		accountStartDate: '.letterboxd-account-start-date',
+		accountDraft: '.letterboxd-account-draft',
+		accountFrequency: '.letterboxd-account-frequency',
+		accountSyncPolicy: '.letterboxd-account-sync-policy',
+		accountValidation: '.letterboxd-account-validation',
+		addAccount: '#letterboxd-add-account',
+		removeAccount: '.letterboxd-remove-account',
 		settingsForm: '#letterboxd-settings-form',
 		settingsMessage: '#settings-update-message',
+		fieldError: '.letterboxd-field-error',
+		// Tab selectors
+		navTabs: '.nav-tab-wrapper .nav-tab[data-tab]',
+		tabPanels: '.letterboxd-tab-panel',
 		importDetails: '#last-import-details',
 		runImportTrigger: '#letterboxd_run_import_trigger',
+		// Manual import job selectors
+		importJob: '#letterboxd-import-job',
+		importJobStatus: '#letterboxd-import-job-status',
+		importJobCancel: '#letterboxd-import-job-cancel',
+		importJobProgress: '#letterboxd-import-job-progress',
+		importJobCounts: '#letterboxd-import-job-counts',
+		importJobLog: '#letterboxd-import-job-log',
+		// CSV import preview selectors
+		csvForm: '#letterboxd-csv-import-form',
+		csvMessage: '#letterboxd-csv-message',
+		csvPreview: '#letterboxd-csv-preview',
+		csvSummary: '#letterboxd-csv-summary',
+		csvMapping: '#letterboxd-csv-mapping',
+		csvStatusFilter: '#letterboxd-csv-status-filter',
+		csvRows: '#letterboxd-csv-rows',
+		csvProgress: '#letterboxd-csv-progress',
+		csvProgressStatus: '#letterboxd-csv-progress-status',
+		csvProgressBar: '#letterboxd-csv-progress-bar',
+		csvConfirm: '#letterboxd-csv-confirm',
+		csvDiscard: '#letterboxd-csv-discard',
+		csvAccount: '#letterboxd_csv_account',
+		// List import selectors
+		listForm: '#letterboxd-list-import-form',
+		listMessage: '#letterboxd-list-message',
+		listResults: '#letterboxd-list-results',
+		// Export selectors
+		exportForm: '#letterboxd-export-form',
+		exportMessage: '#letterboxd-export-message',
+		// Sync review selectors
+		syncCount: '#letterboxd-sync-count',
+		syncMessage: '#letterboxd-sync-message',
+		syncChanges: '#letterboxd-sync-changes',
+		syncApproveAll: '#letterboxd-sync-approve-all',
+		syncRejectAll: '#letterboxd-sync-reject-all',
+		// Import history selectors
+		historyRuns: '#letterboxd-history-runs',
+		historyTrigger: '#letterboxd-history-trigger',
+		historyOutcome: '#letterboxd-history-outcome',
+		historyDownload: '#letterboxd-history-download',
+		// Webhook selectors
+		webhooksTable: '#letterboxd-webhooks',
+		webhookRow: '.letterboxd-webhook-row',
+		webhookId: '.letterboxd-webhook-id',
+		webhookUrl: '.letterboxd-webhook-url',
+		webhookFormat: '.letterboxd-webhook-format',
+		webhookEvent: '.letterboxd-webhook-event',
+		webhookResult: '.letterboxd-webhook-result',
+		testWebhook: '.letterboxd-test-webhook',
+		addWebhook: '#letterboxd-add-webhook',
+		removeWebhook: '.letterboxd-remove-webhook',
 		// Auto-import selectors
-		autoImportFrequency: 'select[name="letterboxd_auto_import_options[frequency]"]',
 		autoImportNotifications: 'input[name="letterboxd_auto_import_options[notifications]"]',
 		// TMDB API selectors
 		tmdbApiKeyField: '#tmdb_api_key',
+		streamingRegionField: '#streaming_region',
 		validateTmdbButton: '#validate-tmdb-api',
 		tmdbValidationResult: '#tmdb-api-validation-result',
 		tmdbAuthorizeButton: '#tmdb-authorize-button',
@@ -29,11 +91,15 @@ jQuery(document).ready(($) => {
 			success: 'notice-success',
 			info: 'notice-info',
 			hidden: 'hidden'
-		}
+		},
+		unsavedTab: 'letterboxd-tab-unsaved'
 	};
 
+	const { sprintf } = wp.i18n;
+
 	const UPDATE_INTERVAL = 30000; // 30 seconds
 	const USERNAME_DEBOUNCE = 500; // 500ms debounce for username validation
+	const USERNAME_PATTERN = /^[a-z0-9][a-z0-9-]*[a-z0-9]$/;
 
 	// Validate required settings
 	if (typeof letterboxdSettings === 'undefined') {
@@ -51,13 +117,122 @@ jQuery(document).ready(($) => {
 	// Define default messages
 	const messages = {
 		errorValidating: "Error validating username.",
+		accountRequired: "Add at least one Letterboxd account.",
 		savingSettings: "Saving settings...",
 		settingsSaved: "Settings saved successfully.",
 		errorSaving: "Error saving settings.",
+		errorLoading: "Could not load the saved settings. Reload the page to try again.",
+		noChanges: "There are no changes to save.",
+		fixErrors: "Fix the highlighted fields to save.",
+		accountError: "Account %1$s: %2$s",
+		usernameLength: "Username must be between %1$d and %2$d characters.",
+		usernameFormat: "Username can only contain lowercase letters, numbers, and hyphens. It cannot start or end with a hyphen.",
+		usernameRepeated: "This account is already listed.",
+		webhookUrlInvalid: "Enter a full URL starting with https://.",
+		webhookEventsRequired: "Choose at least one event.",
+		webhookUrlRequired: "Enter a webhook URL first.",
+		sendingTest: "Sending...",
+		testFailed: "Could not send the test message.",
+		invalidApiKey: "A TMDB API key is 32 letters and numbers. Use the \"API Key\", not the read access token.",
 		lastImport: "Last Import",
 		totalImported: "Total Imported",
 		nextCheck: "Next Check",
 		lastError: "Last Error",
+		// Import job messages
+		startingImport: "Fetching your Letterboxd feed...",
+		importProgress: "Importing %1$d of %2$d...",
+		importComplete: "Import complete.",
+		importCancelled: "Import cancelled.",
+		cancellingImport: "Cancelling after the current batch...",
+		importFailed: "Import failed.",
+		importCounts: "Created: %1$d · Updated: %2$d · Skipped: %3$d · Failed: %4$d",
+		outcomes: {
+			created: "Created",
+			updated: "Updated",
+			skipped: "Skipped",
+			failed: "Failed"
+		},
+		// CSV import messages
+		csvReading: "Reading file...",
+		csvReadError: "Could not read the file.",
+		csvSummary: "%1$d rows: %2$d new, %3$d already imported, %4$d duplicates in file, %5$d invalid.",
+		csvConfirm: "Import %d movies",
+		csvRequired: "Map the Title and Date columns to continue.",
+		csvNotMapped: "— Not in file —",
+		csvProgress: "Processed %1$d of %2$d rows...",
+		csvComplete: "Import complete: %1$d imported, %2$d already imported, %3$d duplicates skipped.",
+		csvSynced: "%1$d updated with changes from Letterboxd, %2$d changes waiting for review.",
+		csvFields: {
+			title: "Title",
+			year: "Year",
+			date: "Date watched",
+			rating: "Rating",
+			review: "Review",
+			uri: "Letterboxd URI",
+			tmdb_movie_id: "TMDB ID",
+			rewatch: "Rewatch",
+			tags: "Tags",
+			spoilers: "Spoilers"
+		},
+		csvStatuses: {
+			new: "New",
+			existing: "Already imported",
+			duplicate: "Duplicate in file",
+			invalid: "Invalid"
+		},
+		// List import messages
+		listImporting: "Importing lists...",
+		listRequired: "Enter a list URL or choose a file.",
+		listImportError: "Could not import the lists.",
+		listImported: "Lists imported.",
+		listSummary: "%1$s: %2$d films (%3$d added as unwatched, %4$d already on the site, %5$d failed)",
+		// Export messages
+		exporting: "Preparing export...",
+		exportEmpty: "No viewings match these filters.",
+		exportError: "Could not export the diary.",
+		exported: "Exported %d viewings.",
+		// Sync review messages
+		syncEmpty: "Nothing to review. Changes found by imports for accounts set to \"Ask me\" show up here.",
+		syncError: "Could not load the changes.",
+		syncReviewError: "Could not apply the review.",
+		syncReviewed: "%1$d changes applied, %2$d rejected.",
+		syncSkipped: "%d changes were skipped because the film or diary entry no longer exists.",
+		syncMissing: "Deleted on Letterboxd. Approving removes this diary entry, or moves the film to drafts when it is the film's only entry.",
+		syncWordPress: "WordPress: %s",
+		syncLetterboxd: "Letterboxd: %s",
+		syncApprove: "Approve",
+		syncReject: "Reject",
+		syncApproveLabel: "Approve the change to %s",
+		syncRejectLabel: "Reject the change to %s",
+		syncNoRating: "No rating",
+		syncNoReview: "No review",
+		syncYes: "Yes",
+		syncNo: "No",
+		syncFields: {
+			rating: "Rating",
+			review: "Review",
+			spoilers: "Contains spoilers",
+			rewatch: "Rewatch"
+		},
+		// Import history messages
+		historyEmpty: "No imports match these filters.",
+		historyError: "Could not load the import history.",
+		historyItemsTruncated: "Only the first items of this run were kept.",
+		historyCounts: "%1$d created · %2$d updated · %3$d skipped · %4$d failed",
+		historyColumns: ["Started", "Trigger", "Status", "Title", "Outcome", "Reason"],
+		historyTriggers: {
+			rss: "RSS",
+			csv: "CSV",
+			list: "Lists",
+			cron: "Scheduled",
+			tmdb: "TMDB refresh"
+		},
+		historyStatuses: {
+			running: "Running",
+			complete: "Complete",
+			cancelled: "Cancelled",
+			error: "Error"
+		},
 		// TMDB API messages
 		testingConnection: "Testing connection...",
 		enterApiKey: "Please enter an API key first",
@@ -66,16 +241,25 @@ jQuery(document).ready(($) => {
 	};
 	
 	function initializeComponents() {
-		initializeDatepicker();
-		setupUsernameValidation();
+		initializeDatepicker($(SELECTORS.accountsTable));
+		setupAccounts();
+		setupWebhooks();
 		setupTmdbApiValidation();
+		setupTabs();
+		setupSettingsState();
 		setupFormSubmission();
+		setupImportJob();
+		setupCsvImport();
+		setupListImport();
+		setupExport();
+		setupSyncReview();
+		setupImportHistory();
 		initializeStatusUpdates();
 		setupTmdbAuth();
 	}
 	
-	function initializeDatepicker() {
-		$(SELECTORS.startDate).datepicker({
+	function initializeDatepicker(scope) {
+		scope.find(SELECTORS.accountStartDate).datepicker({
 			dateFormat: 'yy-mm-dd',
 			maxDate: new Date(),
 			changeMonth: true,
@@ -152,21 +336,203 @@ jQuery(document).ready(($) => {
 		}
 	}
 
-	function setupUsernameValidation() {
-		let debounceTimer;
-		const usernameField = $(SELECTORS.usernameField);
-		const messageDiv = $(SELECTORS.usernameMessage);
+	/**
+	 * Accounts table
+	 *
+	 * Each row is one Letterboxd account; usernames are validated per row as
+	 * they are typed.
+	 */
+	function setupAccounts() {
+		const table = $(SELECTORS.accountsTable);
+		if (!table.length) {
+			return;
+		}
 
-		usernameField.on('input', function() {
+		table.on('input', SELECTORS.accountUsername, function() {
+			const field = $(this);
 			const username = this.value;
-			clearTimeout(debounceTimer);
+			const messageDiv = field.siblings(SELECTORS.accountValidation);
+			clearTimeout(field.data('debounceTimer'));
 
 			if (username) {
-				debounceTimer = setTimeout(() => validateUsername(username, messageDiv), USERNAME_DEBOUNCE);
+				field.data('debounceTimer', setTimeout(() => validateUsername(username, messageDiv), USERNAME_DEBOUNCE));
 			} else {
 				messageDiv.fadeOut();
 			}
 		});
+
+		table.on('click', SELECTORS.removeAccount, function() {
+			const rows = table.find(SELECTORS.accountRow);
+			if (rows.length > 1) {
+				$(this).closest(SELECTORS.accountRow).remove();
+			} else {
+				// Keep one row to type into
+				resetAccountRow(rows.first());
+			}
+			renumberAccountRows(table);
+		});
+
+		$(SELECTORS.addAccount).on('click', function() {
+			const row = table.find(SELECTORS.accountRow).last();
+			const copy = row.clone();
+
+			// The datepicker has to be attached to the copy afresh
+			copy.find(SELECTORS.accountStartDate).removeClass('hasDatepicker').removeAttr('id');
+			resetAccountRow(copy);
+			table.find('tbody').append(copy);
+			renumberAccountRows(table);
+			initializeDatepicker(copy);
+			copy.find(SELECTORS.accountUsername).trigger('focus');
+		});
+	}
+
+	function resetAccountRow(row) {
+		row.find(SELECTORS.accountUsername).val('');
+		row.find(SELECTORS.accountStartDate).val('');
+		row.find(SELECTORS.accountDraft).prop('checked', false);
+		row.find(SELECTORS.accountFrequency).val('daily');
+		row.find(SELECTORS.accountSyncPolicy).val('wordpress');
+		row.find(SELECTORS.accountValidation).empty().removeClass(`${CLASSES.notice.error} ${CLASSES.notice.success}`);
+	}
+
+	function renumberAccountRows(table) {
+		table.find(SELECTORS.accountRow).each(function(index) {
+			$(this).find('[name]').each(function() {
+				this.name = this.name.replace(/\[accounts\]\[\d+\]/, `[accounts][${index}]`);
+			});
+		});
+	}
+
+	function getAccounts() {
+		return $(SELECTORS.accountsTable).find(SELECTORS.accountRow).map(function() {
+			const row = $(this);
+			return {
+				username: row.find(SELECTORS.accountUsername).val().trim().toLowerCase(),
+				start_date: row.find(SELECTORS.accountStartDate).val() || '',
+				draft_status: row.find(SELECTORS.accountDraft).is(':checked'),
+				frequency: row.find(SELECTORS.accountFrequency).val() || 'daily',
+				sync_policy: row.find(SELECTORS.accountSyncPolicy).val() || 'wordpress'
+			};
+		}).get().filter(account => account.username);
+	}
+
+	/**
+	 * Webhooks table
+	 *
+	 * Each row is one target. "Send test" posts to the URL as typed, so a
+	 * target can be tried before it is saved.
+	 */
+	function setupWebhooks() {
+		const table = $(SELECTORS.webhooksTable);
+		if (!table.length) {
+			return;
+		}
+
+		// The empty row shown when nothing is saved needs an ID too
+		table.find(SELECTORS.webhookId).filter((index, input) => !input.value).val(newWebhookId());
+
+		table.on('click', SELECTORS.removeWebhook, function() {
+			const rows = table.find(SELECTORS.webhookRow);
+			if (rows.length > 1) {
+				$(this).closest(SELECTORS.webhookRow).remove();
+			} else {
+				resetWebhookRow(rows.first());
+			}
+		});
+
+		$(SELECTORS.addWebhook).on('click', function() {
+			const copy = table.find(SELECTORS.webhookRow).last().clone();
+			resetWebhookRow(copy);
+			table.find('tbody').append(copy);
+			copy.find(SELECTORS.webhookUrl).trigger('focus');
+		});
+
+		table.on('click', SELECTORS.testWebhook, function() {
+			const button = $(this);
+			const row = button.closest(SELECTORS.webhookRow);
+			const resultDiv = row.find(SELECTORS.webhookResult);
+			const url = row.find(SELECTORS.webhookUrl).val().trim();
+
+			if (!url) {
+				updateMessage(resultDiv, messages.webhookUrlRequired, CLASSES.notice.error);
+				return;
+			}
+
+			button.prop('disabled', true);
+			updateMessage(resultDiv, messages.sendingTest, CLASSES.notice.info);
+
+			wp.apiFetch({
+				path: `${restNamespace}/webhooks/test`,
+				method: 'POST',
+				data: {
+					url,
+					format: row.find(SELECTORS.webhookFormat).val()
+				}
+			}).then(response => {
+				updateMessage(resultDiv, response.message, CLASSES.notice.success);
+			}).catch(error => {
+				updateMessage(resultDiv, error.message || messages.testFailed, CLASSES.notice.error);
+			}).finally(() => {
+				button.prop('disabled', false);
+			});
+		});
+	}
+
+	function resetWebhookRow(row) {
+		row.find(SELECTORS.webhookId).val(newWebhookId());
+		row.find(SELECTORS.webhookUrl).val('').removeAttr('aria-invalid');
+		row.find(SELECTORS.webhookFormat).val('json');
+		row.find(SELECTORS.webhookEvent).each(function() {
+			this.checked = this.value === 'import_succeeded';
+		});
+		row.find(SELECTORS.webhookResult).empty().removeClass(`${CLASSES.notice.error} ${CLASSES.notice.success} ${CLASSES.notice.info}`);
+	}
+
+	// New rows get their own ID so retries can find them once saved
+	function newWebhookId() {
+		return Math.random().toString(36).slice(2, 10);
+	}
+
+	function getWebhooks() {
+		return $(SELECTORS.webhooksTable).find(SELECTORS.webhookRow).map(function() {
+			const row = $(this);
+			return {
+				id: row.find(SELECTORS.webhookId).val(),
+				url: row.find(SELECTORS.webhookUrl).val().trim(),
+				format: row.find(SELECTORS.webhookFormat).val(),
+				events: row.find(`${SELECTORS.webhookEvent}:checked`).map(function() {
+					return this.value;
+				}).get()
+			};
+		}).get().filter(webhook => webhook.url);
+	}
+
+	function validateWebhooks() {
+		let firstError = '';
+
+		$(SELECTORS.webhooksTable).find(SELECTORS.webhookRow).each(function() {
+			const row = $(this);
+			const url = row.find(SELECTORS.webhookUrl).val().trim();
+			let error = '';
+
+			if (!url) {
+				return;
+			} else if (!/^https?:\/\/[^\s/]+/i.test(url)) {
+				error = messages.webhookUrlInvalid;
+			} else if (!row.find(`${SELECTORS.webhookEvent}:checked`).length) {
+				error = messages.webhookEventsRequired;
+			}
+
+			const resultDiv = row.find(SELECTORS.webhookResult);
+			if (error) {
+				updateMessage(resultDiv, error, CLASSES.notice.error);
+				firstError = firstError || error;
+			} else if (resultDiv.hasClass(CLASSES.notice.error)) {
+				resultDiv.empty().removeClass(CLASSES.notice.error);
+			}
+		});
+
+		return firstError;
 	}
 
 	function validateUsername(username, messageDiv) {
@@ -251,81 +617,1017 @@ jQuery(document).ready(($) => {
 	  }
 	}
 
+	/**
+	 * Tabs
+	 *
+	 * Every tab is on the page; switching only shows another panel and keeps
+	 * the tab in the URL, so unsaved edits on one tab survive a visit to another.
+	 */
+	function setupTabs() {
+		$(SELECTORS.navTabs).on('click', function(e) {
+			e.preventDefault();
+			showTab($(this).data('tab'), true);
+		});
+
+		$(window).on('popstate', () => {
+			showTab(new URLSearchParams(window.location.search).get('tab') || 'general', false);
+		});
+	}
+
+	function showTab(tab, updateUrl) {
+		const panel = $(SELECTORS.tabPanels).filter(`[data-tab="${tab}"]`);
+		if (!panel.length) {
+			return;
+		}
+
+		$(SELECTORS.navTabs).removeClass('nav-tab-active').filter(`[data-tab="${tab}"]`).addClass('nav-tab-active');
+		$(SELECTORS.tabPanels).prop('hidden', true);
+		panel.prop('hidden', false);
+		$(SELECTORS.settingsForm).prop('hidden', !panel.closest(SELECTORS.settingsForm).length);
+
+		if (updateUrl) {
+			const url = new URL(window.location.href);
+			url.searchParams.set('tab', tab);
+			window.history.pushState({ tab }, '', url);
+		}
+
+		if (tab === 'history') {
+			loadImportHistory();
+		} else if (tab === 'sync') {
+			loadSyncChanges();
+		}
+	}
+
+	/**
+	 * Settings state
+	 *
+	 * The General and Advanced tabs share one form. The saved values come
+	 * from the settings endpoint, and a save PATCHes only the fields that
+	 * differ from them.
+	 */
+	const settingsState = {
+		saved: null
+	};
+
+	const SETTINGS_FIELDS = {
+		accounts: {
+			selector: SELECTORS.accountsTable,
+			read: getAccounts,
+			validate: validateAccounts
+		},
+		notifications: {
+			selector: SELECTORS.autoImportNotifications,
+			read: () => $(SELECTORS.autoImportNotifications).is(':checked')
+		},
+		tmdb_api_key: {
+			selector: SELECTORS.tmdbApiKeyField,
+			errorAfter: '.api-key-wrapper',
+			read: () => ($(SELECTORS.tmdbApiKeyField).val() || '').trim(),
+			validate: value => (value && !/^[a-f0-9]{32}$/i.test(value) ? messages.invalidApiKey : '')
+		},
+		streaming_region: {
+			selector: SELECTORS.streamingRegionField,
+			read: () => $(SELECTORS.streamingRegionField).val()
+		},
+		webhooks: {
+			selector: SELECTORS.webhooksTable,
+			read: getWebhooks,
+			validate: validateWebhooks
+		}
+	};
+
+	function setupSettingsState() {
+		const form = $(SELECTORS.settingsForm);
+		if (!form.length) {
+			return;
+		}
+
+		wp.apiFetch({
+			path: `${restNamespace}/settings`,
+			method: 'GET'
+		}).then(response => {
+			settingsState.saved = response.settings;
+			updateUnsavedState();
+		}).catch(error => {
+			updateMessage($(SELECTORS.settingsMessage), error.message || messages.errorLoading, CLASSES.notice.error);
+		});
+
+		// Validate a field once the user moves on from it
+		Object.keys(SETTINGS_FIELDS).forEach(field => {
+			const config = SETTINGS_FIELDS[field];
+			if (!config.validate) {
+				return;
+			}
+			form.on('change', config.selector, () => validateSettingsField(field));
+		});
+
+		form.on('input change', updateUnsavedState);
+		form.on(
+			'click',
+			[SELECTORS.addAccount, SELECTORS.removeAccount, SELECTORS.addWebhook, SELECTORS.removeWebhook].join(', '),
+			() => setTimeout(updateUnsavedState)
+		);
+
+		$(window).on('beforeunload', e => {
+			if (!$.isEmptyObject(getChangedSettings())) {
+				e.preventDefault();
+				// Older browsers only warn when a return value is set
+				e.returnValue = '';
+				return '';
+			}
+		});
+	}
+
+	function readSettings() {
+		const settings = {};
+		Object.keys(SETTINGS_FIELDS).forEach(field => {
+			// Fields that aren't on the page are never sent
+			if ($(SETTINGS_FIELDS[field].selector).length) {
+				settings[field] = SETTINGS_FIELDS[field].read();
+			}
+		});
+		return settings;
+	}
+
+	function getChangedSettings() {
+		if (!settingsState.saved) {
+			return {};
+		}
+
+		const current = readSettings();
+		return Object.keys(current).reduce((changed, field) => {
+			if (JSON.stringify(current[field]) !== JSON.stringify(settingsState.saved[field])) {
+				changed[field] = current[field];
+			}
+			return changed;
+		}, {});
+	}
+
+	function updateUnsavedState() {
+		const changed = Object.keys(getChangedSettings());
+
+		// Mark each tab that holds an unsaved field
+		$(SELECTORS.navTabs).each(function() {
+			const panel = $(SELECTORS.tabPanels).filter(`[data-tab="${$(this).data('tab')}"]`);
+			const unsaved = changed.some(field => panel.find(SETTINGS_FIELDS[field].selector).length > 0);
+			$(this).toggleClass(CLASSES.unsavedTab, unsaved);
+		});
+	}
+
+	function validateAccounts(accounts) {
+		const table = $(SELECTORS.accountsTable);
+		const { usernameMinLength, usernameMaxLength } = letterboxdSettings;
+		const seen = [];
+		let firstError = '';
+
+		table.find(SELECTORS.accountRow).each(function() {
+			const row = $(this);
+			const username = row.find(SELECTORS.accountUsername).val().trim().toLowerCase();
+			let error = '';
+
+			if (!username) {
+				return;
+			} else if (username.length < usernameMinLength || username.length > usernameMaxLength) {
+				error = sprintf(messages.usernameLength, usernameMinLength, usernameMaxLength);
+			} else if (!USERNAME_PATTERN.test(username)) {
+				error = messages.usernameFormat;
+			} else if (seen.includes(username)) {
+				error = messages.usernameRepeated;
+			}
+			seen.push(username);
+
+			const messageDiv = row.find(SELECTORS.accountValidation);
+			if (error) {
+				updateMessage(messageDiv, error, CLASSES.notice.error);
+				firstError = firstError || sprintf(messages.accountError, username, error);
+			} else if (messageDiv.hasClass(CLASSES.notice.error)) {
+				messageDiv.empty().removeClass(CLASSES.notice.error);
+			}
+		});
+
+		if (!accounts.length) {
+			return messages.accountRequired;
+		}
+		return firstError;
+	}
+
+	function validateSettingsField(field) {
+		const config = SETTINGS_FIELDS[field];
+		const error = config.validate ? config.validate(config.read()) : '';
+		showFieldError(field, error);
+		return error;
+	}
+
+	function showFieldError(field, message) {
+		const config = SETTINGS_FIELDS[field];
+		const anchor = $(config.errorAfter || config.selector).first();
+		let errorEl = anchor.next(SELECTORS.fieldError);
+
+		if (!errorEl.length) {
+			errorEl = $('<p>', { class: `letterboxd-field-error ${CLASSES.notice.error}`, role: 'alert' }).insertAfter(anchor);
+		}
+		errorEl.text(message).prop('hidden', !message);
+		$(config.selector).attr('aria-invalid', message ? 'true' : null);
+	}
+
+	/**
+	 * Show the tab holding a field and point at its error
+	 */
+	function focusSettingsField(field, message) {
+		const input = $(SETTINGS_FIELDS[field].selector);
+		showTab(input.closest(SELECTORS.tabPanels).data('tab'), true);
+		showFieldError(field, message);
+		input.find(':input').addBack(':input').first().trigger('focus');
+	}
+
 	function setupFormSubmission() {
 		const form = $(SELECTORS.settingsForm);
 		const messageDiv = $(SELECTORS.settingsMessage);
 	
 		form.on('submit', function(e) {
 			e.preventDefault();
+
+			if (!settingsState.saved) {
+				updateMessage(messageDiv, messages.errorLoading, CLASSES.notice.error);
+				return;
+			}
+
+			// The import itself runs as a job started once the settings are saved
+			const runImport = $(SELECTORS.runImportTrigger).is(':checked');
+			const changed = getChangedSettings();
+
+			const invalid = Object.keys(changed).find(field => validateSettingsField(field));
+			if (invalid) {
+				updateMessage(messageDiv, messages.fixErrors, CLASSES.notice.error);
+				focusSettingsField(invalid, validateSettingsField(invalid));
+				return;
+			}
+
+			if ($.isEmptyObject(changed)) {
+				if (runImport) {
+					$(SELECTORS.runImportTrigger).prop('checked', false);
+					startImportJob();
+				} else {
+					updateMessage(messageDiv, messages.noChanges, CLASSES.notice.info);
+				}
+				return;
+			}
+
 			const submitButton = form.find(':submit');
 			submitButton.prop('disabled', true);
-			
 			updateMessage(messageDiv, messages.savingSettings, CLASSES.notice.info);
-			
-			// Get current tab
-			const currentTab = window.location.href.indexOf('tab=advanced') > -1 ? 'advanced' : 'general';
-			
-			// Create data object with required fields
-			const data = {};
-			
-			// Always include username (required field)
-			const formData = new FormData(this);
-			data.username = formData.get('letterboxd_wordpress_options[username]') || '';
-			
-			// Include other fields
-			if (currentTab === 'general') {
-				// Get from form for general tab
-				const formData = new FormData(this);
-				data.start_date = formData.get('letterboxd_wordpress_options[start_date]');
-				data.draft_status = formData.get('letterboxd_wordpress_options[draft_status]') === '1';
-				
-				// Get the checkbox value explicitly - be very explicit about the '1' value
-				const runImportChecked = formData.get('letterboxd_run_import_trigger') === '1';
-				data.run_import_trigger = runImportChecked ? '1' : '0';
-				
-				data.letterboxd_auto_import_options = {
-					frequency: formData.get('letterboxd_auto_import_options[frequency]') || 'daily',
-					notifications: formData.get('letterboxd_auto_import_options[notifications]') === '1'
-				};
-			} else {
-				// Use existing values for general tab fields
-				data.start_date = letterboxdSettings.settings.start_date || '';
-				data.draft_status = letterboxdSettings.settings.draft_status || false;
-				
-				// IMPORTANT: Always explicitly set run_import_trigger to '0' for advanced tab
-				data.run_import_trigger = '0';
-			}
-			
-			// Get TMDB API key regardless of tab
-			data.tmdb_api_key = $(SELECTORS.tmdbApiKeyField).val();
-			
+
 			wp.apiFetch({
 				path: `${restNamespace}/settings`,
-				method: 'POST',
-				data: data
+				method: 'PATCH',
+				data: changed
 			}).then(response => {
-				updateMessage(
-					messageDiv,
-					response.message,
-					response.success ? CLASSES.notice.success : CLASSES.notice.error
-				);
-		
-				if (response.success) {
-					// Reload to show updated status
-					setTimeout(() => window.location.reload(), 1000);
+				settingsState.saved = response.settings;
+				updateUnsavedState();
+				updateMessage(messageDiv, response.message || messages.settingsSaved, CLASSES.notice.success);
+				updateImportStatus();
+
+				if (runImport) {
+					$(SELECTORS.runImportTrigger).prop('checked', false);
+					startImportJob();
 				}
 			}).catch(error => {
 				updateMessage(
-					messageDiv, 
-					error.message || messages.errorSaving, 
+					messageDiv,
+					error.message || messages.errorSaving,
 					CLASSES.notice.error
 				);
+				// Field errors name the field they belong to
+				if (error.field && SETTINGS_FIELDS[error.field]) {
+					focusSettingsField(error.field, error.message);
+				}
 			}).finally(() => {
 				submitButton.prop('disabled', false);
 			});
 		});
 	}
 
+	/**
+	 * Manual import jobs
+	 *
+	 * A job is started once and then stepped through a few films at a time,
+	 * so every response can update the progress bar and the log.
+	 */
+	const importJob = {
+		id: null,
+		cancelRequested: false
+	};
+
+	function setupImportJob() {
+		$(SELECTORS.importJobCancel).on('click', function() {
+			if (!importJob.id) {
+				return;
+			}
+			// Cancel between steps so the in-flight batch can finish cleanly
+			importJob.cancelRequested = true;
+			$(this).prop('disabled', true);
+			$(SELECTORS.importJobStatus).text(messages.cancellingImport);
+		});
+	}
+
+	function startImportJob() {
+		importJob.id = null;
+		importJob.cancelRequested = false;
+
+		$(SELECTORS.importJobLog).empty();
+		$(SELECTORS.importJobCounts).text('');
+		$(SELECTORS.importJobProgress).val(0);
+		$(SELECTORS.importJobStatus).text(messages.startingImport);
+		$(SELECTORS.importJobCancel).prop('disabled', false).show();
+		$(SELECTORS.importJob).prop('hidden', false);
+
+		return wp.apiFetch({
+			path: `${restNamespace}/import-jobs`,
+			method: 'POST'
+		}).then(response => {
+			importJob.id = response.job.id;
+			appendImportJobLog(response.job.log || []);
+			renderImportJob(response.job);
+			return continueImportJob(response.job);
+		}).catch(error => {
+			finishImportJob(null, error.message || messages.importFailed);
+		});
+	}
+
+	function continueImportJob(job) {
+		if (job.status !== 'running') {
+			finishImportJob(job);
+			return undefined;
+		}
+
+		const action = importJob.cancelRequested ? 'cancel' : 'step';
+
+		return wp.apiFetch({
+			path: `${restNamespace}/import-jobs/${importJob.id}/${action}`,
+			method: 'POST'
+		}).then(response => {
+			appendImportJobLog(response.job.log || []);
+			renderImportJob(response.job);
+			return continueImportJob(response.job);
+		});
+	}
+
+	function renderImportJob(job) {
+		$(SELECTORS.importJobProgress).val(job.percent);
+		$(SELECTORS.importJobCounts).text(
+			sprintf(messages.importCounts, job.created, job.updated, job.skipped, job.failed)
+		);
+		if (job.status === 'running' && !importJob.cancelRequested) {
+			$(SELECTORS.importJobStatus).text(
+				sprintf(messages.importProgress, job.processed, job.total)
+			);
+		}
+	}
+
+	function appendImportJobLog(entries) {
+		const log = $(SELECTORS.importJobLog);
+
+		entries.forEach(entry => {
+			let title = entry.year ? `${entry.title} (${entry.year})` : entry.title;
+			if (entry.account && settingsState.saved && settingsState.saved.accounts.length > 1) {
+				title = `${title} · ${entry.account}`;
+			}
+			const item = $('<li>')
+				.append($('<span>', {
+					class: `outcome outcome-${entry.outcome}`,
+					text: messages.outcomes[entry.outcome] || entry.outcome
+				}))
+				.append(document.createTextNode(` ${title}`));
+
+			if (entry.message) {
+				item.append(document.createTextNode(` — ${entry.message}`));
+			}
+			log.append(item);
+		});
+
+		log.scrollTop(log.prop('scrollHeight'));
+	}
+
+	function finishImportJob(job, errorMessage) {
+		const statusMessages = {
+			complete: messages.importComplete,
+			cancelled: messages.importCancelled
+		};
+
+		let message = errorMessage || messages.importFailed;
+		if (job) {
+			message = statusMessages[job.status] || job.error || messages.importFailed;
+		}
+
+		$(SELECTORS.importJobStatus).text(message);
+		$(SELECTORS.importJobCancel).hide();
+		importJob.id = null;
+		updateImportStatus();
+		loadSyncChanges(true);
+	}
+
+	/**
+	 * List and watchlist import
+	 *
+	 * Lists are small enough to import in a single request, from a URL or
+	 * from the export files.
+	 */
+	function setupListImport() {
+		const form = $(SELECTORS.listForm);
+		if (!form.length) {
+			return;
+		}
+
+		form.on('submit', function(e) {
+			e.preventDefault();
+			const formData = new FormData(this);
+			const file = formData.get('letterboxd_list_file');
+
+			if (!formData.get('url') && !(file && file.size)) {
+				updateMessage($(SELECTORS.listMessage), messages.listRequired, CLASSES.notice.error);
+				return;
+			}
+
+			const submitButton = form.find(':submit');
+			submitButton.prop('disabled', true);
+			$(SELECTORS.listResults).empty();
+			updateMessage($(SELECTORS.listMessage), messages.listImporting, CLASSES.notice.info);
+
+			wp.apiFetch({
+				path: `${restNamespace}/list-import`,
+				method: 'POST',
+				body: formData
+			}).then(response => {
+				updateMessage($(SELECTORS.listMessage), messages.listImported, CLASSES.notice.success);
+				response.result.lists.forEach(list => {
+					$(SELECTORS.listResults).append($('<li>', {
+						text: sprintf(messages.listSummary, list.name, list.total, list.created, list.linked, list.failed)
+					}));
+				});
+				form.trigger('reset');
+			}).catch(error => {
+				updateMessage($(SELECTORS.listMessage), error.message || messages.listImportError, CLASSES.notice.error);
+			}).finally(() => {
+				submitButton.prop('disabled', false);
+			});
+		});
+	}
+
+	/**
+	 * Diary export
+	 *
+	 * The CSV is built on the server and handed to the browser as a download.
+	 */
+	function setupExport() {
+		const form = $(SELECTORS.exportForm);
+		if (!form.length) {
+			return;
+		}
+
+		form.on('submit', function(e) {
+			e.preventDefault();
+			const params = new URLSearchParams(new FormData(this));
+			const submitButton = form.find(':submit');
+			submitButton.prop('disabled', true);
+			updateMessage($(SELECTORS.exportMessage), messages.exporting, CLASSES.notice.info);
+
+			wp.apiFetch({
+				path: `${restNamespace}/export?${params.toString()}`,
+				method: 'GET'
+			}).then(response => {
+				if (!response.result.rows) {
+					updateMessage($(SELECTORS.exportMessage), messages.exportEmpty, CLASSES.notice.info);
+					return;
+				}
+
+				const url = URL.createObjectURL(new Blob([response.result.csv], { type: 'text/csv;charset=utf-8' }));
+				const link = $('<a>', {
+					href: url,
+					download: `letterboxd-export-${new Date().toISOString().slice(0, 10)}.csv`
+				}).appendTo(document.body);
+
+				link[0].click();
+				link.remove();
+				URL.revokeObjectURL(url);
+				updateMessage($(SELECTORS.exportMessage), sprintf(messages.exported, response.result.rows), CLASSES.notice.success);
+			}).catch(error => {
+				updateMessage($(SELECTORS.exportMessage), error.message || messages.exportError, CLASSES.notice.error);
+			}).finally(() => {
+				submitButton.prop('disabled', false);
+			});
+		});
+	}
+
+	/**
+	 * CSV import preview
+	 *
+	 * Uploading the export only stages it and returns a preview. Nothing is
+	 * imported until the preview is confirmed, and then in chunks.
+	 */
+	const csvImport = {
+		token: '',
+		mapping: {},
+		preview: null
+	};
+
+	function setupCsvImport() {
+		const form = $(SELECTORS.csvForm);
+		if (!form.length) {
+			return;
+		}
+
+		form.on('submit', function(e) {
+			e.preventDefault();
+			const submitButton = form.find(':submit');
+			submitButton.prop('disabled', true);
+			updateMessage($(SELECTORS.csvMessage), messages.csvReading, CLASSES.notice.info);
+
+			wp.apiFetch({
+				path: `${restNamespace}/csv-import/preview`,
+				method: 'POST',
+				body: new FormData(this)
+			}).then(response => {
+				$(SELECTORS.csvMessage).fadeOut();
+				form.hide();
+				csvImport.mapping = {};
+				renderCsvPreview(response.preview);
+			}).catch(error => {
+				updateMessage($(SELECTORS.csvMessage), error.message || messages.csvReadError, CLASSES.notice.error);
+			}).finally(() => {
+				submitButton.prop('disabled', false);
+			});
+		});
+
+		$(SELECTORS.csvMapping).on('change', 'select', function() {
+			csvImport.mapping[$(this).data('field')] = parseInt(this.value, 10);
+			refreshCsvPreview();
+		});
+
+		$(SELECTORS.csvStatusFilter).on('change', () => renderCsvRows());
+		$(SELECTORS.csvConfirm).on('click', () => runCsvImport());
+		$(SELECTORS.csvDiscard).on('click', () => resetCsvImport());
+	}
+
+	function refreshCsvPreview() {
+		$(SELECTORS.csvConfirm).prop('disabled', true);
+
+		return wp.apiFetch({
+			path: `${restNamespace}/csv-import/preview`,
+			method: 'POST',
+			data: {
+				token: csvImport.token,
+				mapping: csvImport.mapping,
+				account: $(SELECTORS.csvAccount).val() || ''
+			}
+		}).then(response => {
+			renderCsvPreview(response.preview);
+		}).catch(error => {
+			updateMessage($(SELECTORS.csvMessage), error.message || messages.csvReadError, CLASSES.notice.error);
+		});
+	}
+
+	function renderCsvPreview(preview) {
+		csvImport.token = preview.token;
+		csvImport.preview = preview;
+
+		const { counts } = preview;
+		$(SELECTORS.csvSummary).text(sprintf(
+			messages.csvSummary,
+			preview.total,
+			counts.new,
+			counts.existing,
+			counts.duplicate,
+			counts.invalid
+		));
+
+		renderCsvMapping(preview);
+		renderCsvRows();
+
+		const isMapped = preview.mapping.title >= 0 && preview.mapping.date >= 0;
+		$(SELECTORS.csvConfirm)
+			.text(isMapped ? sprintf(messages.csvConfirm, counts.new) : messages.csvRequired)
+			.prop('disabled', !isMapped || counts.new === 0)
+			.show();
+		$(SELECTORS.csvPreview).prop('hidden', false);
+	}
+
+	function renderCsvMapping(preview) {
+		const body = $(SELECTORS.csvMapping).empty();
+
+		Object.keys(messages.csvFields).forEach(field => {
+			const id = `letterboxd-csv-map-${field}`;
+			const select = $('<select>', { id, 'data-field': field })
+				.append($('<option>', { value: -1, text: messages.csvNotMapped }));
+
+			preview.columns.forEach((column, index) => {
+				select.append($('<option>', { value: index, text: column }));
+			});
+			select.val(String(preview.mapping[field] ?? -1));
+
+			body.append(
+				$('<tr>')
+					.append($('<th>', { scope: 'row' }).append($('<label>', { for: id, text: messages.csvFields[field] })))
+					.append($('<td>').append(select))
+			);
+		});
+	}
+
+	function renderCsvRows() {
+		const status = $(SELECTORS.csvStatusFilter).val();
+		const body = $(SELECTORS.csvRows).empty();
+		const rows = (csvImport.preview ? csvImport.preview.rows : [])
+			.filter(row => !status || row.status === status);
+
+		body.append(rows.map(row => $('<tr>')
+			.append($('<td>', { text: row.line }))
+			.append($('<td>').append($('<span>', {
+				class: `status status-${row.status}`,
+				text: messages.csvStatuses[row.status] || row.status
+			})))
+			.append($('<td>', { text: row.title }))
+			.append($('<td>', { text: row.year }))
+			.append($('<td>', { text: row.date }))
+		));
+	}
+
+	function runCsvImport() {
+		const totals = { imported: 0, updated: 0, pending: 0, skipped_existing: 0, skipped_duplicates: 0 };
+
+		$(SELECTORS.csvConfirm).hide();
+		$(SELECTORS.csvDiscard).prop('disabled', true);
+		$(SELECTORS.csvMapping).find('select').prop('disabled', true);
+		$(SELECTORS.csvProgressBar).val(0);
+		$(SELECTORS.csvProgress).prop('hidden', false);
+
+		const processChunk = (offset) => wp.apiFetch({
+			path: `${restNamespace}/csv-import/process`,
+			method: 'POST',
+			data: {
+				token: csvImport.token,
+				mapping: csvImport.mapping,
+				account: $(SELECTORS.csvAccount).val() || '',
+				offset
+			}
+		}).then(response => {
+			const result = response.result;
+			Object.keys(totals).forEach(key => {
+				totals[key] += result[key];
+			});
+
+			$(SELECTORS.csvProgressBar).val(result.total ? Math.floor((result.offset / result.total) * 100) : 100);
+			$(SELECTORS.csvProgressStatus).text(sprintf(messages.csvProgress, result.offset, result.total));
+
+			return result.done ? totals : processChunk(result.offset);
+		});
+
+		$(SELECTORS.csvProgressStatus).text(sprintf(messages.csvProgress, 0, csvImport.preview.total));
+
+		return processChunk(0).then(() => {
+			let message = sprintf(
+				messages.csvComplete,
+				totals.imported,
+				totals.skipped_existing,
+				totals.skipped_duplicates
+			);
+			if (totals.updated || totals.pending) {
+				message += ` ${sprintf(messages.csvSynced, totals.updated, totals.pending)}`;
+			}
+			$(SELECTORS.csvProgressStatus).text(message);
+			csvImport.token = '';
+			updateImportStatus();
+			loadSyncChanges(true);
+		}).catch(error => {
+			$(SELECTORS.csvProgressStatus).text(error.message || messages.csvReadError);
+		}).finally(() => {
+			$(SELECTORS.csvDiscard).prop('disabled', false);
+		});
+	}
+
+	function resetCsvImport() {
+		if (csvImport.token) {
+			wp.apiFetch({
+				path: `${restNamespace}/csv-import/${csvImport.token}`,
+				method: 'DELETE'
+			}).catch(() => {});
+		}
+
+		csvImport.token = '';
+		csvImport.mapping = {};
+		csvImport.preview = null;
+
+		$(SELECTORS.csvPreview).prop('hidden', true);
+		$(SELECTORS.csvProgress).prop('hidden', true);
+		$(SELECTORS.csvRows).empty();
+		$(SELECTORS.csvForm).trigger('reset').show();
+	}
+
+	/**
+	 * Sync review
+	 *
+	 * Changes from Letterboxd kept for accounts set to "Ask me". Each one is
+	 * approved or rejected on its own, or all at once.
+	 */
+	const syncReview = {
+		changes: [],
+		loaded: false
+	};
+
+	function setupSyncReview() {
+		const tbody = $(SELECTORS.syncChanges);
+		if (!tbody.length) {
+			return;
+		}
+
+		tbody.on('click', 'button[data-decision]', function() {
+			const button = $(this);
+			const id = button.closest('tr').data('id');
+			reviewSyncChanges(
+				button.data('decision') === 'approve' ? [id] : [],
+				button.data('decision') === 'reject' ? [id] : []
+			);
+		});
+
+		$(SELECTORS.syncApproveAll).on('click', () => {
+			reviewSyncChanges(syncReview.changes.map(change => change.id), []);
+		});
+		$(SELECTORS.syncRejectAll).on('click', () => {
+			reviewSyncChanges([], syncReview.changes.map(change => change.id));
+		});
+
+		// Changes are only fetched once the tab is opened
+		if (!tbody.closest(SELECTORS.tabPanels).prop('hidden')) {
+			loadSyncChanges();
+		}
+	}
+
+	function loadSyncChanges(force = false) {
+		if (!$(SELECTORS.syncChanges).length || (syncReview.loaded && !force)) {
+			return;
+		}
+		syncReview.loaded = true;
+
+		wp.apiFetch({
+			path: `${restNamespace}/sync-changes`,
+			method: 'GET'
+		}).then(response => {
+			syncReview.changes = response.changes || [];
+			renderSyncChanges();
+		}).catch(error => {
+			syncReview.loaded = false;
+			updateMessage($(SELECTORS.syncMessage), error.message || messages.syncError, CLASSES.notice.error);
+		});
+	}
+
+	function reviewSyncChanges(approve, reject) {
+		const buttons = $(SELECTORS.syncChanges).find('button').add(SELECTORS.syncApproveAll).add(SELECTORS.syncRejectAll);
+		buttons.prop('disabled', true);
+
+		wp.apiFetch({
+			path: `${restNamespace}/sync-changes`,
+			method: 'POST',
+			data: { approve, reject }
+		}).then(response => {
+			const result = response.result;
+			let message = sprintf(messages.syncReviewed, result.approved, result.rejected);
+			if (result.skipped) {
+				message += ` ${sprintf(messages.syncSkipped, result.skipped)}`;
+			}
+
+			syncReview.changes = result.changes || [];
+			renderSyncChanges();
+			updateMessage($(SELECTORS.syncMessage), message, CLASSES.notice.success);
+		}).catch(error => {
+			buttons.prop('disabled', false);
+			updateMessage($(SELECTORS.syncMessage), error.message || messages.syncReviewError, CLASSES.notice.error);
+		});
+	}
+
+	function renderSyncChanges() {
+		const tbody = $(SELECTORS.syncChanges).empty();
+		const changes = syncReview.changes;
+		const multipleAccounts = settingsState.saved && settingsState.saved.accounts.length > 1;
+
+		$(SELECTORS.syncCount).text(changes.length).prop('hidden', !changes.length);
+		$(SELECTORS.syncApproveAll).add(SELECTORS.syncRejectAll).prop('disabled', !changes.length);
+
+		if (!changes.length) {
+			tbody.append($('<tr>').append($('<td>', { colspan: 4, text: messages.syncEmpty })));
+			return;
+		}
+
+		changes.forEach(change => {
+			const film = change.edit_link
+				? $('<a>', { href: change.edit_link, text: change.title })
+				: document.createTextNode(change.title);
+
+			const entry = $('<td>', { text: change.date });
+			if (multipleAccounts && change.account) {
+				entry.append($('<br>'), document.createTextNode(change.account));
+			}
+
+			const details = $('<td>');
+			if (change.type === 'missing') {
+				details.text(messages.syncMissing);
+			} else {
+				const list = $('<ul>', { class: 'letterboxd-sync-diff' });
+				Object.keys(change.fields).forEach(field => {
+					list.append($('<li>')
+						.append($('<strong>', { text: messages.syncFields[field] || field }))
+						.append($('<span>', {
+							class: 'letterboxd-sync-wordpress',
+							text: sprintf(messages.syncWordPress, formatSyncValue(field, change.fields[field].wordpress))
+						}))
+						.append($('<span>', {
+							class: 'letterboxd-sync-letterboxd',
+							text: sprintf(messages.syncLetterboxd, formatSyncValue(field, change.fields[field].letterboxd))
+						})));
+				});
+				details.append(list);
+			}
+
+			const actions = $('<td>', { class: 'letterboxd-sync-buttons' })
+				.append($('<button>', {
+					type: 'button',
+					class: 'button button-primary',
+					'data-decision': 'approve',
+					'aria-label': sprintf(messages.syncApproveLabel, change.title),
+					text: messages.syncApprove
+				}))
+				.append($('<button>', {
+					type: 'button',
+					class: 'button button-secondary',
+					'data-decision': 'reject',
+					'aria-label': sprintf(messages.syncRejectLabel, change.title),
+					text: messages.syncReject
+				}));
+
+			tbody.append($('<tr>', { 'data-id': change.id })
+				.append($('<td>').append(film))
+				.append(entry)
+				.append(details)
+				.append(actions));
+		});
+	}
+
+	function formatSyncValue(field, value) {
+		if (field === 'rating') {
+			return value ? '★'.repeat(Math.floor(value)) + (value % 1 ? '½' : '') : messages.syncNoRating;
+		}
+		if (field === 'review') {
+			// Parsed without running anything, just to read the text
+			const text = new DOMParser().parseFromString(value || '', 'text/html').body.textContent.trim();
+			return text || messages.syncNoReview;
+		}
+		return value ? messages.syncYes : messages.syncNo;
+	}
+
+	/**
+	 * Import history
+	 *
+	 * All runs are loaded once; filtering and the CSV download happen here.
+	 */
+	const importHistory = {
+		runs: [],
+		loaded: false
+	};
+
+	function setupImportHistory() {
+		const container = $(SELECTORS.historyRuns);
+		if (!container.length) {
+			return;
+		}
+
+		$(SELECTORS.historyTrigger).add(SELECTORS.historyOutcome).on('change', () => renderImportHistory());
+		$(SELECTORS.historyDownload).on('click', () => downloadImportHistory());
+
+		// Runs are only fetched once the tab is opened
+		if (!container.closest(SELECTORS.tabPanels).prop('hidden')) {
+			loadImportHistory();
+		}
+	}
+
+	function loadImportHistory() {
+		if (importHistory.loaded) {
+			return;
+		}
+		importHistory.loaded = true;
+
+		const container = $(SELECTORS.historyRuns);
+		wp.apiFetch({
+			path: `${restNamespace}/import-history`,
+			method: 'GET'
+		}).then(response => {
+			importHistory.runs = response.runs || [];
+			renderImportHistory();
+		}).catch(error => {
+			container.empty().append($('<p>', { class: 'error', text: error.message || messages.historyError }));
+		});
+	}
+
+	function getFilteredHistory() {
+		const trigger = $(SELECTORS.historyTrigger).val();
+		const outcome = $(SELECTORS.historyOutcome).val();
+
+		return importHistory.runs
+			.filter(run => !trigger || run.trigger === trigger)
+			.map(run => ({
+				...run,
+				items: run.items.filter(item => !outcome || item.outcome === outcome)
+			}))
+			.filter(run => !outcome || run.items.length > 0);
+	}
+
+	function renderImportHistory() {
+		const container = $(SELECTORS.historyRuns).empty();
+		const runs = getFilteredHistory();
+
+		if (!runs.length) {
+			container.append($('<p>', { text: messages.historyEmpty }));
+			return;
+		}
+
+		runs.forEach(run => {
+			const summary = $('<summary>')
+				.append($('<span>', { class: 'run-date', text: formatTimestamp(run.started_at) }))
+				.append($('<span>', { class: 'run-trigger', text: messages.historyTriggers[run.trigger] || run.trigger }))
+				.append($('<span>', {
+					class: `run-status run-status-${run.status}`,
+					text: messages.historyStatuses[run.status] || run.status
+				}))
+				.append($('<span>', { class: 'run-duration', text: formatDuration(run.duration) }))
+				.append($('<span>', {
+					class: 'run-counts',
+					text: sprintf(
+						messages.historyCounts,
+						run.counts.created,
+						run.counts.updated,
+						run.counts.skipped,
+						run.counts.failed
+					)
+				}));
+
+			const details = $('<details>', { class: 'letterboxd-history-run' }).append(summary);
+
+			if (run.message) {
+				details.append($('<p>', { class: 'run-message', text: run.message }));
+			}
+
+			if (run.items.length) {
+				const rows = run.items.map(item => $('<tr>')
+					.append($('<td>', { text: item.title }))
+					.append($('<td>').append($('<span>', {
+						class: `outcome-${item.outcome}`,
+						text: messages.outcomes[item.outcome] || item.outcome
+					})))
+					.append($('<td>', { text: item.reason }))
+				);
+				details.append($('<table>', { class: 'widefat striped' }).append($('<tbody>').append(rows)));
+			}
+
+			if (run.truncated) {
+				details.append($('<p>', { class: 'run-message description', text: messages.historyItemsTruncated }));
+			}
+
+			container.append(details);
+		});
+	}
+
+	function downloadImportHistory() {
+		const rows = [messages.historyColumns];
+
+		getFilteredHistory().forEach(run => {
+			const runColumns = [
+				new Date(run.started_at * 1000).toISOString(),
+				run.trigger,
+				run.status
+			];
+			if (!run.items.length) {
+				rows.push([...runColumns, '', '', run.message]);
+			}
+			run.items.forEach(item => {
+				rows.push([...runColumns, item.title, item.outcome, item.reason]);
+			});
+		});
+
+		const csv = rows
+			.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+			.join('\r\n');
+		const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+		const link = $('<a>', {
+			href: url,
+			download: `letterboxd-import-history-${new Date().toISOString().slice(0, 10)}.csv`
+		}).appendTo(document.body);
+
+		link[0].click();
+		link.remove();
+		URL.revokeObjectURL(url);
+	}
+
+	function formatDuration(seconds) {
+		const minutes = Math.floor(seconds / 60);
+		return minutes ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+	}
+
 	function initializeStatusUpdates() {
 		updateImportStatus();
 		setInterval(updateImportStatus, UPDATE_INTERVAL);
@@ -0,0 +1,264 @@
+/**
+ * Single Movie block editor
+ *
+ * Lets editors search imported movies by title and feature one as a large card.
+ */
+(function () {
+    const { registerBlockType } = wp.blocks;
+    const { useBlockProps, InspectorControls, BlockControls } = wp.blockEditor;
+    const {
+        PanelBody,
+        Placeholder,
+        RadioControl,
+        SearchControl,
+        Spinner,
+        ToggleControl,
+        ToolbarGroup,
+        ToolbarButton,
+        Button
+    } = wp.components;
+    const { __ } = wp.i18n;
+    const { useState, useEffect, Fragment, createElement } = wp.element;
+    const { addQueryArgs } = wp.url;
+    const { decodeEntities } = wp.htmlEntities;
+    const apiFetch = wp.apiFetch;
+    const ServerSideRender = wp.serverSideRender;
+
+    // Block configuration
+    const BLOCK_NAME = 'letterboxd-connect/movie';
+    const SEARCH_DELAY = 300;
+
+    const layoutOptions = [
+        { label: __('Horizontal', 'letterboxd-connect'), value: 'horizontal' },
+        { label: __('Vertical', 'letterboxd-connect'), value: 'vertical' }
+    ];
+
+    /**
+     * Search imported movies through the movie REST fields
+     */
+    const MoviePicker = ({ onSelect }) => {
+        const [search, setSearch] = useState('');
+        const [results, setResults] = useState([]);
+        const [isSearching, setIsSearching] = useState(false);
+
+        useEffect(() => {
+            if (search.trim().length < 2) {
+                setResults([]);
+                return undefined;
+            }
+
+            let isCurrent = true;
+            const timer = setTimeout(() => {
+                setIsSearching(true);
+                apiFetch({
+                    path: addQueryArgs('/wp/v2/movie', {
+                        search: search.trim(),
+                        per_page: 10,
+                        _fields: 'id,title,movie_meta'
+                    })
+                })
+                    .then((movies) => {
+                        if (isCurrent) {
+                            setResults(movies);
+                        }
+                    })
+                    .catch(() => {
+                        if (isCurrent) {
+                            setResults([]);
+                        }
+                    })
+                    .finally(() => {
+                        if (isCurrent) {
+                            setIsSearching(false);
+                        }
+                    });
+            }, SEARCH_DELAY);
+
+            return () => {
+                isCurrent = false;
+                clearTimeout(timer);
+            };
+        }, [search]);
+
+        return createElement(
+            Placeholder,
+            {
+                icon: 'video-alt2',
+                label: __('Movie', 'letterboxd-connect'),
+                instructions: __('Search your imported movies by title', 'letterboxd-connect'),
+                className: 'letterboxd-movie-picker'
+            },
+            createElement(SearchControl, {
+                value: search,
+                onChange: setSearch,
+                placeholder: __('Search movies…', 'letterboxd-connect')
+            }),
+            isSearching && createElement(Spinner),
+            !isSearching && search.trim().length >= 2 && results.length === 0 && createElement(
+                'p',
+                { className: 'letterboxd-movie-picker__empty' },
+                __('No movies found.', 'letterboxd-connect')
+            ),
+            results.length > 0 && createElement(
+                'ul',
+                { className: 'letterboxd-movie-picker__results' },
+                results.map((movie) => createElement(
+                    'li',
+                    { key: movie.id },
+                    createElement(
+                        Button,
+                        {
+                            variant: 'tertiary',
+                            onClick: () => onSelect(movie.id)
+                        },
+                        createElement('strong', null, decodeEntities(movie.title.rendered) || __('(no title)', 'letterboxd-connect')),
+                        movie.movie_meta && movie.movie_meta.director
+                            ? createElement('span', null, ` — ${movie.movie_meta.director}`)
+                            : null
+                    )
+                ))
+            )
+        );
+    };
+
+    const EditMovie = ({ attributes, setAttributes }) => {
+        const [isPicking, setIsPicking] = useState(!attributes.movieId);
+        const blockProps = useBlockProps();
+
+        if (isPicking || !attributes.movieId) {
+            return createElement(
+                'div',
+                blockProps,
+                createElement(MoviePicker, {
+                    onSelect: (movieId) => {
+                        setAttributes({ movieId });
+                        setIsPicking(false);
+                    }
+                })
+            );
+        }
+
+        const inspectorControls = createElement(
+            InspectorControls,
+            null,
+            createElement(
+                PanelBody,
+                { title: __('Movie Settings', 'letterboxd-connect') },
+                createElement(RadioControl, {
+                    label: __('Layout', 'letterboxd-connect'),
+                    selected: attributes.layout,
+                    options: layoutOptions,
+                    onChange: (value) => setAttributes({ layout: value })
+                })
+            ),
+            createElement(
+                PanelBody,
+                { title: __('Display Options', 'letterboxd-connect') },
+                createElement(ToggleControl, {
+                    label: __('Show Director', 'letterboxd-connect'),
+                    checked: attributes.showDirector,
+                    onChange: (value) => setAttributes({ showDirector: value })
+                }),
+                createElement(ToggleControl, {
+                    label: __('Show Rating', 'letterboxd-connect'),
+                    checked: attributes.showRating,
+                    onChange: (value) => setAttributes({ showRating: value })
+                }),
+                createElement(ToggleControl, {
+                    label: __('Show Review Excerpt', 'letterboxd-connect'),
+                    checked: attributes.showReview,
+                    onChange: (value) => setAttributes({ showReview: value })
+                }),
+                createElement(ToggleControl, {
+                    label: __('Show Streaming Link', 'letterboxd-connect'),
+                    checked: attributes.showStreamingLink,
+                    onChange: (value) => setAttributes({ showStreamingLink: value })
+                }),
+                createElement(ToggleControl, {
+                    label: __('Show External Links', 'letterboxd-connect'),
+                    checked: attributes.showExternalLinks,
+                    onChange: (value) => setAttributes({ showExternalLinks: value })
+                })
+            )
+        );
+
+        const blockControls = createElement(
+            BlockControls,
+            null,
+            createElement(
+                ToolbarGroup,
+                null,
+                createElement(ToolbarButton, {
+                    icon: 'search',
+                    label: __('Replace movie', 'letterboxd-connect'),
+                    onClick: () => setIsPicking(true)
+                })
+            )
+        );
+
+        return createElement(
+            Fragment,
+            null,
+            inspectorControls,
+            blockControls,
+            createElement(
+                'div',
+                blockProps,
+                createElement(ServerSideRender, {
+                    block: BLOCK_NAME,
+                    attributes: attributes
+                })
+            )
+        );
+    };
+
+    // Register the block
+    registerBlockType(BLOCK_NAME, {
+        title: __('Movie', 'letterboxd-connect'),
+        description: __('Feature a single movie from your diary.', 'letterboxd-connect'),
+        icon: 'format-video',
+        category: 'letterboxd-blocks',
+        keywords: [
+            __('movie', 'letterboxd-connect'),
+            __('letterboxd', 'letterboxd-connect'),
+            __('review', 'letterboxd-connect')
+        ],
+        supports: {
+            align: ['wide'],
+            html: false
+        },
+        attributes: {
+            movieId: {
+                type: 'number',
+                default: 0
+            },
+            layout: {
+                type: 'string',
+                default: 'horizontal'
+            },
+            // display options
+            showDirector: {
+                type: 'boolean',
+                default: true
+            },
+            showRating: {
+                type: 'boolean',
+                default: true
+            },
+            showReview: {
+                type: 'boolean',
+                default: true
+            },
+            showStreamingLink: {
+                type: 'boolean',
+                default: true
+            },
+            showExternalLinks: {
+                type: 'boolean',
+                default: true
+            }
+        },
+        edit: EditMovie,
+        save: () => null // Server-side rendered
+    });
+})();
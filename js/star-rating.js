@@ -0,0 +1,100 @@
+/**
+ * Star rating components for the editor
+ *
+ * StarRating edits a rating in half stars with ten native radio buttons, so
+ * arrow keys, labels and screen readers work as for any radio group.
+ * StarRatingDisplay renders the same read-only markup as
+ * letterboxd_render_star_rating() does on the front end.
+ */
+(function () {
+    const { Button } = wp.components;
+    const { useInstanceId } = wp.compose;
+    const { __, sprintf } = wp.i18n;
+    const { useState, createElement } = wp.element;
+
+    const STEPS = [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5];
+
+    const toStars = (rating) => '★'.repeat(Math.floor(rating)) + (rating % 1 ? '½' : '');
+
+    const ratingLabel = (rating) => sprintf(
+        /* translators: %s: Rating from 0.5 to 5 */
+        __('Rated %s out of 5', 'letterboxd-connect'),
+        rating
+    );
+
+    function StarRatingDisplay({ rating }) {
+        if (!rating) {
+            return null;
+        }
+
+        return createElement(
+            'span',
+            { className: 'letterboxd-stars', role: 'img', 'aria-label': ratingLabel(rating) },
+            toStars(rating)
+        );
+    }
+
+    function StarRating({ label, value, onChange, disabled = false }) {
+        const name = useInstanceId(StarRating, 'letterboxd-star-rating');
+        const [hovered, setHovered] = useState(null);
+        const shown = hovered !== null ? hovered : value;
+
+        // Each star is two radios: its left half and its right half
+        const halves = STEPS.map((step) => createElement(
+            'label',
+            {
+                key: step,
+                className: [
+                    'letterboxd-star-rating__half',
+                    step % 1 ? 'is-left' : 'is-right',
+                    step <= shown ? 'is-filled' : ''
+                ].join(' ').trim(),
+                onMouseEnter: () => setHovered(step)
+            },
+            createElement('input', {
+                type: 'radio',
+                className: 'letterboxd-star-rating__input',
+                name,
+                value: step,
+                checked: value === step,
+                disabled,
+                onChange: () => onChange(step)
+            }),
+            createElement(
+                'span',
+                { className: 'screen-reader-text' },
+                sprintf(
+                    /* translators: %s: Rating from 0.5 to 5 */
+                    __('%s stars', 'letterboxd-connect'),
+                    step
+                )
+            ),
+            createElement('span', { className: 'letterboxd-star-rating__glyph', 'aria-hidden': 'true' }, '★')
+        ));
+
+        return createElement(
+            'fieldset',
+            { className: 'letterboxd-star-rating' },
+            createElement('legend', { className: 'letterboxd-star-rating__legend' }, label),
+            createElement(
+                'div',
+                { className: 'letterboxd-star-rating__stars', onMouseLeave: () => setHovered(null) },
+                halves
+            ),
+            createElement(
+                'p',
+                { className: 'letterboxd-star-rating__value' },
+                value
+                    ? createElement(StarRatingDisplay, { rating: value })
+                    : __('Not rated', 'letterboxd-connect')
+            ),
+            createElement(
+                Button,
+                { variant: 'link', disabled: disabled || !value, onClick: () => onChange(0) },
+                __('Clear rating', 'letterboxd-connect')
+            )
+        );
+    }
+
+    window.letterboxdStarRating = { StarRating, StarRatingDisplay };
+})();
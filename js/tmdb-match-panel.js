@@ -0,0 +1,238 @@
+/**
+ * TMDB match panel for the movie editor
+ *
+ * Shows which TMDB film a movie is matched to and lets editors search TMDB
+ * for the right one when the automatic match picked a remake or another
+ * film with the same title.
+ */
+(function () {
+    const { registerPlugin } = wp.plugins;
+    const PluginDocumentSettingPanel =
+        (wp.editor && wp.editor.PluginDocumentSettingPanel) ||
+        wp.editPost.PluginDocumentSettingPanel;
+    const {
+        Button,
+        Notice,
+        Spinner,
+        TextControl,
+        ToggleControl
+    } = wp.components;
+    const { useSelect } = wp.data;
+    const { __, sprintf } = wp.i18n;
+    const { useState, useEffect, createElement } = wp.element;
+    const apiFetch = wp.apiFetch;
+
+    const { restNamespace } = window.letterboxdTmdbMatch;
+
+    function MatchSummary({ match }) {
+        if (!match.tmdb_id) {
+            return createElement('p', null, __('This movie is not matched to a TMDB film yet.', 'letterboxd-connect'));
+        }
+
+        return createElement(
+            'div',
+            { className: 'letterboxd-tmdb-match', style: { display: 'flex', gap: '8px', marginBottom: '12px' } },
+            match.poster && createElement('img', {
+                src: match.poster,
+                alt: '',
+                width: 60,
+                style: { height: 'auto', flexShrink: 0 }
+            }),
+            createElement(
+                'div',
+                null,
+                createElement('strong', null, match.title || __('Untitled', 'letterboxd-connect')),
+                match.year && createElement('span', null, ` (${match.year})`),
+                createElement(
+                    'p',
+                    { style: { margin: '4px 0 0' } },
+                    createElement(
+                        'a',
+                        {
+                            href: `https://www.themoviedb.org/movie/${match.tmdb_id}`,
+                            target: '_blank',
+                            rel: 'noopener noreferrer'
+                        },
+                        sprintf(
+                            /* translators: %d: TMDB movie ID */
+                            __('TMDB #%d', 'letterboxd-connect'),
+                            match.tmdb_id
+                        )
+                    )
+                ),
+                match.source === 'manual' && createElement(
+                    'p',
+                    { style: { margin: '4px 0 0', opacity: 0.7 } },
+                    __('Chosen by hand', 'letterboxd-connect')
+                )
+            )
+        );
+    }
+
+    function SearchResult({ result, isSuggested, isCurrent, isBusy, onChoose }) {
+        return createElement(
+            'li',
+            { style: { display: 'flex', gap: '8px', marginBottom: '8px' } },
+            result.poster
+                ? createElement('img', { src: result.poster, alt: '', width: 40, style: { height: 'auto', flexShrink: 0 } })
+                : createElement('span', { style: { width: '40px', flexShrink: 0 } }),
+            createElement(
+                'div',
+                null,
+                createElement('strong', null, result.title),
+                result.year && createElement('span', null, ` (${result.year})`),
+                isSuggested && createElement(
+                    'p',
+                    { style: { margin: '2px 0', opacity: 0.7 } },
+                    __('Best automatic match', 'letterboxd-connect')
+                ),
+                result.overview && createElement('p', { style: { margin: '2px 0' } }, result.overview),
+                createElement(
+                    Button,
+                    {
+                        variant: 'secondary',
+                        size: 'small',
+                        disabled: isCurrent || isBusy,
+                        onClick: () => onChoose(result.id)
+                    },
+                    isCurrent ? __('Current match', 'letterboxd-connect') : __('Use this film', 'letterboxd-connect')
+                )
+            )
+        );
+    }
+
+    function TmdbMatchPanel() {
+        const { postId, postTitle } = useSelect((select) => ({
+            postId: select('core/editor').getCurrentPostId(),
+            postTitle: select('core/editor').getEditedPostAttribute('title')
+        }), []);
+
+        const [match, setMatch] = useState(null);
+        const [configured, setConfigured] = useState(true);
+        const [query, setQuery] = useState('');
+        const [year, setYear] = useState('');
+        const [results, setResults] = useState(null);
+        const [bestMatch, setBestMatch] = useState(0);
+        const [busy, setBusy] = useState(false);
+        const [error, setError] = useState('');
+
+        useEffect(() => {
+            if (!postId) {
+                return;
+            }
+            apiFetch({ path: `${restNamespace}/tmdb-match/${postId}` })
+                .then((response) => {
+                    setMatch(response.match);
+                    setConfigured(response.configured);
+                    setYear(response.match.year || '');
+                })
+                .catch((err) => setError(err.message));
+        }, [postId]);
+
+        const updateMatch = (data) => {
+            setBusy(true);
+            setError('');
+            return apiFetch({
+                path: `${restNamespace}/tmdb-match/${postId}`,
+                method: 'POST',
+                data
+            })
+                .then((response) => setMatch(response.match))
+                .catch((err) => setError(err.message))
+                .finally(() => setBusy(false));
+        };
+
+        const search = () => {
+            const searchQuery = query || postTitle;
+            if (!searchQuery) {
+                return;
+            }
+
+            setBusy(true);
+            setError('');
+            const params = new URLSearchParams({ query: searchQuery });
+            if (year) {
+                params.set('year', year);
+            }
+            apiFetch({ path: `${restNamespace}/tmdb-search?${params.toString()}` })
+                .then((response) => {
+                    setResults(response.results);
+                    setBestMatch(response.best_match);
+                })
+                .catch((err) => setError(err.message))
+                .finally(() => setBusy(false));
+        };
+
+        let content;
+        if (!match) {
+            content = error
+                ? createElement(Notice, { status: 'error', isDismissible: false }, error)
+                : createElement(Spinner);
+        } else {
+            content = [
+                createElement(MatchSummary, { key: 'summary', match }),
+                createElement(ToggleControl, {
+                    key: 'lock',
+                    label: __('Lock match', 'letterboxd-connect'),
+                    help: __('Keep this film when TMDB data is updated in bulk', 'letterboxd-connect'),
+                    checked: match.locked,
+                    disabled: busy || !match.tmdb_id,
+                    onChange: (value) => updateMatch({ locked: value })
+                }),
+                error && createElement(Notice, { key: 'error', status: 'error', isDismissible: false }, error),
+                !configured && createElement(
+                    Notice,
+                    { key: 'configure', status: 'warning', isDismissible: false },
+                    __('Add a TMDB API key in the plugin settings to search TMDB.', 'letterboxd-connect')
+                ),
+                configured && createElement(TextControl, {
+                    key: 'query',
+                    label: __('Search TMDB', 'letterboxd-connect'),
+                    value: query,
+                    placeholder: postTitle,
+                    onChange: setQuery
+                }),
+                configured && createElement(TextControl, {
+                    key: 'year',
+                    label: __('Release Year', 'letterboxd-connect'),
+                    type: 'number',
+                    value: year,
+                    onChange: setYear
+                }),
+                configured && createElement(
+                    Button,
+                    { key: 'search', variant: 'secondary', isBusy: busy, disabled: busy, onClick: search },
+                    __('Search', 'letterboxd-connect')
+                ),
+                results && !results.length && createElement(
+                    'p',
+                    { key: 'empty' },
+                    __('No films found.', 'letterboxd-connect')
+                ),
+                results && results.length > 0 && createElement(
+                    'ul',
+                    { key: 'results', style: { marginTop: '12px' } },
+                    results.map((result) => createElement(SearchResult, {
+                        key: result.id,
+                        result,
+                        isSuggested: result.id === bestMatch,
+                        isCurrent: result.id === match.tmdb_id,
+                        isBusy: busy,
+                        onChoose: (tmdbId) => updateMatch({ tmdb_id: tmdbId, locked: match.locked })
+                    }))
+                )
+            ];
+        }
+
+        return createElement(
+            PluginDocumentSettingPanel,
+            {
+                name: 'letterboxd-tmdb-match',
+                title: __('TMDB Match', 'letterboxd-connect')
+            },
+            content
+        );
+    }
+
+    registerPlugin('letterboxd-tmdb-match', { render: TmdbMatchPanel });
+})();
@@ -95,11 +95,19 @@ spl_autoload_register(function ($class_name) {
     $class_files = [
         "Letterboxd_Movie_Post_Type" => "includes/class-movie-post-type.php",
         "Letterboxd_Importer" => "includes/class-letterboxd-importer.php",
+        "Letterboxd_Import_History" => "includes/class-import-history.php",
+        "Letterboxd_Sync_Queue" => "includes/class-sync-queue.php",
         "Letterboxd_Movie_Block_Renderer" =>
             "includes/class-movie-block-renderer.php",
+        "Letterboxd_Movie_Stats_Block" => "includes/class-movie-stats-block.php",
         "Letterboxd_Settings_Manager" => "includes/class-settings-manager.php",
         "Letterboxd_Auto_Import" => "includes/class-auto-import.php",
-        "Letterboxd_TMDB_Handler" => "includes/class-tmdb-handler.php"
+        "Letterboxd_TMDB_Handler" => "includes/class-tmdb-handler.php",
+        "Letterboxd_TMDB_Match_Panel" => "includes/class-tmdb-match-panel.php",
+        "Letterboxd_Movie_Bulk_Actions" => "includes/class-movie-bulk-actions.php",
+        "Letterboxd_Movie_Bindings" => "includes/class-movie-bindings.php",
+        "Letterboxd_Public_API" => "includes/class-public-api.php",
+        "Letterboxd_Webhooks" => "includes/class-webhooks.php"
     ];
 
     if (isset($class_files[$class_name])) {
@@ -145,6 +153,36 @@ class Letterboxd_To_WordPress {
      */
     private $block_renderer = null;
 
+    /**
+     * @var Letterboxd_Movie_Stats_Block
+     */
+    private $stats_block = null;
+
+    /**
+     * @var Letterboxd_TMDB_Match_Panel
+     */
+    private $tmdb_match_panel = null;
+
+    /**
+     * @var Letterboxd_Movie_Bulk_Actions
+     */
+    private $bulk_actions = null;
+
+    /**
+     * @var Letterboxd_Movie_Bindings
+     */
+    private $movie_bindings = null;
+
+    /**
+     * @var Letterboxd_Public_API
+     */
+    private $public_api = null;
+
+    /**
+     * @var Letterboxd_Webhooks
+     */
+    private $webhooks = null;
+
     /**
      * @var Letterboxd_Settings_Manager
      */
@@ -170,7 +208,13 @@ class Letterboxd_To_WordPress {
         // Initialize components with dependencies
         $this->post_type = new Letterboxd_Movie_Post_Type();
         $this->importer = new Letterboxd_Importer($this->post_type);
-        $this->block_renderer = new Letterboxd_Movie_Block_Renderer();
+        $this->block_renderer = new Letterboxd_Movie_Block_Renderer($this->post_type);
+        $this->stats_block = new Letterboxd_Movie_Stats_Block($this->post_type);
+        $this->tmdb_match_panel = new Letterboxd_TMDB_Match_Panel();
+        $this->bulk_actions = new Letterboxd_Movie_Bulk_Actions($this->importer);
+        $this->movie_bindings = new Letterboxd_Movie_Bindings();
+        $this->public_api = new Letterboxd_Public_API($this->block_renderer, $this->post_type);
+        $this->webhooks = new Letterboxd_Webhooks();
         $this->settings = new Letterboxd_Settings_Manager($this->api_service);
         $this->auto_import = new Letterboxd_Auto_Import($this);
 
@@ -256,7 +300,7 @@ class Letterboxd_To_WordPress {
      */
     private function get_block_renderer() {
         if (null === $this->block_renderer) {
-            $this->block_renderer = new Letterboxd_Movie_Block_Renderer();
+            $this->block_renderer = new Letterboxd_Movie_Block_Renderer($this->get_post_type());
         }
         return $this->block_renderer;
     }
@@ -323,17 +367,25 @@ class Letterboxd_To_WordPress {
      * Plugin deactivation
      */
     public function deactivate(): void {
-        // Clear scheduled events
-        wp_clear_scheduled_hook("letterboxd_check_and_import");
+        // Clear scheduled events, one per account
+        wp_unschedule_hook("letterboxd_check_and_import");
 
         // Also clear the transient cleanup schedule
         wp_clear_scheduled_hook("letterboxd_cleanup_transients");
 
+        // And the streaming provider refresh
+        wp_clear_scheduled_hook("letterboxd_refresh_streaming_providers");
+
+        // And pending webhook retries
+        wp_unschedule_hook(Letterboxd_Webhooks::RETRY_HOOK);
+
         // Clean up specific transients by type
         $transients_to_delete = [
             // Importer transients
             "letterboxd_to_wp_import_import_lock",
             "letterboxd_to_wp_import_feed_",
+            "letterboxd_to_wp_import_job_",
+            "letterboxd_to_wp_import_csv_",
 
             // Auto-import transients
             "letterboxd_auto_import_import_lock",
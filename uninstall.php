@@ -48,6 +48,9 @@ class Letterboxd_Uninstaller {
         'letterboxd_imported_count',
         'letterboxd_last_error',
         'letterboxd_import_log',
+        'letterboxd_import_history',
+        'letterboxd_sync_queue',
+        'letterboxd_sync_rejected',
         'letterboxd_error_log'
     ];
 
@@ -230,7 +233,7 @@ class Letterboxd_Uninstaller {
     private function remove_taxonomies(): void {
         global $wpdb;
 
-        $taxonomies = ['movie_year'];
+        $taxonomies = ['movie_year', 'movie_list', 'movie_tag', 'movie_genre', 'movie_country', 'movie_language'];
 
         foreach ($taxonomies as $taxonomy) {
             // Get all terms for this taxonomy